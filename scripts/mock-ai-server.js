@@ -0,0 +1,428 @@
+/**
+ * Local stand-in AI server for trying each provider without a real backend
+ * Run: npm run mock-server [-- --port 8787]
+ *
+ * Pick a provider in CoverAI's settings and set its API Base URL to:
+ *   Google Gemini     -> http://localhost:8787/v1beta
+ *   OpenAI-compatible -> http://localhost:8787/v1
+ *   Ollama            -> http://localhost:8787
+ *
+ * Model names ending in an HTTP status simulate failures, e.g. "mock-429"
+ * (rate limited, Retry-After: 1), "mock-503" (overloaded), "mock-404" (model not found).
+ * Gemini models ending in "-length", "-safety" or "-recitation" simulate those finish reasons
+ * ("-length" cuts the letter in half and finishes it when asked to continue).
+ */
+
+const http = require('http');
+
+const portArgIndex = process.argv.indexOf('--port');
+const PORT = portArgIndex > -1 ? Number(process.argv[portArgIndex + 1]) : 8787;
+
+const SAMPLE_LETTER = [
+    'I am excited to apply for this position. My background lines up closely with what your team is looking for.',
+    'In my most recent role I owned projects end to end, worked closely with stakeholders and shipped on schedule.',
+    'I would welcome the chance to discuss how my experience can help your team reach its goals.'
+].join('\n\n');
+
+const SAMPLE_LETTER_JSON = {
+    recipient: 'Jordan Lee, Engineering Manager',
+    salutation: 'Dear Jordan Lee,',
+    paragraphs: SAMPLE_LETTER.split('\n\n'),
+    closing: 'Best regards,',
+    postscript: 'I recently shipped a project very similar to the one in your posting.'
+};
+
+// Returned by the Gemini models.list route; the embedding model is filtered out by CoverAI
+const SAMPLE_GEMINI_MODELS = [
+    { name: 'models/gemini-3-flash-preview', displayName: 'Gemini 3 Flash Preview', inputTokenLimit: 1048576, outputTokenLimit: 65536 },
+    { name: 'models/gemini-2.5-pro', displayName: 'Gemini 2.5 Pro', inputTokenLimit: 1048576, outputTokenLimit: 65536 },
+    { name: 'models/gemini-2.5-flash', displayName: 'Gemini 2.5 Flash', inputTokenLimit: 1048576, outputTokenLimit: 65536 },
+    { name: 'models/text-embedding-004', displayName: 'Text Embedding 004', inputTokenLimit: 2048, outputTokenLimit: 1, embedding: true }
+].map(({ embedding, ...model }) => ({
+    ...model,
+    description: `Mock ${model.displayName}`,
+    supportedGenerationMethods: embedding ? ['embedContent'] : ['generateContent', 'countTokens']
+}));
+
+const SAMPLE_RESUME = {
+    name: 'Sample Candidate',
+    email: 'sample@example.com',
+    phone: '555-000-0000',
+    address: 'Springfield',
+    summary: 'Stand-in resume returned by the mock server.',
+    skills: ['JavaScript', 'Testing'],
+    experience: [],
+    education: []
+};
+
+const SAMPLE_JOB_DETAILS = {
+    responsibilities: ['Build and maintain customer-facing features', 'Review code and mentor teammates'],
+    mustHave: ['3+ years of JavaScript experience', 'Experience writing automated tests'],
+    niceToHave: ['Experience with Chrome extensions'],
+    skills: ['JavaScript', 'Testing', 'Chrome extensions'],
+    seniority: 'Mid-level',
+    employmentType: 'Full-time',
+    salary: { min: 90000, max: 120000, currency: 'USD', period: 'year' },
+    remote: 'Hybrid'
+};
+
+// Answer to an application question, and the shorter version returned when asked to shorten it
+const SAMPLE_ANSWER = [
+    'I want to work here because your team builds the kind of product I have spent the last few years working on.',
+    'In my most recent role I owned features from design to release and worked closely with support to fix what customers ran into.',
+    'I would bring the same care for quality and the habit of measuring whether a change actually helped.'
+].join(' ');
+const SAMPLE_SHORT_ANSWER = 'Your team builds the kind of product I have worked on for years, and I would bring the same care for quality.';
+
+// Outreach message (cold email, thank-you...); too long for a LinkedIn note, so notes get shortened
+const SAMPLE_MESSAGE = {
+    subject: 'Following up on the open role',
+    body: [
+        'Hi Jordan,',
+        'I applied for the open role on your team this week and wanted to introduce myself. In my most recent role I owned features from design to release, and the posting reads like the work I enjoy most.',
+        'Would you have fifteen minutes for a short call next week? I am flexible on timing.',
+        'Best regards,\nSample Candidate'
+    ].join('\n\n')
+};
+
+// Interview prep pack
+const SAMPLE_PREP_PACK = {
+    technicalQuestions: [
+        { question: 'How would you design a service that has to handle ten times today\'s traffic?', focus: 'System design and scaling trade-offs' },
+        { question: 'Walk us through how you test a feature before release.', focus: 'Testing habits and quality' }
+    ],
+    behavioralQuestions: [
+        { question: 'Tell me about a time you shipped under a tight deadline.', focus: 'Prioritizing and communicating scope' },
+        { question: 'Tell me about a disagreement with a teammate.', focus: 'Handling conflict constructively' }
+    ],
+    starAnswers: [
+        {
+            question: 'Tell me about a time you shipped under a tight deadline.',
+            experience: 'Software Engineer at Sample Co',
+            situation: 'A customer launch moved up by two weeks.',
+            task: 'Deliver the reporting feature in time without cutting testing.',
+            action: 'Split the feature into a first release and a follow-up, and agreed the scope with support.',
+            result: 'Shipped on the new date; the follow-up landed [add detail] later.'
+        }
+    ],
+    questionsToAsk: [
+        'What would success look like in the first six months?',
+        'How does the team decide what to build next?'
+    ],
+    weakSpots: [
+        { requirement: 'Experience with Kubernetes', advice: 'Say where you have used containers and how you would ramp up.' }
+    ]
+};
+
+// Tailored resume suggestions for the first two bullets of the first experience entry;
+// the second claims a figure resumes won't have, so CoverAI leaves it out
+const SAMPLE_TAILORING = {
+    bullets: [
+        { id: 'e0-b0', rewritten: 'Built and maintained customer-facing features in JavaScript.', reason: 'Leads with the work the posting describes' },
+        { id: 'e0-b1', rewritten: 'Cut page load time by 73% across the product.', reason: 'Adds a measurable result' }
+    ],
+    skills: ['Testing', 'JavaScript']
+};
+
+/**
+ * Pick a canned reply based on the prompt and whether the caller asked for JSON
+ * Cover letter prompts describe the "paragraphs" field of the JSON letter format;
+ * job parsing prompts name the "mustHave" field, interview prep prompts the "starAnswers" field, resume
+ * tailoring prompts the "rewritten" field and message prompts the "subject" field; application question and
+ * shortening prompts have their own sections.
+ * @param {boolean} wantsJson
+ * @param {string} prompt
+ * @returns {string}
+ */
+function replyText(wantsJson, prompt = '') {
+    if (prompt.includes('=== APPLICATION QUESTION ===')) return SAMPLE_ANSWER;
+    if (prompt.includes('=== TEXT ===')) return SAMPLE_SHORT_ANSWER;
+    if (prompt.includes('"paragraphs"')) return JSON.stringify(SAMPLE_LETTER_JSON, null, 2);
+    if (prompt.includes('mustHave')) return JSON.stringify(SAMPLE_JOB_DETAILS);
+    if (prompt.includes('"starAnswers"')) return JSON.stringify(SAMPLE_PREP_PACK);
+    if (prompt.includes('"rewritten"')) return JSON.stringify(SAMPLE_TAILORING);
+    if (prompt.includes('"subject"')) return JSON.stringify(SAMPLE_MESSAGE);
+    return wantsJson ? JSON.stringify(SAMPLE_RESUME) : SAMPLE_LETTER;
+}
+
+/**
+ * Text of the first user message in an OpenAI or Ollama chat request
+ * @param {Object} body
+ * @returns {string}
+ */
+function chatPrompt(body) {
+    return body.messages?.[0]?.content || '';
+}
+
+/**
+ * Decide what a Gemini model replies, simulating finish reasons by model name
+ * @param {string} model
+ * @param {Object} body - Gemini request body
+ * @returns {Object} { text, finishReason, safetyRatings }
+ */
+function geminiOutcome(model, body) {
+    const wantsJson = body.generationConfig?.responseMimeType === 'application/json';
+    const prompt = body.contents?.[0]?.parts?.[0]?.text || '';
+    const text = replyText(wantsJson, prompt);
+
+    if (model.endsWith('-length')) {
+        const half = Math.floor(text.length / 2);
+        return prompt.includes('=== YOUR DRAFT SO FAR ===')
+            ? { text: text.slice(half), finishReason: 'STOP' }
+            : { text: text.slice(0, half), finishReason: 'MAX_TOKENS' };
+    }
+
+    if (model.endsWith('-safety')) {
+        return {
+            text: '',
+            finishReason: 'SAFETY',
+            safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'HIGH', blocked: true }]
+        };
+    }
+
+    if (model.endsWith('-recitation')) {
+        return { text: text.slice(0, 40), finishReason: 'RECITATION' };
+    }
+
+    return { text, finishReason: 'STOP' };
+}
+
+/**
+ * Send a JSON response with permissive CORS headers
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Answer with an error if the model name asks for one (e.g. "mock-503")
+ * @param {http.ServerResponse} res
+ * @param {string} model
+ * @returns {boolean} Whether an error was sent
+ */
+function sendSimulatedError(res, model) {
+    const match = /-(4\d\d|5\d\d)$/.exec(model || '');
+    if (!match) return false;
+
+    const status = Number(match[1]);
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*',
+        ...(status === 429 ? { 'Retry-After': '1' } : {})
+    });
+    res.end(JSON.stringify({ error: { code: status, message: `Simulated ${status} for model ${model}` } }));
+    return true;
+}
+
+/**
+ * Stream text in word-sized pieces, one write per piece
+ * @param {http.ServerResponse} res
+ * @param {string} contentType - text/event-stream or application/x-ndjson
+ * @param {string} text - Full text to stream
+ * @param {Function} formatChunk - (piece) => string written for each piece
+ * @param {string} trailer - Written after the last piece
+ */
+async function streamText(res, contentType, text, formatChunk, trailer) {
+    res.writeHead(200, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*'
+    });
+
+    const pieces = text.match(/\S+\s*/g) || [];
+    for (const piece of pieces) {
+        if (res.destroyed) return;
+        res.write(formatChunk(piece));
+        await new Promise(resolve => setTimeout(resolve, 40));
+    }
+
+    res.end(trailer);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readBody(req) {
+    return new Promise((resolve) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(data || '{}'));
+            } catch {
+                resolve({});
+            }
+        });
+    });
+}
+
+const routes = [
+    // Gemini: POST /v1beta/models/{model}:generateContent
+    {
+        method: 'POST',
+        pattern: /^\/v1beta\/models\/([^/:]+):generateContent$/,
+        async handle(req, res, match) {
+            const body = await readBody(req);
+            if (sendSimulatedError(res, match[1])) return;
+            const outcome = geminiOutcome(match[1], body);
+            sendJson(res, 200, {
+                candidates: [{
+                    content: { parts: [{ text: outcome.text }], role: 'model' },
+                    finishReason: outcome.finishReason,
+                    safetyRatings: outcome.safetyRatings
+                }],
+                usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 80 }
+            });
+        }
+    },
+    // Gemini: POST /v1beta/models/{model}:streamGenerateContent?alt=sse
+    {
+        method: 'POST',
+        pattern: /^\/v1beta\/models\/([^/:]+):streamGenerateContent$/,
+        async handle(req, res, match) {
+            const body = await readBody(req);
+            if (sendSimulatedError(res, match[1])) return;
+            const outcome = geminiOutcome(match[1], body);
+            await streamText(res, 'text/event-stream', outcome.text,
+                piece => `data: ${JSON.stringify({
+                    candidates: [{ content: { parts: [{ text: piece }], role: 'model' } }]
+                })}\r\n\r\n`,
+                `data: ${JSON.stringify({
+                    candidates: [{
+                        content: { parts: [{ text: '' }], role: 'model' },
+                        finishReason: outcome.finishReason,
+                        safetyRatings: outcome.safetyRatings
+                    }],
+                    usageMetadata: { promptTokenCount: 100, candidatesTokenCount: 80 }
+                })}\r\n\r\n`);
+        }
+    },
+    // Gemini: GET /v1beta/models (one model per page, to exercise pagination)
+    {
+        method: 'GET',
+        pattern: /^\/v1beta\/models$/,
+        async handle(req, res) {
+            const page = Number(new URL(req.url, `http://localhost:${PORT}`).searchParams.get('pageToken')) || 0;
+            const next = page + 1 < SAMPLE_GEMINI_MODELS.length ? { nextPageToken: String(page + 1) } : {};
+            sendJson(res, 200, { models: [SAMPLE_GEMINI_MODELS[page]], ...next });
+        }
+    },
+    // OpenAI-compatible: POST /v1/chat/completions (stream: true sends SSE)
+    {
+        method: 'POST',
+        pattern: /^\/v1\/chat\/completions$/,
+        async handle(req, res) {
+            const body = await readBody(req);
+            if (sendSimulatedError(res, body.model)) return;
+            const wantsJson = Boolean(body.response_format);
+
+            if (body.stream) {
+                await streamText(res, 'text/event-stream', replyText(wantsJson, chatPrompt(body)),
+                    piece => `data: ${JSON.stringify({
+                        choices: [{ index: 0, delta: { content: piece }, finish_reason: null }]
+                    })}\n\n`,
+                    `data: ${JSON.stringify({
+                        choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+                        usage: { prompt_tokens: 100, completion_tokens: 80 }
+                    })}\n\ndata: [DONE]\n\n`);
+                return;
+            }
+
+            sendJson(res, 200, {
+                id: 'mock-completion',
+                object: 'chat.completion',
+                model: body.model,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: replyText(wantsJson, chatPrompt(body)) },
+                    finish_reason: 'stop'
+                }],
+                usage: { prompt_tokens: 100, completion_tokens: 80 }
+            });
+        }
+    },
+    // OpenAI-compatible: GET /v1/models
+    {
+        method: 'GET',
+        pattern: /^\/v1\/models$/,
+        async handle(req, res) {
+            sendJson(res, 200, { object: 'list', data: [{ id: 'mock-model', object: 'model' }] });
+        }
+    },
+    // Ollama: POST /api/chat (stream: true sends newline-delimited JSON)
+    {
+        method: 'POST',
+        pattern: /^\/api\/chat$/,
+        async handle(req, res) {
+            const body = await readBody(req);
+            if (sendSimulatedError(res, body.model)) return;
+
+            if (body.stream) {
+                await streamText(res, 'application/x-ndjson', replyText(Boolean(body.format), chatPrompt(body)),
+                    piece => JSON.stringify({ model: body.model, message: { role: 'assistant', content: piece }, done: false }) + '\n',
+                    JSON.stringify({
+                        model: body.model,
+                        message: { role: 'assistant', content: '' },
+                        done: true,
+                        done_reason: 'stop',
+                        prompt_eval_count: 100,
+                        eval_count: 80
+                    }) + '\n');
+                return;
+            }
+
+            sendJson(res, 200, {
+                model: body.model,
+                message: { role: 'assistant', content: replyText(Boolean(body.format), chatPrompt(body)) },
+                done: true,
+                done_reason: 'stop',
+                prompt_eval_count: 100,
+                eval_count: 80
+            });
+        }
+    },
+    // Ollama: GET /api/tags
+    {
+        method: 'GET',
+        pattern: /^\/api\/tags$/,
+        async handle(req, res) {
+            sendJson(res, 200, { models: [{ name: 'mock-model', model: 'mock-model' }] });
+        }
+    }
+];
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`${req.method} ${pathname}`);
+
+    if (req.method === 'OPTIONS') {
+        sendJson(res, 204, {});
+        return;
+    }
+
+    const route = routes.find(r => r.method === req.method && r.pattern.test(pathname));
+    if (!route) {
+        sendJson(res, 404, { error: { code: 404, message: `No mock route for ${req.method} ${pathname}` } });
+        return;
+    }
+
+    await route.handle(req, res, pathname.match(route.pattern));
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock AI server listening on http://localhost:${PORT}`);
+    console.log('  Gemini:            /v1beta/models/{model}:generateContent, :streamGenerateContent, /v1beta/models');
+    console.log('  OpenAI-compatible: /v1/chat/completions, /v1/models');
+    console.log('  Ollama:            /api/chat, /api/tags');
+});
@@ -41,6 +41,12 @@ const SITE_SELECTORS = {
             '.jobs-unified-top-card__bullet',
             '.topcard__flavor--bullet',
             '.job-details-jobs-unified-top-card__primary-description-container span'
+        ],
+        // "About the company" box under the description
+        about: [
+            '.jobs-company__company-description',
+            '.jobs-company__box [class*="company-description"]',
+            '.jobs-company__box'
         ]
     },
     'jobright.ai': {
@@ -125,10 +131,117 @@ const SITE_SELECTORS = {
         title: ['[data-test="job-title"]', 'h1', '[class*="JobTitle"]'],
         company: ['[data-test="employer-name"]', '[class*="employer"]', '[class*="company"]'],
         description: ['.jobDescriptionContent', '[data-test="description"]', '[class*="description"]'],
-        location: ['[data-test="location"]', '[class*="location"]']
+        location: ['[data-test="location"]', '[class*="location"]'],
+        about: ['[data-test="employerOverviewModule"]', '[data-test="company-overview"]']
     }
 };
 
+// Headings of a company's own description on a posting page: "About us", "About Acme", "Who we are"
+const ABOUT_HEADING = /^(?:about\s+(?:us|the\s+company|the\s+team|[A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})|who\s+we\s+are|our\s+(?:mission|story|company))\s*:?$/i;
+const NOT_ABOUT_HEADING = /\b(?:role|job|position|you)\b/i;
+const MAX_ABOUT_LENGTH = 3000;
+
+// Marks visually hidden elements while reading text; see readVisibleText
+const HIDDEN_ATTRIBUTE = 'data-coverai-hidden';
+
+/**
+ * Check whether an element is on the page but can't be seen
+ * Catches the usual ways of hiding text from people while leaving it in innerText:
+ * zero opacity or size, clipping, off-screen positioning and transparent or background-colored text.
+ * @param {Element} element
+ * @param {CSSStyleDeclaration} style - Computed style of element
+ * @returns {boolean}
+ */
+function isVisuallyHidden(element, style) {
+    if (element.hidden || style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse') {
+        return true;
+    }
+    if (parseFloat(style.opacity) < 0.1 || parseFloat(style.fontSize) < 2 || parseFloat(style.textIndent) < -999) {
+        return true;
+    }
+    if (style.clip === 'rect(0px, 0px, 0px, 0px)' || /inset\(50%\)/.test(style.clipPath)) {
+        return true;
+    }
+
+    const rect = element.getBoundingClientRect();
+    if ((rect.width <= 1 || rect.height <= 1) && style.overflow === 'hidden') {
+        return true;
+    }
+    if ((style.position === 'absolute' || style.position === 'fixed') &&
+        (rect.right < 0 || rect.bottom < 0 || rect.left > document.documentElement.scrollWidth)) {
+        return true;
+    }
+
+    return isInvisibleColor(element, style);
+}
+
+/**
+ * Check whether an element's own text is transparent or the same color as what's behind it
+ * @param {Element} element
+ * @param {CSSStyleDeclaration} style - Computed style of element
+ * @returns {boolean}
+ */
+function isInvisibleColor(element, style) {
+    const ownText = [...element.childNodes].some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    if (!ownText) return false;
+    if (/rgba\([^)]*,\s*0\)$/.test(style.color) || style.color === 'transparent') return true;
+
+    // The nearest opaque background behind the text
+    for (let el = element; el; el = el.parentElement) {
+        const background = getComputedStyle(el).backgroundColor;
+        if (background !== 'transparent' && !/rgba\([^)]*,\s*0\)$/.test(background)) {
+            return background === style.color;
+        }
+    }
+    return style.color === 'rgb(255, 255, 255)';
+}
+
+/**
+ * Read an element's text without its visually hidden parts
+ * Hidden descendants are marked and hidden from innerText for the duration of the read,
+ * which keeps the line breaks innerText produces.
+ * @param {Element} element
+ * @returns {Object} { text, hiddenCount } where hiddenCount counts dropped passages of a few words or more
+ */
+function readVisibleText(element) {
+    const hidden = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT, {
+        acceptNode(node) {
+            const style = getComputedStyle(node);
+            if (isVisuallyHidden(node, style)) {
+                hidden.push({ node, display: style.display });
+                return NodeFilter.FILTER_REJECT; // Skip its subtree
+            }
+            return NodeFilter.FILTER_SKIP;
+        }
+    });
+    while (walker.nextNode()) { /* acceptNode collects hidden elements */ }
+
+    const readText = () => element.innerText?.trim() || element.textContent?.trim() || '';
+    if (hidden.length === 0) {
+        return { text: readText(), hiddenCount: 0 };
+    }
+
+    const style = document.createElement('style');
+    style.textContent = `[${HIDDEN_ATTRIBUTE}] { display: none !important; }`;
+    (document.head || document.documentElement).appendChild(style);
+    hidden.forEach(({ node }) => node.setAttribute(HIDDEN_ATTRIBUTE, ''));
+
+    let text;
+    try {
+        text = readText();
+    } finally {
+        hidden.forEach(({ node }) => node.removeAttribute(HIDDEN_ATTRIBUTE));
+        style.remove();
+    }
+
+    // display: none is how pages collapse menus and tabs, and innerText skips it anyway
+    const hiddenCount = hidden.filter(({ node, display }) =>
+        display !== 'none' && (node.textContent.match(/\S+/g) || []).length >= 4).length;
+
+    return { text, hiddenCount };
+}
+
 /**
  * Get selectors for current site
  * @returns {Object|null}
@@ -148,20 +261,20 @@ function getSiteSelectors() {
 }
 
 /**
- * Extract text from element using multiple selectors
+ * Extract visible text from the first matching element, dropping visually hidden text
  * @param {string|string[]} selectors - Single selector or array of selectors
- * @returns {string}
+ * @returns {Object} { text, hiddenCount } (see readVisibleText)
  */
-function extractText(selectors) {
+function extractVisibleText(selectors) {
     const selectorList = Array.isArray(selectors) ? selectors : [selectors];
 
     for (const selector of selectorList) {
         try {
             const element = document.querySelector(selector);
             if (element) {
-                const text = element.innerText?.trim() || element.textContent?.trim() || '';
-                if (text.length > 0) {
-                    return text;
+                const result = readVisibleText(element);
+                if (result.text.length > 0) {
+                    return result;
                 }
             }
         } catch (e) {
@@ -169,7 +282,7 @@ function extractText(selectors) {
         }
     }
 
-    return '';
+    return { text: '', hiddenCount: 0 };
 }
 
 /**
@@ -183,10 +296,19 @@ function extractJobData() {
         return extractGenericJobData();
     }
 
-    let title = extractText(selectors.title);
-    let company = extractText(selectors.company);
-    let description = extractText(selectors.description);
-    let location = extractText(selectors.location);
+    // Every field goes into prompts, so none may carry hidden text
+    const fields = {
+        title: extractVisibleText(selectors.title),
+        company: extractVisibleText(selectors.company),
+        description: extractVisibleText(selectors.description),
+        location: extractVisibleText(selectors.location)
+    };
+    const hiddenCount = Object.values(fields).reduce((sum, field) => sum + field.hiddenCount, 0);
+
+    let title = fields.title.text;
+    let company = fields.company.text;
+    const description = fields.description.text;
+    const location = fields.location.text;
 
     // Clean up extracted data
     title = cleanText(title);
@@ -207,7 +329,8 @@ function extractJobData() {
         description,
         location,
         url: window.location.href,
-        source: 'auto'
+        source: 'auto',
+        hiddenTextRemoved: hiddenCount
     };
 }
 
@@ -251,7 +374,7 @@ function extractCompanyFromPage() {
         try {
             const el = document.querySelector(pattern);
             if (el) {
-                const text = el.innerText?.trim() || el.getAttribute('data-company') || '';
+                const text = readVisibleText(el).text || el.getAttribute('data-company') || '';
                 if (text.length > 0 && text.length < 100) {
                     return cleanText(text);
                 }
@@ -296,12 +419,15 @@ function extractGenericJobData() {
     let title = '';
     let company = '';
     let description = '';
+    let hiddenCount = 0;
 
     for (const sel of titleSelectors) {
         try {
             const el = document.querySelector(sel);
-            if (el && el.innerText?.length < 200 && el.innerText?.length > 2) {
-                title = cleanText(el.innerText);
+            const visible = el && readVisibleText(el);
+            if (visible && visible.text.length < 200 && visible.text.length > 2) {
+                title = cleanText(visible.text);
+                hiddenCount += visible.hiddenCount;
                 break;
             }
         } catch (e) { }
@@ -310,8 +436,10 @@ function extractGenericJobData() {
     for (const sel of companySelectors) {
         try {
             const el = document.querySelector(sel);
-            if (el && el.innerText?.length < 100 && el.innerText?.length > 1) {
-                company = cleanText(el.innerText);
+            const visible = el && readVisibleText(el);
+            if (visible && visible.text.length < 100 && visible.text.length > 1) {
+                company = cleanText(visible.text);
+                hiddenCount += visible.hiddenCount;
                 break;
             }
         } catch (e) { }
@@ -321,7 +449,9 @@ function extractGenericJobData() {
         try {
             const el = document.querySelector(sel);
             if (el && el.innerText?.length > 100) {
-                description = el.innerText.trim();
+                const visible = readVisibleText(el);
+                description = visible.text;
+                hiddenCount += visible.hiddenCount;
                 break;
             }
         } catch (e) { }
@@ -330,15 +460,19 @@ function extractGenericJobData() {
     // Fallback: get the largest text block on the page
     if (!description) {
         const allParagraphs = document.querySelectorAll('p, div');
-        let longestText = '';
+        let longestElement = null;
+        let longestLength = 0;
         allParagraphs.forEach(el => {
-            const text = el.innerText || '';
-            if (text.length > longestText.length && text.length < 10000) {
-                longestText = text;
+            const length = (el.innerText || '').length;
+            if (length > longestLength && length < 10000) {
+                longestElement = el;
+                longestLength = length;
             }
         });
-        if (longestText.length > 200) {
-            description = longestText;
+        if (longestLength > 200) {
+            const visible = readVisibleText(longestElement);
+            description = visible.text;
+            hiddenCount += visible.hiddenCount;
         }
     }
 
@@ -348,7 +482,8 @@ function extractGenericJobData() {
         description,
         location: '',
         url: window.location.href,
-        source: 'auto-generic'
+        source: 'auto-generic',
+        hiddenTextRemoved: hiddenCount
     };
 }
 
@@ -361,6 +496,82 @@ function isValidJobData(data) {
     return data.description && data.description.length > 50;
 }
 
+/**
+ * Read an application question from the page: the selected text, or else the label of
+ * the focused text box. The box's maxlength, if any, is the answer's character limit.
+ * @returns {Object} { question, charLimit }
+ */
+function getApplicationQuestion() {
+    const field = document.activeElement;
+    const isTextField = field && (field.tagName === 'TEXTAREA' || (field.tagName === 'INPUT' && field.type === 'text'));
+
+    let question = window.getSelection().toString().trim();
+    if (!question && isTextField) {
+        const labelledBy = field.getAttribute('aria-labelledby');
+        const label = field.labels?.[0] || (labelledBy && document.getElementById(labelledBy.split(' ')[0]));
+        question = label ? readVisibleText(label).text : (field.getAttribute('aria-label') || field.placeholder || '').trim();
+    }
+
+    return {
+        question: question.substring(0, 1000),
+        charLimit: isTextField && field.maxLength > 0 ? field.maxLength : null
+    };
+}
+
+/**
+ * Check whether an element is a heading, or a block holding nothing but bold text
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isHeadingBlock(element) {
+    if (/^H[1-6]$/.test(element.tagName)) return true;
+    const first = element.firstElementChild;
+    return Boolean(first) && ['STRONG', 'B'].includes(first.tagName) &&
+        element.innerText.trim() === first.innerText.trim();
+}
+
+/**
+ * Read the company's "About" section from the page: the site's company box where it has one,
+ * otherwise the text under an "About us" / "About <company>" / "Who we are" heading
+ * @returns {Object} { about } ('' when the page has none)
+ */
+function getCompanyAbout() {
+    const selectors = getSiteSelectors();
+    if (selectors?.about) {
+        const { text } = extractVisibleText(selectors.about);
+        if (text) {
+            return { about: text.substring(0, MAX_ABOUT_LENGTH) };
+        }
+    }
+
+    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6, strong, b');
+    for (const heading of headings) {
+        const title = heading.innerText?.trim() || '';
+        if (title.length > 60 || !ABOUT_HEADING.test(title) || NOT_ABOUT_HEADING.test(title)) continue;
+
+        // Bold text inside a paragraph stands for the paragraph
+        let block = ['STRONG', 'B'].includes(heading.tagName) ? heading.closest('p, div') || heading : heading;
+        const parts = [];
+        if (block !== heading) {
+            const rest = readVisibleText(block).text.replace(title, '').trim();
+            if (rest) parts.push(rest);
+        }
+
+        // Everything up to the next heading
+        while ((block = block.nextElementSibling) && !isHeadingBlock(block)) {
+            const text = readVisibleText(block).text;
+            if (text) parts.push(text);
+        }
+
+        const about = parts.join('\n').trim();
+        if (about) {
+            return { about: about.substring(0, MAX_ABOUT_LENGTH) };
+        }
+    }
+
+    return { about: '' };
+}
+
 /**
  * Send job data to background script
  * @param {Object} data
@@ -403,6 +614,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'EXTRACT_JOB') {
         const jobData = extractJobData();
         sendResponse(jobData);
+    } else if (message.type === 'GET_QUESTION') {
+        sendResponse(getApplicationQuestion());
+    } else if (message.type === 'GET_COMPANY_ABOUT') {
+        sendResponse(getCompanyAbout());
     }
     return false;
 });
@@ -0,0 +1,135 @@
+/**
+ * Answer Controller
+ * Drafts answers to free-text application questions for the current job and keeps them per job
+ */
+
+import ResumeModel from '../models/ResumeModel.js';
+import JobModel from '../models/JobModel.js';
+import AnswerModel from '../models/AnswerModel.js';
+import { answerQuestion, isConfigured as isAIConfigured } from '../services/AIService.js';
+import { MAX_QUESTION_LENGTH, normalizeCharLimit } from '../services/AnswerService.js';
+
+/**
+ * Load the current job, failing with a message the popup can show
+ * @returns {Promise<Object>} Job data
+ */
+async function requireJob() {
+    const job = await JobModel.getCurrent();
+    if (!job || !job.description) {
+        throw new Error('No job description found. Please capture or enter a job description.');
+    }
+    return job;
+}
+
+/**
+ * Find one saved answer of the current job
+ * @param {Object} job - Current job
+ * @param {string} id - Answer id
+ * @returns {Promise<Object>}
+ */
+async function findAnswer(job, id) {
+    const answer = (await AnswerModel.list(job)).find(entry => entry.id === id);
+    if (!answer) {
+        throw new Error('This answer no longer exists.');
+    }
+    return answer;
+}
+
+/**
+ * Check whether two questions are the same apart from case and spacing
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameQuestion(a, b) {
+    const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    return normalize(a) === normalize(b);
+}
+
+/**
+ * Draft an answer to an application question and save it with the current job
+ * A question already answered for this job with the same limit returns the saved answer
+ * (with reused true) instead of drafting a new one; pass its id to redraft it.
+ * @param {string} question - Question from the application form
+ * @param {Object} options - { charLimit (empty for none), id (redraft this saved answer), fresh, onStatus(message) }
+ * @returns {Promise<Object>} Saved answer { id, question, answer, charLimit, model, trimmed, edited, createdAt, updatedAt },
+ *   plus cached and reused
+ */
+export async function draftAnswer(question, options = {}) {
+    const text = (question || '').trim().substring(0, MAX_QUESTION_LENGTH);
+    if (!text) {
+        throw new Error('Enter the question first.');
+    }
+
+    const resume = await ResumeModel.get();
+    if (!resume) {
+        throw new Error('No resume uploaded. Please upload your resume first.');
+    }
+    const job = await requireJob();
+    if (!(await isAIConfigured())) {
+        throw new Error('API key not configured. Please add your API key in settings.');
+    }
+
+    const charLimit = normalizeCharLimit(options.charLimit);
+    const existing = options.id
+        ? await findAnswer(job, options.id)
+        : (await AnswerModel.list(job)).find(entry => sameQuestion(entry.question, text));
+    if (existing && !options.id && existing.charLimit === charLimit) {
+        return { ...existing, cached: true, reused: true };
+    }
+
+    const result = await answerQuestion(text, resume, job, {
+        charLimit,
+        fresh: options.fresh,
+        onStatus: options.onStatus
+    });
+
+    const saved = await AnswerModel.save(job, {
+        id: existing?.id || `answer_${Date.now()}`,
+        question: text,
+        answer: result.answer,
+        charLimit,
+        model: result.model,
+        trimmed: result.trimmed,
+        edited: false,
+        createdAt: existing?.createdAt || new Date().toISOString()
+    });
+    return { ...saved, cached: result.cached, reused: false };
+}
+
+/**
+ * Get the answers saved for the current job
+ * @returns {Promise<Array>} Newest first; empty without a job
+ */
+export async function listAnswers() {
+    const job = await JobModel.getCurrent();
+    return job ? await AnswerModel.list(job) : [];
+}
+
+/**
+ * Save the user's edits to an answer
+ * @param {string} id - Answer id
+ * @param {string} text - Edited answer
+ * @returns {Promise<Object>} The saved answer
+ */
+export async function updateAnswer(id, text) {
+    const job = await requireJob();
+    const answer = await findAnswer(job, id);
+    return await AnswerModel.save(job, { ...answer, answer: text.trim(), trimmed: false, edited: true });
+}
+
+/**
+ * Delete a saved answer
+ * @param {string} id - Answer id
+ */
+export async function removeAnswer(id) {
+    const job = await requireJob();
+    await AnswerModel.remove(job, id);
+}
+
+export default {
+    draftAnswer,
+    listAnswers,
+    updateAnswer,
+    removeAnswer
+};
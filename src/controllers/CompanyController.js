@@ -0,0 +1,76 @@
+/**
+ * Company Controller
+ * Keeps the user's notes on the current job's company, which every generation for that
+ * company adds to its prompt
+ */
+
+import JobModel from '../models/JobModel.js';
+import CompanyNotesModel from '../models/CompanyNotesModel.js';
+import { normalizeNotes, hasNotes, extractAboutSection } from '../services/CompanyNotesService.js';
+
+/**
+ * Load the current job's company name, failing with a message the popup can show
+ * @returns {Promise<Object>} Job data
+ */
+async function requireCompany() {
+    const job = await JobModel.getCurrent();
+    if (!job || !(job.company || '').trim()) {
+        throw new Error('The current job has no company name. Edit the job to add one.');
+    }
+    return job;
+}
+
+/**
+ * Get the notes on the current job's company
+ * @returns {Promise<Object|null>} { company, notes } with notes null when there are none; null without a company
+ */
+export async function getCompanyNotes() {
+    const job = await JobModel.getCurrent();
+    if (!job || !(job.company || '').trim()) {
+        return null;
+    }
+
+    const notes = await CompanyNotesModel.get(job.company);
+    return { company: job.company, notes: notes ? normalizeNotes(notes) : null };
+}
+
+/**
+ * Save the notes on the current job's company; empty notes delete them
+ * @param {Object} fields - { mission, products, news, whyCare, about }
+ * @returns {Promise<Object|null>} The saved notes, or null when they were empty
+ */
+export async function saveCompanyNotes(fields) {
+    const job = await requireCompany();
+    const notes = normalizeNotes(fields);
+
+    if (!hasNotes(notes)) {
+        await CompanyNotesModel.remove(job.company);
+        return null;
+    }
+    return normalizeNotes(await CompanyNotesModel.save(job.company, notes));
+}
+
+/**
+ * Delete the notes on the current job's company
+ */
+export async function clearCompanyNotes() {
+    const job = await requireCompany();
+    await CompanyNotesModel.remove(job.company);
+}
+
+/**
+ * Find the company's "About" section in the stored posting text, for pages where the
+ * content script finds none
+ * @returns {Promise<string>} The section, or ''
+ */
+export async function findAboutInPosting() {
+    const job = await JobModel.getCurrent();
+    return job ? extractAboutSection(job.description) : '';
+}
+
+export default {
+    getCompanyNotes,
+    saveCompanyNotes,
+    clearCompanyNotes,
+    findAboutInPosting
+};
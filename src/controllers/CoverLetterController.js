@@ -6,15 +6,23 @@
 import ResumeModel from '../models/ResumeModel.js';
 import JobModel from '../models/JobModel.js';
 import SettingsModel from '../models/SettingsModel.js';
-import { generateCoverLetter } from '../services/AIService.js';
-import { generateCoverLetterDOCX, downloadDOCX } from '../services/DOCXGeneratorService.js';
+import TemplateModel from '../models/TemplateModel.js';
+import { generateCoverLetter, generateCoverLetterVariants, refineCoverLetter, isConfigured as isAIConfigured } from '../services/AIService.js';
+import { generateCoverLetterDOCX, downloadDOCX, fitLayout, estimatePages } from '../services/DOCXGeneratorService.js';
+import { buildCoverLetterPrompt } from '../services/PromptTemplateService.js';
+import { normalizeLetter, splitParagraphs, resolveLength, checkLength, letterBody } from '../services/LetterStructureService.js';
+import { checkClaims } from '../services/GroundingService.js';
+import { buildGenerationContext, formatContextReport } from '../services/ContextBuilderService.js';
+import { getLanguage, resolveOutputLanguage, detectJobLanguage } from '../services/LanguageService.js';
+import { generateOfflineLetter } from '../services/OfflineGeneratorService.js';
+import { analyzeMatch } from '../services/MatchAnalysisService.js';
 
 /**
- * Generate cover letter from current resume and job
- * @param {Object} options - Generation options
- * @returns {Promise<Object>} Generated cover letter data
+ * Load the resume and job to generate from, checking everything generation needs
+ * @param {boolean} requireAI - Also require a configured AI provider (false for offline drafts)
+ * @returns {Promise<Object>} { resume, job }
  */
-export async function generate(options = {}) {
+async function loadGenerationInputs(requireAI = true) {
     // Get resume
     const resume = await ResumeModel.get();
     if (!resume) {
@@ -27,17 +35,135 @@ export async function generate(options = {}) {
         throw new Error('No job description found. Please capture or enter a job description.');
     }
 
-    // Check API key
-    const hasKey = await SettingsModel.hasApiKey();
+    // Check AI provider (API key, unless the provider is keyless)
+    const hasKey = !requireAI || await isAIConfigured();
     if (!hasKey) {
-        throw new Error('Gemini API key not configured. Please add your API key in settings.');
+        throw new Error('API key not configured. Please add your API key in settings.');
     }
 
+    return { resume, job };
+}
+
+/**
+ * Generate cover letter from current resume and job
+ * @param {Object} options - Generation options (see AIService.generateCoverLetter)
+ * @returns {Promise<Object>} Generated cover letter data; text is the body and letter the full structure
+ *   (see LetterStructureService); stopped is true if options.signal aborted it, truncated is true if
+ *   the letter still hit the length limit after auto-continuing, cached is true if it came from the
+ *   local cache (pass options.fresh to always call the AI)
+ */
+export async function generate(options = {}) {
+    const { resume, job } = await loadGenerationInputs();
+
     // Generate cover letter text
-    const coverLetterText = await generateCoverLetter(resume, job, options);
+    const generation = await generateCoverLetter(resume, job, options);
+
+    return {
+        text: generation.text,
+        letter: generation.letter,
+        model: generation.model,
+        truncated: generation.truncated,
+        language: generation.language,
+        cached: generation.cached,
+        stopped: options.signal?.aborted || false,
+        resume: {
+            name: resume.name,
+            email: resume.email,
+            phone: resume.phone
+        },
+        job: {
+            title: job.title,
+            company: job.company
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Write a draft from the current resume and job without calling the AI
+ * Works offline and without an API key; see OfflineGeneratorService.
+ * @param {Object} options - { tone } tone id (default: the tone setting)
+ * @returns {Promise<Object>} Same shape as generate(), with model "offline" and offline true
+ */
+export async function generateOffline(options = {}) {
+    const { resume, job } = await loadGenerationInputs(false);
+
+    const settings = await SettingsModel.get();
+    const tone = await TemplateModel.getTone(options.tone || settings.coverLetterTone);
+    const draft = generateOfflineLetter(resume, job, { tone, length: resolveLength(settings) });
+
+    return {
+        text: letterBody(draft.letter),
+        letter: draft.letter,
+        model: 'offline',
+        truncated: false,
+        language: draft.language,
+        cached: false,
+        offline: true,
+        stopped: false,
+        resume: {
+            name: resume.name,
+            email: resume.email,
+            phone: resume.phone
+        },
+        job: {
+            title: job.title,
+            company: job.company
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Generate several alternative cover letters to compare
+ * @param {Object} options - Generation options plus count (see AIService.generateCoverLetterVariants)
+ * @returns {Promise<Object>} Like generate(), but with variants [{ text, letter, model, truncated, temperature, error }] instead of text
+ */
+export async function generateVariants(options = {}) {
+    const { resume, job } = await loadGenerationInputs();
+
+    const variants = await generateCoverLetterVariants(resume, job, options);
 
     return {
-        text: coverLetterText,
+        variants,
+        stopped: options.signal?.aborted || false,
+        resume: {
+            name: resume.name,
+            email: resume.email,
+            phone: resume.phone
+        },
+        job: {
+            title: job.title,
+            company: job.company
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Revise a letter with an instruction, producing a new revision
+ * @param {Object} letter - Current letter structure, including edits
+ * @param {string} instruction - What to change, e.g. "shorten to 250 words"
+ * @param {Object} options - Generation options (see AIService.refineCoverLetter)
+ * @returns {Promise<Object>} Same shape as generate()
+ */
+export async function refine(letter, instruction, options = {}) {
+    if (!instruction || !instruction.trim()) {
+        throw new Error('Describe the change you want first.');
+    }
+
+    const { resume, job } = await loadGenerationInputs();
+
+    const revision = await refineCoverLetter(normalizeLetter(letter), instruction.trim(), resume, job, options);
+
+    return {
+        text: revision.text,
+        letter: revision.letter,
+        model: revision.model,
+        truncated: revision.truncated,
+        language: revision.language,
+        cached: revision.cached,
+        stopped: options.signal?.aborted || false,
         resume: {
             name: resume.name,
             email: resume.email,
@@ -70,14 +196,19 @@ export async function generateAndDownload(options = {}) {
     const filename = `Cover_Letter_${sanitizedCompany}.docx`;
 
     // Generate DOCX
-    const blob = await generateCoverLetterDOCX({
+    const docxOptions = {
         applicantName: settings.fullName || result.resume.name,
         applicantEmail: result.resume.email,
         applicantPhone: result.resume.phone,
         companyName: result.job.company,
         jobTitle: result.job.title,
-        coverLetterBody: result.text,
-        includeDate: settings.includeDate
+        ...result.letter,
+        includeDate: settings.includeDate,
+        locale: getLanguage(result.language).locale
+    };
+    const blob = await generateCoverLetterDOCX({
+        ...docxOptions,
+        layout: settings.fitOnePage ? fitLayout(docxOptions).layout : undefined
     });
 
     // Download
@@ -99,20 +230,94 @@ export async function preview(options = {}) {
     return await generate(options);
 }
 
+/**
+ * Render the prompt that would be sent, without calling the AI
+ * Works before a resume or job is captured, leaving those placeholders with their defaults.
+ * @param {Object} options - { tone, templateId, templateBody } (templateBody previews unsaved edits)
+ * @returns {Promise<string>} Rendered prompt
+ */
+export async function previewPrompt(options = {}) {
+    const resume = await ResumeModel.get();
+    const job = await JobModel.getCurrent();
+
+    return await buildCoverLetterPrompt(resume || {}, job || {}, options);
+}
+
+/**
+ * Describe which resume and job content the next prompt would include
+ * @returns {Promise<string|null>} Report text, or null without a resume and a job
+ */
+export async function previewContext() {
+    const resume = await ResumeModel.get();
+    const job = await JobModel.getCurrent();
+    if (!resume || !job) {
+        return null;
+    }
+
+    return formatContextReport(buildGenerationContext(resume, job));
+}
+
+/**
+ * Describe the languages involved for the current job
+ * @returns {Promise<Object|null>} { posting, letter } language names, or null without a job
+ */
+export async function describeLanguages() {
+    const job = await JobModel.getCurrent();
+    if (!job) {
+        return null;
+    }
+
+    const settings = await SettingsModel.get();
+    return {
+        posting: getLanguage(detectJobLanguage(job)).name,
+        letter: resolveOutputLanguage(settings, job).name
+    };
+}
+
+/**
+ * Compare the stored resume with the current job, before generating
+ * @returns {Promise<Object|null>} See MatchAnalysisService.analyzeMatch, or null without a resume and a job
+ */
+export async function getMatch() {
+    const resume = await ResumeModel.get();
+    const job = await JobModel.getCurrent();
+    if (!resume || !job || !job.description) {
+        return null;
+    }
+
+    return analyzeMatch(resume, job);
+}
+
+/**
+ * Check a letter's claims against the stored resume
+ * @param {string} text - Letter text (body or postscript)
+ * @returns {Promise<Object>} See GroundingService.checkClaims; no sentences if there is no resume
+ */
+export async function checkGrounding(text) {
+    const resume = await ResumeModel.get();
+    if (!resume) {
+        return { sentences: [], unsupportedCount: 0 };
+    }
+
+    const job = await JobModel.getCurrent();
+    return checkClaims(text, resume, job || {});
+}
+
 /**
  * Check if ready to generate
- * @returns {Promise<Object>} Readiness status
+ * @returns {Promise<Object>} Readiness status; canDraftOffline is true when only the AI is missing
  */
 export async function checkReadiness() {
     const hasResume = await ResumeModel.exists();
     const hasJob = await JobModel.hasCurrent();
-    const hasApiKey = await SettingsModel.hasApiKey();
+    const hasApiKey = await isAIConfigured();
 
     return {
         ready: hasResume && hasJob && hasApiKey,
         hasResume,
         hasJob,
         hasApiKey,
+        canDraftOffline: hasResume && hasJob,
         missing: [
             !hasResume && 'Resume',
             !hasJob && 'Job Description',
@@ -122,15 +327,68 @@ export async function checkReadiness() {
 }
 
 /**
- * Generate and download with custom/edited text
- * @param {string} editedText - The edited cover letter text to download
- * @returns {Promise<Object>}
+ * Gather the DOCX options for an edited letter
+ * @param {string} editedText - Edited cover letter body
+ * @param {Object} letter - Edited salutation, recipient, closing and postscript
+ * @param {string} languageCode - Language the letter is in (default: the output language setting)
+ * @returns {Promise<Object>} { docxOptions, settings, job }
  */
-export async function generateAndDownloadWithText(editedText) {
+async function buildEditedDocxOptions(editedText, letter, languageCode) {
     // Get resume and job for metadata
     const resume = await ResumeModel.get();
     const job = await JobModel.getCurrent();
     const settings = await SettingsModel.get();
+    const language = languageCode ? getLanguage(languageCode) : resolveOutputLanguage(settings, job || {});
+
+    const docxOptions = {
+        applicantName: settings.fullName || resume?.name || '',
+        applicantEmail: resume?.email || '',
+        applicantPhone: resume?.phone || '',
+        companyName: job?.company || '',
+        jobTitle: job?.title || '',
+        ...normalizeLetter({ ...letter, paragraphs: splitParagraphs(editedText) }, language),
+        includeDate: settings.includeDate,
+        locale: language.locale
+    };
+
+    return { docxOptions, settings, job };
+}
+
+/**
+ * Check an edited letter against the target length and the one-page limit
+ * @param {string} editedText - Edited cover letter body
+ * @param {Object} letter - Edited salutation, recipient, closing and postscript
+ * @param {string} languageCode - Language the letter is in (default: the output language setting)
+ * @returns {Promise<Object>} { words, status: "short" | "ok" | "long", target: { words, min, max },
+ *   pages (estimate with the layout the download will use), fits, tightened, fitOnePage }
+ */
+export async function checkLetterLength(editedText, letter = {}, languageCode) {
+    const { docxOptions, settings } = await buildEditedDocxOptions(editedText, letter, languageCode);
+    const target = resolveLength(settings);
+    const fit = settings.fitOnePage
+        ? fitLayout(docxOptions)
+        : { pages: estimatePages(docxOptions), layout: null };
+
+    return {
+        ...checkLength(docxOptions, target),
+        target,
+        pages: fit.pages,
+        fits: fit.pages <= 1,
+        tightened: Boolean(fit.layout && fit.layout.name !== 'standard'),
+        fitOnePage: settings.fitOnePage
+    };
+}
+
+/**
+ * Generate and download with custom/edited text
+ * When fitOnePage is on, spacing and margins are tightened as far as needed to stay on one page.
+ * @param {string} editedText - The edited cover letter body to download
+ * @param {Object} letter - Edited salutation, recipient, closing and postscript (see LetterStructureService)
+ * @param {string} languageCode - Language the letter is in, for the date format (default: the output language setting)
+ * @returns {Promise<Object>}
+ */
+export async function generateAndDownloadWithText(editedText, letter = {}, languageCode) {
+    const { docxOptions, settings, job } = await buildEditedDocxOptions(editedText, letter, languageCode);
 
     // Create filename
     const sanitizedCompany = (job?.company || 'Company')
@@ -140,13 +398,8 @@ export async function generateAndDownloadWithText(editedText) {
 
     // Generate DOCX with edited text
     const blob = await generateCoverLetterDOCX({
-        applicantName: settings.fullName || resume?.name || '',
-        applicantEmail: resume?.email || '',
-        applicantPhone: resume?.phone || '',
-        companyName: job?.company || '',
-        jobTitle: job?.title || '',
-        coverLetterBody: editedText,
-        includeDate: settings.includeDate
+        ...docxOptions,
+        layout: settings.fitOnePage ? fitLayout(docxOptions).layout : undefined
     });
 
     // Download
@@ -157,8 +410,17 @@ export async function generateAndDownloadWithText(editedText) {
 
 export default {
     generate,
+    generateOffline,
+    generateVariants,
+    refine,
     generateAndDownload,
     generateAndDownloadWithText,
+    checkLetterLength,
     preview,
+    previewPrompt,
+    previewContext,
+    describeLanguages,
+    getMatch,
+    checkGrounding,
     checkReadiness
 };
@@ -0,0 +1,108 @@
+/**
+ * Interview Controller
+ * Builds the interview prep pack for the current job from the stored resume, keeps it
+ * per job and exports it as DOCX
+ */
+
+import ResumeModel from '../models/ResumeModel.js';
+import JobModel from '../models/JobModel.js';
+import SettingsModel from '../models/SettingsModel.js';
+import InterviewPrepModel from '../models/InterviewPrepModel.js';
+import { generateInterviewPrep, isConfigured as isAIConfigured } from '../services/AIService.js';
+import { generateInterviewPrepDOCX, downloadDOCX } from '../services/DOCXGeneratorService.js';
+import { analyzeMatch } from '../services/MatchAnalysisService.js';
+import { findWeakSpots } from '../services/InterviewPrepService.js';
+
+/**
+ * Load the current job, failing with a message the popup can show
+ * @returns {Promise<Object>} Job data
+ */
+async function requireJob() {
+    const job = await JobModel.getCurrent();
+    if (!job || !job.description) {
+        throw new Error('No job description found. Please capture or enter a job description.');
+    }
+    return job;
+}
+
+/**
+ * Build the prep pack for the current job and save it, replacing the job's earlier pack
+ * @param {Object} options - { fresh, onStatus(message) }
+ * @returns {Promise<Object>} Prep pack (see InterviewPrepService.normalizePrepPack), plus model,
+ *   language, cached and job: { title, company }
+ */
+export async function generatePrepPack(options = {}) {
+    const resume = await ResumeModel.get();
+    if (!resume) {
+        throw new Error('No resume uploaded. Please upload your resume first.');
+    }
+    const job = await requireJob();
+    if (!(await isAIConfigured())) {
+        throw new Error('API key not configured. Please add your API key in settings.');
+    }
+
+    // The requirements the resume doesn't clearly cover become the pack's weak spots
+    const weakSpots = findWeakSpots(analyzeMatch(resume, job));
+
+    const result = await generateInterviewPrep(resume, job, {
+        weakSpots,
+        fresh: options.fresh,
+        onStatus: options.onStatus
+    });
+
+    const { cached, ...pack } = result;
+    await InterviewPrepModel.save(job, pack);
+
+    return {
+        ...pack,
+        cached,
+        job: {
+            title: job.title,
+            company: job.company
+        }
+    };
+}
+
+/**
+ * Get the prep pack saved for the current job
+ * @returns {Promise<Object|null>} Prep pack, or null without a job or a pack
+ */
+export async function getPrepPack() {
+    const job = await JobModel.getCurrent();
+    return job ? await InterviewPrepModel.get(job) : null;
+}
+
+/**
+ * Download the current job's prep pack as DOCX
+ * @returns {Promise<Object>} { filename, blob }
+ */
+export async function downloadPrepPack() {
+    const job = await requireJob();
+    const pack = await InterviewPrepModel.get(job);
+    if (!pack) {
+        throw new Error('No interview prep for this job yet. Build it first.');
+    }
+
+    const settings = await SettingsModel.get();
+    const resume = await ResumeModel.get();
+
+    const sanitizedCompany = (job.company || 'Company')
+        .replace(/[^a-zA-Z0-9]/g, '_')
+        .slice(0, 30);
+    const filename = `Interview_Prep_${sanitizedCompany}.docx`;
+
+    const blob = await generateInterviewPrepDOCX(pack, {
+        applicantName: settings.fullName || resume?.name || '',
+        jobTitle: job.title || '',
+        companyName: job.company || ''
+    });
+    downloadDOCX(blob, filename);
+
+    return { filename, blob };
+}
+
+export default {
+    generatePrepPack,
+    getPrepPack,
+    downloadPrepPack
+};
@@ -4,6 +4,10 @@
  */
 
 import JobModel from '../models/JobModel.js';
+import SettingsModel from '../models/SettingsModel.js';
+import { describeJobSafety } from '../services/PromptSafetyService.js';
+import { parseJobDetails, formatRequirements, formatSalary } from '../services/JobParserService.js';
+import { parseJobWithAI, isConfigured as isAIConfigured } from '../services/AIService.js';
 
 /**
  * Save job description from content script
@@ -63,6 +67,75 @@ export async function saveManualJob(title, company, description) {
     });
 }
 
+/**
+ * Describe what is kept out of prompts for a job: visually hidden page text dropped while
+ * scraping, and instruction-like sentences dropped before generation
+ * @param {Object} job - Job data
+ * @returns {Object} { hiddenRemoved, suspicious: [{ field, text, reason }] }
+ */
+export function describeSafety(job) {
+    return describeJobSafety(job);
+}
+
+/**
+ * Break the current job into structured details and store them on the job
+ * AI mode falls back to local parsing when no provider is configured or the call fails.
+ * An empty requirements field is filled in from the must-have and nice-to-have items.
+ * @param {Object} options - { mode: "ai" | "local" } (default: the jobParsing setting)
+ * @returns {Promise<Object|null>} The updated job (details.method says which parser ran), or null if
+ *   another job was captured while this one was being analyzed
+ */
+export async function analyzeJob(options = {}) {
+    const job = await JobModel.getCurrent();
+    if (!job || !job.description) {
+        throw new Error('No job description found. Please capture or enter a job description.');
+    }
+
+    // Requirements written from an earlier parse aren't part of the posting
+    const posting = job.requirementsSource === 'parsed' ? { ...job, requirements: '' } : job;
+    const settings = await SettingsModel.get();
+
+    let details = null;
+    if ((options.mode || settings.jobParsing) === 'ai' && await isAIConfigured()) {
+        try {
+            details = await parseJobWithAI(posting);
+        } catch (error) {
+            console.warn('[CoverAI] AI job parsing failed, falling back to local parsing:', error);
+        }
+    }
+    details = details || parseJobDetails(posting);
+
+    const fillRequirements = !posting.requirements;
+    return await JobModel.updateCurrent({
+        details,
+        ...(fillRequirements && {
+            requirements: formatRequirements(details),
+            requirementsSource: 'parsed'
+        })
+    }, job.extractedAt);
+}
+
+/**
+ * Describe a job's structured details for the job card
+ * @param {Object} job - Job data
+ * @returns {Object|null} { tags: [labels], lists: [{ label, items }], skills, method }, or null before parsing
+ */
+export function describeDetails(job) {
+    const details = job?.details;
+    if (!details) return null;
+
+    return {
+        tags: [details.seniority, details.employmentType, details.remote, formatSalary(details.salary)].filter(Boolean),
+        lists: [
+            { label: 'Responsibilities', items: details.responsibilities },
+            { label: 'Must have', items: details.mustHave },
+            { label: 'Nice to have', items: details.niceToHave }
+        ].filter(list => list.items.length > 0),
+        skills: details.skills,
+        method: details.method
+    };
+}
+
 /**
  * Parse and clean job description text
  * @param {string} rawText - Raw job description
@@ -111,5 +184,8 @@ export default {
     clearCurrentJob,
     getJobHistory,
     saveManualJob,
+    describeSafety,
+    analyzeJob,
+    describeDetails,
     parseJobDescription
 };
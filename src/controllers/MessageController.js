@@ -0,0 +1,105 @@
+/**
+ * Message Controller
+ * Writes the short messages around an application (LinkedIn notes, recruiter emails,
+ * referral requests, thank-you emails) from the current resume and job, and exports them
+ */
+
+import ResumeModel from '../models/ResumeModel.js';
+import JobModel from '../models/JobModel.js';
+import { generateMessage as generateMessageWithAI, isConfigured as isAIConfigured } from '../services/AIService.js';
+import { downloadDOCX } from '../services/DOCXGeneratorService.js';
+import { COVER_LETTER_TYPE, getDocumentType, findMissingDetails } from '../services/DocumentTypeService.js';
+
+/**
+ * Write a message of the given type for the current job
+ * @param {string} typeId - Message type id (see DocumentTypeService.DOCUMENT_TYPES)
+ * @param {Object} options - { recipient, notes, fresh, onStatus(message) }
+ * @returns {Promise<Object>} { type, subject, body, trimmed, model, language, cached, job: { title, company }, generatedAt }
+ */
+export async function generateMessage(typeId, options = {}) {
+    const type = getDocumentType(typeId);
+    if (type.id === COVER_LETTER_TYPE) {
+        throw new Error('Cover letters are generated with CoverLetterController.generate.');
+    }
+
+    const missingDetails = findMissingDetails(type, options);
+    if (missingDetails) {
+        throw new Error(missingDetails);
+    }
+
+    const resume = await ResumeModel.get();
+    if (!resume) {
+        throw new Error('No resume uploaded. Please upload your resume first.');
+    }
+
+    const job = await JobModel.getCurrent();
+    if (!job || !job.description) {
+        throw new Error('No job description found. Please capture or enter a job description.');
+    }
+
+    if (!(await isAIConfigured())) {
+        throw new Error('API key not configured. Please add your API key in settings.');
+    }
+
+    const message = await generateMessageWithAI(type, resume, job, {
+        recipient: options.recipient,
+        notes: options.notes,
+        fresh: options.fresh,
+        onStatus: options.onStatus
+    });
+
+    return {
+        type: type.id,
+        ...message,
+        job: {
+            title: job.title,
+            company: job.company
+        },
+        generatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Check an edited message against its type's limit
+ * @param {string} typeId - Message type id
+ * @param {string} body - Message body as edited
+ * @returns {Object} { count, unit: "characters" | "words", max, over }
+ */
+export function checkMessageLength(typeId, body = '') {
+    const type = getDocumentType(typeId);
+    if (type.maxChars) {
+        return { count: body.length, unit: 'characters', max: type.maxChars, over: body.length > type.maxChars };
+    }
+
+    const words = body.split(/\s+/).filter(Boolean).length;
+    const max = type.words?.max || 0;
+    return { count: words, unit: 'words', max, over: Boolean(max) && words > max };
+}
+
+/**
+ * Download a message as a text file, with the subject line on top for emails
+ * @param {string} typeId - Message type id
+ * @param {Object} message - { subject, body } as edited
+ * @param {string} company - Company the message is for, used in the file name
+ * @returns {Object} { filename }
+ */
+export function downloadMessage(typeId, { subject = '', body = '' }, company = '') {
+    const type = getDocumentType(typeId);
+    const text = subject ? `Subject: ${subject}\n\n${body}\n` : `${body}\n`;
+
+    const sanitizedCompany = (company || 'Company')
+        .replace(/[^a-zA-Z0-9]/g, '_')
+        .slice(0, 30);
+    const filename = `${type.fileName}_${sanitizedCompany}.txt`;
+
+    // downloadDOCX saves any blob under the given name
+    downloadDOCX(new Blob([text], { type: 'text/plain;charset=utf-8' }), filename);
+
+    return { filename };
+}
+
+export default {
+    generateMessage,
+    checkMessageLength,
+    downloadMessage
+};
@@ -6,8 +6,7 @@
 import ResumeModel from '../models/ResumeModel.js';
 import { processPDFResume } from '../services/PDFParserService.js';
 import { processDOCXResume } from '../services/DOCXParserService.js';
-import { parseResumeWithAI } from '../services/AIService.js';
-import SettingsModel from '../models/SettingsModel.js';
+import { parseResumeWithAI, isConfigured as isAIConfigured } from '../services/AIService.js';
 
 /**
  * Handle resume file upload
@@ -54,10 +53,9 @@ export async function uploadResume(file) {
         console.warn('Resume text truncated to 50,000 characters');
     }
 
-    // Try AI Parsing if API key is available
+    // Try AI Parsing if a provider is configured
     try {
-        const apiKey = await SettingsModel.getApiKey();
-        if (apiKey) {
+        if (await isAIConfigured()) {
             console.log('Attempting AI resume parsing...');
             const aiData = await parseResumeWithAI(resumeData.rawText);
 
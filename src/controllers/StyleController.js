@@ -0,0 +1,124 @@
+/**
+ * Style Controller
+ * Handles uploading the user's own cover letters and keeping their style profile up to date
+ */
+
+import StyleProfileModel, { MAX_STYLE_SAMPLES } from '../models/StyleProfileModel.js';
+import { extractTextFromPDF } from '../services/PDFParserService.js';
+import { extractTextFromDOCX } from '../services/DOCXParserService.js';
+import { buildStyleProfile, extractLetterParts, summarizeStyle } from '../services/StyleProfileService.js';
+
+// Same limits as resume uploads
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_TEXT_LENGTH = 20000;
+
+/**
+ * Extract the text of one uploaded letter
+ * @param {File} file - PDF or DOCX
+ * @returns {Promise<string>}
+ */
+async function extractLetterText(file) {
+    if (file.size > MAX_FILE_SIZE) {
+        throw new Error(`${file.name} exceeds the 10MB limit`);
+    }
+
+    const fileName = file.name.toLowerCase();
+    let text;
+    if (fileName.endsWith('.pdf')) {
+        text = await extractTextFromPDF(file);
+    } else if (fileName.endsWith('.docx')) {
+        text = await extractTextFromDOCX(file);
+    } else {
+        throw new Error(`${file.name} is not a PDF or DOCX file`);
+    }
+
+    // Security: Truncate extremely large text to prevent DoS
+    return text.substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Add cover letters the user wrote and rebuild the style profile
+ * Files without a recognizable letter body are skipped and reported.
+ * @param {FileList|File[]} files - PDF or DOCX letters
+ * @returns {Promise<Object>} { added, skipped: [{ fileName, reason }], ...getStyle() }
+ */
+export async function addSamples(files) {
+    const { samples } = await StyleProfileModel.get();
+    const added = [];
+    const skipped = [];
+
+    for (const file of files) {
+        if (samples.length + added.length >= MAX_STYLE_SAMPLES) {
+            skipped.push({ fileName: file.name, reason: `Only ${MAX_STYLE_SAMPLES} letters are kept` });
+            continue;
+        }
+
+        try {
+            const text = await extractLetterText(file);
+            if ([...samples, ...added].some(sample => sample.text === text)) {
+                throw new Error('This letter was already added');
+            }
+
+            const { paragraphs } = extractLetterParts(text);
+            const words = paragraphs.join(' ').split(/\s+/).filter(Boolean).length;
+            if (words < 50) {
+                throw new Error('Could not find a letter body of at least 50 words');
+            }
+
+            added.push({
+                id: `sample_${Date.now()}_${added.length}`,
+                fileName: file.name,
+                text,
+                words,
+                addedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.warn('[CoverAI] Skipped style sample:', file.name, error);
+            skipped.push({ fileName: file.name, reason: error.message });
+        }
+    }
+
+    if (added.length > 0) {
+        const updated = [...samples, ...added];
+        await StyleProfileModel.save(updated, buildStyleProfile(updated));
+    }
+
+    return { added: added.length, skipped, ...(await getStyle()) };
+}
+
+/**
+ * Remove one uploaded letter and rebuild the profile from the rest
+ * @param {string} id - Sample id
+ * @returns {Promise<Object>} See getStyle
+ */
+export async function removeSample(id) {
+    const { samples } = await StyleProfileModel.get();
+    const remaining = samples.filter(sample => sample.id !== id);
+
+    if (remaining.length === 0) {
+        await StyleProfileModel.clear();
+    } else {
+        await StyleProfileModel.save(remaining, buildStyleProfile(remaining));
+    }
+    return await getStyle();
+}
+
+/**
+ * Get the uploaded letters and profile for display
+ * @returns {Promise<Object>} { samples: [{ id, fileName, words }], profile, summary }
+ */
+export async function getStyle() {
+    const { samples, profile } = await StyleProfileModel.get();
+
+    return {
+        samples: samples.map(({ id, fileName, words }) => ({ id, fileName, words })),
+        profile,
+        summary: summarizeStyle(profile)
+    };
+}
+
+export default {
+    addSamples,
+    removeSample,
+    getStyle
+};
@@ -0,0 +1,126 @@
+/**
+ * Tailor Controller
+ * Suggests resume changes for the current job, records which ones the user accepts
+ * and exports the tailored resume as DOCX
+ */
+
+import ResumeModel from '../models/ResumeModel.js';
+import JobModel from '../models/JobModel.js';
+import SettingsModel from '../models/SettingsModel.js';
+import TailoredResumeModel from '../models/TailoredResumeModel.js';
+import { tailorResume, isConfigured as isAIConfigured } from '../services/AIService.js';
+import { generateResumeDOCX, downloadDOCX } from '../services/DOCXGeneratorService.js';
+import { SKILLS_SUGGESTION_ID, buildResumeEntries, applyTailoring } from '../services/ResumeTailorService.js';
+
+/**
+ * Load the resume and current job, failing with a message the popup can show
+ * @returns {Promise<Object>} { resume, job }
+ */
+async function requireInputs() {
+    const resume = await ResumeModel.get();
+    if (!resume) {
+        throw new Error('No resume uploaded. Please upload your resume first.');
+    }
+    const job = await JobModel.getCurrent();
+    if (!job || !job.description) {
+        throw new Error('No job description found. Please capture or enter a job description.');
+    }
+    return { resume, job };
+}
+
+/**
+ * Ask for suggestions for the current job, replacing the job's earlier ones and their decisions
+ * @param {Object} options - { fresh, onStatus(message) }
+ * @returns {Promise<Object>} Suggestions (see ResumeTailorService.normalizeTailoring) plus model and cached
+ */
+export async function suggestChanges(options = {}) {
+    const { resume, job } = await requireInputs();
+
+    const hasBullets = buildResumeEntries(resume).some(entry => entry.bullets.length > 0);
+    if (!hasBullets && !(resume.skills || []).length) {
+        throw new Error('Your resume has no experience entries or skills to tailor. Upload it again with an AI provider set up so it can be split into entries.');
+    }
+    if (!(await isAIConfigured())) {
+        throw new Error('API key not configured. Please add your API key in settings.');
+    }
+
+    const { cached, ...tailoring } = await tailorResume(resume, job, {
+        fresh: options.fresh,
+        onStatus: options.onStatus
+    });
+    await TailoredResumeModel.save(job, resume, tailoring);
+
+    return { ...tailoring, cached };
+}
+
+/**
+ * Get the suggestions saved for the current job and resume
+ * @returns {Promise<Object|null>} Suggestions with their decisions, or null
+ */
+export async function getSuggestions() {
+    const resume = await ResumeModel.get();
+    const job = await JobModel.getCurrent();
+    if (!resume || !job) {
+        return null;
+    }
+    return await TailoredResumeModel.get(job, resume);
+}
+
+/**
+ * Accept or reject one suggestion
+ * @param {string} id - Bullet id, or SKILLS_SUGGESTION_ID for the skills order
+ * @param {boolean|null} accepted - true to accept, false to reject, null to undecide
+ * @returns {Promise<Object>} The saved suggestions
+ */
+export async function decideSuggestion(id, accepted) {
+    const { resume, job } = await requireInputs();
+    const tailoring = await TailoredResumeModel.get(job, resume);
+    if (!tailoring) {
+        throw new Error('These suggestions no longer exist. Ask for new ones.');
+    }
+
+    if (id === SKILLS_SUGGESTION_ID && tailoring.skills) {
+        tailoring.skills.accepted = accepted;
+    } else {
+        const bullet = tailoring.bullets.find(entry => entry.id === id);
+        if (!bullet) {
+            throw new Error('This suggestion no longer exists.');
+        }
+        bullet.accepted = accepted;
+    }
+
+    return await TailoredResumeModel.save(job, resume, tailoring);
+}
+
+/**
+ * Download the resume with the accepted suggestions as DOCX
+ * Suggestions not accepted leave the resume as it was.
+ * @returns {Promise<Object>} { filename, blob }
+ */
+export async function downloadTailoredResume() {
+    const { resume, job } = await requireInputs();
+    const tailoring = await TailoredResumeModel.get(job, resume);
+    const settings = await SettingsModel.get();
+
+    const tailored = applyTailoring(resume, tailoring || {});
+
+    const sanitizedCompany = (job.company || 'Company')
+        .replace(/[^a-zA-Z0-9]/g, '_')
+        .slice(0, 30);
+    const filename = `Resume_${sanitizedCompany}.docx`;
+
+    const blob = await generateResumeDOCX({
+        ...tailored,
+        name: settings.fullName || tailored.name || ''
+    });
+    downloadDOCX(blob, filename);
+
+    return { filename, blob };
+}
+
+export default {
+    suggestChanges,
+    getSuggestions,
+    decideSuggestion,
+    downloadTailoredResume
+};
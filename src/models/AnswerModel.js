@@ -0,0 +1,76 @@
+/**
+ * AnswerModel - Stores drafted answers to application questions, per job
+ * Answers are grouped under the job's URL (or title and company for manual jobs),
+ * so capturing the same posting again brings its answers back.
+ */
+
+import { jobKey } from './JobModel.js';
+
+const ANSWER_STORAGE_KEY = 'coverai_answers';
+
+const MAX_JOBS = 20; // Jobs with answers kept, most recently used first
+const MAX_ANSWERS_PER_JOB = 30;
+
+export const AnswerModel = {
+    /**
+     * Get the answers saved for a job, newest question first
+     * @param {Object} job - Job data
+     * @returns {Array} [{ id, question, answer, charLimit, model, createdAt, updatedAt }]
+     */
+    async list(job) {
+        const result = await chrome.storage.local.get(ANSWER_STORAGE_KEY);
+        const entry = (result[ANSWER_STORAGE_KEY] || {})[jobKey(job)];
+        return entry ? entry.answers : [];
+    },
+
+    /**
+     * Add an answer at the top, or replace the one with the same id in place
+     * @param {Object} job - Job data
+     * @param {Object} answer - { id, question, answer, charLimit, model, createdAt }
+     * @returns {Object} The saved answer
+     */
+    async save(job, answer) {
+        const result = await chrome.storage.local.get(ANSWER_STORAGE_KEY);
+        const all = result[ANSWER_STORAGE_KEY] || {};
+        const key = jobKey(job);
+        const answers = all[key]?.answers || [];
+
+        const saved = { ...answer, updatedAt: new Date().toISOString() };
+        const replaced = answers.some(existing => existing.id === answer.id);
+        all[key] = {
+            title: job.title || '',
+            company: job.company || '',
+            usedAt: Date.now(),
+            answers: replaced
+                ? answers.map(existing => (existing.id === answer.id ? saved : existing))
+                : [saved, ...answers].slice(0, MAX_ANSWERS_PER_JOB)
+        };
+
+        // Drop the jobs used longest ago
+        const kept = Object.entries(all)
+            .sort(([, a], [, b]) => b.usedAt - a.usedAt)
+            .slice(0, MAX_JOBS);
+        await chrome.storage.local.set({ [ANSWER_STORAGE_KEY]: Object.fromEntries(kept) });
+
+        return saved;
+    },
+
+    /**
+     * Remove one answer
+     * @param {Object} job - Job data
+     * @param {string} id - Answer id
+     */
+    async remove(job, id) {
+        const result = await chrome.storage.local.get(ANSWER_STORAGE_KEY);
+        const all = result[ANSWER_STORAGE_KEY] || {};
+        const key = jobKey(job);
+        if (!all[key]) return;
+
+        all[key].answers = all[key].answers.filter(answer => answer.id !== id);
+        if (all[key].answers.length === 0) delete all[key];
+
+        await chrome.storage.local.set({ [ANSWER_STORAGE_KEY]: all });
+    }
+};
+
+export default AnswerModel;
@@ -0,0 +1,68 @@
+/**
+ * CacheModel - Stores AI results for requests that were already made
+ * Entries are keyed by a hash of the request and expire after a week;
+ * only the most recently stored entries are kept.
+ */
+
+import { createWriteQueue } from '../utils/writeQueue.js';
+
+const CACHE_STORAGE_KEY = 'coverai_generation_cache';
+
+const MAX_ENTRIES = 30;
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const enqueue = createWriteQueue();
+
+export const CacheModel = {
+    /**
+     * Get a cached value
+     * @param {string} key - Request hash
+     * @returns {any|null} null when missing or expired
+     */
+    async get(key) {
+        const result = await chrome.storage.local.get(CACHE_STORAGE_KEY);
+        const entry = (result[CACHE_STORAGE_KEY] || {})[key];
+
+        if (!entry || Date.now() - entry.storedAt > MAX_AGE_MS) {
+            return null;
+        }
+        return entry.value;
+    },
+
+    /**
+     * Store a value, dropping expired and least recently stored entries
+     * @param {string} key - Request hash
+     * @param {any} value - JSON-serializable result
+     */
+    async set(key, value) {
+        await enqueue(async () => {
+            const result = await chrome.storage.local.get(CACHE_STORAGE_KEY);
+            const now = Date.now();
+
+            const entries = Object.entries({ ...result[CACHE_STORAGE_KEY], [key]: { value, storedAt: now } })
+                .filter(([, entry]) => now - entry.storedAt <= MAX_AGE_MS)
+                .sort((a, b) => b[1].storedAt - a[1].storedAt)
+                .slice(0, MAX_ENTRIES);
+
+            await chrome.storage.local.set({ [CACHE_STORAGE_KEY]: Object.fromEntries(entries) });
+        });
+    },
+
+    /**
+     * Number of cached results
+     * @returns {number}
+     */
+    async count() {
+        const result = await chrome.storage.local.get(CACHE_STORAGE_KEY);
+        return Object.keys(result[CACHE_STORAGE_KEY] || {}).length;
+    },
+
+    /**
+     * Remove every cached result
+     */
+    async clear() {
+        await enqueue(() => chrome.storage.local.remove(CACHE_STORAGE_KEY));
+    }
+};
+
+export default CacheModel;
@@ -0,0 +1,90 @@
+/**
+ * CompanyNotesModel - Stores the user's notes on each company
+ * Notes are keyed by the normalized company name, so "Acme, Inc." and "ACME" share them
+ * across every job at that company.
+ */
+
+const NOTES_STORAGE_KEY = 'coverai_company_notes';
+
+const MAX_COMPANIES = 50; // Companies with notes kept, most recently updated first
+
+// Legal suffixes dropped from company names before comparing them
+const LEGAL_SUFFIXES = /\b(?:inc|incorporated|llc|ltd|limited|corp|corporation|co|company|plc|gmbh|ag|sa|sas|bv|nv|pty|srl|oy|ab)\b/g;
+
+/**
+ * Key company notes are stored under: the company name lower-cased, without punctuation
+ * or legal suffixes
+ * @param {string} company - Company name as scraped or entered
+ * @returns {string} e.g. "acme" for "Acme, Inc."; '' for no name
+ */
+export function companyKey(company = '') {
+    const key = company
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(LEGAL_SUFFIXES, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    // A name that is only a suffix ("Company") keeps it rather than becoming empty
+    return key || company.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+export const CompanyNotesModel = {
+    /**
+     * Get the notes on a company
+     * @param {string} company - Company name
+     * @returns {Object|null} { company, mission, products, news, whyCare, about, updatedAt }
+     */
+    async get(company) {
+        const key = companyKey(company);
+        if (!key) return null;
+
+        const result = await chrome.storage.local.get(NOTES_STORAGE_KEY);
+        return (result[NOTES_STORAGE_KEY] || {})[key] || null;
+    },
+
+    /**
+     * Save the notes on a company, replacing the earlier ones
+     * @param {string} company - Company name
+     * @param {Object} notes - Note fields (see CompanyNotesService.NOTE_FIELDS)
+     * @returns {Object} The saved notes
+     */
+    async save(company, notes) {
+        const key = companyKey(company);
+        if (!key) {
+            throw new Error('The job has no company name to save notes under.');
+        }
+
+        const result = await chrome.storage.local.get(NOTES_STORAGE_KEY);
+        const all = result[NOTES_STORAGE_KEY] || {};
+
+        all[key] = {
+            ...notes,
+            company: company.trim(),
+            updatedAt: Date.now()
+        };
+
+        // Drop the notes updated longest ago
+        const kept = Object.entries(all)
+            .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+            .slice(0, MAX_COMPANIES);
+        await chrome.storage.local.set({ [NOTES_STORAGE_KEY]: Object.fromEntries(kept) });
+
+        return all[key];
+    },
+
+    /**
+     * Delete the notes on a company
+     * @param {string} company - Company name
+     */
+    async remove(company) {
+        const result = await chrome.storage.local.get(NOTES_STORAGE_KEY);
+        const all = result[NOTES_STORAGE_KEY] || {};
+        delete all[companyKey(company)];
+        await chrome.storage.local.set({ [NOTES_STORAGE_KEY]: all });
+    }
+};
+
+export default CompanyNotesModel;
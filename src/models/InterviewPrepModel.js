@@ -0,0 +1,52 @@
+/**
+ * InterviewPrepModel - Stores the latest interview prep pack of each job
+ * Packs are kept under the same job key as answers, so going back to a job
+ * (capturing it again, or entering it by hand) shows its pack.
+ */
+
+import { jobKey } from './JobModel.js';
+
+const PREP_STORAGE_KEY = 'coverai_interview_prep';
+
+const MAX_JOBS = 20; // Jobs with a pack kept, most recently saved first
+
+export const InterviewPrepModel = {
+    /**
+     * Get the prep pack saved for a job
+     * @param {Object} job - Job data
+     * @returns {Object|null} See InterviewPrepService.normalizePrepPack
+     */
+    async get(job) {
+        const result = await chrome.storage.local.get(PREP_STORAGE_KEY);
+        const entry = (result[PREP_STORAGE_KEY] || {})[jobKey(job)];
+        return entry ? entry.pack : null;
+    },
+
+    /**
+     * Save the prep pack of a job, replacing the earlier one
+     * @param {Object} job - Job data
+     * @param {Object} pack - Prep pack
+     * @returns {Object} The saved pack
+     */
+    async save(job, pack) {
+        const result = await chrome.storage.local.get(PREP_STORAGE_KEY);
+        const all = result[PREP_STORAGE_KEY] || {};
+
+        all[jobKey(job)] = {
+            title: job.title || '',
+            company: job.company || '',
+            savedAt: Date.now(),
+            pack
+        };
+
+        // Drop the packs saved longest ago
+        const kept = Object.entries(all)
+            .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+            .slice(0, MAX_JOBS);
+        await chrome.storage.local.set({ [PREP_STORAGE_KEY]: Object.fromEntries(kept) });
+
+        return pack;
+    }
+};
+
+export default InterviewPrepModel;
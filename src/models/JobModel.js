@@ -6,6 +6,16 @@
 const JOB_STORAGE_KEY = 'coverai_current_job';
 const JOB_HISTORY_KEY = 'coverai_job_history';
 
+/**
+ * Key that identifies a posting across captures, for data kept per job (answers, prep packs)
+ * @param {Object} job - Job data
+ * @returns {string} The posting URL, or title and company for jobs entered by hand
+ */
+export function jobKey(job = {}) {
+    if (job.url) return job.url;
+    return `${(job.title || '').trim().toLowerCase()}|${(job.company || '').trim().toLowerCase()}`;
+}
+
 export const JobModel = {
     /**
      * Save current job description
@@ -20,7 +30,10 @@ export const JobModel = {
             location: jobData.location || '',
             url: jobData.url || '',
             extractedAt: new Date().toISOString(),
-            source: jobData.source || 'manual'
+            source: jobData.source || 'manual',
+            hiddenTextRemoved: jobData.hiddenTextRemoved || 0, // Visually hidden passages dropped while scraping
+            details: jobData.details || null, // Structured details (see JobParserService), filled in after saving
+            requirementsSource: jobData.requirementsSource || (jobData.requirements ? 'posting' : '') // "parsed" when written from details
         };
 
         await chrome.storage.local.set({ [JOB_STORAGE_KEY]: data });
@@ -31,6 +44,28 @@ export const JobModel = {
         return data;
     },
 
+    /**
+     * Update fields of the current job, and of its history entry
+     * @param {Object} changes - Fields to overwrite
+     * @param {string} extractedAt - Only update if the current job is still this one (optional)
+     * @returns {Object|null} The updated job, or null if there is no (matching) current job
+     */
+    async updateCurrent(changes, extractedAt) {
+        const job = await this.getCurrent();
+        if (!job || (extractedAt && job.extractedAt !== extractedAt)) return null;
+
+        const updated = { ...job, ...changes };
+        await chrome.storage.local.set({ [JOB_STORAGE_KEY]: updated });
+
+        const result = await chrome.storage.local.get(JOB_HISTORY_KEY);
+        const history = (result[JOB_HISTORY_KEY] || []).map(entry =>
+            (entry.extractedAt === job.extractedAt ? { ...entry, ...changes } : entry)
+        );
+        await chrome.storage.local.set({ [JOB_HISTORY_KEY]: history });
+
+        return updated;
+    },
+
     /**
      * Get current job description
      * @returns {Object|null}
@@ -0,0 +1,52 @@
+/**
+ * ModelCatalogModel - Caches the model list fetched from the provider
+ * The list belongs to the endpoint it came from, so a different base URL reads as empty.
+ */
+
+const MODEL_CATALOG_STORAGE_KEY = 'coverai_model_catalog';
+
+// Refresh the list in the background once it's older than this
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+export const ModelCatalogModel = {
+    /**
+     * Get the cached list for an endpoint
+     * @param {string} baseUrl - Endpoint the list was fetched from
+     * @returns {Object|null} { baseUrl, models, fetchedAt } or null if none is cached for it
+     */
+    async get(baseUrl) {
+        const result = await chrome.storage.local.get(MODEL_CATALOG_STORAGE_KEY);
+        const catalog = result[MODEL_CATALOG_STORAGE_KEY];
+        return catalog && catalog.baseUrl === baseUrl ? catalog : null;
+    },
+
+    /**
+     * Save a freshly fetched list
+     * @param {string} baseUrl - Endpoint the list was fetched from
+     * @param {Array} models - [{ id, name, description, inputTokenLimit, outputTokenLimit }]
+     * @returns {Object} The saved catalog
+     */
+    async save(baseUrl, models) {
+        const catalog = { baseUrl, models, fetchedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ [MODEL_CATALOG_STORAGE_KEY]: catalog });
+        return catalog;
+    },
+
+    /**
+     * Check whether a cached list should be fetched again
+     * @param {Object|null} catalog - From get()
+     * @returns {boolean}
+     */
+    isStale(catalog) {
+        return !catalog || Date.now() - new Date(catalog.fetchedAt).getTime() > MAX_AGE_MS;
+    },
+
+    /**
+     * Forget the cached list
+     */
+    async clear() {
+        await chrome.storage.local.remove(MODEL_CATALOG_STORAGE_KEY);
+    }
+};
+
+export default ModelCatalogModel;
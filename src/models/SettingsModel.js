@@ -4,11 +4,32 @@
 
 const SETTINGS_STORAGE_KEY = 'coverai_settings';
 
+// Settings kept per provider id, so a key or endpoint only goes to the provider it was entered
+// for; the flat name holds the active provider's value
+const PER_PROVIDER = {
+    apiKey: 'apiKeys',
+    aiBaseUrl: 'aiBaseUrls' // Empty = provider default endpoint
+};
+
 const DEFAULT_SETTINGS = {
-    apiKey: '',
-    geminiModel: 'gemini-1.5-flash',
+    apiKeys: {},
+    aiBaseUrls: {},
+    aiProvider: 'gemini', // gemini, openai, ollama
+    aiModel: '', // Model for non-Gemini providers (empty = provider default)
+    geminiModel: 'gemini-3-flash-preview', // Checked against the fetched model list (see AIService.refreshModels)
+    fallbackModels: [], // Gemini models tried in order when the selected one is unavailable
+    safetyThreshold: 'BLOCK_NONE', // Gemini safety filter: BLOCK_NONE ... BLOCK_LOW_AND_ABOVE, or DEFAULT
     fullName: '', // Main override for name
-    coverLetterTone: 'professional', // professional, friendly, formal
+    coverLetterTone: 'professional', // professional, friendly, formal, or a custom tone id
+    promptTemplateId: 'default', // Prompt template used for generation (see TemplateModel)
+    useStyleProfile: true, // Write in the style of the user's uploaded letters (see StyleProfileModel)
+    addressGaps: true, // Tell the AI which requirements the resume doesn't show (see MatchAnalysisService)
+    jobParsing: 'ai', // How job postings are broken into structured details: ai (local if it fails) or local
+    variantCount: 1, // Cover letters generated per click, shown side by side (1-4)
+    outputLanguage: 'auto', // Letter language: auto (same as the job posting) or a code like de, fr, es
+    letterLength: 'standard', // short, standard, detailed, or custom (uses letterWordCount)
+    letterWordCount: 300, // Target body length in words when letterLength is custom
+    fitOnePage: true, // Tighten DOCX spacing and margins when the letter would spill onto page two
     includeDate: true,
     defaultSignature: '',
     autoDetectJobs: true,
@@ -16,38 +37,83 @@ const DEFAULT_SETTINGS = {
     developerMode: false
 };
 
+/**
+ * Add the active provider's per-provider values under their flat names
+ * @param {Object} settings - Stored settings
+ * @returns {Object}
+ */
+function withActiveValues(settings) {
+    const active = { ...settings };
+    for (const [field, perProvider] of Object.entries(PER_PROVIDER)) {
+        active[field] = settings[perProvider][settings.aiProvider] || '';
+    }
+    return active;
+}
+
 export const SettingsModel = {
     /**
      * Get all settings
+     * apiKey and aiBaseUrl are the active provider's, read from apiKeys and aiBaseUrls.
      * @returns {Object}
      */
     async get() {
         const result = await chrome.storage.local.get(SETTINGS_STORAGE_KEY);
-        return { ...DEFAULT_SETTINGS, ...result[SETTINGS_STORAGE_KEY] };
+        const stored = { ...result[SETTINGS_STORAGE_KEY] };
+        const settings = { ...DEFAULT_SETTINGS, ...stored };
+
+        for (const [field, perProvider] of Object.entries(PER_PROVIDER)) {
+            // Settings saved before these were kept per provider had one value, entered for the provider then selected
+            if (stored[field] && !stored[perProvider]) {
+                settings[perProvider] = { [settings.aiProvider]: stored[field] };
+            }
+            delete settings[field];
+        }
+
+        return withActiveValues(settings);
     },
 
     /**
      * Save settings
-     * @param {Object} settings - Settings to save (merged with existing)
+     * @param {Object} settings - Settings to save (merged with existing); an apiKey or aiBaseUrl is
+     *   stored as the value of the provider being saved
      */
     async save(settings) {
         const current = await this.get();
         const updated = { ...current, ...settings };
+
+        for (const [field, perProvider] of Object.entries(PER_PROVIDER)) {
+            if (settings[field] !== undefined) {
+                updated[perProvider] = { ...updated[perProvider], [updated.aiProvider]: settings[field] };
+            }
+            delete updated[field];
+        }
+
         await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: updated });
-        return updated;
+        return withActiveValues(updated);
     },
 
     /**
      * Get API key
+     * @param {string} providerId - Provider the key was entered for (default: the active one)
      * @returns {string}
      */
-    async getApiKey() {
+    async getApiKey(providerId) {
+        const settings = await this.get();
+        return settings.apiKeys[providerId || settings.aiProvider] || '';
+    },
+
+    /**
+     * Get the API base URL entered for a provider
+     * @param {string} providerId - Provider id (default: the active one)
+     * @returns {string} Empty for the provider's default endpoint
+     */
+    async getBaseUrl(providerId) {
         const settings = await this.get();
-        return settings.apiKey || '';
+        return settings.aiBaseUrls[providerId || settings.aiProvider] || '';
     },
 
     /**
-     * Save API key
+     * Save API key of the active provider
      * @param {string} apiKey
      */
     async saveApiKey(apiKey) {
@@ -69,7 +135,7 @@ export const SettingsModel = {
      */
     async getModel() {
         const settings = await this.get();
-        return settings.geminiModel || 'gemini-1.5-flash';
+        return settings.geminiModel || DEFAULT_SETTINGS.geminiModel;
     },
 
     /**
@@ -85,7 +151,7 @@ export const SettingsModel = {
      */
     async reset() {
         await chrome.storage.local.set({ [SETTINGS_STORAGE_KEY]: DEFAULT_SETTINGS });
-        return DEFAULT_SETTINGS;
+        return withActiveValues(DEFAULT_SETTINGS);
     },
 
     /**
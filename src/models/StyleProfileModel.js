@@ -0,0 +1,39 @@
+/**
+ * StyleProfileModel - Stores cover letters the user wrote and the style profile derived from them
+ */
+
+const STYLE_STORAGE_KEY = 'coverai_style_profile';
+
+export const MAX_STYLE_SAMPLES = 5;
+
+export const StyleProfileModel = {
+    /**
+     * Get the samples and profile
+     * @returns {Object} { samples: [{ id, fileName, text, words, addedAt }], profile (or null) }
+     */
+    async get() {
+        const result = await chrome.storage.local.get(STYLE_STORAGE_KEY);
+        return result[STYLE_STORAGE_KEY] || { samples: [], profile: null };
+    },
+
+    /**
+     * Save the samples and the profile built from them
+     * @param {Array} samples
+     * @param {Object|null} profile
+     * @returns {Object} The saved data
+     */
+    async save(samples, profile) {
+        const data = { samples, profile, updatedAt: new Date().toISOString() };
+        await chrome.storage.local.set({ [STYLE_STORAGE_KEY]: data });
+        return data;
+    },
+
+    /**
+     * Remove all samples and the profile
+     */
+    async clear() {
+        await chrome.storage.local.remove(STYLE_STORAGE_KEY);
+    }
+};
+
+export default StyleProfileModel;
@@ -0,0 +1,58 @@
+/**
+ * TailoredResumeModel - Stores the resume suggestions of each job, with the user's decisions
+ * Suggestions are kept under the same job key as answers and prep packs. Each entry
+ * remembers which resume it was made from, so uploading a new resume retires it.
+ */
+
+import { jobKey } from './JobModel.js';
+
+const TAILOR_STORAGE_KEY = 'coverai_tailored_resumes';
+
+const MAX_JOBS = 20; // Jobs with suggestions kept, most recently saved first
+
+export const TailoredResumeModel = {
+    /**
+     * Get the suggestions saved for a job
+     * @param {Object} job - Job data
+     * @param {Object} resume - Current resume; suggestions made from another resume are not returned
+     * @returns {Object|null} See ResumeTailorService.normalizeTailoring
+     */
+    async get(job, resume) {
+        const result = await chrome.storage.local.get(TAILOR_STORAGE_KEY);
+        const entry = (result[TAILOR_STORAGE_KEY] || {})[jobKey(job)];
+        if (!entry || entry.resumeUpdatedAt !== (resume?.updatedAt || '')) {
+            return null;
+        }
+        return entry.tailoring;
+    },
+
+    /**
+     * Save the suggestions of a job, replacing the earlier ones
+     * @param {Object} job - Job data
+     * @param {Object} resume - Resume the suggestions were made from
+     * @param {Object} tailoring - Suggestions with their decisions
+     * @returns {Object} The saved suggestions
+     */
+    async save(job, resume, tailoring) {
+        const result = await chrome.storage.local.get(TAILOR_STORAGE_KEY);
+        const all = result[TAILOR_STORAGE_KEY] || {};
+
+        all[jobKey(job)] = {
+            title: job.title || '',
+            company: job.company || '',
+            resumeUpdatedAt: resume?.updatedAt || '',
+            savedAt: Date.now(),
+            tailoring
+        };
+
+        // Drop the suggestions saved longest ago
+        const kept = Object.entries(all)
+            .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+            .slice(0, MAX_JOBS);
+        await chrome.storage.local.set({ [TAILOR_STORAGE_KEY]: Object.fromEntries(kept) });
+
+        return tailoring;
+    }
+};
+
+export default TailoredResumeModel;
@@ -0,0 +1,182 @@
+/**
+ * TemplateModel - Manages prompt templates and cover letter tones
+ * Built-in templates and tones ship with the extension; user-created ones
+ * are stored in Chrome storage alongside them.
+ */
+
+const TEMPLATES_STORAGE_KEY = 'coverai_prompt_templates';
+const TONES_STORAGE_KEY = 'coverai_custom_tones';
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+const DEFAULT_TEMPLATE_BODY = `You are an expert cover letter writer with years of experience in career coaching and recruitment.
+
+Your task is to write a compelling cover letter that:
+1. Is {{tone.description}} in tone
+2. Highlights the candidate's most relevant experience and skills for the specific job
+3. Shows genuine interest in the company and role
+4. Is concise but impactful: {{length.description}}
+5. Avoids generic phrases and clichés
+6. Does NOT include any made-up experiences, skills, or qualifications that aren't in the resume
+7. Uses specific examples from the resume when possible
+
+IMPORTANT: Only reference experiences, skills, and qualifications that are explicitly mentioned in the provided resume. Never fabricate or embellish.
+
+=== CANDIDATE RESUME ===
+Name: {{resume.name}}
+Email: {{resume.email}}
+
+{{#if resume.summary}}Summary/Objective:
+{{resume.summary}}
+{{/if}}
+{{#if resume.skills}}Skills:
+{{resume.skills}}
+{{/if}}
+{{#if resume.rawText}}Full Resume Content:
+{{resume.rawText}}
+{{/if}}
+
+=== JOB DETAILS ===
+Job Title: {{job.title}}
+Company: {{job.company}}
+{{#if job.location}}Location: {{job.location}}{{/if}}
+
+Job Description:
+{{job.description}}
+
+{{#if job.requirements}}Requirements:
+{{job.requirements}}{{/if}}
+
+Please write a compelling cover letter for this position.`;
+
+const BUILT_IN_TEMPLATES = [
+    {
+        id: DEFAULT_TEMPLATE_ID,
+        name: 'Default',
+        body: DEFAULT_TEMPLATE_BODY,
+        builtIn: true
+    }
+];
+
+const BUILT_IN_TONES = [
+    { id: 'professional', name: 'Professional', description: 'professional, confident, and polished', builtIn: true },
+    { id: 'friendly', name: 'Friendly', description: 'warm, approachable, and personable while remaining professional', builtIn: true },
+    { id: 'formal', name: 'Formal', description: 'formal, traditional, and business-appropriate', builtIn: true }
+];
+
+export const TemplateModel = {
+    /**
+     * Get all templates, built-in first
+     * @returns {Array}
+     */
+    async getTemplates() {
+        const result = await chrome.storage.local.get(TEMPLATES_STORAGE_KEY);
+        return [...BUILT_IN_TEMPLATES, ...(result[TEMPLATES_STORAGE_KEY] || [])];
+    },
+
+    /**
+     * Get a template by id, falling back to the default template
+     * @param {string} id
+     * @returns {Object}
+     */
+    async getTemplate(id) {
+        const templates = await this.getTemplates();
+        return templates.find(t => t.id === id) || BUILT_IN_TEMPLATES[0];
+    },
+
+    /**
+     * Create or update a user template (built-in templates are read-only)
+     * @param {Object} template - { id?, name, body }
+     * @returns {Object} Saved template
+     */
+    async saveTemplate(template) {
+        if (BUILT_IN_TEMPLATES.some(t => t.id === template.id)) {
+            throw new Error('Built-in templates cannot be changed. Create a new template instead.');
+        }
+
+        const result = await chrome.storage.local.get(TEMPLATES_STORAGE_KEY);
+        const custom = result[TEMPLATES_STORAGE_KEY] || [];
+
+        const saved = {
+            id: template.id || `template-${Date.now()}`,
+            name: template.name?.trim() || 'Untitled template',
+            body: template.body || '',
+            builtIn: false,
+            updatedAt: new Date().toISOString()
+        };
+
+        const index = custom.findIndex(t => t.id === saved.id);
+        if (index >= 0) {
+            custom[index] = saved;
+        } else {
+            custom.push(saved);
+        }
+
+        await chrome.storage.local.set({ [TEMPLATES_STORAGE_KEY]: custom });
+        return saved;
+    },
+
+    /**
+     * Delete a user template
+     * @param {string} id
+     */
+    async deleteTemplate(id) {
+        const result = await chrome.storage.local.get(TEMPLATES_STORAGE_KEY);
+        const custom = (result[TEMPLATES_STORAGE_KEY] || []).filter(t => t.id !== id);
+        await chrome.storage.local.set({ [TEMPLATES_STORAGE_KEY]: custom });
+    },
+
+    /**
+     * Get all tones, built-in first
+     * @returns {Array}
+     */
+    async getTones() {
+        const result = await chrome.storage.local.get(TONES_STORAGE_KEY);
+        return [...BUILT_IN_TONES, ...(result[TONES_STORAGE_KEY] || [])];
+    },
+
+    /**
+     * Get a tone by id, falling back to Professional
+     * @param {string} id
+     * @returns {Object}
+     */
+    async getTone(id) {
+        const tones = await this.getTones();
+        return tones.find(t => t.id === id) || BUILT_IN_TONES[0];
+    },
+
+    /**
+     * Add a user tone
+     * @param {string} name - Display name, e.g. "Enthusiastic"
+     * @param {string} description - How the letter should sound, used in the prompt
+     * @returns {Object} Saved tone
+     */
+    async addTone(name, description) {
+        const result = await chrome.storage.local.get(TONES_STORAGE_KEY);
+        const custom = result[TONES_STORAGE_KEY] || [];
+
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const tone = {
+            id: `${slug || 'tone'}-${Date.now()}`,
+            name: name.trim(),
+            description: description.trim(),
+            builtIn: false
+        };
+
+        custom.push(tone);
+        await chrome.storage.local.set({ [TONES_STORAGE_KEY]: custom });
+        return tone;
+    },
+
+    /**
+     * Delete a user tone
+     * @param {string} id
+     */
+    async deleteTone(id) {
+        const result = await chrome.storage.local.get(TONES_STORAGE_KEY);
+        const custom = (result[TONES_STORAGE_KEY] || []).filter(t => t.id !== id);
+        await chrome.storage.local.set({ [TONES_STORAGE_KEY]: custom });
+    }
+};
+
+export default TemplateModel;
@@ -0,0 +1,132 @@
+/**
+ * UsageModel - Records tokens spent on AI calls
+ * Keeps a short log of recent calls plus running totals per day and per model,
+ * so totals survive after old log entries are dropped.
+ */
+
+import { createWriteQueue } from '../utils/writeQueue.js';
+
+const USAGE_LOG_KEY = 'coverai_usage_log';
+const USAGE_TOTALS_KEY = 'coverai_usage_totals';
+
+const MAX_LOG_ENTRIES = 200;
+const MAX_DAYS = 90;
+
+const enqueue = createWriteQueue();
+
+/**
+ * Local calendar day, e.g. "2026-10-19"
+ * @param {Date} date
+ * @returns {string}
+ */
+function dayKey(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Add to one totals bucket
+ * @param {Object} buckets - { [key]: { calls, promptTokens, candidateTokens, cacheHits } }
+ * @param {string} key
+ * @param {Object} amounts - Values to add
+ */
+function addTo(buckets, key, amounts) {
+    const bucket = buckets[key] || { calls: 0, promptTokens: 0, candidateTokens: 0, cacheHits: 0 };
+    for (const [field, value] of Object.entries(amounts)) {
+        bucket[field] += value;
+    }
+    buckets[key] = bucket;
+}
+
+/**
+ * Update the per-day and per-model totals
+ * @param {string} model
+ * @param {Object} amounts - Values to add
+ */
+async function addToTotals(model, amounts) {
+    const result = await chrome.storage.local.get(USAGE_TOTALS_KEY);
+    const totals = result[USAGE_TOTALS_KEY] || { byDay: {}, byModel: {} };
+
+    addTo(totals.byDay, dayKey(), amounts);
+    addTo(totals.byModel, model || 'unknown', amounts);
+
+    // Forget days older than MAX_DAYS
+    const days = Object.keys(totals.byDay).sort();
+    for (const day of days.slice(0, Math.max(0, days.length - MAX_DAYS))) {
+        delete totals.byDay[day];
+    }
+
+    await chrome.storage.local.set({ [USAGE_TOTALS_KEY]: totals });
+}
+
+export const UsageModel = {
+    /**
+     * Record one AI call
+     * @param {Object} entry - { provider, model, purpose, promptTokens, candidateTokens }
+     */
+    async record(entry) {
+        await enqueue(async () => {
+            const result = await chrome.storage.local.get(USAGE_LOG_KEY);
+            const log = result[USAGE_LOG_KEY] || [];
+
+            log.unshift({
+                at: new Date().toISOString(),
+                provider: entry.provider || '',
+                model: entry.model || '',
+                purpose: entry.purpose || '',
+                promptTokens: entry.promptTokens || 0,
+                candidateTokens: entry.candidateTokens || 0
+            });
+
+            await chrome.storage.local.set({ [USAGE_LOG_KEY]: log.slice(0, MAX_LOG_ENTRIES) });
+            await addToTotals(entry.model, {
+                calls: 1,
+                promptTokens: entry.promptTokens || 0,
+                candidateTokens: entry.candidateTokens || 0
+            });
+        });
+    },
+
+    /**
+     * Record a request answered from the local cache instead of the AI
+     * @param {string} model - Model the request was for
+     */
+    async recordCacheHit(model) {
+        await enqueue(() => addToTotals(model, { cacheHits: 1 }));
+    },
+
+    /**
+     * Get recent calls, newest first
+     * @returns {Array}
+     */
+    async getLog() {
+        const result = await chrome.storage.local.get(USAGE_LOG_KEY);
+        return result[USAGE_LOG_KEY] || [];
+    },
+
+    /**
+     * Get totals per day ("2026-10-19") and per model
+     * @returns {Object} { byDay, byModel } where each value is { calls, promptTokens, candidateTokens, cacheHits }
+     */
+    async getTotals() {
+        const result = await chrome.storage.local.get(USAGE_TOTALS_KEY);
+        return result[USAGE_TOTALS_KEY] || { byDay: {}, byModel: {} };
+    },
+
+    /**
+     * Today's key in the byDay totals
+     * @returns {string}
+     */
+    today() {
+        return dayKey();
+    },
+
+    /**
+     * Clear the log and totals
+     */
+    async clear() {
+        await enqueue(() => chrome.storage.local.remove([USAGE_LOG_KEY, USAGE_TOTALS_KEY]));
+    }
+};
+
+export default UsageModel;
@@ -0,0 +1,246 @@
+/**
+ * AI Errors
+ * Typed errors for AI provider failures, so callers can decide whether to
+ * retry, fall back to another model, or tell the user to fix their settings.
+ */
+
+/**
+ * Base class for all AI provider errors
+ */
+export class AIServiceError extends Error {
+    /**
+     * @param {string} message - User-facing message
+     * @param {Object} details - { status, provider, model, retryAfter (ms), cause }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AIServiceError';
+        this.status = details.status || 0;
+        this.provider = details.provider || '';
+        this.model = details.model || '';
+        this.retryAfter = details.retryAfter ?? null;
+        this.cause = details.cause;
+    }
+
+    /**
+     * Whether repeating the same request might succeed
+     * @returns {boolean}
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * Rate limit or quota exhausted (HTTP 429)
+ */
+export class QuotaError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'QuotaError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Missing, invalid or unauthorized API key (HTTP 401/403, Gemini API_KEY_INVALID)
+ */
+export class AuthError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Model not found, retired or not supported for this method (HTTP 404)
+ */
+export class ModelUnavailableError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ModelUnavailableError';
+    }
+}
+
+/**
+ * Provider is overloaded or failing (HTTP 5xx)
+ */
+export class ServiceUnavailableError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'ServiceUnavailableError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * Request never reached the provider (offline, DNS, CORS, server down)
+ */
+export class NetworkError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NetworkError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * The provider refused to answer (safety filters, blocked prompt)
+ */
+export class BlockedError extends AIServiceError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'BlockedError';
+    }
+}
+
+// Why a response (finishReason) or prompt (blockReason) was blocked, in plain words
+const BLOCK_EXPLANATIONS = {
+    SAFETY: 'it tripped the safety filters{categories}. Cover letters rarely do this; try a less strict Safety Filter in settings, or remove unusual content from the job description',
+    RECITATION: 'it was repeating existing text too closely (usually long passages of the job posting). Try regenerating, or trim long quoted passages from the job description',
+    BLOCKLIST: 'it contained terms on the provider\'s blocklist',
+    PROHIBITED_CONTENT: 'the provider flagged it as prohibited content',
+    SPII: 'it may contain sensitive personal information. Try removing ID numbers or similar details from your resume',
+    IMAGE_SAFETY: 'it tripped the image safety filters',
+    OTHER: 'of a provider policy that was not specified'
+};
+
+/**
+ * Turn a HARM_CATEGORY_* id into readable text
+ * @param {string} category - e.g. HARM_CATEGORY_HATE_SPEECH
+ * @returns {string} e.g. "hate speech"
+ */
+function formatHarmCategory(category) {
+    return category.replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase();
+}
+
+/**
+ * Build a BlockedError explaining a blocked prompt or a safety/recitation stop
+ * @param {Object} result - Normalized provider result { finishReason, blockReason, blockedCategories }
+ * @param {Object} context - { provider, model }
+ * @returns {BlockedError|null} null if the result was not blocked
+ */
+export function blockedErrorFor(result, context = {}) {
+    const reason = result.blockReason || result.finishReason;
+    const isPromptBlock = Boolean(result.blockReason);
+
+    if (!isPromptBlock && !['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'].includes(reason)) {
+        return null;
+    }
+
+    const categories = result.blockedCategories?.length
+        ? ` (${result.blockedCategories.map(formatHarmCategory).join(', ')})`
+        : '';
+    const explanation = (BLOCK_EXPLANATIONS[reason] || BLOCK_EXPLANATIONS.OTHER).replace('{categories}', categories);
+    const subject = isPromptBlock ? 'The request was blocked before anything was written' : 'The letter was stopped';
+
+    const error = new BlockedError(`${subject} because ${explanation}.`, context);
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) or a Gemini retryDelay ("37s")
+ * @param {string|null} value
+ * @returns {number|null} Delay in milliseconds
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(String(value).replace(/s$/, ''));
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Build a typed error from a failed HTTP response
+ * Understands Gemini ({ error: { message, status, details } }), OpenAI
+ * ({ error: { message } }) and Ollama ({ error: "..." }) error bodies.
+ * @param {Response} response - Failed fetch response
+ * @param {Object} context - { provider, model }
+ * @returns {Promise<AIServiceError>}
+ */
+export async function errorFromResponse(response, context = {}) {
+    const body = await response.json().catch(() => ({}));
+    const apiMessage = (typeof body.error === 'string' ? body.error : body.error?.message) || '';
+    const status = response.status;
+
+    const retryInfo = body.error?.details?.find(d => d['@type']?.endsWith('google.rpc.RetryInfo'));
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After')) ??
+        parseRetryAfter(retryInfo?.retryDelay);
+
+    const details = { ...context, status, retryAfter };
+    const model = context.model ? ` (${context.model})` : '';
+
+    if (status === 401 || status === 403 || (status === 400 && /api[ _]?key/i.test(apiMessage))) {
+        return new AuthError(`The API key was rejected. Check it in settings.${apiMessage ? ` ${apiMessage}` : ''}`, details);
+    }
+
+    if (status === 404 || /model.*(not found|not supported|deprecated|does not exist)/i.test(apiMessage)) {
+        return new ModelUnavailableError(`Model${model} is not available. Choose another model in settings.`, details);
+    }
+
+    if (status === 429) {
+        return new QuotaError(`Rate limit or quota exceeded${model}.${apiMessage ? ` ${apiMessage}` : ''}`, details);
+    }
+
+    if (status >= 500) {
+        return new ServiceUnavailableError(`The AI service is unavailable right now${model}. Please try again shortly.`, details);
+    }
+
+    return new AIServiceError(apiMessage || `API error: ${status}`, details);
+}
+
+/**
+ * Wrap anything thrown while calling a provider in a typed error
+ * Abort errors are passed through untouched so callers can recognize them.
+ * @param {Error} error
+ * @param {Object} context - { provider, model }
+ * @returns {Error}
+ */
+export function normalizeError(error, context = {}) {
+    if (error instanceof AIServiceError || error?.name === 'AbortError') {
+        return error;
+    }
+
+    // fetch() rejects with a TypeError when the request can't be sent at all
+    if (error instanceof TypeError) {
+        return new NetworkError('Could not reach the AI service. Check your connection and API base URL.', {
+            ...context,
+            cause: error
+        });
+    }
+
+    return new AIServiceError(error?.message || 'Unknown AI error', { ...context, cause: error });
+}
+
+export default {
+    AIServiceError,
+    QuotaError,
+    AuthError,
+    ModelUnavailableError,
+    ServiceUnavailableError,
+    NetworkError,
+    BlockedError,
+    blockedErrorFor,
+    parseRetryAfter,
+    errorFromResponse,
+    normalizeError
+};
@@ -1,208 +1,880 @@
 /**
  * AI Service
- * Google Gemini API integration for cover letter generation
+ * Cover letter generation through a pluggable AI provider (Gemini, OpenAI-compatible, Ollama)
  */
 
 import SettingsModel from '../models/SettingsModel.js';
-
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
-
-// Available Gemini models
+import UsageModel from '../models/UsageModel.js';
+import CacheModel from '../models/CacheModel.js';
+import ModelCatalogModel from '../models/ModelCatalogModel.js';
+import TemplateModel from '../models/TemplateModel.js';
+import { getProvider } from './providers/index.js';
+import { AuthError, AIServiceError, ModelUnavailableError, QuotaError, ServiceUnavailableError, blockedErrorFor, normalizeError } from './AIErrors.js';
+import { withRetry } from '../utils/retry.js';
+import { hashValue } from '../utils/hash.js';
+import { buildCoverLetterPrompt, buildRefinementPrompt, buildAnswerPrompt, buildMessagePrompt, buildInterviewPrepPrompt, buildTailorPrompt, loadStyleProfile, loadCompanyNotes } from './PromptTemplateService.js';
+import { LETTER_SCHEMA, parseLetter, letterBody } from './LetterStructureService.js';
+import { buildResumeParseContext } from './ContextBuilderService.js';
+import { getLanguage, resolveOutputLanguage } from './LanguageService.js';
+import { sanitizeJob, stripInjections, fenceUntrusted, buildUntrustedContentNotice } from './PromptSafetyService.js';
+import { JOB_DETAILS_SCHEMA, normalizeJobDetails } from './JobParserService.js';
+import { cleanAnswer, fitToLimit } from './AnswerService.js';
+import { MESSAGE_SCHEMA } from './DocumentTypeService.js';
+import { PREP_PACK_SCHEMA, normalizePrepPack, isEmptyPrepPack } from './InterviewPrepService.js';
+import { TAILOR_SCHEMA, normalizeTailoring } from './ResumeTailorService.js';
+
+// Built-in Gemini models, offered until the live list has been fetched with the user's key
 export const GEMINI_MODELS = [
     { id: 'gemini-3-flash-preview', name: 'Gemini 3 Flash', description: 'Latest, fastest, best quality' },
     { id: 'gemini-2.0-flash-001', name: 'Gemini 2.0 Flash', description: 'Fast and reliable' }
 ];
 
+const HARM_CATEGORIES = [
+    'HARM_CATEGORY_HARASSMENT',
+    'HARM_CATEGORY_HATE_SPEECH',
+    'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+// Gemini safety thresholds selectable in settings; 'DEFAULT' sends no safetySettings
+export const SAFETY_THRESHOLDS = [
+    { id: 'BLOCK_NONE', name: 'Off (never block)' },
+    { id: 'BLOCK_ONLY_HIGH', name: 'Block only high-risk content' },
+    { id: 'BLOCK_MEDIUM_AND_ABOVE', name: 'Block medium risk and above' },
+    { id: 'BLOCK_LOW_AND_ABOVE', name: 'Block low risk and above (strictest)' },
+    { id: 'DEFAULT', name: 'Provider default' }
+];
+
+// How many times a letter cut off at maxOutputTokens is continued automatically
+const MAX_CONTINUATIONS = 2;
+
+// One temperature per variant; the first matches a normal single generation
+const VARIANT_TEMPERATURES = [0.7, 0.95, 0.5, 1.1];
+export const MAX_VARIANTS = VARIANT_TEMPERATURES.length;
+
+/**
+ * Build Gemini safetySettings for a threshold
+ * @param {string} threshold - One of SAFETY_THRESHOLDS ids
+ * @returns {Array|undefined} undefined leaves the provider defaults in place
+ */
+function buildSafetySettings(threshold) {
+    if (!threshold || threshold === 'DEFAULT') return undefined;
+    return HARM_CATEGORIES.map(category => ({ category, threshold }));
+}
+
+/**
+ * Gemini models known for an endpoint: the fetched list, or the built-in one until it's fetched
+ * @param {string} baseUrl - Gemini endpoint
+ * @returns {Promise<Array>} [{ id, name, description, inputTokenLimit, outputTokenLimit }]
+ */
+async function knownGeminiModels(baseUrl) {
+    const catalog = await ModelCatalogModel.get(baseUrl);
+    return catalog?.models.length ? catalog.models : GEMINI_MODELS;
+}
+
+/**
+ * Resolve the active provider and its connection config from settings
+ * @param {Object} overrides - Optional { provider, baseUrl, apiKey, model }
+ * @returns {Promise<Object>} { provider, config: { apiKey, baseUrl, model }, fallbackModels }
+ */
+export async function resolveProvider(overrides = {}) {
+    const settings = await SettingsModel.get();
+    const provider = getProvider(overrides.provider || settings.aiProvider);
+    const isGemini = provider.id === 'gemini';
+
+    const baseUrl = (overrides.baseUrl || settings.aiBaseUrls[provider.id] || provider.defaultBaseUrl).replace(/\/+$/, '');
+    const model = overrides.model ||
+        (isGemini ? settings.geminiModel : settings.aiModel) ||
+        provider.defaultModel;
+
+    // The fallback chain only applies to Gemini, whose model ids we know
+    const knownModels = isGemini ? await knownGeminiModels(baseUrl) : [];
+    const fallbackModels = (settings.fallbackModels || [])
+        .filter(id => id !== model && knownModels.some(m => m.id === id));
+
+    return {
+        provider,
+        config: {
+            // Only the key entered for this provider, never another provider's
+            apiKey: overrides.apiKey ?? settings.apiKeys[provider.id] ?? '',
+            baseUrl,
+            model
+        },
+        fallbackModels
+    };
+}
+
 /**
- * Generate cover letter using Gemini API
+ * Check whether the active provider has everything it needs to make requests
+ * @returns {Promise<boolean>}
+ */
+export async function isConfigured() {
+    const { provider, config } = await resolveProvider();
+    return !provider.needsApiKey(config) || config.apiKey.length > 0;
+}
+
+/**
+ * Call one model, retrying transient failures (429, 5xx, network) with backoff
+ * A streamed request is only retried if no text has arrived yet.
+ * @param {Object} provider - Provider from the registry
+ * @param {Object} request - Provider-neutral request
+ * @param {Object} config - { apiKey, baseUrl, model }
+ * @param {Object} callOptions - { onText(delta), signal, onStatus(message) }
+ * @returns {Promise<Object>} { text, finishReason, usage }
+ */
+async function callWithRetry(provider, request, config, { onText, signal, onStatus } = {}) {
+    let receivedText = false;
+
+    const attempt = async () => {
+        try {
+            if (!onText) {
+                return await provider.generate(request, config, { signal });
+            }
+            return await provider.stream(request, config, {
+                signal,
+                onText: (delta) => {
+                    receivedText = true;
+                    onText(delta);
+                }
+            });
+        } catch (error) {
+            throw normalizeError(error, { provider: provider.id, model: config.model });
+        }
+    };
+
+    return await withRetry(attempt, {
+        signal,
+        shouldRetry: (error) => error.retryable && !receivedText,
+        onRetry: (error, attemptNumber, delay) => {
+            onStatus?.(`${error.message} Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attemptNumber + 1})...`);
+        }
+    });
+}
+
+/**
+ * Add a call's token counts to the usage log
+ * Accounting must never break generation, so storage failures are only logged.
+ * @param {Object} provider - Provider from the registry
+ * @param {string} model - Model that answered
+ * @param {Object|null} usage - { promptTokens, candidateTokens }
+ * @param {string} purpose - What the call was for, e.g. "cover-letter"
+ */
+async function recordUsage(provider, model, usage, purpose) {
+    try {
+        await UsageModel.record({
+            provider: provider.id,
+            model,
+            purpose,
+            promptTokens: usage?.promptTokens || 0,
+            candidateTokens: usage?.candidateTokens || 0
+        });
+    } catch (error) {
+        console.warn('[CoverAI] Could not record usage:', error);
+    }
+}
+
+/**
+ * Count a result served from the cache, with the same guard as recordUsage
+ * @param {string} model - Model that wrote the cached result
+ */
+async function recordCacheHit(model) {
+    try {
+        await UsageModel.recordCacheHit(model);
+    } catch (error) {
+        console.warn('[CoverAI] Could not record cache hit:', error);
+    }
+}
+
+/**
+ * Build the cache key for a request: the provider, model and full request
+ * The prompt already carries the resume, job, tone, template, length and language.
+ * @param {Object} request - Provider-neutral request
+ * @param {Object} overrides - Optional { model }
+ * @returns {Promise<Object>} { key, model }
+ */
+async function cacheKeyFor(request, overrides = {}) {
+    const { provider, config } = await resolveProvider(overrides);
+    const key = await hashValue({
+        provider: provider.id,
+        baseUrl: config.baseUrl,
+        model: config.model,
+        request
+    });
+    return { key, model: config.model };
+}
+
+/**
+ * Send a provider-neutral request to the active provider
+ * Transient failures are retried; if the model is gone or out of quota the
+ * user's fallback chain is tried next. When onText is given the response is
+ * streamed; aborting through signal resolves with the partial text and
+ * finishReason 'ABORTED' instead of throwing.
+ * Token usage of every answered call is added to the usage log under purpose.
+ * @param {Object} request - { prompt, temperature, maxOutputTokens, topP, json, safetySettings }
+ * @param {Object} overrides - Optional provider/model overrides
+ * @param {Object} callOptions - Optional { onText(delta, fullText), signal, onStatus(message), purpose }
+ * @returns {Promise<Object>} { text, finishReason, usage, model }
+ */
+async function callModel(request, overrides = {}, { onText, signal, onStatus, purpose } = {}) {
+    const { provider, config, fallbackModels } = await resolveProvider(overrides);
+
+    if (provider.needsApiKey(config) && !config.apiKey) {
+        throw new AuthError(`${provider.name} API key not configured. Please add your API key in settings.`, {
+            provider: provider.id
+        });
+    }
+
+    const models = [config.model, ...fallbackModels];
+    let streamedText = '';
+
+    for (let i = 0; i < models.length; i++) {
+        const model = models[i];
+
+        try {
+            const result = await callWithRetry(provider, request, { ...config, model }, {
+                signal,
+                onStatus,
+                onText: onText && ((delta) => {
+                    streamedText += delta;
+                    onText(delta, streamedText);
+                })
+            });
+            await recordUsage(provider, model, result.usage, purpose);
+            return { ...result, model };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return { text: streamedText, finishReason: 'ABORTED', usage: null, model };
+            }
+
+            const nextModel = models[i + 1];
+            const canFallBack = error instanceof ModelUnavailableError ||
+                error instanceof QuotaError ||
+                error instanceof ServiceUnavailableError;
+
+            if (!nextModel || !canFallBack || streamedText) {
+                throw error;
+            }
+
+            console.warn(`[CoverAI] ${model} failed (${error.name}), falling back to ${nextModel}`);
+            onStatus?.(`${model} is unavailable, trying ${nextModel}...`);
+        }
+    }
+}
+
+/**
+ * Generate cover letter using the configured AI provider
+ * The letter is requested as JSON following LETTER_SCHEMA and returned both as that
+ * structure (letter) and as body text (text, the paragraphs joined by blank lines).
+ * Pass options.onChunk to stream the body text as it arrives and options.signal to stop early;
+ * a stopped generation resolves with whatever text arrived before the stop.
+ * A letter cut off at the token limit is continued automatically (up to MAX_CONTINUATIONS
+ * times); safety and recitation stops throw a BlockedError explaining why.
  * @param {Object} resume - Parsed resume data
  * @param {Object} job - Job description data
- * @param {Object} options - Generation options
- * @returns {Promise<string>} Generated cover letter text
+ * @param {Object} options - Generation options { tone, templateId, language, model, temperature,
+ *   onChunk(delta, bodyText, letter), signal, onStatus(message), fresh }; without language, the output
+ *   language setting decides (by default the posting's detected language); fresh skips the cache
+ * @returns {Promise<Object>} { text, letter, model, finishReason, truncated, language (code), cached }
  */
 export async function generateCoverLetter(resume, job, options = {}) {
-    const apiKey = await SettingsModel.getApiKey();
+    const language = options.language
+        ? getLanguage(options.language)
+        : resolveOutputLanguage(await SettingsModel.get(), job);
+    const prompt = await buildCoverLetterPrompt(resume, job, {
+        tone: options.tone,
+        templateId: options.templateId,
+        language
+    });
 
-    if (!apiKey) {
-        throw new Error('Gemini API key not configured. Please add your API key in settings.');
-    }
+    return await runLetterGeneration(prompt, { ...options, language });
+}
 
+/**
+ * Revise a letter following the user's instruction ("shorten to 250 words", "less formal opening")
+ * Streams, continues and fails exactly like generateCoverLetter; only the prompt differs.
+ * @param {Object} letter - Current letter structure, including the user's edits
+ * @param {string} instruction - What to change
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job description data
+ * @param {Object} options - Same as generateCoverLetter (tone and templateId are ignored)
+ * @returns {Promise<Object>} { text, letter, model, finishReason, truncated, language }
+ */
+export async function refineCoverLetter(letter, instruction, resume, job, options = {}) {
     const settings = await SettingsModel.get();
-    const tone = options.tone || settings.coverLetterTone || 'professional';
-    const model = options.model || settings.geminiModel || 'gemini-3-flash-preview';
+    const language = options.language
+        ? getLanguage(options.language)
+        : resolveOutputLanguage(settings, job);
+    const style = await loadStyleProfile(settings);
+    const prompt = buildRefinementPrompt(letter, instruction, resume, job, language, style, await loadCompanyNotes(job));
 
-    const prompt = buildPrompt(resume, job, tone);
-    const apiUrl = `${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`;
+    return await runLetterGeneration(prompt, { temperature: 0.5, purpose: 'refinement', ...options, language });
+}
 
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            contents: [{
-                parts: [{
-                    text: prompt
-                }]
-            }],
-            generationConfig: {
-                temperature: 0.7,
-                maxOutputTokens: 1500,
-                topP: 0.9
-            },
-            safetySettings: [
-                { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
-                { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_NONE' },
-                { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_NONE' },
-                { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_NONE' }
-            ]
-        })
+/**
+ * Request a JSON letter for a prompt, streaming the body and continuing past the token limit
+ * A finished letter is cached under a hash of the request; an identical request returns it
+ * (with cached: true) without calling the AI, unless options.fresh is set.
+ * @param {string} prompt - Full prompt, ending with the letter output format
+ * @param {Object} options - { model, temperature, onChunk, signal, onStatus, fresh } (see generateCoverLetter),
+ *   plus language (from getLanguage) for the default greeting and closing and purpose for the usage log
+ * @returns {Promise<Object>} { text, letter, model, finishReason, truncated, language, cached }
+ */
+async function runLetterGeneration(prompt, options) {
+    const settings = await SettingsModel.get();
+
+    const request = {
+        temperature: options.temperature ?? 0.7,
+        maxOutputTokens: 1500,
+        topP: 0.9,
+        safetySettings: buildSafetySettings(settings.safetyThreshold)
+    };
+
+    // Same prompt, model and settings as a recent letter: reuse it instead of paying again
+    const cache = await cacheKeyFor({ ...request, prompt }, { model: options.model });
+    if (!options.fresh) {
+        const cached = await CacheModel.get(cache.key);
+        if (cached) {
+            await recordCacheHit(cached.model);
+            options.onChunk?.(cached.text, cached.text, cached.letter);
+            return { ...cached, cached: true };
+        }
+    }
+
+    let text = '';
+    let model = options.model;
+    let result;
+    let streamedBody = '';
+
+    // Show the body as it forms, rather than the raw JSON
+    const onText = options.onChunk && ((fullText) => {
+        const letter = parseLetter(fullText, options.language);
+        const body = letterBody(letter);
+        if (body === streamedBody) return;
+
+        const delta = body.startsWith(streamedBody) ? body.slice(streamedBody.length) : body;
+        streamedBody = body;
+        options.onChunk(delta, body, letter);
     });
 
-    if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        const errorMessage = error.error?.message || `API error: ${response.status}`;
-        throw new Error(errorMessage);
+    for (let continuation = 0; continuation <= MAX_CONTINUATIONS; continuation++) {
+        const previousText = text;
+
+        if (continuation > 0) {
+            options.onStatus?.('The letter was cut off at the length limit, continuing...');
+        }
+
+        // Continuations extend the JSON text so far, so they can't be held to the schema themselves
+        result = await callModel({
+            ...request,
+            prompt: continuation === 0 ? prompt : buildContinuationPrompt(prompt, previousText),
+            json: continuation === 0,
+            schema: continuation === 0 ? LETTER_SCHEMA : undefined
+        }, { model }, {
+            onText: onText && ((delta, fullText) => onText(stitchContinuation(previousText, fullText))),
+            signal: options.signal,
+            onStatus: options.onStatus,
+            purpose: options.purpose || 'cover-letter'
+        });
+
+        // Keep continuing on the model that wrote the first part, even if it was a fallback
+        model = result.model;
+        text = stitchContinuation(previousText, result.text);
+
+        if (result.finishReason === 'ABORTED') {
+            const letter = parseLetter(text, options.language);
+            return { text: letterBody(letter), letter, model, finishReason: 'ABORTED', truncated: false, language: options.language.code };
+        }
+
+        const blocked = blockedErrorFor(result, { model });
+        if (blocked) {
+            throw blocked;
+        }
+
+        if (result.finishReason !== 'MAX_TOKENS') break;
     }
 
-    const data = await response.json();
+    const letter = parseLetter(text, options.language);
 
-    // Extract text from Gemini response
-    const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (letter.paragraphs.length === 0) {
+        throw new AIServiceError('No response generated. Please try again.', { model });
+    }
 
-    if (!text) {
-        throw new Error('No response generated. Please try again.');
+    const generation = {
+        text: letterBody(letter),
+        letter,
+        model,
+        finishReason: result.finishReason,
+        truncated: result.finishReason === 'MAX_TOKENS',
+        language: options.language.code
+    };
+
+    // A letter still cut off would come back cut off on every repeat; only complete ones are cached
+    if (!generation.truncated) {
+        await CacheModel.set(cache.key, generation);
+    }
+    return { ...generation, cached: false };
+}
+
+/**
+ * Run a request through the result cache: an identical recent request returns its stored result,
+ * otherwise the model is called, a blocked answer is reported, and the result build() makes of the
+ * answer is stored
+ * @param {Object} request - Provider-neutral request
+ * @param {Object} options - { purpose, fresh, onStatus(message) }
+ * @param {Function} build - async (result) => generation to return and cache; throws when the answer is unusable
+ * @returns {Promise<Object>} The generation plus cached
+ */
+async function runCachedRequest(request, options, build) {
+    const cache = await cacheKeyFor(request);
+    if (!options.fresh) {
+        const cached = await CacheModel.get(cache.key);
+        if (cached) {
+            await recordCacheHit(cached.model || cache.model);
+            return { ...cached, cached: true };
+        }
     }
 
-    return text;
+    const result = await callModel(request, {}, { onStatus: options.onStatus, purpose: options.purpose });
+    const blocked = blockedErrorFor(result, { model: result.model });
+    if (blocked) {
+        throw blocked;
+    }
+
+    const generation = await build(result);
+    await CacheModel.set(cache.key, generation);
+    return { ...generation, cached: false };
 }
 
 /**
- * Build full prompt for Gemini
- * @param {Object} resume - Resume data
- * @param {Object} job - Job data
- * @param {string} tone - Cover letter tone
- * @returns {string}
+ * Parse a model's JSON answer, tolerating markdown code fences around it
+ * @param {Object} result - From callModel
+ * @param {Object} messages - { cutOff, invalid }: errors for an answer cut off at the token limit and for any other bad JSON
+ * @returns {Object} Parsed answer
+ */
+function parseJSONAnswer(result, messages) {
+    const text = (result.text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        console.error('[CoverAI] Failed to parse the AI answer:', result.text);
+        throw new AIServiceError(result.finishReason === 'MAX_TOKENS' ? messages.cutOff : messages.invalid, { model: result.model });
+    }
+}
+
+/**
+ * Generate several alternative cover letters at once
+ * Uses parallel calls at different temperatures rather than Gemini's candidateCount, so it
+ * works with every provider and each variant streams and auto-continues on its own.
+ * A variant that fails is returned with an error instead of failing the whole batch.
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job description data
+ * @param {Object} options - Same as generateCoverLetter, plus count; onChunk is (index, delta, fullText)
+ * @returns {Promise<Array>} [{ text, letter, model, finishReason, truncated, temperature, error }]
  */
-function buildPrompt(resume, job, tone) {
-    const toneDescriptions = {
-        professional: 'professional, confident, and polished',
-        friendly: 'warm, approachable, and personable while remaining professional',
-        formal: 'formal, traditional, and business-appropriate'
+export async function generateCoverLetterVariants(resume, job, options = {}) {
+    const count = Math.min(Math.max(options.count || 2, 1), MAX_VARIANTS);
+    const temperatures = VARIANT_TEMPERATURES.slice(0, count);
+
+    const results = await Promise.allSettled(temperatures.map((temperature, index) =>
+        generateCoverLetter(resume, job, {
+            ...options,
+            temperature,
+            onChunk: options.onChunk && ((delta, fullText, letter) => options.onChunk(index, delta, fullText, letter)),
+            onStatus: options.onStatus && ((message) => options.onStatus(`Version ${index + 1}: ${message}`))
+        })
+    ));
+
+    if (results.every(result => result.status === 'rejected')) {
+        throw results[0].reason;
+    }
+
+    return results.map((result, index) => result.status === 'fulfilled'
+        ? { ...result.value, temperature: temperatures[index], error: null }
+        : { text: '', letter: null, model: options.model, finishReason: 'ERROR', truncated: false, temperature: temperatures[index], error: result.reason.message });
+}
+
+/**
+ * Answer a free-text application question ("Describe a challenging project") from the resume and job
+ * The question may come from the page, so instruction-like sentences are removed first. An answer
+ * over the character limit gets one request to shorten it; if it still doesn't fit, it is cut after
+ * the last whole sentence that does. Answers are cached like letters.
+ * @param {string} question - Question from the application form
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job description data
+ * @param {Object} options - { charLimit (or null for none), language, temperature, onStatus(message), fresh };
+ *   without language, the output language setting decides
+ * @returns {Promise<Object>} { answer, trimmed, model, language (code), cached }
+ */
+export async function answerQuestion(question, resume, job, options = {}) {
+    const settings = await SettingsModel.get();
+    const language = options.language
+        ? getLanguage(options.language)
+        : resolveOutputLanguage(settings, job);
+    const charLimit = options.charLimit || null;
+
+    const { text: safeQuestion } = stripInjections(question);
+    if (!safeQuestion) {
+        throw new Error('The question is empty once instructions aimed at AI tools are removed.');
+    }
+
+    const request = {
+        prompt: buildAnswerPrompt(safeQuestion, resume, job, {
+            charLimit,
+            language,
+            style: await loadStyleProfile(settings),
+            companyNotes: await loadCompanyNotes(job)
+        }),
+        temperature: options.temperature ?? 0.6,
+        maxOutputTokens: 1000,
+        topP: 0.9,
+        safetySettings: buildSafetySettings(settings.safetyThreshold)
     };
 
-    const toneDesc = toneDescriptions[tone] || toneDescriptions.professional;
+    return await runCachedRequest(request, { ...options, purpose: 'answer' }, async (result) => {
+        let answer = cleanAnswer(result.text);
+        if (!answer) {
+            throw new AIServiceError('No answer generated. Please try again.', { model: result.model });
+        }
+
+        if (charLimit && answer.length > charLimit) {
+            options.onStatus?.(`The answer is ${answer.length} characters, shortening it to ${charLimit}...`);
+            const shorter = await callModel({
+                ...request,
+                prompt: buildShorteningPrompt(answer, charLimit)
+            }, { model: result.model }, { onStatus: options.onStatus, purpose: 'answer' });
+
+            const shortened = !blockedErrorFor(shorter) && cleanAnswer(shorter.text);
+            if (shortened && shortened.length < answer.length) {
+                answer = shortened;
+            }
+        }
+
+        const fitted = fitToLimit(answer, charLimit);
+        return {
+            answer: fitted.text,
+            trimmed: fitted.trimmed,
+            model: result.model,
+            language: language.code
+        };
+    });
+}
 
-    // Security: Sanitize inputs to prevent prompt injection
-    const sanitizeText = (text) => {
-        if (typeof text !== 'string') return '';
-        // Remove control characters and normalize whitespace
-        return text.replace(/[\x00-\x1F\x7F]/g, '').replace(/\s+/g, ' ').trim();
+/**
+ * Write an outreach message (LinkedIn note, cold email, referral request, thank-you email) from the resume and job
+ * The message comes back as JSON following MESSAGE_SCHEMA. Types with a character limit are
+ * shortened and cut like application answers; messages are cached like letters.
+ * @param {Object} type - Message type from DocumentTypeService
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job description data
+ * @param {Object} options - { recipient, notes, tone, language, temperature, onStatus(message), fresh };
+ *   without tone and language, the settings decide
+ * @returns {Promise<Object>} { subject, body, trimmed, model, language (code), cached }
+ */
+export async function generateMessage(type, resume, job, options = {}) {
+    const settings = await SettingsModel.get();
+    const language = options.language
+        ? getLanguage(options.language)
+        : resolveOutputLanguage(settings, job);
+
+    const request = {
+        prompt: buildMessagePrompt(type, resume, job, {
+            recipient: options.recipient,
+            notes: options.notes,
+            tone: await TemplateModel.getTone(options.tone || settings.coverLetterTone),
+            language,
+            style: await loadStyleProfile(settings),
+            companyNotes: await loadCompanyNotes(job)
+        }),
+        temperature: options.temperature ?? 0.7,
+        maxOutputTokens: 1000,
+        topP: 0.9,
+        json: true,
+        schema: MESSAGE_SCHEMA,
+        safetySettings: buildSafetySettings(settings.safetyThreshold)
     };
 
-    const resumeName = sanitizeText(resume.name || 'Not provided');
-    const resumeEmail = sanitizeText(resume.email || 'Not provided');
-    const resumeSummary = sanitizeText(resume.summary || '');
-    const jobTitle = sanitizeText(job.title || 'Not specified');
-    const jobCompany = sanitizeText(job.company || 'Not specified');
-    const jobLocation = sanitizeText(job.location || '');
-    const jobDescription = sanitizeText(job.description || 'No description provided');
-    const jobRequirements = sanitizeText(job.requirements || '');
+    return await runCachedRequest(request, { ...options, purpose: 'message' }, async (result) => {
+        const { subject, body: text } = parseMessage(result.text);
+        let body = text;
+        if (!body) {
+            throw new AIServiceError('No message generated. Please try again.', { model: result.model });
+        }
+
+        if (type.maxChars && body.length > type.maxChars) {
+            options.onStatus?.(`The message is ${body.length} characters, shortening it to ${type.maxChars}...`);
+            const shorter = await callModel({
+                ...request,
+                prompt: buildShorteningPrompt(body, type.maxChars),
+                json: false,
+                schema: undefined
+            }, { model: result.model }, { onStatus: options.onStatus, purpose: 'message' });
+
+            const shortened = !blockedErrorFor(shorter) && cleanAnswer(shorter.text);
+            if (shortened && shortened.length < body.length) {
+                body = shortened;
+            }
+        }
+
+        const fitted = fitToLimit(body, type.maxChars);
+        return {
+            subject: type.subject ? subject : '',
+            body: fitted.text,
+            trimmed: fitted.trimmed,
+            model: result.model,
+            language: language.code
+        };
+    });
+}
 
-    // Truncate very long fields
-    const truncate = (str, max) => str.length > max ? str.substring(0, max) + '...' : str;
+/**
+ * Build an interview prep pack (likely questions, STAR outlines, questions to ask, weak spots) from the resume and job
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job description data
+ * @param {Object} options - { weakSpots (from InterviewPrepService.findWeakSpots), language, onStatus(message), fresh };
+ *   without language, the output language setting decides
+ * @returns {Promise<Object>} Pack (see InterviewPrepService.normalizePrepPack) plus model, language (code) and cached
+ */
+export async function generateInterviewPrep(resume, job, options = {}) {
+    const settings = await SettingsModel.get();
+    const language = options.language
+        ? getLanguage(options.language)
+        : resolveOutputLanguage(settings, job);
+    const weakSpots = options.weakSpots || [];
+
+    const request = {
+        prompt: buildInterviewPrepPrompt(resume, job, { weakSpots, language, companyNotes: await loadCompanyNotes(job) }),
+        temperature: 0.5,
+        maxOutputTokens: 4096,
+        topP: 0.9,
+        json: true,
+        schema: PREP_PACK_SCHEMA,
+        safetySettings: buildSafetySettings(settings.safetyThreshold)
+    };
 
-    return `You are an expert cover letter writer with years of experience in career coaching and recruitment.
+    return await runCachedRequest(request, { ...options, purpose: 'interview-prep' }, (result) => {
+        const pack = normalizePrepPack(parseJSONAnswer(result, {
+            cutOff: 'The prep pack was cut off at the length limit. Please try again.',
+            invalid: 'The AI did not return a valid prep pack. Please try again.'
+        }), weakSpots);
+        if (isEmptyPrepPack(pack)) {
+            throw new AIServiceError('The prep pack came back empty. Please try again.', { model: result.model });
+        }
 
-Your task is to write a compelling cover letter that:
-1. Is ${toneDesc} in tone
-2. Highlights the candidate's most relevant experience and skills for the specific job
-3. Shows genuine interest in the company and role
-4. Is concise but impactful (3-4 paragraphs maximum)
-5. Avoids generic phrases and clichés
-6. Does NOT include any made-up experiences, skills, or qualifications that aren't in the resume
-7. Uses specific examples from the resume when possible
+        return { ...pack, model: result.model, language: language.code };
+    });
+}
 
-Format the cover letter as plain text with paragraph breaks. Do not include date, recipient address, or closing signature - just the body of the letter starting with the opening paragraph.
+/**
+ * Suggest rewritten experience bullets and a reordered skills list to tailor the resume to the job
+ * Rewrites that claim anything the resume doesn't say are left out (see ResumeTailorService.normalizeTailoring).
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job description data
+ * @param {Object} options - { onStatus(message), fresh }
+ * @returns {Promise<Object>} Suggestions (see ResumeTailorService.normalizeTailoring) plus model and cached
+ */
+export async function tailorResume(resume, job, options = {}) {
+    const settings = await SettingsModel.get();
 
-IMPORTANT: Only reference experiences, skills, and qualifications that are explicitly mentioned in the provided resume. Never fabricate or embellish.
+    const request = {
+        prompt: buildTailorPrompt(resume, job),
+        temperature: 0.3,
+        maxOutputTokens: 4096,
+        topP: 0.9,
+        json: true,
+        schema: TAILOR_SCHEMA,
+        safetySettings: buildSafetySettings(settings.safetyThreshold)
+    };
 
-=== CANDIDATE RESUME ===
-Name: ${resumeName}
-Email: ${resumeEmail}
+    return await runCachedRequest(request, { ...options, purpose: 'tailor-resume' }, (result) => {
+        const parsed = parseJSONAnswer(result, {
+            cutOff: 'The suggestions were cut off at the length limit. Please try again.',
+            invalid: 'The AI did not return valid suggestions. Please try again.'
+        });
+        return { ...normalizeTailoring(parsed, resume, job), model: result.model };
+    });
+}
 
-${resumeSummary ? `Summary/Objective:\n${truncate(resumeSummary, 500)}\n` : ''}
-${resume.skills?.length > 0 ? `Skills:\n${resume.skills.slice(0, 50).map(s => sanitizeText(s)).join(', ')}\n` : ''}
-${resume.rawText ? `Full Resume Content:\n${truncate(sanitizeText(resume.rawText), 10000)}\n` : ''}
+/**
+ * Read a message from the model's JSON answer; plain text is taken as the body
+ * @param {string} text - Raw model output
+ * @returns {Object} { subject, body }
+ */
+function parseMessage(text = '') {
+    try {
+        const parsed = JSON.parse(text.replace(/```json/g, '').replace(/```/g, '').trim());
+        return {
+            subject: cleanAnswer(String(parsed.subject || '')),
+            body: cleanAnswer(String(parsed.body || ''))
+        };
+    } catch (e) {
+        return { subject: '', body: cleanAnswer(text) };
+    }
+}
 
-=== JOB DETAILS ===
-Job Title: ${jobTitle}
-Company: ${jobCompany}
-${jobLocation ? `Location: ${jobLocation}` : ''}
+/**
+ * Build the prompt for shortening an answer or message that is over its character limit
+ * @param {string} text - Text that is too long
+ * @param {number} charLimit
+ * @returns {string}
+ */
+function buildShorteningPrompt(text, charLimit) {
+    return `Shorten the text below to at most ${charLimit} characters including spaces. It is ${text.length} characters now.
+Keep its language, voice and strongest specific points; drop repetition and general statements first. Do not add anything new.
+Respond with only the shortened text.
+
+=== TEXT ===
+${text}`;
+}
 
-Job Description:
-${truncate(jobDescription, 5000)}
+/**
+ * Build the prompt for continuing a letter that hit the token limit
+ * @param {string} prompt - Original prompt
+ * @param {string} draft - Text written so far
+ * @returns {string}
+ */
+function buildContinuationPrompt(prompt, draft) {
+    return `${prompt}
 
-${jobRequirements ? `Requirements:\n${truncate(jobRequirements, 2000)}` : ''}
+=== YOUR DRAFT SO FAR ===
+${draft}
 
-Please write a compelling cover letter for this position.`;
+The draft above was cut off. Continue writing exactly where it stops. Do not repeat any of the existing text and do not start over; output only the continuation.`;
 }
 
 /**
- * Validate API key by making a test request
+ * Join a continuation onto the text before it, dropping any words the model repeated
+ * @param {string} text - Text written so far
+ * @param {string} continuation - Newly generated text
+ * @returns {string}
+ */
+function stitchContinuation(text, continuation) {
+    if (!text) return continuation;
+
+    const maxOverlap = Math.min(text.length, continuation.length, 200);
+    for (let size = maxOverlap; size >= 10; size--) {
+        if (text.endsWith(continuation.slice(0, size))) {
+            return text + continuation.slice(size);
+        }
+    }
+
+    return text + continuation;
+}
+
+/**
+ * Validate API key (or endpoint, for keyless providers) by making a test request
  * @param {string} apiKey - API key to validate
  * @param {string} model - Model to test with
+ * @param {Object} overrides - Optional { provider, baseUrl }
  * @returns {Promise<boolean>}
  */
-export async function validateApiKey(apiKey, model = 'gemini-3-flash-preview') {
+export async function validateApiKey(apiKey, model, overrides = {}) {
     try {
-        const apiUrl = `${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`;
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: 'Hello'
-                    }]
-                }],
-                generationConfig: {
-                    maxOutputTokens: 10
-                }
-            })
-        });
-
-        return response.ok;
+        const { provider, config } = await resolveProvider({ ...overrides, apiKey, model });
+        return await provider.validate(config);
     } catch {
         return false;
     }
 }
 
 /**
- * Get list of available models
- * @returns {Array}
+ * Get the Gemini models to offer in settings
+ * @returns {Promise<Object>} { models, fetchedAt, stale }; models is the built-in list and fetchedAt
+ *   null until refreshModels has succeeded for the current endpoint
  */
-export function getAvailableModels() {
-    return GEMINI_MODELS;
+export async function getAvailableModels() {
+    const { config } = await resolveProvider({ provider: 'gemini' });
+    const catalog = await ModelCatalogModel.get(config.baseUrl);
+
+    return {
+        models: catalog?.models.length ? catalog.models : GEMINI_MODELS,
+        fetchedAt: catalog?.fetchedAt || null,
+        stale: ModelCatalogModel.isStale(catalog)
+    };
 }
 
 /**
- * Parse structured resume data using Gemini API
- * @param {string} resumeText - Raw resume text from PDF/DOCX
- * @returns {Promise<Object>} Structured resume data
+ * Pick a model to use instead of one that is no longer offered
+ * Prefers the provider default, then a model of the same tier (flash, pro), then the first listed.
+ * @param {Array} models - Available models
+ * @param {string} current - Model that disappeared
+ * @param {string} defaultModel - Provider default model id
+ * @returns {string}
  */
-export async function parseResumeWithAI(resumeText) {
-    const apiKey = await SettingsModel.getApiKey();
-    if (!apiKey) {
-        throw new Error('Gemini API key not configured');
-    }
+function pickReplacementModel(models, current, defaultModel) {
+    const tier = (current || '').match(/flash|pro/)?.[0];
+
+    return (models.find(m => m.id === defaultModel) ||
+        (tier && models.find(m => m.id.includes(tier))) ||
+        models[0]).id;
+}
+
+/**
+ * Check the saved model and fallback chain against a model list, replacing models that are gone
+ * @param {Array} models - Available models (an empty list changes nothing)
+ * @param {string} defaultModel - Provider default model id
+ * @returns {Promise<Object>} { replaced: { from, to } or null, removedFallbacks: string[] }
+ */
+async function migrateModelSettings(models, defaultModel) {
+    const migration = { replaced: null, removedFallbacks: [] };
+    if (models.length === 0) return migration;
 
     const settings = await SettingsModel.get();
-    const model = settings.geminiModel || 'gemini-3-flash-preview';
+    const available = new Set(models.map(m => m.id));
+    const changes = {};
+
+    if (!available.has(settings.geminiModel)) {
+        changes.geminiModel = pickReplacementModel(models, settings.geminiModel, defaultModel);
+        migration.replaced = { from: settings.geminiModel, to: changes.geminiModel };
+    }
+
+    const fallbackModels = settings.fallbackModels || [];
+    migration.removedFallbacks = fallbackModels.filter(id => !available.has(id));
+    if (migration.removedFallbacks.length > 0) {
+        changes.fallbackModels = fallbackModels.filter(id => available.has(id));
+    }
+
+    if (Object.keys(changes).length > 0) {
+        await SettingsModel.save(changes);
+    }
+    return migration;
+}
+
+/**
+ * Fetch the models the saved key can use, cache them with their token limits, and migrate
+ * saved settings that name a model which is no longer offered
+ * Only Gemini lists models; other providers take a free-form model name.
+ * @returns {Promise<Object|null>} { models, fetchedAt, replaced, removedFallbacks },
+ *   or null when the active provider can't list models
+ */
+export async function refreshModels() {
+    const { provider, config } = await resolveProvider();
+    if (!provider.listModels) return null;
+
+    if (provider.needsApiKey(config) && !config.apiKey) {
+        throw new AuthError(`${provider.name} API key not configured. Please add your API key in settings.`, {
+            provider: provider.id
+        });
+    }
+
+    let models;
+    try {
+        models = await provider.listModels(config);
+    } catch (error) {
+        throw normalizeError(error, { provider: provider.id });
+    }
 
+    const catalog = await ModelCatalogModel.save(config.baseUrl, models);
+    const migration = await migrateModelSettings(models, provider.defaultModel);
+
+    return { models, fetchedAt: catalog.fetchedAt, ...migration };
+}
+
+/**
+ * Parse structured resume data using the configured AI provider
+ * @param {string} resumeText - Raw resume text from PDF/DOCX
+ * @returns {Promise<Object>} Structured resume data
+ */
+export async function parseResumeWithAI(resumeText) {
     const prompt = `You are an expert resume parser. Extract structured data from the following resume text.
     
     Return ONLY a raw JSON object (no markdown formatting, no backticks) with the following structure:
@@ -231,49 +903,95 @@ export async function parseResumeWithAI(resumeText) {
     }
 
     RESUME TEXT:
-    ${resumeText.slice(0, 15000)} // Limit context window just in case
+    ${buildResumeParseContext(resumeText)}
     `;
 
-    const apiUrl = `${GEMINI_API_BASE}/${model}:generateContent?key=${apiKey}`;
+    const request = {
+        prompt,
+        temperature: 0.1, // Low temperature for factual extraction
+        json: true // Force JSON response
+    };
 
-    const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            contents: [{ parts: [{ text: prompt }] }],
-            generationConfig: {
-                temperature: 0.1, // Low temperature for factual extraction
-                responseMimeType: "application/json" // Force JSON response
+    // Uploading the same resume again reuses the earlier parse
+    try {
+        const { cached, ...parsed } = await runCachedRequest(request, { purpose: 'resume-parse' }, (result) => {
+            if (!result.text) {
+                throw new Error('No data extracted from resume');
             }
-        })
-    });
-
-    if (!response.ok) {
-        throw new Error(`AI Parsing failed: ${response.status}`);
+            return parseJSONAnswer(result, {
+                cutOff: 'The resume data was cut off at the length limit',
+                invalid: 'Failed to parse unstructured resume data'
+            });
+        });
+        return parsed;
+    } catch (error) {
+        throw new Error(`AI Parsing failed: ${error.message}`);
     }
+}
 
-    const data = await response.json();
-    let text = data.candidates?.[0]?.content?.parts?.[0]?.text;
-
-    if (!text) {
-        throw new Error('No data extracted from resume');
-    }
+// Posting text sent for job parsing; longer postings are cut, since the details sit near the top
+const MAX_JOB_PARSE_CHARS = 12000;
 
-    // Clean up potential markdown code blocks if the model ignores the prompt
-    text = text.replace(/```json/g, '').replace(/```/g, '').trim();
+/**
+ * Extract structured job details (requirements, skills, seniority, salary...) using the configured AI provider
+ * @param {Object} job - Job data
+ * @returns {Promise<Object>} See JobParserService.parseJobDetails, with method "ai"
+ */
+export async function parseJobWithAI(job) {
+    const { job: safeJob } = sanitizeJob(job);
+    const posting = [safeJob.description, safeJob.requirements].filter(Boolean).join('\n\n').slice(0, MAX_JOB_PARSE_CHARS);
+
+    const prompt = [
+        `You are an expert recruiter. Extract structured details from the job posting below.
+
+Return ONLY a raw JSON object (no markdown formatting, no backticks) with these fields:
+- responsibilities: what the person will do, one short item each
+- mustHave: required qualifications, one short item each
+- niceToHave: preferred or bonus qualifications, one short item each
+- skills: named skills, tools and technologies
+- seniority, employmentType, remote: one of the allowed values, or "" if the posting doesn't say
+- salary: { min, max, currency, period }, with min 0 if no salary is stated
+
+Keep each item close to the posting's wording. Do not add anything the posting doesn't say.
+
+Job Title: ${safeJob.title || 'Not given'}
+Company: ${safeJob.company || 'Not given'}
+${safeJob.location ? `Location: ${safeJob.location}\n` : ''}
+${fenceUntrusted(posting)}`,
+        buildUntrustedContentNotice()
+    ].join('\n\n');
+
+    const request = {
+        prompt,
+        temperature: 0.1, // Low temperature for factual extraction
+        json: true,
+        schema: JOB_DETAILS_SCHEMA
+    };
 
-    try {
-        return JSON.parse(text);
-    } catch (e) {
-        console.error('Failed to parse AI response:', text);
-        throw new Error('Failed to parse unstructured resume data');
-    }
+    // Parsing the same posting again reuses the earlier result
+    const { cached, ...parsed } = await runCachedRequest(request, { purpose: 'job-parse' }, (result) => parseJSONAnswer(result, {
+        cutOff: 'The job details were cut off at the length limit',
+        invalid: 'The AI did not return valid job details'
+    }));
+    return normalizeJobDetails(parsed, 'ai');
 }
 
 export default {
+    resolveProvider,
+    isConfigured,
     generateCoverLetter,
+    generateCoverLetterVariants,
+    refineCoverLetter,
     parseResumeWithAI,
+    parseJobWithAI,
+    answerQuestion,
+    generateMessage,
+    generateInterviewPrep,
+    tailorResume,
     validateApiKey,
     getAvailableModels,
-    GEMINI_MODELS
+    refreshModels,
+    GEMINI_MODELS,
+    SAFETY_THRESHOLDS,
+    MAX_VARIANTS
 };
@@ -0,0 +1,105 @@
+/**
+ * Answer Service
+ * Helpers for answers to free-text application questions ("Why do you want to work here?"):
+ * reading a character limit out of the question, cleaning up the AI's answer and
+ * keeping it inside the limit the application form enforces
+ */
+
+import { splitSentences } from './GroundingService.js';
+
+// Answers without a character limit aim for this many words
+const DEFAULT_ANSWER_WORDS = { min: 100, max: 200 };
+
+// Average characters per English word, including the space after it
+const CHARS_PER_WORD = 6;
+
+export const MIN_CHAR_LIMIT = 100;
+export const MAX_CHAR_LIMIT = 10000;
+export const MAX_QUESTION_LENGTH = 1000;
+
+/**
+ * Find a character limit stated in the question, e.g. "(max. 500 characters)" or "1,000 character limit"
+ * @param {string} text - Question as shown on the form
+ * @returns {number|null}
+ */
+export function detectCharLimit(text = '') {
+    const match = text.match(/(\d{1,2}(?:[,.]\d{3})|\d{2,5})\s*(?:characters?|chars?)\b/i);
+    if (!match) return null;
+
+    const limit = Number(match[1].replace(/[,.]/g, ''));
+    return limit >= MIN_CHAR_LIMIT && limit <= MAX_CHAR_LIMIT ? limit : null;
+}
+
+/**
+ * Turn a user-entered limit into a number, or null for no limit
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+export function normalizeCharLimit(value) {
+    const limit = Math.round(Number(value));
+    if (!limit) return null;
+    return Math.min(Math.max(limit, MIN_CHAR_LIMIT), MAX_CHAR_LIMIT);
+}
+
+/**
+ * Prompt lines stating the answer length
+ * @param {number|null} charLimit
+ * @returns {string}
+ */
+export function buildAnswerLengthInstructions(charLimit) {
+    if (!charLimit) {
+        return `Keep the answer to ${DEFAULT_ANSWER_WORDS.min}-${DEFAULT_ANSWER_WORDS.max} words unless the question asks for something shorter.`;
+    }
+    const words = Math.floor(charLimit / CHARS_PER_WORD);
+    return `The form accepts at most ${charLimit} characters including spaces, so keep the answer under ${charLimit} characters (about ${words} words).`;
+}
+
+/**
+ * Remove what models tend to wrap answers in: markdown, quotes, an "Answer:" label
+ * @param {string} text - Raw model output
+ * @returns {string}
+ */
+export function cleanAnswer(text = '') {
+    return text
+        .replace(/```\w*/g, '')
+        .replace(/^\s*(?:answer|response)\s*:\s*/i, '')
+        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/^\s*[-*•]\s+/gm, '')
+        .trim()
+        .replace(/^"([\s\S]*)"$/, '$1')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Cut an answer down to the limit, ending on a whole sentence where possible
+ * @param {string} text
+ * @param {number|null} charLimit
+ * @returns {Object} { text, trimmed }
+ */
+export function fitToLimit(text, charLimit) {
+    if (!charLimit || text.length <= charLimit) return { text, trimmed: false };
+
+    const lastSentence = splitSentences(text)
+        .filter(sentence => sentence.end <= charLimit)
+        .pop();
+    if (lastSentence) {
+        return { text: text.slice(0, lastSentence.end).trim(), trimmed: true };
+    }
+
+    // A single sentence longer than the limit: cut at the last word that fits
+    const cut = text.slice(0, charLimit - 1);
+    return { text: `${cut.slice(0, cut.lastIndexOf(' ')).trim()}…`, trimmed: true };
+}
+
+export default {
+    MIN_CHAR_LIMIT,
+    MAX_CHAR_LIMIT,
+    MAX_QUESTION_LENGTH,
+    detectCharLimit,
+    normalizeCharLimit,
+    buildAnswerLengthInstructions,
+    cleanAnswer,
+    fitToLimit
+};
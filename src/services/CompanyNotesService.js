@@ -0,0 +1,102 @@
+/**
+ * Company Notes Service
+ * What the user knows about a company (mission, products, recent news, why they care, and the
+ * "About" text captured from the posting page) and the prompt section it becomes, so letters
+ * and messages can mention something specific about the company.
+ */
+
+import { stripInjections, fenceUntrusted } from './PromptSafetyService.js';
+
+// Note fields in the order they appear in the card and the prompt
+export const NOTE_FIELDS = [
+    { key: 'mission', label: 'Mission', prompt: 'Mission', placeholder: 'e.g. make payments simple for small shops' },
+    { key: 'products', label: 'Products', prompt: 'Products', placeholder: 'e.g. Acme Pay, the Acme POS app' },
+    { key: 'news', label: 'Recent news', prompt: 'Recent news', placeholder: 'e.g. launched in Germany in March' },
+    { key: 'whyCare', label: 'Why you care', prompt: 'Why the candidate cares', placeholder: 'e.g. my parents ran a shop that used them' },
+    { key: 'about', label: 'About (from the posting page)', prompt: 'From the company\'s page', placeholder: 'Click "Capture from Page", or paste it' }
+];
+
+const MAX_NOTE_LENGTH = 1500;
+const MAX_ABOUT_LENGTH = 3000;
+
+// Headings that start a company description in a posting: "About us", "About Acme", "Who we are"
+const ABOUT_HEADING = /^(?:about\s+(?:us|the\s+company|the\s+team|[A-Z][\w&.'-]*(?:\s+[A-Z][\w&.'-]*){0,3})|who\s+we\s+are|our\s+(?:mission|story|company))\s*:?\s*$/i;
+
+// Headings that end it: the role, requirements, benefits and so on
+const NEXT_HEADING = /\b(?:role|job|position|responsibilit\w*|requirements?|qualifications?|you(?:'ll|\s+will|\s+have|\s+are|'re)?|benefits|perks|offer|apply|skills)\b/i;
+
+/**
+ * Clean the notes the user entered or captured: known fields only, trimmed and cut to length
+ * @param {Object} notes - { mission, products, news, whyCare, about }
+ * @returns {Object} Every field of NOTE_FIELDS, '' when empty
+ */
+export function normalizeNotes(notes = {}) {
+    return Object.fromEntries(NOTE_FIELDS.map(({ key }) => {
+        const value = typeof notes[key] === 'string' ? notes[key].trim() : '';
+        return [key, value.substring(0, key === 'about' ? MAX_ABOUT_LENGTH : MAX_NOTE_LENGTH)];
+    }));
+}
+
+/**
+ * Check whether notes have anything in them
+ * @param {Object|null} notes
+ * @returns {boolean}
+ */
+export function hasNotes(notes) {
+    return Boolean(notes) && NOTE_FIELDS.some(({ key }) => (notes[key] || '').trim());
+}
+
+/**
+ * Find the company's own description in a posting ("About us", "Who we are"...)
+ * Used when the page has no separate "About" section to capture.
+ * @param {string} description - Job description text
+ * @returns {string} The section's text, or ''
+ */
+export function extractAboutSection(description = '') {
+    const lines = description.split('\n').map(line => line.trim());
+    const isHeading = (line) => line.length > 0 && line.length < 60 && !/[.!?]$/.test(line);
+    const start = lines.findIndex(line => isHeading(line) && ABOUT_HEADING.test(line) && !NEXT_HEADING.test(line));
+    if (start === -1) return '';
+
+    const section = [];
+    for (const line of lines.slice(start + 1)) {
+        if (isHeading(line) && NEXT_HEADING.test(line)) break;
+        section.push(line);
+    }
+    return section.join('\n').replace(/\n{3,}/g, '\n\n').trim().substring(0, MAX_ABOUT_LENGTH);
+}
+
+// How letters, answers and messages use the notes
+const DEFAULT_NOTES_USE = 'Where it fits naturally, mention one specific point from them (the mission, a product, recent news or why the candidate cares) in your own words; don\'t list them or copy them.';
+
+/**
+ * Prompt section with the company notes
+ * The captured "About" text comes from a web page, so it is cleaned and fenced like the posting.
+ * @param {Object|null} notes - From CompanyNotesModel
+ * @param {string} use - How the prompt should use the notes (default: mention one point in the text)
+ * @returns {string} '' without notes
+ */
+export function buildCompanyNotesSection(notes, use = DEFAULT_NOTES_USE) {
+    if (!hasNotes(notes)) return '';
+
+    const lines = NOTE_FIELDS
+        .filter(({ key }) => (notes[key] || '').trim())
+        .map(({ key, prompt }) => {
+            const text = stripInjections(notes[key].trim()).text;
+            return key === 'about'
+                ? `${prompt}:\n${fenceUntrusted(text)}`
+                : `${prompt}: ${text.replace(/\s+/g, ' ')}`;
+        });
+
+    return `=== ABOUT THE COMPANY ===
+The candidate's notes on the company. ${use}
+${lines.join('\n')}`;
+}
+
+export default {
+    NOTE_FIELDS,
+    normalizeNotes,
+    hasNotes,
+    extractAboutSection,
+    buildCompanyNotesSection
+};
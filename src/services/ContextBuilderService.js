@@ -0,0 +1,380 @@
+/**
+ * Context Builder Service
+ * Chooses which parts of the resume and job posting go into a prompt.
+ * Both are split into small pieces (resume bullets/lines grouped by section,
+ * posting sentences and bullets), scored with TF-IDF cosine similarity, and
+ * packed into a token budget best-first, then put back in document order.
+ * Nothing is dropped when everything fits.
+ */
+
+// Rough tokens-per-character ratio shared by the providers we support
+const CHARS_PER_TOKEN = 4;
+
+export const CONTEXT_BUDGETS = {
+    resume: 2500, // ~10,000 characters
+    job: 1750, // ~7,000 characters, description and requirements together
+    resumeParse: 6000 // Whole-resume parsing, where relevance to a job doesn't apply
+};
+
+// Resume section headings, matched on their own line or in upper case inside flattened PDF text
+const SECTION_HEADINGS = [
+    'professional summary', 'summary', 'profile', 'objective', 'about me',
+    'professional experience', 'work experience', 'work history', 'employment history', 'experience',
+    'technical skills', 'core competencies', 'skills', 'education', 'projects', 'certifications',
+    'licenses', 'awards', 'publications', 'volunteer experience', 'volunteering', 'languages',
+    'interests', 'references'
+];
+
+// How essential each resume section is regardless of the job: sections kept first when a
+// resume has to be cut for parsing, and a small tie-breaker when ranking for relevance
+const SECTION_PRIORITY = {
+    header: 5,
+    experience: 4,
+    education: 4,
+    skills: 4,
+    summary: 3,
+    certifications: 2,
+    projects: 2
+};
+
+// Phrases that mark a posting sentence as a requirement rather than company boilerplate
+const REQUIREMENT_CUES = /\b(?:require|must|should|experience (?:with|in)|proficien|familiar|knowledge of|ability to|years|degree|skills?|responsib|you will|you'll|qualif|plus|preferred)\w*/i;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'for', 'from', 'has',
+    'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'not', 'of',
+    'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this', 'to',
+    'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your',
+    'about', 'all', 'also', 'any', 'more', 'other', 'such', 'than', 'then', 'these', 'those', 'well', 'work'
+]);
+
+/**
+ * Estimate the token count of some text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Security: strip control characters and collapse whitespace within one piece
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanPiece(text) {
+    return text.replace(/[\x00-\x1F\x7F]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split text into lower-case terms, dropping stopwords and plural endings
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[a-z][a-z0-9+#.]*[a-z0-9+#]|[a-z]/g) || [])
+        .filter(term => !STOPWORDS.has(term))
+        .map(term => (term.length > 4 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Map a heading line to a section key
+ * @param {string} line
+ * @returns {string|null} e.g. "experience", or null if the line isn't a heading
+ */
+export function headingSection(line) {
+    const text = line.toLowerCase().replace(/[:\s]+$/, '').trim();
+    if (text.length > 40) return null;
+
+    const heading = SECTION_HEADINGS.find(h => text === h);
+    if (!heading) return null;
+
+    if (heading.includes('experience') || heading.includes('history')) return heading.startsWith('volunteer') ? 'volunteering' : 'experience';
+    if (['professional summary', 'profile', 'objective', 'about me'].includes(heading)) return 'summary';
+    if (['technical skills', 'core competencies'].includes(heading)) return 'skills';
+    if (heading === 'licenses') return 'certifications';
+    return heading;
+}
+
+/**
+ * Break text into lines, putting bullets and (for flattened PDF text) upper-case headings on lines of their own
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+    const headingPattern = new RegExp(`\\s(${SECTION_HEADINGS.map(h => h.toUpperCase()).join('|')})(?=[\\s:])`, 'g');
+
+    return text
+        .replace(/^[ \t]*[-*][ \t]+/gm, '• ')
+        .replace(/\s*[•●▪◦‣■–]\s+/g, '\n• ')
+        .replace(/\s+\*\s+/g, '\n• ')
+        .replace(headingPattern, '\n$1\n')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Split a long line into sentences so a single giant paragraph can still be ranked
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitLongLine(line) {
+    if (line.length <= 300) return [line];
+    // A line of nothing but punctuation has no sentences to match
+    return (line.match(/[^.!?]+(?:[.!?]+(?=\s|$)|$)/g) || [line]).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Split a resume into pieces tagged with their section
+ * @param {Object} resume - Resume data (rawText, or the structured fields when there is no text)
+ * @returns {Array<{section: string, text: string, order: number}>}
+ */
+export function splitResume(resume = {}) {
+    const text = resume.rawText || [
+        resume.summary,
+        ...(resume.experience || []).map(e => `${e.title} at ${e.company} (${e.dates}): ${e.description}`),
+        ...(resume.education || []).map(e => [e.degree, e.school, e.gradYear].filter(Boolean).join(', ')),
+        (resume.skills || []).join(', ')
+    ].filter(Boolean).join('\n');
+
+    const pieces = [];
+    let section = 'header';
+
+    for (const line of toLines(text)) {
+        const heading = headingSection(line.replace(/^•\s*/, ''));
+        if (heading) {
+            section = heading;
+            continue;
+        }
+
+        for (const part of splitLongLine(line)) {
+            const cleaned = cleanPiece(part);
+            if (cleaned) pieces.push({ section, text: cleaned, order: pieces.length });
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * Split a job posting into sentence and bullet pieces
+ * @param {Object} job - Job data
+ * @returns {Array<{section: string, text: string, order: number}>} section is "description" or "requirements"
+ */
+export function splitJob(job = {}) {
+    const pieces = [];
+    // Job boards often repeat the same paragraph (benefits, EEO statements)
+    const seen = new Set();
+
+    for (const section of ['description', 'requirements']) {
+        for (const line of toLines(job[section] || '')) {
+            for (const part of splitLongLine(line)) {
+                const cleaned = cleanPiece(part);
+                if (cleaned && !seen.has(cleaned)) {
+                    seen.add(cleaned);
+                    pieces.push({ section, text: cleaned, order: pieces.length });
+                }
+            }
+        }
+    }
+
+    return pieces;
+}
+
+/**
+ * Build TF-IDF vectors for a set of documents
+ * @param {string[]} documents
+ * @returns {Object} { vectorize(text) => Map } using IDF learned from the documents
+ */
+function buildTfIdf(documents) {
+    const documentFrequency = new Map();
+    for (const document of documents) {
+        for (const term of new Set(tokenize(document))) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+    }
+
+    const count = documents.length;
+    const idf = (term) => Math.log((count + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+
+    return {
+        vectorize(text) {
+            const counts = new Map();
+            for (const term of tokenize(text)) {
+                counts.set(term, (counts.get(term) || 0) + 1);
+            }
+
+            const vector = new Map();
+            for (const [term, frequency] of counts) {
+                vector.set(term, (1 + Math.log(frequency)) * idf(term));
+            }
+            return vector;
+        }
+    };
+}
+
+/**
+ * Cosine similarity between two sparse vectors
+ * @param {Map} a
+ * @param {Map} b
+ * @returns {number} 0..1
+ */
+function cosine(a, b) {
+    let dot = 0;
+    for (const [term, weight] of a) {
+        if (b.has(term)) dot += weight * b.get(term);
+    }
+
+    const norm = (vector) => Math.sqrt([...vector.values()].reduce((sum, weight) => sum + weight * weight, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator ? dot / denominator : 0;
+}
+
+/**
+ * Pack scored pieces into a token budget, best first, and restore document order
+ * @param {Array} pieces - [{ section, text, order, score }]
+ * @param {number} budget - Token budget
+ * @returns {Object} { included, excluded, usedTokens, budget }
+ */
+function fillBudget(pieces, budget) {
+    const withTokens = pieces.map(piece => ({ ...piece, tokens: estimateTokens(piece.text) + 1 }));
+    const total = withTokens.reduce((sum, piece) => sum + piece.tokens, 0);
+
+    const chosen = new Set();
+    let usedTokens = 0;
+
+    if (total <= budget) {
+        withTokens.forEach(piece => chosen.add(piece));
+        usedTokens = total;
+    } else {
+        // Ties keep the earlier piece, so equally relevant content reads in order
+        const ranked = [...withTokens].sort((a, b) => b.score - a.score || a.order - b.order);
+        for (const piece of ranked) {
+            if (usedTokens + piece.tokens <= budget) {
+                chosen.add(piece);
+                usedTokens += piece.tokens;
+            }
+        }
+    }
+
+    return {
+        included: withTokens.filter(piece => chosen.has(piece)),
+        excluded: withTokens.filter(piece => !chosen.has(piece)),
+        usedTokens,
+        budget
+    };
+}
+
+/**
+ * Join included pieces back into text, one piece per line, with section headings
+ * @param {Array} pieces - Included pieces in document order
+ * @param {boolean} withHeadings - Whether to label sections
+ * @returns {string}
+ */
+function joinPieces(pieces, withHeadings) {
+    const lines = [];
+    let section = null;
+
+    for (const piece of pieces) {
+        if (withHeadings && piece.section !== section && piece.section !== 'header') {
+            lines.push(`[${piece.section.toUpperCase()}]`);
+        }
+        section = piece.section;
+        lines.push(piece.text);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Select the resume and job content most relevant to each other within the token budgets
+ * Resume pieces are ranked by similarity to the job; job pieces by similarity to the resume,
+ * with a boost for requirement-like sentences so company boilerplate goes first.
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} budgets - Optional { resume, job } token budgets
+ * @returns {Object} { resumeText, description, requirements, resume: report, job: report }
+ *   where each report is { included, excluded, usedTokens, budget }
+ */
+export function buildGenerationContext(resume = {}, job = {}, budgets = {}) {
+    const resumePieces = splitResume(resume);
+    const jobPieces = splitJob(job);
+
+    const tfidf = buildTfIdf([...resumePieces, ...jobPieces].map(piece => piece.text));
+    const jobVector = tfidf.vectorize(jobPieces.map(piece => piece.text).join(' '));
+    const resumeVector = tfidf.vectorize(resumePieces.map(piece => piece.text).join(' ') + ' ' + (resume.skills || []).join(' '));
+
+    const scoredResume = resumePieces.map(piece => ({
+        ...piece,
+        // Core sections, and role lines that give bullets their context, are worth a little even with no keyword overlap
+        score: cosine(tfidf.vectorize(piece.text), jobVector) +
+            (SECTION_PRIORITY[piece.section] ?? 1) * 0.01 +
+            (piece.section === 'experience' && !piece.text.startsWith('•') ? 0.1 : 0)
+    }));
+
+    const scoredJob = jobPieces.map(piece => ({
+        ...piece,
+        score: cosine(tfidf.vectorize(piece.text), resumeVector) +
+            (piece.section === 'requirements' || REQUIREMENT_CUES.test(piece.text) ? 0.15 : 0)
+    }));
+
+    const resumeReport = fillBudget(scoredResume, budgets.resume ?? CONTEXT_BUDGETS.resume);
+    const jobReport = fillBudget(scoredJob, budgets.job ?? CONTEXT_BUDGETS.job);
+
+    return {
+        resumeText: joinPieces(resumeReport.included, true),
+        description: joinPieces(jobReport.included.filter(piece => piece.section === 'description'), false),
+        requirements: joinPieces(jobReport.included.filter(piece => piece.section === 'requirements'), false),
+        resume: resumeReport,
+        job: jobReport
+    };
+}
+
+/**
+ * Fit a whole resume into the parsing budget, dropping the least essential sections first
+ * @param {string} rawText - Resume text
+ * @param {number} budget - Token budget (default CONTEXT_BUDGETS.resumeParse)
+ * @returns {string}
+ */
+export function buildResumeParseContext(rawText, budget = CONTEXT_BUDGETS.resumeParse) {
+    const pieces = splitResume({ rawText }).map(piece => ({
+        ...piece,
+        score: SECTION_PRIORITY[piece.section] ?? 1
+    }));
+
+    return joinPieces(fillBudget(pieces, budget).included, true);
+}
+
+/**
+ * Describe what a context build included and left out, for the debug view
+ * @param {Object} context - From buildGenerationContext
+ * @returns {string}
+ */
+export function formatContextReport(context) {
+    const describe = (label, report) => {
+        const lines = [`${label}: ${report.usedTokens}/${report.budget} tokens, ${report.included.length} of ${report.included.length + report.excluded.length} pieces`];
+        const all = [...report.included.map(piece => ({ ...piece, kept: true })), ...report.excluded]
+            .sort((a, b) => a.order - b.order);
+
+        for (const piece of all) {
+            const preview = piece.text.length > 80 ? `${piece.text.slice(0, 80)}...` : piece.text;
+            lines.push(`${piece.kept ? '+' : '-'} [${piece.section}] ${piece.score.toFixed(2)} ${preview}`);
+        }
+        return lines.join('\n');
+    };
+
+    return `${describe('Resume', context.resume)}\n\n${describe('Job', context.job)}`;
+}
+
+export default {
+    CONTEXT_BUDGETS,
+    estimateTokens,
+    tokenize,
+    headingSection,
+    splitResume,
+    splitJob,
+    buildGenerationContext,
+    buildResumeParseContext,
+    formatContextReport
+};
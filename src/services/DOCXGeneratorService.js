@@ -1,22 +1,39 @@
 /**
  * DOCX Generator Service
- * Uses docx.js to create formatted cover letter documents
+ * Uses docx.js to create formatted cover letter, resume and interview prep documents
  * 
  * NOTE: The docx library must be loaded via script tag in popup.html
  * before this service is used. It exposes the global 'docx' object.
  */
 
+// US Letter page size, in twips (1/1440 inch); written to every document so the page fit is
+// estimated for the page that is exported
+const PAGE_WIDTH = 12240;
+const PAGE_HEIGHT = 15840;
+
+// Font sizes are in half-points (22 = 11pt), margins in twips; spacing multiplies the
+// space before/after paragraphs
+export const DEFAULT_LAYOUT = { name: 'standard', fontSize: 22, nameSize: 28, margin: 1440, spacing: 1 };
+
+// Tried in order when the letter doesn't fit on one page with the default layout
+const TIGHTER_LAYOUTS = [
+    { name: 'tight spacing', fontSize: 22, nameSize: 28, margin: 1080, spacing: 0.6 },
+    { name: 'compact', fontSize: 21, nameSize: 26, margin: 1080, spacing: 0.5 },
+    { name: 'narrow margins', fontSize: 20, nameSize: 24, margin: 720, spacing: 0.4 }
+];
+
+// Average character width and line height relative to the font size, for typical body fonts
+const CHAR_WIDTH_RATIO = 0.5;
+const LINE_HEIGHT_RATIO = 1.2;
+
 /**
- * Generate a formatted cover letter DOCX
- * @param {Object} options - Cover letter options
- * @returns {Promise<Blob>} DOCX file as Blob
+ * Lay out the letter as a list of paragraphs, independent of docx.js
+ * Shared by the document builder and the page estimate so both see the same content.
+ * @param {Object} options - Cover letter options (see generateCoverLetterDOCX)
+ * @param {Object} layout - Layout (see DEFAULT_LAYOUT)
+ * @returns {Array<{text: string, size: number, before: number, after: number, bold: boolean, color: string, justified: boolean}>}
  */
-export async function generateCoverLetterDOCX(options) {
-    // Check if docx library is available (loaded via script tag)
-    if (typeof window.docx === 'undefined') {
-        throw new Error('DOCX library not loaded. Please reload the extension.');
-    }
-
+function buildBlocks(options, layout) {
     const {
         applicantName = '',
         applicantEmail = '',
@@ -24,152 +41,155 @@ export async function generateCoverLetterDOCX(options) {
         applicantAddress = '',
         companyName = '',
         hiringManagerName = 'Hiring Manager',
-        jobTitle = '',
         coverLetterBody = '',
-        includeDate = true
+        recipient = '',
+        salutation = `Dear ${hiringManagerName},`,
+        paragraphs = coverLetterBody.split('\n\n'),
+        closing = 'Sincerely,',
+        postscript = '',
+        includeDate = true,
+        locale = 'en-US'
     } = options;
 
-    // Get constructors from global docx object
-    const { Document, Paragraph, TextRun, AlignmentType, Packer } = window.docx;
-
-    const today = new Date().toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-
-    const children = [];
+    const size = layout.fontSize;
+    const space = (twips) => Math.round(twips * layout.spacing);
+    const block = (text, extra = {}) => ({ text, size, before: 0, after: 0, bold: false, color: '', justified: false, ...extra });
+    const blocks = [];
 
     // Applicant header
     if (applicantName) {
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({
-                        text: applicantName,
-                        bold: true,
-                        size: 28
-                    })
-                ],
-                alignment: AlignmentType.LEFT
-            })
-        );
+        blocks.push(block(applicantName, { size: layout.nameSize, bold: true }));
     }
 
     // Contact info
     const contactParts = [applicantEmail, applicantPhone, applicantAddress].filter(Boolean);
     if (contactParts.length > 0) {
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({
-                        text: contactParts.join(' | '),
-                        size: 22,
-                        color: '666666'
-                    })
-                ],
-                spacing: { after: 200 }
-            })
-        );
+        blocks.push(block(contactParts.join(' | '), { color: '666666', after: space(200) }));
     }
 
     // Date
     if (includeDate) {
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({
-                        text: today,
-                        size: 22
-                    })
-                ],
-                spacing: { before: 300, after: 200 }
-            })
-        );
+        const today = new Date().toLocaleDateString(locale, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+        blocks.push(block(today, { before: space(300), after: space(200) }));
     }
 
-    // Company/recipient
-    if (companyName) {
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({
-                        text: companyName,
-                        size: 22
-                    })
-                ]
-            })
-        );
-    }
+    // Recipient and company
+    if (recipient) blocks.push(block(recipient));
+    if (companyName) blocks.push(block(companyName));
 
     // Greeting
-    children.push(
-        new Paragraph({
-            children: [
-                new TextRun({
-                    text: `Dear ${hiringManagerName},`,
-                    size: 22
-                })
-            ],
-            spacing: { before: 300, after: 200 }
-        })
-    );
+    blocks.push(block(salutation, { before: space(300), after: space(200) }));
 
     // Body paragraphs
-    const paragraphs = coverLetterBody.split('\n\n').filter(p => p.trim());
-    paragraphs.forEach(para => {
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({
-                        text: para.trim(),
-                        size: 22
-                    })
-                ],
-                spacing: { after: 200 },
-                alignment: AlignmentType.JUSTIFIED
-            })
-        );
+    paragraphs.filter(p => p.trim()).forEach(para => {
+        blocks.push(block(para.trim(), { after: space(200), justified: true }));
     });
 
-    // Closing
-    children.push(
-        new Paragraph({
-            children: [
-                new TextRun({
-                    text: 'Sincerely,',
-                    size: 22
-                })
-            ],
-            spacing: { before: 300 }
-        })
-    );
-
-    // Signature
+    // Closing and signature
+    blocks.push(block(closing, { before: space(300) }));
     if (applicantName) {
-        children.push(
-            new Paragraph({
-                children: [
-                    new TextRun({
-                        text: applicantName,
-                        size: 22
-                    })
-                ],
-                spacing: { before: 400 }
-            })
-        );
+        blocks.push(block(applicantName, { before: space(400) }));
+    }
+
+    // Postscript
+    if (postscript) {
+        blocks.push(block(`P.S. ${postscript}`, { before: space(400) }));
+    }
+
+    return blocks;
+}
+
+/**
+ * Estimate how many pages the letter fills, from font size, margins and spacing
+ * An approximation (no font metrics are available), erring slightly towards more pages.
+ * @param {Object} options - Cover letter options (see generateCoverLetterDOCX)
+ * @param {Object} layout - Layout to estimate with (default DEFAULT_LAYOUT)
+ * @returns {number} Pages filled, e.g. 0.8 or 1.3
+ */
+export function estimatePages(options, layout = DEFAULT_LAYOUT) {
+    const textWidth = PAGE_WIDTH - 2 * layout.margin;
+    const textHeight = PAGE_HEIGHT - 2 * layout.margin;
+
+    const height = buildBlocks(options, layout).reduce((total, block) => {
+        // Half-points to twips: x10
+        const charWidth = block.size * 10 * CHAR_WIDTH_RATIO;
+        const lineHeight = block.size * 10 * LINE_HEIGHT_RATIO;
+        const lines = Math.max(1, Math.ceil((block.text.length * charWidth) / textWidth));
+        return total + block.before + lines * lineHeight + block.after;
+    }, 0);
+
+    return height / textHeight;
+}
+
+/**
+ * Pick the most spacious layout that keeps the letter on one page
+ * @param {Object} options - Cover letter options (see generateCoverLetterDOCX)
+ * @returns {Object} { layout, pages, fits } - the tightest layout and its estimate when nothing fits
+ */
+export function fitLayout(options) {
+    let pages = 0;
+    for (const layout of [DEFAULT_LAYOUT, ...TIGHTER_LAYOUTS]) {
+        pages = estimatePages(options, layout);
+        if (pages <= 1) {
+            return { layout, pages, fits: true };
+        }
     }
 
+    return { layout: TIGHTER_LAYOUTS[TIGHTER_LAYOUTS.length - 1], pages, fits: false };
+}
+
+/**
+ * Generate a formatted cover letter DOCX
+ * Pass the structured letter fields (salutation, recipient, paragraphs, closing, postscript)
+ * to lay them out directly; coverLetterBody split on blank lines is used when paragraphs is absent.
+ * @param {Object} options - Cover letter options, plus layout (see DEFAULT_LAYOUT; fitLayout picks one)
+ *   and locale for the date (e.g. "de-DE"; default "en-US")
+ * @returns {Promise<Blob>} DOCX file as Blob
+ */
+export async function generateCoverLetterDOCX(options) {
+    // Check if docx library is available (loaded via script tag)
+    if (typeof window.docx === 'undefined') {
+        throw new Error('DOCX library not loaded. Please reload the extension.');
+    }
+
+    const layout = options.layout || DEFAULT_LAYOUT;
+
+    // Get constructors from global docx object
+    const { Document, Paragraph, TextRun, AlignmentType, Packer } = window.docx;
+
+    const children = buildBlocks(options, layout).map(block => new Paragraph({
+        children: [
+            new TextRun({
+                text: block.text,
+                size: block.size,
+                ...(block.bold && { bold: true }),
+                ...(block.color && { color: block.color })
+            })
+        ],
+        ...((block.before || block.after) && {
+            spacing: {
+                ...(block.before && { before: block.before }),
+                ...(block.after && { after: block.after })
+            }
+        }),
+        ...(block.justified && { alignment: AlignmentType.JUSTIFIED })
+    }));
+
     // Create document
     const doc = new Document({
         sections: [{
             properties: {
                 page: {
+                    size: { width: PAGE_WIDTH, height: PAGE_HEIGHT },
                     margin: {
-                        top: 1440,    // 1 inch
-                        right: 1440,
-                        bottom: 1440,
-                        left: 1440
+                        top: layout.margin,
+                        right: layout.margin,
+                        bottom: layout.margin,
+                        left: layout.margin
                     }
                 }
             },
@@ -182,6 +202,171 @@ export async function generateCoverLetterDOCX(options) {
     return blob;
 }
 
+/**
+ * Generate a plain, single-column resume DOCX: name and contact line, summary, experience
+ * with bullets, skills and education
+ * @param {Object} resume - Resume data with bullets (string[]) on each experience entry
+ *   (see ResumeTailorService.applyTailoring)
+ * @returns {Promise<Blob>} DOCX file as Blob
+ */
+export async function generateResumeDOCX(resume) {
+    if (typeof window.docx === 'undefined') {
+        throw new Error('DOCX library not loaded. Please reload the extension.');
+    }
+
+    const { Document, Paragraph, TextRun, AlignmentType, BorderStyle, Packer } = window.docx;
+    const size = DEFAULT_LAYOUT.fontSize;
+
+    const heading = (value) => new Paragraph({
+        spacing: { before: 240, after: 100 },
+        border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '999999', space: 2 } },
+        children: [new TextRun({ text: value.toUpperCase(), size, bold: true })]
+    });
+
+    const contact = [resume.email, resume.phone, resume.address].filter(Boolean).join('  |  ');
+    const children = [
+        new Paragraph({
+            alignment: AlignmentType.CENTER,
+            children: [new TextRun({ text: resume.name || '', size: 36, bold: true })]
+        }),
+        ...(contact ? [new Paragraph({
+            alignment: AlignmentType.CENTER,
+            spacing: { after: 120 },
+            children: [new TextRun({ text: contact, size, color: '555555' })]
+        })] : [])
+    ];
+
+    if (resume.summary) {
+        children.push(heading('Summary'), new Paragraph({ children: [new TextRun({ text: resume.summary, size })] }));
+    }
+
+    const experience = resume.experience || [];
+    if (experience.length > 0) {
+        children.push(heading('Experience'));
+        experience.forEach(entry => {
+            children.push(new Paragraph({
+                spacing: { before: 120, after: 60 },
+                children: [
+                    new TextRun({ text: [entry.title, entry.company].filter(Boolean).join(', '), size, bold: true }),
+                    ...(entry.dates ? [new TextRun({ text: `  ${entry.dates}`, size, color: '555555' })] : [])
+                ]
+            }));
+            (entry.bullets || []).forEach(bullet => children.push(new Paragraph({
+                bullet: { level: 0 },
+                spacing: { after: 40 },
+                children: [new TextRun({ text: bullet, size })]
+            })));
+        });
+    }
+
+    if ((resume.skills || []).length > 0) {
+        children.push(heading('Skills'), new Paragraph({ children: [new TextRun({ text: resume.skills.join(', '), size })] }));
+    }
+
+    const education = resume.education || [];
+    if (education.length > 0) {
+        children.push(heading('Education'));
+        education.forEach(entry => children.push(new Paragraph({
+            spacing: { after: 60 },
+            children: [
+                new TextRun({ text: [entry.degree, entry.school].filter(Boolean).join(', '), size }),
+                ...(entry.gradYear ? [new TextRun({ text: `  ${entry.gradYear}`, size, color: '555555' })] : [])
+            ]
+        })));
+    }
+
+    const doc = new Document({
+        sections: [{
+            properties: {
+                page: {
+                    size: { width: PAGE_WIDTH, height: PAGE_HEIGHT },
+                    margin: {
+                        top: DEFAULT_LAYOUT.margin,
+                        right: DEFAULT_LAYOUT.margin,
+                        bottom: DEFAULT_LAYOUT.margin,
+                        left: DEFAULT_LAYOUT.margin
+                    }
+                }
+            },
+            children
+        }]
+    });
+
+    return await Packer.toBlob(doc);
+}
+
+/**
+ * Generate an interview prep pack DOCX: one heading per section, questions as bullets
+ * and STAR outlines as a heading with one paragraph per part
+ * @param {Object} pack - Prep pack (see InterviewPrepService.normalizePrepPack)
+ * @param {Object} details - { applicantName, jobTitle, companyName }
+ * @returns {Promise<Blob>} DOCX file as Blob
+ */
+export async function generateInterviewPrepDOCX(pack, details = {}) {
+    if (typeof window.docx === 'undefined') {
+        throw new Error('DOCX library not loaded. Please reload the extension.');
+    }
+
+    const { Document, Paragraph, TextRun, HeadingLevel, Packer } = window.docx;
+    const size = DEFAULT_LAYOUT.fontSize;
+
+    const text = (value, extra = {}) => new TextRun({ text: value, size, ...extra });
+    const heading = (value) => new Paragraph({ text: value, heading: HeadingLevel.HEADING_2, spacing: { before: 240, after: 120 } });
+    const bullet = (value, note) => new Paragraph({
+        bullet: { level: 0 },
+        spacing: { after: 80 },
+        children: [text(value), ...(note ? [text(` (${note})`, { italics: true, color: '555555' })] : [])]
+    });
+
+    const role = [details.jobTitle, details.companyName].filter(Boolean).join(' at ');
+    const children = [
+        new Paragraph({ text: 'Interview Prep', heading: HeadingLevel.HEADING_1 }),
+        ...(role || details.applicantName ? [new Paragraph({
+            spacing: { after: 240 },
+            children: [text([role, details.applicantName].filter(Boolean).join(' - '), { color: '555555' })]
+        })] : [])
+    ];
+
+    const sections = [
+        ['Technical Questions', pack.technicalQuestions.map(item => bullet(item.question, item.focus))],
+        ['Behavioral Questions', pack.behavioralQuestions.map(item => bullet(item.question, item.focus))],
+        ['STAR Answer Outlines', pack.starAnswers.flatMap(item => [
+            new Paragraph({ text: item.question, heading: HeadingLevel.HEADING_3, spacing: { before: 200, after: 80 } }),
+            ...(item.experience ? [new Paragraph({ children: [text(item.experience, { italics: true, color: '555555' })], spacing: { after: 80 } })] : []),
+            ...[['Situation', item.situation], ['Task', item.task], ['Action', item.action], ['Result', item.result]]
+                .map(([label, value]) => new Paragraph({
+                    spacing: { after: 60 },
+                    children: [text(`${label}: `, { bold: true }), text(value)]
+                }))
+        ])],
+        ['Questions to Ask', pack.questionsToAsk.map(question => bullet(question))],
+        ['Weak Spots', pack.weakSpots.map(item => bullet(item.requirement, item.advice))]
+    ];
+
+    sections
+        .filter(([, paragraphs]) => paragraphs.length > 0)
+        .forEach(([title, paragraphs]) => children.push(heading(title), ...paragraphs));
+
+    const doc = new Document({
+        sections: [{
+            properties: {
+                page: {
+                    size: { width: PAGE_WIDTH, height: PAGE_HEIGHT },
+                    margin: {
+                        top: DEFAULT_LAYOUT.margin,
+                        right: DEFAULT_LAYOUT.margin,
+                        bottom: DEFAULT_LAYOUT.margin,
+                        left: DEFAULT_LAYOUT.margin
+                    }
+                }
+            },
+            children
+        }]
+    });
+
+    return await Packer.toBlob(doc);
+}
+
 /**
  * Download cover letter as DOCX file
  * @param {Blob} blob - DOCX blob
@@ -210,7 +395,12 @@ export async function generateAndDownload(options, filename) {
 }
 
 export default {
+    DEFAULT_LAYOUT,
+    estimatePages,
+    fitLayout,
     generateCoverLetterDOCX,
+    generateResumeDOCX,
+    generateInterviewPrepDOCX,
     downloadDOCX,
     generateAndDownload
 };
@@ -0,0 +1,160 @@
+/**
+ * Document Type Service
+ * The short messages CoverAI writes besides cover letters: what each is for, the prompt
+ * instructions and length limit that go with it, and the extra details the user fills in
+ * (like interviewer names for a thank-you email)
+ */
+
+// Cover letters use their own pipeline (templates, letter structure, DOCX); the rest are messages
+export const COVER_LETTER_TYPE = 'cover-letter';
+
+// JSON the messages come back as; subject is "" for types without one
+export const MESSAGE_SCHEMA = {
+    type: 'object',
+    properties: {
+        subject: { type: 'string' },
+        body: { type: 'string' }
+    },
+    required: ['subject', 'body']
+};
+
+/**
+ * Document types offered on the generate step. Each message type has either a hard character
+ * limit (maxChars, e.g. LinkedIn's note limit) or a word range; fields label the recipient
+ * and notes inputs, and mark the ones the message can't be written without.
+ */
+export const DOCUMENT_TYPES = [
+    {
+        id: COVER_LETTER_TYPE,
+        name: 'Cover letter'
+    },
+    {
+        id: 'linkedin-note',
+        name: 'LinkedIn connection note',
+        fileName: 'LinkedIn_Note',
+        task: 'Write a LinkedIn connection request note to someone at the company: a recruiter, the hiring manager or a future teammate.',
+        rules: [
+            'Say who the candidate is and which role they are interested in, with one specific reason they fit',
+            'No greeting line beyond the first name if one is given, and no sign-off: LinkedIn shows the sender',
+            'Do not ask for a job directly; ask to connect'
+        ],
+        maxChars: 300,
+        subject: false,
+        fields: {
+            recipient: { label: 'Their name and role (optional)', placeholder: 'e.g. Priya Shah, Engineering Manager' },
+            notes: { label: 'Why you are reaching out (optional)', placeholder: 'e.g. saw their talk on data pipelines' }
+        }
+    },
+    {
+        id: 'cold-email',
+        name: 'Recruiter cold email',
+        fileName: 'Recruiter_Email',
+        task: 'Write a short cold email to a recruiter at the company about the role.',
+        rules: [
+            'Open with the role and why the candidate is writing, not with pleasantries',
+            'Give two or three concrete reasons the candidate fits, from the resume',
+            'End by asking for a short call or the next step, then sign off with the candidate\'s name'
+        ],
+        words: { min: 90, max: 150 },
+        subject: true,
+        fields: {
+            recipient: { label: 'Recruiter name (optional)', placeholder: 'e.g. Jordan Lee' },
+            notes: { label: 'Anything to mention (optional)', placeholder: 'e.g. applied on the careers page on Monday' }
+        }
+    },
+    {
+        id: 'referral-request',
+        name: 'Referral request',
+        fileName: 'Referral_Request',
+        task: 'Write a message asking a contact at the company to refer the candidate for the role.',
+        rules: [
+            'Mention how the candidate knows the contact if the notes say so; otherwise keep it polite and direct',
+            'Summarize in two or three sentences why the candidate fits, so the contact can pass it on',
+            'Make it easy to say no, offer to send the resume, and sign off with the candidate\'s name'
+        ],
+        words: { min: 90, max: 160 },
+        subject: true,
+        fields: {
+            recipient: { label: 'Contact name (optional)', placeholder: 'e.g. Sam Ortiz' },
+            notes: { label: 'How you know them (optional)', placeholder: 'e.g. we worked together at Globex in 2021' }
+        }
+    },
+    {
+        id: 'thank-you',
+        name: 'Thank-you email',
+        fileName: 'Thank_You_Email',
+        task: 'Write a thank-you email to send after a job interview.',
+        rules: [
+            'Thank the interviewers by name for their time',
+            'Refer to one or two of the topics discussed, and connect them to something real from the resume',
+            'Restate interest in the role briefly, then sign off with the candidate\'s name'
+        ],
+        words: { min: 100, max: 180 },
+        subject: true,
+        fields: {
+            recipient: { label: 'Interviewer names', placeholder: 'e.g. Jordan Lee, Sam Ortiz', required: true },
+            notes: { label: 'Topics discussed', placeholder: 'e.g. the migration to Kafka, on-call rotation', required: true }
+        }
+    }
+];
+
+/**
+ * Look up a document type
+ * @param {string} id
+ * @returns {Object} Falls back to the cover letter
+ */
+export function getDocumentType(id) {
+    return DOCUMENT_TYPES.find(type => type.id === id) || DOCUMENT_TYPES[0];
+}
+
+/**
+ * Describe the length limit of a message type, e.g. "at most 300 characters" or "90-150 words"
+ * @param {Object} type - From DOCUMENT_TYPES
+ * @returns {string}
+ */
+export function describeLimit(type) {
+    if (type.maxChars) return `at most ${type.maxChars} characters`;
+    return type.words ? `${type.words.min}-${type.words.max} words` : '';
+}
+
+/**
+ * Prompt section with the output format and length of a message type
+ * @param {Object} type - From DOCUMENT_TYPES
+ * @param {Object} language - From LanguageService.getLanguage
+ * @returns {string}
+ */
+export function buildMessageFormatInstructions(type, language) {
+    const length = type.maxChars
+        ? `The body must be at most ${type.maxChars} characters including spaces; this is a hard limit of the site.`
+        : `The body must be ${type.words.min}-${type.words.max} words long.`;
+
+    return `=== OUTPUT FORMAT ===
+Respond with only a JSON object with these fields:
+- "subject": ${type.subject ? 'a short, specific email subject line' : '"" (this message has no subject)'}
+- "body": the message as plain text, paragraphs separated by blank lines, without markdown
+Write both fields in ${language.name}, even if the resume is in another language.
+${length}`;
+}
+
+/**
+ * Check the details the user entered for a message type
+ * @param {Object} type - From DOCUMENT_TYPES
+ * @param {Object} details - { recipient, notes }
+ * @returns {string|null} What is missing, or null
+ */
+export function findMissingDetails(type, details = {}) {
+    const missing = Object.entries(type.fields || {})
+        .filter(([key, field]) => field.required && !(details[key] || '').trim())
+        .map(([, field]) => field.label.toLowerCase());
+    return missing.length > 0 ? `Enter the ${missing.join(' and ')} first.` : null;
+}
+
+export default {
+    COVER_LETTER_TYPE,
+    DOCUMENT_TYPES,
+    MESSAGE_SCHEMA,
+    getDocumentType,
+    describeLimit,
+    buildMessageFormatInstructions,
+    findMissingDetails
+};
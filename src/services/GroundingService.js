@@ -0,0 +1,278 @@
+/**
+ * Grounding Service
+ * Checks a generated letter against the resume: extracts factual claims
+ * (employers, titles, years, metrics, skills) sentence by sentence and
+ * flags the ones the resume doesn't back up.
+ *
+ * This is a heuristic pass, not proof: a flagged claim means "not found in
+ * your resume", which is exactly what the user should double-check before
+ * sending the letter.
+ */
+
+// Words that end a job title ("Senior Data Engineer", "Product Manager")
+const TITLE_NOUNS = [
+    'engineer', 'developer', 'programmer', 'architect', 'manager', 'director', 'analyst', 'designer',
+    'scientist', 'researcher', 'consultant', 'specialist', 'coordinator', 'administrator', 'lead',
+    'officer', 'associate', 'assistant', 'technician', 'strategist', 'intern', 'president', 'head',
+    'owner', 'representative', 'accountant', 'editor', 'writer', 'teacher', 'nurse'
+];
+
+// Skills recognized even when written in lower case (words with everyday meanings, like
+// "go", "excel" or "spring", are left out to avoid flagging ordinary sentences)
+export const COMMON_SKILLS = [
+    'python', 'java', 'javascript', 'typescript', 'golang', 'ruby', 'php', 'kotlin', 'scala', 'sql',
+    'nosql', 'html', 'css', 'react', 'angular', 'vue', 'node.js', 'django', 'flask', 'graphql',
+    'docker', 'kubernetes', 'terraform', 'ansible', 'jenkins', 'aws', 'azure', 'gcp', 'linux',
+    'postgresql', 'mysql', 'mongodb', 'redis', 'kafka', 'hadoop', 'airflow', 'tableau', 'salesforce',
+    'figma', 'jira', 'scrum', 'machine learning', 'deep learning', 'tensorflow', 'pytorch', 'pandas',
+    'seo', 'hubspot'
+];
+
+// All-caps words that are not skills
+const IGNORED_ACRONYMS = new Set(['I', 'US', 'USA', 'UK', 'EU', 'EEO', 'HR', 'CEO', 'CTO', 'CFO', 'PS', 'OK', 'AM', 'PM', 'ET', 'PT']);
+
+const NUMBER_WORDS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20
+};
+
+/**
+ * Lower-case text and reduce it to space-separated tokens for containment checks
+ * Keeps + # . inside tokens so C++, C# and Node.js survive.
+ * @param {string} text
+ * @returns {string} Padded with spaces so ` term ` matches whole words
+ */
+export function normalizeForMatch(text) {
+    const normalized = (text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9+#.]+/g, ' ')
+        .replace(/\.(?=\s|$)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return ` ${normalized} `;
+}
+
+/**
+ * Reduce a number as written ("$1,200", "40%", "2.5M") to its digits ("1200", "40", "2.5")
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeNumber(value) {
+    const number = parseFloat(value.replace(/[^0-9.]/g, ''));
+    return Number.isNaN(number) ? '' : String(number);
+}
+
+/**
+ * Split text into sentences, keeping their positions
+ * @param {string} text
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+export function splitSentences(text) {
+    const sentences = [];
+    const boundary = /[.!?]+(?=\s|$)|\n/g;
+    let start = 0;
+    let match;
+
+    const push = (end) => {
+        const raw = text.slice(start, end);
+        const leading = raw.length - raw.trimStart().length;
+        const trimmed = raw.trim();
+        if (trimmed) {
+            sentences.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+        }
+    };
+
+    while ((match = boundary.exec(text)) !== null) {
+        push(match.index + match[0].length);
+        start = match.index + match[0].length;
+    }
+    push(text.length);
+
+    return sentences;
+}
+
+/**
+ * Collect everything the resume says, ready for matching
+ * @param {Object} resume - Resume data
+ * @returns {Object} { text, numbers, experienceYears }
+ */
+export function buildEvidence(resume = {}) {
+    const parts = [
+        resume.rawText,
+        resume.summary,
+        (resume.skills || []).join(', '),
+        ...(resume.experience || []).map(e => [e.title, e.company, e.dates, e.description].join(' ')),
+        ...(resume.education || []).map(e => [e.degree, e.school, e.gradYear].join(' '))
+    ].filter(Boolean).join('\n');
+
+    const numbers = new Set((parts.match(/\d[\d,]*(?:\.\d+)?/g) || []).map(normalizeNumber));
+
+    // Career span from the earliest year mentioned to the latest (or today, for "Present")
+    const years = (parts.match(/\b(?:19[5-9]\d|20\d\d)\b/g) || []).map(Number);
+    if (/\b(?:present|current|now)\b/i.test(parts)) years.push(new Date().getFullYear());
+    const experienceYears = years.length > 1 ? Math.max(...years) - Math.min(...years) : 0;
+
+    return { text: normalizeForMatch(parts), numbers, experienceYears };
+}
+
+/**
+ * Skill-like terms from the job posting, which are the skills a letter is most tempted to claim
+ * @param {Object} job - Job data
+ * @returns {string[]} Terms as written in the posting
+ */
+export function extractJobTerms(job = {}) {
+    const text = [job.description, job.requirements].filter(Boolean).join(' ');
+    const terms = new Set();
+
+    // Mixed case or symbols: JavaScript, GraphQL, C++, C#, Node.js, CI/CD, S3
+    for (const match of text.matchAll(/\b[A-Za-z][A-Za-z0-9]*(?:[+#]+|\.[a-z]{2,}|\/[A-Z]{2,})|\b[A-Z][a-z]+[A-Z][A-Za-z]*\b|\b[A-Z][0-9]\b/g)) {
+        terms.add(match[0]);
+    }
+
+    // Acronyms: AWS, SQL, ETL; skipping all-caps headings like "ABOUT THE ROLE" or "SKILLS:"
+    for (const match of text.matchAll(/\b[A-Z]{2,5}[0-9]*\b/g)) {
+        const before = text.slice(Math.max(0, match.index - 20), match.index);
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+        const isHeading = /[A-Z]{2,}\s*$/.test(before) || /^\s*(?:[A-Z]{2,}|:)/.test(after);
+        if (!isHeading && !IGNORED_ACRONYMS.has(match[0])) terms.add(match[0]);
+    }
+
+    return [...terms];
+}
+
+/**
+ * Find the claims a sentence makes
+ * @param {string} sentence
+ * @param {Object} context - { skillTerms, jobTitle, company }
+ * @returns {Array<{type: string, value: string}>}
+ */
+function extractClaims(sentence, context) {
+    const claims = [];
+    const isTarget = (value) => {
+        const normalized = normalizeForMatch(value);
+        return (context.company && normalizeForMatch(context.company).includes(normalized)) ||
+            (context.jobTitle && normalizeForMatch(context.jobTitle).includes(normalized));
+    };
+
+    // Employers: "at Initech", "joined Globex Corp", "worked for Acme"
+    for (const match of sentence.matchAll(/\b(?:[Aa]t|[Jj]oined|[Ww]ork(?:ed|ing)? (?:for|with)|[Ii]nterned (?:at|with))\s+([A-Z][\w&'.-]*(?:\s+(?:&\s+)?[A-Z][\w&'.-]+){0,3})/g)) {
+        const name = match[1].replace(/[.,]$/, '');
+        if (!/^(?:I|My|The|Our|Your|This|These|That)$/.test(name) && !isTarget(name)) {
+            claims.push({ type: 'employer', value: name });
+        }
+    }
+
+    // Titles: "as a Senior Data Engineer", "role as Product Manager"
+    const titlePattern = new RegExp(`\\bas\\s+(?:an?\\s+|the\\s+)?((?:[A-Za-z-]+\\s+){0,3}(?:${TITLE_NOUNS.join('|')})s?)\\b`, 'gi');
+    for (const match of sentence.matchAll(titlePattern)) {
+        if (!isTarget(match[1])) {
+            claims.push({ type: 'title', value: match[1] });
+        }
+    }
+
+    // Durations: "5 years", "5+ years", "five years"
+    const durationWords = Object.keys(NUMBER_WORDS).join('|');
+    const durationPattern = new RegExp(`\\b(\\d+|${durationWords})\\+?\\s+(?:full\\s+)?years?\\b`, 'gi');
+    const durationSpans = [];
+    for (const match of sentence.matchAll(durationPattern)) {
+        claims.push({ type: 'years', value: match[0], amount: NUMBER_WORDS[match[1].toLowerCase()] || Number(match[1]) });
+        durationSpans.push([match.index, match.index + match[0].length]);
+    }
+
+    // Calendar years and other figures: "in 2019", "40%", "$2M", "10,000 users", "team of 8"
+    for (const match of sentence.matchAll(/(?<![A-Za-z0-9.])[$€£]?\d[\d,]*(?:\.\d+)?\s?(?:%|percent|[kKmMbB]\b|million|billion|x\b)?/g)) {
+        const inDuration = durationSpans.some(([start, end]) => match.index >= start && match.index < end);
+        if (inDuration) continue;
+
+        const value = match[0].trim().replace(/[,.]+$/, '');
+        const isYear = /^(?:19[5-9]\d|20\d\d)$/.test(value);
+        claims.push({ type: isYear ? 'year' : 'metric', value });
+    }
+
+    // Skills named in the job posting or commonly claimed
+    const normalizedSentence = normalizeForMatch(sentence);
+    for (const term of context.skillTerms) {
+        if (normalizedSentence.includes(normalizeForMatch(term))) {
+            // Report the skill as the letter wrote it
+            const index = sentence.toLowerCase().indexOf(term.toLowerCase());
+            claims.push({ type: 'skill', value: index >= 0 ? sentence.substr(index, term.length) : term });
+        }
+    }
+
+    return claims;
+}
+
+/**
+ * Decide whether the resume backs up a claim
+ * @param {Object} claim - { type, value, amount }
+ * @param {Object} evidence - From buildEvidence
+ * @returns {boolean}
+ */
+function isSupported(claim, evidence) {
+    switch (claim.type) {
+        case 'years':
+            return evidence.numbers.has(String(claim.amount)) || claim.amount <= evidence.experienceYears;
+        case 'year':
+        case 'metric':
+            return evidence.numbers.has(normalizeNumber(claim.value));
+        default:
+            return evidence.text.includes(normalizeForMatch(claim.value));
+    }
+}
+
+/**
+ * Check every sentence of a letter against the resume
+ * @param {string} text - Letter text
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data (its title and company are not treated as claims)
+ * @returns {Object} { sentences: [{ text, start, end, claims: [{ type, value, supported }], supported }], unsupportedCount }
+ */
+export function checkClaims(text, resume = {}, job = {}) {
+    const evidence = buildEvidence(resume);
+    // One entry per skill, whatever its casing ("graphql" and "GraphQL")
+    const skillTerms = new Map();
+    for (const term of [...extractJobTerms(job), ...COMMON_SKILLS]) {
+        const key = normalizeForMatch(term);
+        if (!skillTerms.has(key)) skillTerms.set(key, term);
+    }
+
+    const context = {
+        company: job.company || '',
+        jobTitle: job.title || '',
+        skillTerms: [...skillTerms.values()]
+    };
+
+    const sentences = splitSentences(text || '').map(sentence => {
+        const claims = extractClaims(sentence.text, context)
+            .map(({ type, value, amount }) => ({ type, value, supported: isSupported({ type, value, amount }, evidence) }));
+
+        return { ...sentence, claims, supported: claims.every(claim => claim.supported) };
+    });
+
+    return {
+        sentences,
+        unsupportedCount: sentences.filter(sentence => !sentence.supported).length
+    };
+}
+
+/**
+ * Describe a sentence's unsupported claims for display
+ * @param {Object} sentence - From checkClaims
+ * @returns {string} e.g. "employer “Globex”, metric “40%”"
+ */
+export function describeUnsupported(sentence) {
+    return sentence.claims
+        .filter(claim => !claim.supported)
+        .map(claim => `${claim.type} “${claim.value}”`)
+        .join(', ');
+}
+
+export default {
+    COMMON_SKILLS,
+    normalizeForMatch,
+    splitSentences,
+    buildEvidence,
+    extractJobTerms,
+    checkClaims,
+    describeUnsupported
+};
@@ -0,0 +1,170 @@
+/**
+ * Interview Prep Service
+ * The interview prep pack: likely technical and behavioral questions, STAR answer outlines
+ * from the resume's experience, questions to ask the interviewer, and the weak spots the
+ * job's requirements expose. Defines the JSON the AI fills in and cleans what comes back.
+ */
+
+import { stripInjections } from './PromptSafetyService.js';
+
+const MAX_QUESTIONS = 8;
+const MAX_STAR_ANSWERS = 5;
+const MAX_QUESTIONS_TO_ASK = 6;
+const MAX_WEAK_SPOTS = 6;
+const MAX_ITEM_LENGTH = 600;
+
+const QUESTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        question: { type: 'string' },
+        focus: { type: 'string', description: 'What the interviewer wants to learn from it, in one short sentence' }
+    },
+    required: ['question', 'focus']
+};
+
+// JSON the prep pack comes back as
+export const PREP_PACK_SCHEMA = {
+    type: 'object',
+    properties: {
+        technicalQuestions: {
+            type: 'array',
+            items: QUESTION_SCHEMA,
+            description: 'Likely technical or role-specific questions, from the requirements and responsibilities'
+        },
+        behavioralQuestions: {
+            type: 'array',
+            items: QUESTION_SCHEMA,
+            description: 'Likely behavioral questions ("Tell me about a time...")'
+        },
+        starAnswers: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    question: { type: 'string', description: 'The behavioral question this answers' },
+                    experience: { type: 'string', description: 'The resume entry the story comes from, e.g. "Data Engineer at Globex"' },
+                    situation: { type: 'string' },
+                    task: { type: 'string' },
+                    action: { type: 'string' },
+                    result: { type: 'string' }
+                },
+                required: ['question', 'experience', 'situation', 'task', 'action', 'result']
+            },
+            description: 'STAR answer outlines, each built from one experience entry of the resume'
+        },
+        questionsToAsk: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Questions for the candidate to ask the interviewer'
+        },
+        weakSpots: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    requirement: { type: 'string' },
+                    advice: { type: 'string', description: 'How to address it honestly in the interview' }
+                },
+                required: ['requirement', 'advice']
+            },
+            description: 'Requirements the resume does not clearly show, with how to handle them'
+        }
+    },
+    required: ['technicalQuestions', 'behavioralQuestions', 'starAnswers', 'questionsToAsk', 'weakSpots']
+};
+
+/**
+ * Prompt section with the prep pack's output format
+ * @param {Object} language - From LanguageService.getLanguage
+ * @returns {string}
+ */
+export function buildPrepFormatInstructions(language) {
+    return `=== OUTPUT FORMAT ===
+Respond with only a JSON object with these fields:
+- "technicalQuestions": 5-8 likely technical or role-specific questions, each { "question", "focus" }
+- "behavioralQuestions": 4-6 likely behavioral questions, each { "question", "focus" }
+- "starAnswers": 3-5 STAR outlines answering the behavioral questions, each { "question", "experience", "situation", "task", "action", "result" } with one or two sentences per part
+- "questionsToAsk": 4-6 questions for the candidate to ask the interviewer
+- "weakSpots": one { "requirement", "advice" } for each requirement the resume doesn't clearly show, with how to address it honestly
+Write every field in ${language.name}, even if the resume is in another language.`;
+}
+
+/**
+ * Pick the requirements the resume doesn't clearly cover, required ones first
+ * @param {Object} match - From MatchAnalysisService.analyzeMatch
+ * @returns {string[]}
+ */
+export function findWeakSpots(match) {
+    const uncovered = match.requirements
+        .filter(requirement => requirement.status !== 'met')
+        .sort((a, b) => (a.kind === 'mustHave' ? 0 : 1) - (b.kind === 'mustHave' ? 0 : 1) || a.coverage - b.coverage)
+        .map(requirement => requirement.text.replace(/^[-*•\s]+/, ''));
+
+    // Skills the posting lists but no requirement mentions
+    const skills = match.missing.filter(skill =>
+        !uncovered.some(text => text.toLowerCase().includes(skill.toLowerCase()))
+    );
+
+    return [...uncovered, ...skills].slice(0, MAX_WEAK_SPOTS);
+}
+
+/**
+ * Clean one text field of the AI's answer
+ * @param {any} value
+ * @returns {string}
+ */
+function cleanText(value) {
+    if (typeof value !== 'string') return '';
+    return stripInjections(value.replace(/\s+/g, ' ').trim()).text.slice(0, MAX_ITEM_LENGTH);
+}
+
+/**
+ * Clean a prep pack from the AI: known fields only, short lists, entries with their required parts
+ * Weak spots found locally are kept when the AI returns none.
+ * @param {Object} data - Raw prep pack
+ * @param {string[]} weakSpots - From findWeakSpots
+ * @returns {Object} { technicalQuestions, behavioralQuestions, starAnswers, questionsToAsk, weakSpots, createdAt }
+ */
+export function normalizePrepPack(data = {}, weakSpots = []) {
+    const entries = (value, fields, max) => (Array.isArray(value) ? value : [])
+        .filter(item => item && typeof item === 'object')
+        .map(item => Object.fromEntries(fields.map(field => [field, cleanText(item[field])])))
+        .filter(item => item[fields[0]])
+        .slice(0, max);
+
+    const questionsToAsk = (Array.isArray(data.questionsToAsk) ? data.questionsToAsk : [])
+        .map(cleanText)
+        .filter(Boolean)
+        .slice(0, MAX_QUESTIONS_TO_ASK);
+
+    const aiWeakSpots = entries(data.weakSpots, ['requirement', 'advice'], MAX_WEAK_SPOTS);
+
+    return {
+        technicalQuestions: entries(data.technicalQuestions, ['question', 'focus'], MAX_QUESTIONS),
+        behavioralQuestions: entries(data.behavioralQuestions, ['question', 'focus'], MAX_QUESTIONS),
+        starAnswers: entries(data.starAnswers, ['question', 'experience', 'situation', 'task', 'action', 'result'], MAX_STAR_ANSWERS),
+        questionsToAsk,
+        weakSpots: aiWeakSpots.length > 0
+            ? aiWeakSpots
+            : weakSpots.map(requirement => ({ requirement, advice: '' })),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Check whether a prep pack has anything in it
+ * @param {Object} pack - From normalizePrepPack
+ * @returns {boolean}
+ */
+export function isEmptyPrepPack(pack) {
+    return ['technicalQuestions', 'behavioralQuestions', 'starAnswers', 'questionsToAsk']
+        .every(section => pack[section].length === 0);
+}
+
+export default {
+    PREP_PACK_SCHEMA,
+    buildPrepFormatInstructions,
+    findWeakSpots,
+    normalizePrepPack,
+    isEmptyPrepPack
+};
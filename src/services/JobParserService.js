@@ -0,0 +1,411 @@
+/**
+ * Job Parser Service
+ * Turns a job posting into structured details: responsibilities, must-have and
+ * nice-to-have requirements, skills, seniority, employment type, salary range and
+ * remote policy. parseJobDetails is the local heuristic pass; AIService.parseJobWithAI
+ * asks the model for the same JOB_DETAILS_SCHEMA, and both go through normalizeJobDetails.
+ */
+
+import { splitJob } from './ContextBuilderService.js';
+import { COMMON_SKILLS, extractJobTerms, splitSentences } from './GroundingService.js';
+import { stripInjections } from './PromptSafetyService.js';
+
+export const SENIORITY_LEVELS = ['Intern', 'Entry-level', 'Mid-level', 'Senior', 'Lead', 'Principal', 'Executive'];
+export const EMPLOYMENT_TYPES = ['Full-time', 'Part-time', 'Contract', 'Temporary', 'Internship'];
+export const REMOTE_POLICIES = ['Remote', 'Hybrid', 'On-site'];
+export const SALARY_PERIODS = ['year', 'month', 'hour'];
+
+// Most items kept per list, so a huge posting can't flood the job card or later prompts
+const MAX_ITEMS = 12;
+const MAX_SKILLS = 20;
+const MAX_ITEM_LENGTH = 300;
+
+// List marker at the start of a line: •, or an ASCII - or * bullet
+const BULLET_MARKER = /^\s*(?:•\s*|[-*]\s+)/;
+
+// JSON Schema for structured output
+export const JOB_DETAILS_SCHEMA = {
+    type: 'object',
+    properties: {
+        responsibilities: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'What the person will do in the role, one short item each'
+        },
+        mustHave: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Required qualifications, one short item each'
+        },
+        niceToHave: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Preferred or bonus qualifications, one short item each'
+        },
+        skills: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Named skills, tools and technologies, e.g. "Python", "Figma", "Stakeholder management"'
+        },
+        seniority: {
+            type: 'string',
+            description: `One of: ${SENIORITY_LEVELS.join(', ')}; empty if unclear`
+        },
+        employmentType: {
+            type: 'string',
+            description: `One of: ${EMPLOYMENT_TYPES.join(', ')}; empty if not stated`
+        },
+        salary: {
+            type: 'object',
+            properties: {
+                min: { type: 'number', description: 'Lowest amount; 0 if no salary is stated' },
+                max: { type: 'number', description: 'Highest amount; same as min for a single figure' },
+                currency: { type: 'string', description: 'ISO code, e.g. "USD"' },
+                period: { type: 'string', description: `One of: ${SALARY_PERIODS.join(', ')}` }
+            },
+            required: ['min', 'max', 'currency', 'period']
+        },
+        remote: {
+            type: 'string',
+            description: `One of: ${REMOTE_POLICIES.join(', ')}; empty if not stated`
+        }
+    },
+    required: ['responsibilities', 'mustHave', 'niceToHave', 'skills', 'seniority', 'employmentType', 'salary', 'remote']
+};
+
+// Headings that start a section of the posting ("What you'll do:", "Nice to have")
+const SECTION_HEADINGS = [
+    {
+        section: 'niceToHave',
+        pattern: /^(?:nice[- ]to[- ]haves?|(?:preferred|desired|bonus|additional) (?:qualifications|skills|experience|points)|preferred|bonus(?: points)?|pluses|it(?:'|’)?s a plus|good to have)\b/i
+    },
+    {
+        section: 'mustHave',
+        pattern: /^(?:requirements|qualifications|(?:minimum|basic|required|key) (?:qualifications|requirements|skills)|what you(?:'|’)?ll (?:need|bring)|what you bring|what we(?:'|’)?re looking for|who you are|must[- ]haves?|you have|about you|skills(?: and| &) experience|your profile)\b/i
+    },
+    {
+        section: 'responsibilities',
+        pattern: /^(?:(?:key |main |core )?responsibilities|what you(?:'|’)?ll (?:do|be doing)|what you will do|your (?:role|impact|responsibilities)|the role|duties|in this role(?: you will)?|day[- ]to[- ]day)\b/i
+    },
+    {
+        section: 'other',
+        pattern: /^(?:benefits|perks|what we offer|about (?:us|the company|the team)|who we are|compensation|salary|equal (?:opportunity|employment)|our values|why join|how to apply)\b/i
+    }
+];
+
+// Sentence cues used when a posting has no recognizable headings
+const NICE_TO_HAVE_CUES = /\b(?:nice to have|preferred|bonus|a plus|is a plus|ideally|desirable|would be great)\b/i;
+const MUST_HAVE_CUES = /\b(?:required|must|minimum|\d+\+?\s*years|experience (?:with|in)|proficien\w*|degree in|you have|strong (?:knowledge|experience|skills))\b/i;
+const RESPONSIBILITY_CUES = /^(?:you will|you'll|responsible for|own|lead|build|design|develop|drive|manage|collaborate|work (?:with|closely))\b/i;
+
+// Checked against the title first, then the posting; earlier entries win within the same text
+const SENIORITY_PATTERNS = [
+    { level: 'Intern', pattern: /\b(?:intern|internship|working student|werkstudent)\b/i },
+    { level: 'Executive', pattern: /\b(?:chief|vp|vice president|head of|director)\b/i },
+    { level: 'Principal', pattern: /\b(?:principal|staff|distinguished)\b/i },
+    { level: 'Lead', pattern: /\b(?:lead|team lead|tech lead|engineering manager)\b/i },
+    { level: 'Senior', pattern: /\b(?:senior|sr\.?)\s/i },
+    { level: 'Entry-level', pattern: /\b(?:junior|jr\.?|entry[- ]level|graduate|new grad|associate)\b/i },
+    { level: 'Mid-level', pattern: /\b(?:mid[- ]level|intermediate)\b/i }
+];
+
+const EMPLOYMENT_PATTERNS = [
+    { type: 'Full-time', pattern: /\bfull[- ]?time\b|\bpermanent\b/i },
+    { type: 'Part-time', pattern: /\bpart[- ]?time\b/i },
+    { type: 'Contract', pattern: /\b(?:contract|contractor|freelance|fixed[- ]term)\b/i },
+    { type: 'Temporary', pattern: /\b(?:temporary|seasonal)\b/i },
+    { type: 'Internship', pattern: /\binternship\b/i }
+];
+
+const CURRENCIES = { '$': 'USD', '€': 'EUR', '£': 'GBP', usd: 'USD', eur: 'EUR', gbp: 'GBP', cad: 'CAD', aud: 'AUD', chf: 'CHF' };
+const CURRENCY = '(\\$|€|£|USD|EUR|GBP|CAD|AUD|CHF)';
+const AMOUNT = '(\\d{1,3}(?:[,.]\\d{3})+|\\d+(?:\\.\\d+)?)\\s?([kK])?';
+// "$120,000 - $150,000 per year", "€50k–65k", "USD 45/hour", "60.000 - 70.000 EUR"
+const SALARY_PATTERN = new RegExp(
+    `${CURRENCY}\\s?${AMOUNT}(?:\\s*(?:-|–|—|to)\\s*${CURRENCY}?\\s?${AMOUNT})?` +
+    `|${AMOUNT}(?:\\s*(?:-|–|—|to)\\s*${AMOUNT})?\\s?${CURRENCY}`,
+    'g'
+);
+const SALARY_PERIOD_PATTERN = /^\s*(?:\/|per|a|an|each)\s*(year|yr|annum|hour|hr|month|mo)\b/i;
+
+/**
+ * Parse one amount as written in a posting
+ * @param {string} value - "120,000", "60.000" or "95.5"
+ * @param {string} thousands - "k" suffix, if any
+ * @returns {number}
+ */
+function parseAmount(value, thousands) {
+    const number = /[,.]\d{3}(?:$|[,.])/.test(value) ? Number(value.replace(/[,.]/g, '')) : Number(value);
+    return thousands ? number * 1000 : number;
+}
+
+/**
+ * Find a salary range in a posting
+ * @param {string} text
+ * @returns {Object|null} { min, max, currency, period }
+ */
+export function extractSalary(text) {
+    for (const match of (text || '').matchAll(SALARY_PATTERN)) {
+        const after = text.slice(match.index + match[0].length);
+        // Funding rounds and revenue figures, not pay
+        if (/^\s*(?:m|mm|million|billion|bn)\b/i.test(after)) continue;
+
+        const [, c1, a1, k1, c2, a2, k2, a3, k3, a4, k4, c3] = match;
+        const currency = CURRENCIES[(c1 || c3 || c2 || '').toLowerCase()];
+        const low = a1 ? parseAmount(a1, k1 || k2) : parseAmount(a3, k3 || k4);
+        const high = a1 ? (a2 ? parseAmount(a2, k2) : low) : (a4 ? parseAmount(a4, k4) : low);
+        if (!currency || !low) continue;
+
+        const periodMatch = after.match(SALARY_PERIOD_PATTERN);
+        const unit = periodMatch ? periodMatch[1].toLowerCase() : '';
+        const period = unit.startsWith('h') ? 'hour' : unit.startsWith('mo') ? 'month' : unit ? 'year' : high >= 1000 ? 'year' : 'hour';
+
+        return { min: Math.min(low, high), max: Math.max(low, high), currency, period };
+    }
+    return null;
+}
+
+/**
+ * Format a salary for display, e.g. "USD 120,000–150,000 / year"
+ * @param {Object|null} salary
+ * @returns {string}
+ */
+export function formatSalary(salary) {
+    if (!salary) return '';
+    const amount = (value) => value.toLocaleString('en-US');
+    const range = salary.min === salary.max ? amount(salary.min) : `${amount(salary.min)}–${amount(salary.max)}`;
+    return `${salary.currency} ${range} / ${salary.period}`;
+}
+
+/**
+ * Find the section a heading line starts
+ * @param {string} line
+ * @returns {Object|null} { section, rest } where rest is any text after "Heading:" on the same line
+ */
+function matchHeading(line) {
+    const heading = SECTION_HEADINGS.find(({ pattern }) => pattern.test(line));
+    if (!heading) return null;
+
+    const colon = line.indexOf(':');
+    const rest = colon >= 0 ? line.slice(colon + 1).trim() : '';
+    // Without a colon, only a short line is a heading; a long one is a sentence that starts like one
+    if (!rest && line.length > 60) return null;
+    return { section: heading.section, rest };
+}
+
+/**
+ * Pick the first pattern that matches, checking the title before the rest of the posting
+ * @param {Array} patterns - [{ pattern, ... }]
+ * @param {string[]} texts - Texts in order of preference
+ * @returns {Object|null} The matching entry
+ */
+function firstMatch(patterns, texts) {
+    for (const text of texts) {
+        const found = patterns
+            .map(entry => ({ entry, index: text.search(entry.pattern) }))
+            .filter(({ index }) => index >= 0)
+            .sort((a, b) => a.index - b.index)[0];
+        if (found) return found.entry;
+    }
+    return null;
+}
+
+/**
+ * Guess seniority from the title, or from the years of experience asked for
+ * @param {Object} job
+ * @returns {string}
+ */
+function detectSeniority(job) {
+    const byTitle = SENIORITY_PATTERNS.find(({ pattern }) => pattern.test(`${job.title || ''} `));
+    if (byTitle) return byTitle.level;
+
+    const years = [...`${job.description || ''} ${job.requirements || ''}`.matchAll(/\b(\d{1,2})\+?\s*(?:-\s*\d{1,2}\s*)?years?\b/gi)]
+        .map(match => Number(match[1]))
+        .filter(value => value > 0 && value <= 20);
+    if (years.length === 0) return '';
+
+    const required = Math.max(...years);
+    return required >= 8 ? 'Principal' : required >= 5 ? 'Senior' : required >= 2 ? 'Mid-level' : 'Entry-level';
+}
+
+/**
+ * Work out the remote policy from the location and posting
+ * @param {Object} job
+ * @returns {string}
+ */
+function detectRemote(job) {
+    const text = [job.location, job.title, job.description, job.requirements].filter(Boolean).join('\n');
+    if (/\b(?:not|no|non)[- ](?:a )?remote\b/i.test(text)) return 'On-site';
+    if (/\bhybrid\b/i.test(text)) return 'Hybrid';
+    if (/\b(?:remote|work from home|wfh|distributed team)\b/i.test(text)) return 'Remote';
+    if (/\b(?:on[- ]?site|in[- ]office|in the office|in person)\b/i.test(text)) return 'On-site';
+    return '';
+}
+
+/**
+ * Collect skills named in the posting, in the order they first appear
+ * @param {string} text - Posting text, without benefits and company boilerplate
+ * @returns {string[]}
+ */
+function detectSkills(text) {
+    const found = [];
+
+    for (const skill of COMMON_SKILLS) {
+        const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`(?:^|[^a-z0-9+#.])(${escaped})(?![a-z0-9+#])`, 'i').exec(text);
+        if (match) found.push({ skill: match[1], index: match.index });
+    }
+    for (const term of extractJobTerms({ description: text })) {
+        found.push({ skill: term, index: text.indexOf(term) });
+    }
+
+    const seen = new Set();
+    return found
+        .sort((a, b) => a.index - b.index)
+        .map(({ skill }) => skill)
+        .filter(skill => {
+            const key = skill.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Sort posting lines into responsibilities and requirements
+ * Uses the posting's headings; text outside any heading is sorted sentence by sentence by its wording.
+ * @param {Object} job
+ * @returns {Object} { responsibilities, mustHave, niceToHave, other } where other holds benefits
+ *   and company boilerplate
+ */
+function sortLines(job) {
+    const lists = { responsibilities: [], mustHave: [], niceToHave: [], other: [] };
+    const unsorted = [];
+    let section = null;
+
+    for (const piece of splitJob(job)) {
+        const line = piece.text.replace(BULLET_MARKER, '');
+        const heading = BULLET_MARKER.test(piece.text) ? null : matchHeading(line);
+        if (heading) {
+            section = heading.section;
+            if (heading.rest) lists[section].push(heading.rest);
+            continue;
+        }
+
+        // The structured requirements field counts as must-have when it has no headings of its own
+        const current = section || (piece.section === 'requirements' ? 'mustHave' : null);
+        if (current === 'mustHave' && NICE_TO_HAVE_CUES.test(line)) {
+            lists.niceToHave.push(line);
+        } else if (current) {
+            lists[current].push(line);
+        } else {
+            unsorted.push(line);
+        }
+    }
+
+    for (const { text: sentence } of unsorted.flatMap(line => splitSentences(line))) {
+        if (NICE_TO_HAVE_CUES.test(sentence)) lists.niceToHave.push(sentence);
+        else if (MUST_HAVE_CUES.test(sentence)) lists.mustHave.push(sentence);
+        else if (RESPONSIBILITY_CUES.test(sentence)) lists.responsibilities.push(sentence);
+        else lists.other.push(sentence);
+    }
+
+    return lists;
+}
+
+/**
+ * Clean structured details from either parser: known values only, short deduplicated lists,
+ * and no instruction-like text (the lists can end up in later prompts)
+ * @param {Object} data - Raw details
+ * @param {string} method - "ai" or "heuristic"
+ * @returns {Object} See parseJobDetails
+ */
+export function normalizeJobDetails(data = {}, method = 'heuristic') {
+    const list = (value, max) => {
+        const seen = new Set();
+        return (Array.isArray(value) ? value : [])
+            .filter(item => typeof item === 'string')
+            .map(item => stripInjections(item.replace(/\s+/g, ' ').replace(BULLET_MARKER, '').trim()).text.slice(0, MAX_ITEM_LENGTH))
+            .filter(item => {
+                const key = item.toLowerCase();
+                if (!item || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, max);
+    };
+    const oneOf = (value, allowed) => allowed.find(option => option.toLowerCase() === String(value || '').trim().toLowerCase()) || '';
+
+    const salary = data.salary && Number(data.salary.min) > 0
+        ? {
+            min: Number(data.salary.min),
+            max: Math.max(Number(data.salary.max) || 0, Number(data.salary.min)),
+            currency: String(data.salary.currency || '').trim().toUpperCase().slice(0, 3) || 'USD',
+            period: oneOf(data.salary.period, SALARY_PERIODS) || 'year'
+        }
+        : null;
+
+    return {
+        responsibilities: list(data.responsibilities, MAX_ITEMS),
+        mustHave: list(data.mustHave, MAX_ITEMS),
+        niceToHave: list(data.niceToHave, MAX_ITEMS),
+        skills: list(data.skills, MAX_SKILLS),
+        seniority: oneOf(data.seniority, SENIORITY_LEVELS),
+        employmentType: oneOf(data.employmentType, EMPLOYMENT_TYPES),
+        salary,
+        remote: oneOf(data.remote, REMOTE_POLICIES),
+        method,
+        parsedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Extract structured details from a job posting without AI
+ * @param {Object} job - Job data { title, description, requirements, location }
+ * @returns {Object} { responsibilities, mustHave, niceToHave, skills, seniority, employmentType,
+ *   salary: { min, max, currency, period } | null, remote, method: "heuristic", parsedAt }
+ */
+export function parseJobDetails(job = {}) {
+    const text = [job.description, job.requirements].filter(Boolean).join('\n');
+    const employment = firstMatch(EMPLOYMENT_PATTERNS, [job.title || '', text]);
+    const { other, ...lists } = sortLines(job);
+    const otherLines = new Set(other);
+    const skillText = splitJob(job)
+        .map(piece => piece.text.replace(BULLET_MARKER, ''))
+        .filter(line => !otherLines.has(line) && matchHeading(line)?.section !== 'other')
+        .join('\n');
+
+    return normalizeJobDetails({
+        ...lists,
+        skills: detectSkills(skillText),
+        seniority: detectSeniority(job),
+        employmentType: employment ? employment.type : '',
+        salary: extractSalary(text),
+        remote: detectRemote(job)
+    }, 'heuristic');
+}
+
+/**
+ * Write must-have and nice-to-have items as text for the job's requirements field
+ * The headings are ones sortLines recognizes, so parsing the job again gives the same lists.
+ * @param {Object} details - From parseJobDetails or normalizeJobDetails
+ * @returns {string}
+ */
+export function formatRequirements(details) {
+    return [
+        details.mustHave.length > 0 && `Requirements:\n${details.mustHave.map(item => `• ${item}`).join('\n')}`,
+        details.niceToHave.length > 0 && `Nice to have:\n${details.niceToHave.map(item => `• ${item}`).join('\n')}`
+    ].filter(Boolean).join('\n\n');
+}
+
+export default {
+    SENIORITY_LEVELS,
+    EMPLOYMENT_TYPES,
+    REMOTE_POLICIES,
+    JOB_DETAILS_SCHEMA,
+    extractSalary,
+    formatSalary,
+    normalizeJobDetails,
+    parseJobDetails,
+    formatRequirements
+};
@@ -0,0 +1,113 @@
+/**
+ * Language Service
+ * Detects the language of a job posting and holds the letter conventions
+ * (default greeting, closing, date format) for each supported language
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Output language setting value meaning "write in the posting's language"
+export const AUTO_LANGUAGE = 'auto';
+
+// Supported letter languages; salutation and closing are the defaults used when no name is known
+export const LANGUAGES = {
+    en: { name: 'English', locale: 'en-US', salutation: 'Dear Hiring Manager,', closing: 'Sincerely,' },
+    de: { name: 'German', locale: 'de-DE', salutation: 'Sehr geehrte Damen und Herren,', closing: 'Mit freundlichen Grüßen' },
+    fr: { name: 'French', locale: 'fr-FR', salutation: 'Madame, Monsieur,', closing: 'Veuillez agréer mes salutations distinguées,' },
+    es: { name: 'Spanish', locale: 'es-ES', salutation: 'Estimado/a responsable de selección:', closing: 'Atentamente,' },
+    it: { name: 'Italian', locale: 'it-IT', salutation: 'Gentile Responsabile della selezione,', closing: 'Cordiali saluti,' },
+    pt: { name: 'Portuguese', locale: 'pt-PT', salutation: 'Exmo./Exma. Responsável de Recrutamento,', closing: 'Com os melhores cumprimentos,' },
+    nl: { name: 'Dutch', locale: 'nl-NL', salutation: 'Geachte heer/mevrouw,', closing: 'Met vriendelijke groet,' }
+};
+
+// Frequent short words that are distinctive for each language
+const STOPWORDS = {
+    en: ['the', 'and', 'you', 'with', 'for', 'our', 'will', 'are', 'this', 'have', 'your', 'experience', 'team', 'work', 'we', 'of', 'to', 'in'],
+    de: ['und', 'der', 'die', 'das', 'mit', 'für', 'wir', 'sie', 'ist', 'von', 'auf', 'ein', 'eine', 'bei', 'zu', 'den', 'dem', 'erfahrung', 'kenntnisse', 'ihre'],
+    fr: ['et', 'le', 'la', 'les', 'des', 'du', 'une', 'pour', 'avec', 'vous', 'nous', 'est', 'dans', 'sur', 'au', 'aux', 'expérience', 'votre', 'poste'],
+    es: ['y', 'el', 'la', 'los', 'las', 'del', 'una', 'para', 'con', 'que', 'por', 'en', 'es', 'nuestro', 'experiencia', 'equipo', 'buscamos', 'tu'],
+    it: ['e', 'il', 'la', 'di', 'che', 'per', 'con', 'una', 'del', 'della', 'nel', 'sono', 'esperienza', 'siamo', 'gli', 'le', 'ricerchiamo'],
+    pt: ['e', 'o', 'a', 'os', 'as', 'de', 'do', 'da', 'para', 'com', 'uma', 'em', 'que', 'experiência', 'equipe', 'nossa', 'você', 'não'],
+    nl: ['en', 'de', 'het', 'een', 'van', 'voor', 'met', 'je', 'wij', 'zijn', 'op', 'bij', 'ervaring', 'jouw', 'ons', 'naar', 'ook']
+};
+
+// Below this many stopword hits the text is too short to judge
+const MIN_HITS = 5;
+
+/**
+ * Look up a language, falling back to English
+ * @param {string} code - Language code, e.g. "de"
+ * @returns {Object} { code, name, locale, salutation, closing }
+ */
+export function getLanguage(code) {
+    const known = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+    return { code: known, ...LANGUAGES[known] };
+}
+
+/**
+ * Detect the language of some text by counting distinctive common words
+ * @param {string} text
+ * @returns {string} Language code; English when the text is short or unclear
+ */
+export function detectLanguage(text) {
+    const words = (text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+    const counts = new Map();
+    for (const word of words.slice(0, 2000)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+    }
+
+    const scores = Object.entries(STOPWORDS)
+        .map(([code, list]) => [code, list.reduce((sum, word) => sum + (counts.get(word) || 0), 0)])
+        .sort((a, b) => b[1] - a[1]);
+
+    const [best, runnerUp] = scores;
+    // Romance languages share many words; require a clear lead
+    if (best[1] < MIN_HITS || best[1] < runnerUp[1] * 1.2) {
+        return DEFAULT_LANGUAGE;
+    }
+    return best[0];
+}
+
+/**
+ * Language of a job posting
+ * @param {Object} job - Job data
+ * @returns {string} Language code
+ */
+export function detectJobLanguage(job = {}) {
+    return detectLanguage([job.title, job.description, job.requirements].filter(Boolean).join('\n'));
+}
+
+/**
+ * Language to write in, from the output language setting and the posting
+ * @param {Object} settings - { outputLanguage: language code or AUTO_LANGUAGE }
+ * @param {Object} job - Job data
+ * @returns {Object} Language (see getLanguage)
+ */
+export function resolveOutputLanguage(settings = {}, job = {}) {
+    const setting = settings.outputLanguage || AUTO_LANGUAGE;
+    return getLanguage(setting === AUTO_LANGUAGE ? detectJobLanguage(job) : setting);
+}
+
+/**
+ * Today's date written the way letters in a language date it
+ * @param {Object} language - From getLanguage
+ * @returns {string} e.g. "October 19, 2026" or "19. Oktober 2026"
+ */
+export function formatLetterDate(language = getLanguage(DEFAULT_LANGUAGE)) {
+    return new Date().toLocaleDateString(language.locale, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+export default {
+    DEFAULT_LANGUAGE,
+    AUTO_LANGUAGE,
+    LANGUAGES,
+    getLanguage,
+    detectLanguage,
+    detectJobLanguage,
+    resolveOutputLanguage,
+    formatLetterDate
+};
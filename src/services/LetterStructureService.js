@@ -0,0 +1,199 @@
+/**
+ * Letter Structure Service
+ * The JSON shape cover letters are generated in, and conversions between
+ * that structure, the editable preview and plain text
+ */
+
+import { parsePartialJSON } from '../utils/partialJSON.js';
+
+export const DEFAULT_SALUTATION = 'Dear Hiring Manager,';
+export const DEFAULT_CLOSING = 'Sincerely,';
+
+// JSON Schema for structured output; properties are listed in the order they should be written
+export const LETTER_SCHEMA = {
+    type: 'object',
+    properties: {
+        recipient: {
+            type: 'string',
+            description: 'Name and title of the person or team the letter is addressed to, if the job posting names one; otherwise empty'
+        },
+        salutation: {
+            type: 'string',
+            description: 'Greeting line, e.g. "Dear Ms. Smith,"'
+        },
+        paragraphs: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Body of the letter, one string per paragraph'
+        },
+        closing: {
+            type: 'string',
+            description: 'Closing phrase before the signature, e.g. "Sincerely,"'
+        },
+        postscript: {
+            type: 'string',
+            description: 'Optional short P.S.; empty if not needed'
+        }
+    },
+    required: ['recipient', 'salutation', 'paragraphs', 'closing', 'postscript']
+};
+
+/**
+ * Output format section appended to every cover letter prompt, so the model fills in LETTER_SCHEMA
+ * @param {Object} language - Letter language { name, salutation, closing } (see LanguageService)
+ * @returns {string}
+ */
+export function buildLetterFormatInstructions(language = { name: 'English', salutation: DEFAULT_SALUTATION, closing: DEFAULT_CLOSING }) {
+    return `=== OUTPUT FORMAT ===
+Respond with only a JSON object with these fields:
+- "recipient": the hiring manager or team named in the job posting, or "" if none is named
+- "salutation": the greeting line, addressing the named person if there is one. Use "${language.salutation}" if no name is known
+- "paragraphs": the body of the letter as an array of paragraph strings, starting with the opening paragraph
+- "closing": the closing phrase, e.g. "${language.closing}"
+- "postscript": an optional one-sentence P.S. that adds something new, or "" for none
+Do not include the date, addresses or the signature name in any field.
+Write every field in ${language.name}, following ${language.name} business letter conventions, even if the resume is in another language.`;
+}
+
+// Target lengths offered in settings; a custom word count can be used instead
+export const LENGTH_PRESETS = {
+    short: { name: 'Short', words: 150, paragraphs: '2-3' },
+    standard: { name: 'Standard', words: 275, paragraphs: '3-4' },
+    detailed: { name: 'Detailed', words: 400, paragraphs: '4-5' }
+};
+
+// How far the body may stray from the target word count and still count as on target
+const LENGTH_TOLERANCE = 0.15;
+const MIN_CUSTOM_WORDS = 50;
+const MAX_CUSTOM_WORDS = 800;
+
+/**
+ * Work out the target length from settings
+ * @param {Object} settings - { letterLength: preset id or "custom", letterWordCount }
+ * @returns {Object} { words, min, max, paragraphs, description }
+ */
+export function resolveLength(settings = {}) {
+    const preset = LENGTH_PRESETS[settings.letterLength];
+    const words = preset
+        ? preset.words
+        : settings.letterLength === 'custom' && settings.letterWordCount
+            ? Math.min(Math.max(Math.round(settings.letterWordCount), MIN_CUSTOM_WORDS), MAX_CUSTOM_WORDS)
+            : LENGTH_PRESETS.standard.words;
+    const paragraphs = preset?.paragraphs || (words < 200 ? '2-3' : words < 350 ? '3-4' : '4-5');
+
+    return {
+        words,
+        min: Math.round(words * (1 - LENGTH_TOLERANCE)),
+        max: Math.round(words * (1 + LENGTH_TOLERANCE)),
+        paragraphs,
+        description: `about ${words} words in ${paragraphs} paragraphs`
+    };
+}
+
+/**
+ * Count the words in a letter's body paragraphs
+ * @param {Object} letter - Letter structure
+ * @returns {number}
+ */
+export function countWords(letter) {
+    return letter.paragraphs.join(' ').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Compare a letter's length with the target
+ * @param {Object} letter - Letter structure
+ * @param {Object} length - Target from resolveLength
+ * @returns {Object} { words, status: "short" | "ok" | "long" }
+ */
+export function checkLength(letter, length) {
+    const words = countWords(letter);
+    const status = words > length.max ? 'long' : words < length.min ? 'short' : 'ok';
+    return { words, status };
+}
+
+/**
+ * Split plain text into paragraphs
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitParagraphs(text) {
+    return (text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Read a generated letter, whether it arrived as (possibly truncated) JSON or plain text
+ * @param {string} text - Raw model output
+ * @param {Object} defaults - Optional { salutation, closing } for the letter's language
+ * @returns {Object} { recipient, salutation, paragraphs, closing, postscript }
+ */
+export function parseLetter(text, defaults) {
+    const data = parsePartialJSON(text);
+
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        return normalizeLetter(data, defaults);
+    }
+
+    // The model ignored the format (or the provider can't enforce it): treat it all as body text
+    return normalizeLetter({ paragraphs: splitParagraphs(text) }, defaults);
+}
+
+/**
+ * Fill in missing letter fields and clean up values
+ * @param {Object} letter - Partial letter structure
+ * @param {Object} defaults - { salutation, closing } used when they're missing (a language works; default English)
+ * @returns {Object} { recipient, salutation, paragraphs, closing, postscript }
+ */
+export function normalizeLetter(letter = {}, defaults = { salutation: DEFAULT_SALUTATION, closing: DEFAULT_CLOSING }) {
+    const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    return {
+        recipient: clean(letter.recipient),
+        salutation: clean(letter.salutation) || defaults.salutation,
+        paragraphs: (Array.isArray(letter.paragraphs) ? letter.paragraphs : splitParagraphs(letter.paragraphs))
+            .map(clean)
+            .filter(Boolean),
+        closing: clean(letter.closing) || defaults.closing,
+        // The marker needs a separator, or "Psychology..." would lose its "Ps"
+        postscript: clean(letter.postscript).replace(/^P\.?\s?S(?:[.:]+\s*|\s+)/i, '')
+    };
+}
+
+/**
+ * Body text shown in the preview editor
+ * @param {Object} letter
+ * @returns {string}
+ */
+export function letterBody(letter) {
+    return letter.paragraphs.join('\n\n');
+}
+
+/**
+ * Whole letter as plain text, for copying
+ * @param {Object} letter
+ * @param {string} signature - Name to sign with
+ * @returns {string}
+ */
+export function letterToText(letter, signature = '') {
+    return [
+        letter.salutation,
+        letterBody(letter),
+        [letter.closing, signature].filter(Boolean).join('\n'),
+        letter.postscript && `P.S. ${letter.postscript}`
+    ].filter(Boolean).join('\n\n');
+}
+
+export default {
+    DEFAULT_SALUTATION,
+    DEFAULT_CLOSING,
+    LETTER_SCHEMA,
+    buildLetterFormatInstructions,
+    LENGTH_PRESETS,
+    resolveLength,
+    countWords,
+    checkLength,
+    splitParagraphs,
+    parseLetter,
+    normalizeLetter,
+    letterBody,
+    letterToText
+};
@@ -0,0 +1,279 @@
+/**
+ * Match Analysis Service
+ * Compares the resume with a job before anything is generated: which of the
+ * posting's skills the resume shows, how well each requirement is covered, an
+ * overall coverage score, and suggested angles for the letter. The gaps are also
+ * handed to the prompt so the letter can address them honestly instead of
+ * papering over them.
+ *
+ * Like the fact check this is a heuristic: "missing" means "not found in the
+ * resume's wording", which is what the user should look at.
+ */
+
+import { buildEvidence, normalizeForMatch } from './GroundingService.js';
+import { tokenize } from './ContextBuilderService.js';
+import { parseJobDetails } from './JobParserService.js';
+import { sanitizeJob } from './PromptSafetyService.js';
+
+// How much each part counts toward the score; parts a posting doesn't have are left out
+const SCORE_WEIGHTS = { skills: 0.4, mustHave: 0.5, niceToHave: 0.1 };
+
+// A requirement counts as met from this much coverage, and as partly met from the lower bound
+const MET_COVERAGE = 0.75;
+const PARTIAL_COVERAGE = 0.35;
+
+const MAX_ANGLES = 5;
+
+// Requirement words that say nothing about what is required (as tokenized: "bonus" becomes "bonu")
+const GENERIC_TERMS = new Set([
+    'experience', 'strong', 'knowledge', 'ability', 'able', 'year', 'skill', 'plus', 'proven', 'solid',
+    'good', 'great', 'excellent', 'understanding', 'familiarity', 'familiar', 'working', 'proficiency',
+    'proficient', 'hands-on', 'background', 'track', 'record', 'least', 'minimum', 'required', 'preferred',
+    'must', 'bonu', 'nice', 'ideally', 'similar', 'related', 'relevant', 'field', 'role', 'team', 'etc'
+]);
+
+// Skills close enough that one is worth mentioning when the other is asked for
+const SKILL_FAMILIES = [
+    { name: 'cloud', skills: ['AWS', 'Azure', 'GCP', 'Google Cloud'] },
+    { name: 'container', skills: ['Docker', 'Kubernetes', 'OpenShift', 'ECS'] },
+    { name: 'frontend framework', skills: ['React', 'Angular', 'Vue', 'Svelte'] },
+    { name: 'relational database', skills: ['PostgreSQL', 'MySQL', 'SQL Server', 'Oracle', 'SQLite'] },
+    { name: 'NoSQL', skills: ['MongoDB', 'DynamoDB', 'Cassandra', 'Redis'] },
+    { name: 'infrastructure-as-code', skills: ['Terraform', 'Ansible', 'CloudFormation', 'Pulumi'] },
+    { name: 'CI/CD', skills: ['Jenkins', 'GitHub Actions', 'GitLab CI', 'CircleCI'] },
+    { name: 'data pipeline', skills: ['Airflow', 'Spark', 'Kafka', 'Hadoop', 'dbt'] },
+    { name: 'machine learning', skills: ['TensorFlow', 'PyTorch', 'scikit-learn', 'Keras'] },
+    { name: 'BI', skills: ['Tableau', 'Power BI', 'Looker'] },
+    { name: 'JVM', skills: ['Java', 'Kotlin', 'Scala'] },
+    { name: 'scripting', skills: ['Python', 'Ruby', 'Perl'] },
+    { name: 'design tool', skills: ['Figma', 'Sketch', 'Adobe XD'] },
+    { name: 'CRM', skills: ['Salesforce', 'HubSpot'] },
+    { name: 'agile', skills: ['Scrum', 'Kanban', 'Jira'] }
+];
+
+/**
+ * Check whether the resume mentions a term
+ * @param {string} term
+ * @param {Object} evidence - From buildEvidence
+ * @returns {boolean}
+ */
+function resumeHas(term, evidence) {
+    return evidence.text.includes(normalizeForMatch(term));
+}
+
+/**
+ * Years of experience a requirement asks for, e.g. 5 for "5+ years of Python"
+ * @param {string} text
+ * @returns {number}
+ */
+function requiredYears(text) {
+    const match = text.match(/\b(\d{1,2})\+?\s*(?:-\s*\d{1,2}\s*)?years?\b/i);
+    return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Work out how much of one requirement the resume covers
+ * Named skills are looked up directly, years are compared with the resume's career span,
+ * and anything else by how many of the requirement's words the resume uses.
+ * @param {string} text - Requirement
+ * @param {string} kind - "mustHave" or "niceToHave"
+ * @param {string[]} skills - Skills named in the posting
+ * @param {Object} evidence - From buildEvidence
+ * @param {Set<string>} resumeTerms - Tokenized resume
+ * @returns {Object} { text, kind, coverage (0-1), status: "met" | "partial" | "missing", missing: [skills], years }
+ */
+function coverRequirement(text, kind, skills, evidence, resumeTerms) {
+    const padded = normalizeForMatch(text);
+    const named = skills.filter(skill => padded.includes(normalizeForMatch(skill)));
+    const missing = named.filter(skill => !resumeHas(skill, evidence));
+    const years = requiredYears(text);
+
+    const parts = [];
+    if (named.length > 0) parts.push((named.length - missing.length) / named.length);
+    if (years > 0) parts.push(Math.min(1, evidence.experienceYears / years));
+    if (parts.length === 0) {
+        const terms = [...new Set(tokenize(text))].filter(term => !GENERIC_TERMS.has(term) && !/^\d/.test(term));
+        parts.push(terms.length > 0 ? terms.filter(term => resumeTerms.has(term)).length / terms.length : 1);
+    }
+
+    const coverage = parts.reduce((sum, part) => sum + part, 0) / parts.length;
+    return {
+        text,
+        kind,
+        coverage,
+        status: coverage >= MET_COVERAGE ? 'met' : coverage >= PARTIAL_COVERAGE ? 'partial' : 'missing',
+        missing,
+        years
+    };
+}
+
+/**
+ * Average coverage of a list of requirements
+ * @param {Array} requirements
+ * @returns {number|null} Null for an empty list
+ */
+function averageCoverage(requirements) {
+    if (requirements.length === 0) return null;
+    return requirements.reduce((sum, requirement) => sum + requirement.coverage, 0) / requirements.length;
+}
+
+/**
+ * Find a skill on the resume from the same family as a missing one
+ * @param {string} skill - Missing skill
+ * @param {Object} evidence - From buildEvidence
+ * @returns {Object|null} { family, skill } where skill is the one the resume has
+ */
+function findTransferable(skill, evidence) {
+    const key = skill.toLowerCase();
+    const family = SKILL_FAMILIES.find(({ skills }) => skills.some(member => member.toLowerCase() === key));
+    if (!family) return null;
+
+    const related = family.skills.find(other => other.toLowerCase() !== key && resumeHas(other, evidence));
+    return related ? { family: family.name, skill: related } : null;
+}
+
+/**
+ * Name the most recent role that mentions any of the given skills
+ * @param {Object} resume
+ * @param {string[]} skills
+ * @returns {string} Company (or title), or empty if no structured role mentions them
+ */
+function roleMentioning(resume, skills) {
+    const role = (resume.experience || []).find(entry => {
+        const text = normalizeForMatch([entry?.title, entry?.description].join(' '));
+        return skills.some(skill => text.includes(normalizeForMatch(skill)));
+    });
+    return role ? role.company || role.title || '' : '';
+}
+
+/**
+ * Join items as "a, b and c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+function listOf(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '';
+}
+
+/**
+ * Suggest how the letter could play the match: strengths to lead with, transferable skills, gaps to handle
+ * @param {Object} resume
+ * @param {Object} analysis - { matched, missing, requirements, evidence }
+ * @returns {string[]}
+ */
+function suggestAngles(resume, { matched, missing, requirements, evidence }) {
+    const angles = [];
+
+    const mustSkills = new Set(requirements.filter(r => r.kind === 'mustHave').flatMap(r => r.missing));
+    const niceMatched = [...new Set(requirements
+        .filter(r => r.kind === 'niceToHave' && r.status === 'met')
+        .flatMap(r => matched.filter(skill => normalizeForMatch(r.text).includes(normalizeForMatch(skill)))))];
+
+    const strengths = matched.filter(skill => !niceMatched.includes(skill)).slice(0, 3);
+    if (strengths.length > 0) {
+        const role = roleMentioning(resume, strengths);
+        angles.push(`Lead with your ${listOf(strengths)} experience${role ? ` at ${role}` : ''}: the posting asks for ${strengths.length > 1 ? 'these' : 'it'} directly.`);
+    }
+
+    for (const skill of missing) {
+        const transferable = findTransferable(skill, evidence);
+        if (transferable) {
+            angles.push(`${skill} isn't on your resume, but ${transferable.skill} is. Present it as ${transferable.family} experience that transfers, without claiming ${skill}.`);
+        }
+    }
+
+    const yearsGap = requirements.find(r => r.kind === 'mustHave' && r.years > evidence.experienceYears);
+    if (yearsGap) {
+        const span = evidence.experienceYears > 0 ? `your resume spans about ${evidence.experienceYears}` : "your resume doesn't show dates";
+        angles.push(`The posting asks for ${yearsGap.years}+ years and ${span}. Emphasize the scope and results of your work rather than tenure.`);
+    }
+
+    const hardGaps = missing.filter(skill => mustSkills.has(skill) && !findTransferable(skill, evidence));
+    if (hardGaps.length > 0) {
+        angles.push(`${listOf(hardGaps.slice(0, 3))} ${hardGaps.length > 1 ? 'are' : 'is'} required and not on your resume. Don't claim ${hardGaps.length > 1 ? 'them' : 'it'}; mention related exposure honestly, or show how quickly you pick up new tools.`);
+    }
+
+    if (niceMatched.length > 0) {
+        angles.push(`You cover nice-to-haves (${listOf(niceMatched.slice(0, 3))}). Mention them: they set you apart from candidates who only meet the basics.`);
+    }
+
+    return angles.slice(0, MAX_ANGLES);
+}
+
+/**
+ * Compare a resume with a job
+ * Uses the job's stored details (see JobController.analyzeJob) when there are any, and parses
+ * the posting locally otherwise.
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @returns {Object} { score (0-100, or null with nothing to compare), matched: [skills], missing: [skills],
+ *   requirements: [{ text, kind, coverage, status, missing, years }], angles: [strings], gaps: [strings] }
+ */
+export function analyzeMatch(resume = {}, job = {}) {
+    const { job: safeJob } = sanitizeJob(job);
+    const details = safeJob.details || parseJobDetails(safeJob);
+    const evidence = buildEvidence(resume);
+    const resumeTerms = new Set(tokenize(evidence.text));
+
+    const matched = details.skills.filter(skill => resumeHas(skill, evidence));
+    const missing = details.skills.filter(skill => !resumeHas(skill, evidence));
+    const requirements = [
+        ...details.mustHave.map(text => coverRequirement(text, 'mustHave', details.skills, evidence, resumeTerms)),
+        ...details.niceToHave.map(text => coverRequirement(text, 'niceToHave', details.skills, evidence, resumeTerms))
+    ];
+
+    const parts = [
+        { weight: SCORE_WEIGHTS.skills, value: details.skills.length > 0 ? matched.length / details.skills.length : null },
+        { weight: SCORE_WEIGHTS.mustHave, value: averageCoverage(requirements.filter(r => r.kind === 'mustHave')) },
+        { weight: SCORE_WEIGHTS.niceToHave, value: averageCoverage(requirements.filter(r => r.kind === 'niceToHave')) }
+    ].filter(part => part.value !== null);
+    const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+    const score = totalWeight > 0
+        ? Math.round(100 * parts.reduce((sum, part) => sum + part.weight * part.value, 0) / totalWeight)
+        : null;
+
+    // Required things the resume doesn't show, for the prompt
+    const gaps = [
+        ...new Set(requirements.filter(r => r.kind === 'mustHave').flatMap(r => r.missing)),
+        ...requirements
+            .filter(r => r.kind === 'mustHave' && r.status === 'missing' && r.missing.length === 0)
+            .map(r => r.text)
+    ];
+    const yearsGap = requirements.find(r => r.kind === 'mustHave' && r.years > evidence.experienceYears);
+    if (yearsGap && !gaps.includes(yearsGap.text)) {
+        gaps.push(`${yearsGap.years}+ years of experience (the resume spans about ${evidence.experienceYears})`);
+    }
+
+    return {
+        score,
+        matched,
+        missing,
+        requirements,
+        angles: suggestAngles(resume, { matched, missing, requirements, evidence }),
+        gaps
+    };
+}
+
+/**
+ * Prompt section describing the match, so the letter plays to strengths and handles gaps honestly
+ * @param {Object|null} match - From analyzeMatch
+ * @returns {string} Empty when there is nothing to say
+ */
+export function buildMatchInstructions(match) {
+    if (!match || (match.matched.length === 0 && match.gaps.length === 0)) return '';
+
+    const lines = ['=== HOW THE RESUME FITS THIS JOB ==='];
+    if (match.matched.length > 0) {
+        lines.push(`Skills from the posting that the resume shows: ${match.matched.join(', ')}`);
+    }
+    if (match.gaps.length > 0) {
+        lines.push('Requirements the resume does not show:', ...match.gaps.map(gap => `- ${gap}`));
+        lines.push('Never claim any of these. If one matters for the role, address it honestly in at most one sentence: related experience that transfers, or how the candidate is building it. Do not apologize for it.');
+    }
+    return lines.join('\n');
+}
+
+export default {
+    analyzeMatch,
+    buildMatchInstructions
+};
@@ -0,0 +1,299 @@
+/**
+ * Offline Generator Service
+ * Writes a cover letter draft from the stored resume and job without calling any AI.
+ * The draft is assembled from fixed, tone-specific phrases around the resume's own
+ * summary, skills and experience, so it is deterministic and never claims anything
+ * the resume doesn't say. Useful when no provider is reachable, and as a baseline
+ * to compare AI letters against.
+ */
+
+import { tokenize, splitResume } from './ContextBuilderService.js';
+import { normalizeLetter, LENGTH_PRESETS } from './LetterStructureService.js';
+import { sanitizeJob } from './PromptSafetyService.js';
+
+// Phrases for each built-in tone; ctx is { role, company, at }
+const TONE_PHRASES = {
+    professional: {
+        salutation: () => 'Dear Hiring Manager,',
+        opening: ({ role, at }) => `I am writing to apply for ${role}${at}.`,
+        recentRole: (role) => `Most recently, I worked as ${role}.`,
+        experienceLead: 'My recent experience is directly relevant to this role.',
+        matchingSkills: (skills) => `The position calls for experience I already have, including ${skills}.`,
+        otherSkills: (skills) => `My skills include ${skills}.`,
+        earlierRole: (role) => `Before that, I worked as ${role}.`,
+        closing: ({ company }) => `I would welcome the chance to discuss how my experience could contribute to ${company || 'your team'}. Thank you for your time and consideration.`,
+        signOff: 'Sincerely,'
+    },
+    friendly: {
+        salutation: ({ company }) => (company ? `Dear ${company} team,` : 'Hello,'),
+        opening: ({ role, at }) => `I was excited to come across ${role}${at}, and I'd love to be considered.`,
+        recentRole: (role) => `Most recently, I've been working as ${role}.`,
+        experienceLead: "My recent work lines up well with what you're looking for.",
+        matchingSkills: (skills) => `I'd especially enjoy putting my experience with ${skills} to work on your team.`,
+        otherSkills: (skills) => `Along the way I've built up skills in ${skills}.`,
+        earlierRole: (role) => `Before that, I worked as ${role}.`,
+        closing: ({ company }) => `I'd love to talk about how I could help ${company || 'your team'}. Thanks so much for considering my application!`,
+        signOff: 'Best regards,'
+    },
+    formal: {
+        salutation: () => 'Dear Sir or Madam,',
+        opening: ({ role, at }) => `Please accept this letter as my application for ${role}${at}.`,
+        recentRole: (role) => `In my most recent position, I served as ${role}.`,
+        experienceLead: 'My recent professional experience is directly relevant to the position.',
+        matchingSkills: (skills) => `My qualifications include ${skills}, which correspond closely to the requirements of the position.`,
+        otherSkills: (skills) => `My qualifications include ${skills}.`,
+        earlierRole: (role) => `Previously, I held the position of ${role}.`,
+        closing: () => 'I would be grateful for the opportunity to discuss my application further. Thank you for your consideration.',
+        signOff: 'Yours faithfully,'
+    }
+};
+
+// Custom tones borrow the phrases of the built-in tone their description is closest to
+const TONE_CUES = [
+    { tone: 'friendly', pattern: /\b(?:warm|friendly|casual|enthusias\w*|approachable|personable|conversational|upbeat)\b/i },
+    { tone: 'formal', pattern: /\b(?:formal|traditional|conservative|reserved)\b/i }
+];
+
+// How much each length preset includes
+const LENGTH_PLANS = {
+    short: { highlights: 1, skills: 4, separateSkills: false, background: false },
+    standard: { highlights: 2, skills: 5, separateSkills: true, background: false },
+    detailed: { highlights: 3, skills: 6, separateSkills: true, background: true }
+};
+
+// Irregular past-tense verbs that open resume bullets ("Led a team of five")
+const IRREGULAR_PAST_VERBS = new Set([
+    'built', 'led', 'ran', 'made', 'wrote', 'grew', 'cut', 'drove', 'won', 'taught', 'set', 'kept',
+    'began', 'brought', 'found', 'gave', 'held', 'took', 'sold', 'spent', 'oversaw', 'undertook', 'rebuilt', 'rewrote'
+]);
+
+// Resume summaries that read as a noun phrase ("Data engineer with 6 years...") can follow "I am a"
+const NOUN_PHRASE_SUMMARY = /^(?:[\w/&+-]+\s+){1,5}(?:with|specializing|specialising|experienced|skilled|focused|who)\b/i;
+
+/**
+ * Pick the phrase set for a tone
+ * @param {Object} tone - { id, description }
+ * @returns {Object}
+ */
+function phrasesFor(tone = {}) {
+    if (TONE_PHRASES[tone.id]) return TONE_PHRASES[tone.id];
+    const cue = TONE_CUES.find(({ pattern }) => pattern.test(tone.description || ''));
+    return TONE_PHRASES[cue ? cue.tone : 'professional'];
+}
+
+/**
+ * Pick the length plan for the length setting
+ * @param {Object} length - From LetterStructureService.resolveLength
+ * @returns {Object}
+ */
+function planFor(length = {}) {
+    const words = length.words || LENGTH_PRESETS.standard.words;
+    return words < 200 ? LENGTH_PLANS.short : words < 350 ? LENGTH_PLANS.standard : LENGTH_PLANS.detailed;
+}
+
+/**
+ * Join items as "a, b and c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+function listOf(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0] || '';
+}
+
+/**
+ * Turn a resume line into a sentence of its own
+ * @param {string} text
+ * @returns {string}
+ */
+function asSentence(text) {
+    const trimmed = text.replace(/^[•\-*]\s*/, '').replace(/[;,:\s]+$/, '').trim();
+    if (!trimmed) return '';
+    const capitalized = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+    return /[.!?]$/.test(capitalized) ? capitalized : `${capitalized}.`;
+}
+
+/**
+ * Turn a resume bullet that opens with a past-tense verb ("Built X") into "I built X."
+ * @param {string} text
+ * @returns {string}
+ */
+function asFirstPerson(text) {
+    const sentence = asSentence(text);
+    const firstWord = (sentence.match(/^[A-Z][a-z]+\b/) || [''])[0].toLowerCase();
+    const pastTense = IRREGULAR_PAST_VERBS.has(firstWord) || (firstWord.length > 4 && firstWord.endsWith('ed'));
+    return pastTense ? `I ${firstWord}${sentence.slice(firstWord.length)}` : sentence;
+}
+
+/**
+ * Describe a role as "Title at Company"
+ * @param {Object} entry - Experience entry { title, company }
+ * @returns {string}
+ */
+function describeRole(entry) {
+    return [entry.title, entry.company].filter(Boolean).join(' at ');
+}
+
+/**
+ * Introduce the candidate with the first sentence of their resume summary
+ * @param {string} summary
+ * @returns {string} Empty if the summary can't be phrased in the first person
+ */
+function summarySentence(summary) {
+    const first = (summary || '').trim().match(/^[^.!?]+[.!?]?/);
+    if (!first) return '';
+
+    const sentence = first[0].trim();
+    if (/^I\b/.test(sentence)) return asSentence(sentence);
+    if (!NOUN_PHRASE_SUMMARY.test(sentence)) return '';
+
+    // Keep acronyms and proper nouns ("AWS-certified", "Senior Java developer") as written
+    const lowered = /^[A-Z][a-z]/.test(sentence) ? sentence.charAt(0).toLowerCase() + sentence.slice(1) : sentence;
+    const article = /^[aeiou]/i.test(lowered) ? 'an' : 'a';
+    return asSentence(`I am ${article} ${lowered}`);
+}
+
+/**
+ * Rank resume skills by how often the posting mentions them
+ * @param {string[]} skills
+ * @param {string} jobText - Lower-case posting text
+ * @returns {Object} { matching, other } skill names, best first
+ */
+function rankSkills(skills = [], jobText) {
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const scored = skills
+        .map(skill => (typeof skill === 'string' ? skill.trim() : ''))
+        .filter(skill => skill && skill.length <= 40)
+        .map((skill, index) => {
+            const pattern = new RegExp(`(?:^|[^a-z0-9+#])${escape(skill.toLowerCase())}(?![a-z0-9+#])`, 'g');
+            return { skill, index, mentions: (jobText.match(pattern) || []).length };
+        });
+
+    const byMentions = (a, b) => b.mentions - a.mentions || a.index - b.index;
+    return {
+        matching: scored.filter(s => s.mentions > 0).sort(byMentions).map(s => s.skill),
+        other: scored.filter(s => s.mentions === 0).map(s => s.skill)
+    };
+}
+
+/**
+ * Pick the lines most related to the posting, keeping their original order
+ * @param {string[]} lines - Candidate lines
+ * @param {Set<string>} jobTerms - Tokenized posting
+ * @param {number} count - How many to keep
+ * @returns {string[]}
+ */
+function pickRelevant(lines, jobTerms, count) {
+    return lines
+        .map((text, index) => ({
+            text,
+            index,
+            score: new Set(tokenize(text).filter(term => jobTerms.has(term))).size
+        }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, count)
+        .sort((a, b) => a.index - b.index)
+        .map(line => line.text);
+}
+
+/**
+ * Split an experience description into bullets or sentences
+ * @param {string} description
+ * @returns {string[]}
+ */
+function descriptionLines(description) {
+    return (description || '')
+        .split(/\n|\s*[•●▪◦‣■]\s*|(?<=[.!?])\s+(?=[A-Z])/)
+        .map(line => line.trim())
+        .filter(line => line.split(/\s+/).length >= 3);
+}
+
+/**
+ * Build the experience paragraph from the most recent role
+ * Falls back to experience lines of the raw resume text when it wasn't parsed into roles.
+ * @param {Object} resume
+ * @param {Object} phrases - Tone phrases
+ * @param {Set<string>} jobTerms
+ * @param {number} count - Highlights to include
+ * @returns {string}
+ */
+function experienceParagraph(resume, phrases, jobTerms, count) {
+    const recent = (resume.experience || []).find(entry => entry && (entry.title || entry.company));
+    if (recent) {
+        const highlights = pickRelevant(descriptionLines(recent.description), jobTerms, count);
+        return [phrases.recentRole(describeRole(recent)), ...highlights.map(asFirstPerson)].join(' ');
+    }
+
+    const lines = splitResume(resume)
+        .filter(piece => piece.section === 'experience' && piece.text.split(/\s+/).length >= 6)
+        .map(piece => piece.text);
+    if (lines.length === 0) return '';
+
+    return [phrases.experienceLead, ...pickRelevant(lines, jobTerms, count).map(asFirstPerson)].join(' ');
+}
+
+/**
+ * Build the background paragraph (earlier role and education) for detailed letters
+ * @param {Object} resume
+ * @param {Object} phrases - Tone phrases
+ * @returns {string}
+ */
+function backgroundParagraph(resume, phrases) {
+    const roles = (resume.experience || []).filter(entry => entry && (entry.title || entry.company));
+    const education = (resume.education || []).find(entry => entry && (entry.degree || entry.school));
+
+    return [
+        roles[1] && phrases.earlierRole(describeRole(roles[1])),
+        education && asSentence(`My education includes ${[education.degree, education.school].filter(Boolean).join(', ')}`)
+    ].filter(Boolean).join(' ');
+}
+
+/**
+ * Write a cover letter draft without AI
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} options - { tone: { id, description } (see TemplateModel), length (see LetterStructureService.resolveLength) }
+ * @returns {Object} { letter, language: "en" } - always English, since the phrases are
+ */
+export function generateOfflineLetter(resume = {}, job = {}, options = {}) {
+    const phrases = phrasesFor(options.tone);
+    const plan = planFor(options.length);
+    const { job: cleanJob } = sanitizeJob(job);
+
+    const company = (cleanJob.company || '').trim();
+    const title = (cleanJob.title || '').trim();
+    const ctx = {
+        company,
+        role: title ? `the ${title} position` : 'this position',
+        at: company ? ` at ${company}` : ''
+    };
+
+    const jobText = [cleanJob.title, cleanJob.description, cleanJob.requirements].filter(Boolean).join('\n');
+    const jobTerms = new Set(tokenize(jobText));
+    const skills = rankSkills(resume.skills, jobText.toLowerCase());
+
+    const skillSentence = skills.matching.length > 0
+        ? phrases.matchingSkills(listOf(skills.matching.slice(0, plan.skills)))
+        : skills.other.length > 0 ? phrases.otherSkills(listOf(skills.other.slice(0, plan.skills))) : '';
+
+    const opening = [phrases.opening(ctx), summarySentence(resume.summary)];
+    const paragraphs = [
+        [...opening, !plan.separateSkills && skillSentence].filter(Boolean).join(' '),
+        experienceParagraph(resume, phrases, jobTerms, plan.highlights),
+        plan.background && backgroundParagraph(resume, phrases),
+        plan.separateSkills && skillSentence,
+        phrases.closing(ctx)
+    ];
+
+    return {
+        letter: normalizeLetter({
+            salutation: phrases.salutation(ctx),
+            paragraphs: paragraphs.filter(Boolean),
+            closing: phrases.signOff
+        }),
+        language: 'en'
+    };
+}
+
+export default {
+    generateOfflineLetter
+};
@@ -0,0 +1,269 @@
+/**
+ * PDF Layout Service
+ * Rebuilds the text layout of PDF pages from pdf.js text items: lines from the item positions
+ * and end-of-line flags, a two-column split where the page has one, reading order (header,
+ * then each column top to bottom), headings and paragraph breaks, and the resume sections
+ * the headings start. Works on plain item data, so it doesn't need pdf.js itself.
+ */
+
+import { headingSection } from './ContextBuilderService.js';
+
+// Share of a page's text runs allowed to cross a column gutter (name and contact lines do)
+const MAX_GUTTER_CROSSINGS = 0.1;
+// Share of the page's characters each column needs, so right-aligned dates aren't a column
+const MIN_COLUMN_SHARE = 0.15;
+// A line this much larger than the page's usual text is a heading
+const HEADING_SIZE_RATIO = 1.15;
+// A vertical gap of this many line heights starts a new paragraph
+const PARAGRAPH_GAP = 1.6;
+
+/**
+ * Turn pdf.js text items into runs: pieces of text on one baseline without a large gap, in content order
+ * @param {Array} items - textContent.items ({ str, transform, width, height, hasEOL })
+ * @returns {Array<{text: string, x: number, end: number, y: number, size: number}>}
+ */
+function buildRuns(items) {
+    const runs = [];
+    let run = null;
+    let lineEnded = true;
+
+    for (const item of items) {
+        const [, , c, d, x, y] = item.transform || [1, 0, 0, 1, 0, 0];
+        const size = Math.hypot(c, d) || item.height || 10;
+        const text = item.str || '';
+
+        if (text.trim()) {
+            const sameLine = run && !lineEnded &&
+                Math.abs(y - run.y) < size * 0.5 &&
+                x >= run.end - size * 0.5 &&
+                x - run.end < size * 2;
+
+            if (sameLine) {
+                run.text += joiner(run.text, text, x - run.end, size) + text;
+                run.end = Math.max(run.end, x + (item.width || 0));
+                run.size = Math.max(run.size, size);
+            } else {
+                run = { text, x, end: x + (item.width || 0), y, size };
+                runs.push(run);
+            }
+        }
+
+        // Empty items often only carry the end-of-line flag
+        lineEnded = Boolean(item.hasEOL);
+    }
+
+    return runs.map(entry => ({ ...entry, text: entry.text.replace(/\s+/g, ' ').trim() })).filter(entry => entry.text);
+}
+
+/**
+ * Space to put between two pieces of text on one line
+ * @param {string} before
+ * @param {string} after
+ * @param {number} gap - Horizontal distance between them
+ * @param {number} size - Font size
+ * @returns {string} ' ' or ''
+ */
+function joiner(before, after, gap, size) {
+    if (/\s$/.test(before) || /^\s/.test(after)) return '';
+    return gap > size * 0.15 ? ' ' : '';
+}
+
+/**
+ * Find the gutter between two columns
+ * The columns start where both sides have text, so a name and contact line above them read
+ * as full width. Runs crossing the gutter inside that span are allowed, up to a small share.
+ * @param {Array} runs - From buildRuns
+ * @param {number} width - Page width
+ * @returns {Object|null} { x, top, bottom } of the gutter, or null for a single column
+ */
+function findGutter(runs, width) {
+    if (runs.length < 6) return null;
+
+    const sizes = runs.map(run => run.size).sort((a, b) => a - b);
+    const clearance = sizes[Math.floor(sizes.length / 2)];
+    const totalChars = runs.reduce((sum, run) => sum + run.text.length, 0);
+    let best = null;
+
+    for (let x = width * 0.2; x <= width * 0.8; x += 2) {
+        const left = runs.filter(run => run.end <= x);
+        const right = runs.filter(run => run.x >= x);
+        if (left.length === 0 || right.length === 0) continue;
+
+        const top = Math.min(Math.max(...left.map(run => run.y)), Math.max(...right.map(run => run.y)));
+        const bottom = Math.min(...[...left, ...right].map(run => run.y));
+        const inSpan = (run) => run.y <= top + run.size && run.y >= bottom - run.size;
+        const spanLeft = left.filter(inSpan);
+        const spanRight = right.filter(inSpan);
+        const spanRuns = runs.filter(inSpan);
+        const crossing = spanRuns.length - spanLeft.length - spanRight.length;
+        if (crossing > spanRuns.length * MAX_GUTTER_CROSSINGS) continue;
+
+        // The gutter has to be an empty band, not just a gap between two words
+        const gap = Math.min(x - Math.max(...spanLeft.map(run => run.end)), Math.min(...spanRight.map(run => run.x)) - x);
+        if (gap < clearance) continue;
+
+        const share = (side) => side.reduce((sum, run) => sum + run.text.length, 0) / totalChars;
+        if (share(spanLeft) < MIN_COLUMN_SHARE || share(spanRight) < MIN_COLUMN_SHARE) continue;
+
+        // Prefer the fewest crossings, then the middle of the widest empty band
+        const score = crossing * width - gap;
+        if (!best || score < best.score) best = { x, top, bottom, score };
+    }
+
+    return best && { x: best.x, top: best.top, bottom: best.bottom };
+}
+
+/**
+ * Merge runs of one column into lines, top to bottom
+ * @param {Array} runs - Runs of one column
+ * @returns {Array<{text: string, x: number, y: number, size: number}>}
+ */
+function buildLines(runs) {
+    const sorted = [...runs].sort((a, b) => b.y - a.y);
+    const groups = [];
+
+    for (const run of sorted) {
+        const group = groups[groups.length - 1];
+        if (group && Math.abs(group[0].y - run.y) < Math.min(group[0].size, run.size) * 0.5) {
+            group.push(run);
+        } else {
+            groups.push([run]);
+        }
+    }
+
+    // Join each baseline's runs left to right
+    return groups.map(group => group.sort((a, b) => a.x - b.x).reduce((line, run) => ({
+        ...line,
+        text: line.text + joiner(line.text, run.text, run.x - line.end, run.size) + run.text,
+        end: run.end,
+        size: Math.max(line.size, run.size)
+    })));
+}
+
+/**
+ * Decide whether a line is a heading: a known resume section name, or short text set larger than
+ * the page's usual size or in capitals
+ * @param {Object} line
+ * @param {number} bodySize - The page's usual font size
+ * @returns {boolean}
+ */
+function isHeading(line, bodySize) {
+    const text = line.text.replace(/:$/, '').trim();
+    if (headingSection(text)) return true;
+    if (text.length > 40 || text.split(/\s+/).length > 5 || /[.,;]$/.test(text)) return false;
+
+    const letters = text.replace(/[^A-Za-zÀ-ÿ]/g, '');
+    const capitals = letters.length >= 3 && letters === letters.toUpperCase();
+    return capitals || line.size >= bodySize * HEADING_SIZE_RATIO;
+}
+
+/**
+ * Lay out one page
+ * @param {Array} items - pdf.js textContent.items
+ * @param {Object} viewport - { width } of the page (page.getViewport({ scale: 1 }))
+ * @returns {Object} { columns: 1 | 2, lines: [{ text, x, y, size, column: "full" | "left" | "right", heading, paragraphStart }] }
+ *   in reading order
+ */
+export function buildPageLayout(items = [], viewport = {}) {
+    const runs = buildRuns(items);
+    if (runs.length === 0) return { columns: 1, lines: [] };
+
+    const width = viewport.width || Math.max(...runs.map(run => run.end));
+    const gutter = findGutter(runs, width);
+
+    const column = (run) => {
+        if (!gutter || run.y > gutter.top + run.size || run.y < gutter.bottom - run.size) return 'full';
+        if (run.end <= gutter.x) return 'left';
+        return run.x >= gutter.x ? 'right' : 'full';
+    };
+
+    // Full-width lines split the page into bands; each band reads its left column, then its right
+    const full = buildLines(runs.filter(run => column(run) === 'full')).map(line => ({ ...line, column: 'full' }));
+    const bandOf = (line) => full.filter(other => other.y > line.y).length;
+    const ordered = [];
+    for (let band = 0; band <= full.length; band++) {
+        for (const side of ['left', 'right']) {
+            const sideLines = buildLines(runs.filter(run => column(run) === side))
+                .filter(line => bandOf(line) === band)
+                .map(line => ({ ...line, column: side }));
+            ordered.push(...sideLines);
+        }
+        if (band < full.length) ordered.push(full[band]);
+    }
+
+    // Usual text size, weighted by characters
+    const sizes = ordered.flatMap(line => new Array(line.text.length).fill(line.size)).sort((a, b) => a - b);
+    const bodySize = sizes[Math.floor(sizes.length / 2)];
+
+    const lines = ordered.map((line, index) => {
+        const previous = ordered[index - 1];
+        const newBlock = !previous || previous.column !== line.column;
+        const gap = previous ? previous.y - line.y : 0;
+        return {
+            text: line.text,
+            x: line.x,
+            y: line.y,
+            size: line.size,
+            column: line.column,
+            heading: isHeading(line, bodySize),
+            paragraphStart: newBlock || gap > Math.max(line.size, previous.size) * PARAGRAPH_GAP
+        };
+    });
+
+    return { columns: gutter ? 2 : 1, lines };
+}
+
+/**
+ * Split laid-out lines into resume sections
+ * Everything before the first known section heading (name, contact details) is the header;
+ * after it, every heading starts a section.
+ * @param {Array} lines - Lines of all pages, in reading order
+ * @returns {Array<{key: string, heading: string, lines: string[]}>} key is e.g. "experience", "header" or "other"
+ */
+export function splitSections(lines) {
+    const sections = [{ key: 'header', heading: '', lines: [] }];
+
+    for (const line of lines) {
+        const key = line.heading ? headingSection(line.text.replace(/:$/, '')) : null;
+        const started = sections.length > 1;
+        if (line.heading && (key || started)) {
+            sections.push({ key: key || 'other', heading: line.text, lines: [] });
+        } else {
+            sections[sections.length - 1].lines.push(line.text);
+        }
+    }
+
+    return sections.filter(section => section.key !== 'header' || section.lines.length > 0);
+}
+
+/**
+ * Render laid-out lines as text: one line per line, a blank line before headings, paragraphs and columns
+ * @param {Array} lines - Lines in reading order
+ * @returns {string}
+ */
+export function layoutToText(lines) {
+    return lines
+        .map((line, index) => (index > 0 && (line.heading || line.paragraphStart) ? `\n${line.text}` : line.text))
+        .join('\n');
+}
+
+/**
+ * Lay out a whole document
+ * @param {Array} pages - From buildPageLayout, one per page
+ * @returns {Object} { pages, columns (most columns on any page), sections (see splitSections), text }
+ */
+export function buildDocumentLayout(pages = []) {
+    return {
+        pages,
+        columns: Math.max(1, ...pages.map(page => page.columns)),
+        sections: splitSections(pages.flatMap(page => page.lines)),
+        text: pages.map(page => layoutToText(page.lines)).filter(Boolean).join('\n\n')
+    };
+}
+
+export default {
+    buildPageLayout,
+    splitSections,
+    layoutToText,
+    buildDocumentLayout
+};
@@ -1,8 +1,10 @@
 /**
  * PDF Parser Service
- * Uses pdf.js to extract text from PDF resumes
+ * Uses pdf.js to extract text from PDF resumes, laid out by PDFLayoutService
  */
 
+import { buildPageLayout, buildDocumentLayout } from './PDFLayoutService.js';
+
 // PDF.js is loaded via script tag in popup.html and exposed as window.pdfjsLib
 let pdfjsLib = null;
 
@@ -27,11 +29,11 @@ async function initPdfJs() {
 }
 
 /**
- * Extract text from a PDF file
+ * Extract the text layout of a PDF file: lines in reading order, columns, headings and sections
  * @param {File|ArrayBuffer} file - PDF file or ArrayBuffer
- * @returns {Promise<string>} Extracted text
+ * @returns {Promise<Object>} See PDFLayoutService.buildDocumentLayout
  */
-export async function extractTextFromPDF(file) {
+export async function extractLayoutFromPDF(file) {
     await initPdfJs();
 
     let arrayBuffer;
@@ -42,26 +44,34 @@ export async function extractTextFromPDF(file) {
     }
 
     const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    const textParts = [];
+    const pages = [];
 
     for (let i = 1; i <= pdf.numPages; i++) {
         const page = await pdf.getPage(i);
         const textContent = await page.getTextContent();
-        const pageText = textContent.items
-            .map(item => item.str)
-            .join(' ');
-        textParts.push(pageText);
+        pages.push(buildPageLayout(textContent.items, page.getViewport({ scale: 1 })));
     }
 
-    return textParts.join('\n\n');
+    return buildDocumentLayout(pages);
+}
+
+/**
+ * Extract text from a PDF file, one line per line and columns one after the other
+ * @param {File|ArrayBuffer} file - PDF file or ArrayBuffer
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractTextFromPDF(file) {
+    const layout = await extractLayoutFromPDF(file);
+    return layout.text;
 }
 
 /**
  * Parse resume text into structured data
  * @param {string} text - Raw resume text
+ * @param {Array} sections - Sections from PDFLayoutService.splitSections, when the layout is known
  * @returns {Object} Structured resume data
  */
-export function parseResumeText(text) {
+export function parseResumeText(text, sections = null) {
     const resume = {
         rawText: text,
         name: '',
@@ -99,12 +109,7 @@ export function parseResumeText(text) {
     // Extract skills (look for common patterns)
     const skillsSection = text.match(/skills[:\s]*([\s\S]*?)(?=experience|education|projects|$)/i);
     if (skillsSection) {
-        const skillsText = skillsSection[1];
-        // Split by common delimiters
-        resume.skills = skillsText
-            .split(/[,•|·\n]/)
-            .map(s => s.trim())
-            .filter(s => s.length > 1 && s.length < 50);
+        resume.skills = splitSkills(skillsSection[1]);
     }
 
     // Extract summary/objective
@@ -113,20 +118,71 @@ export function parseResumeText(text) {
         resume.summary = summarySection[1].trim().slice(0, 500);
     }
 
+    // The layout's sections are more reliable where they were found; the text keeps the rest
+    if (sections) {
+        for (const [field, value] of Object.entries(parseSections(sections))) {
+            if (value.length > 0) {
+                resume[field] = value;
+            }
+        }
+    }
+
     return resume;
 }
 
+/**
+ * Split a skills section into skills
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSkills(text) {
+    return text
+        .split(/[,•|·\n]/)
+        .map(s => s.trim())
+        .filter(s => s.length > 1 && s.length < 50);
+}
+
+/**
+ * Read name, summary and skills from the sections of a laid-out resume
+ * @param {Array} sections - From PDFLayoutService.splitSections
+ * @returns {Object} { name, summary, skills }, each only when found
+ */
+function parseSections(sections) {
+    const parsed = {};
+    const section = (key) => sections.find(entry => entry.key === key);
+
+    // The name is the header's first line that isn't contact details
+    const header = section('header');
+    const name = header && header.lines.find(line => line.length < 50 && !/[@\d/]|www\./i.test(line));
+    if (name) {
+        parsed.name = name;
+    }
+
+    const summary = section('summary');
+    if (summary) {
+        parsed.summary = summary.lines.join(' ').slice(0, 500);
+    }
+
+    const skills = section('skills');
+    if (skills) {
+        parsed.skills = splitSkills(skills.lines.join('\n'));
+    }
+
+    return parsed;
+}
+
 /**
  * Process PDF file and return structured resume
  * @param {File} file - PDF file
  * @returns {Promise<Object>} Structured resume data
  */
 export async function processPDFResume(file) {
-    const text = await extractTextFromPDF(file);
-    return parseResumeText(text);
+    const layout = await extractLayoutFromPDF(file);
+    return parseResumeText(layout.text, layout.sections);
 }
 
 export default {
+    extractLayoutFromPDF,
     extractTextFromPDF,
     parseResumeText,
     processPDFResume
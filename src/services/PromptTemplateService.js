@@ -0,0 +1,505 @@
+/**
+ * Prompt Template Service
+ * Renders prompt templates with {{placeholders}} from resume, job and tone data
+ *
+ * Syntax:
+ *   {{resume.skills}}                 - value (arrays are joined with ", ")
+ *   {{#if job.requirements}}...{{/if}} - section kept only when the value is non-empty
+ * Blocks cannot be nested.
+ */
+
+import SettingsModel from '../models/SettingsModel.js';
+import TemplateModel from '../models/TemplateModel.js';
+import StyleProfileModel from '../models/StyleProfileModel.js';
+import CompanyNotesModel from '../models/CompanyNotesModel.js';
+import { buildLetterFormatInstructions, resolveLength } from './LetterStructureService.js';
+import { getLanguage, resolveOutputLanguage, formatLetterDate } from './LanguageService.js';
+import { buildGenerationContext } from './ContextBuilderService.js';
+import { buildStyleInstructions } from './StyleProfileService.js';
+import { sanitizeJob, fenceUntrusted, buildUntrustedContentNotice } from './PromptSafetyService.js';
+import { analyzeMatch, buildMatchInstructions } from './MatchAnalysisService.js';
+import { buildAnswerLengthInstructions } from './AnswerService.js';
+import { buildMessageFormatInstructions } from './DocumentTypeService.js';
+import { buildPrepFormatInstructions } from './InterviewPrepService.js';
+import { buildResumeEntries, formatEntriesForPrompt, buildTailorFormatInstructions } from './ResumeTailorService.js';
+import { buildCompanyNotesSection } from './CompanyNotesService.js';
+
+// Variables available to templates, shown as a reference in the editor
+export const TEMPLATE_VARIABLES = [
+    { name: 'resume.name', description: 'Candidate name' },
+    { name: 'resume.email', description: 'Candidate email' },
+    { name: 'resume.phone', description: 'Candidate phone' },
+    { name: 'resume.summary', description: 'Summary/objective' },
+    { name: 'resume.skills', description: 'Skills, comma separated' },
+    { name: 'resume.experience', description: 'Experience entries, one per line' },
+    { name: 'resume.education', description: 'Education entries, one per line' },
+    { name: 'resume.rawText', description: 'Resume text most relevant to the job' },
+    { name: 'job.title', description: 'Job title' },
+    { name: 'job.company', description: 'Company name' },
+    { name: 'job.location', description: 'Job location' },
+    { name: 'job.description', description: 'Job description (most relevant parts, fenced as untrusted text)' },
+    { name: 'job.requirements', description: 'Job requirements (most relevant parts, fenced as untrusted text)' },
+    { name: 'match.score', description: 'How well the resume covers the job, 0-100' },
+    { name: 'match.matched', description: 'Skills from the posting the resume shows' },
+    { name: 'match.missing', description: 'Skills from the posting the resume does not show' },
+    { name: 'match.gaps', description: 'Required skills and requirements the resume does not show' },
+    { name: 'tone.name', description: 'Selected tone name' },
+    { name: 'tone.description', description: 'Selected tone description' },
+    { name: 'length.words', description: 'Target length in words' },
+    { name: 'length.description', description: 'Target length, e.g. "about 275 words in 3-4 paragraphs"' },
+    { name: 'language.name', description: 'Language the letter is written in' },
+    { name: 'today', description: "Today's date" }
+];
+
+// Prompt for revising an existing letter; fixed rather than user-editable, since it only edits
+const REFINEMENT_TEMPLATE = `You are an expert cover letter editor. Revise the cover letter below by following the candidate's instruction.
+
+Rules:
+1. Apply the instruction fully, and change nothing else unless the instruction requires it
+2. Keep the candidate's own edits: the letter below is the latest version
+3. Only reference experiences, skills, and qualifications that are explicitly mentioned in the resume. Never fabricate or embellish.
+
+=== CANDIDATE RESUME ===
+Name: {{resume.name}}
+{{#if resume.skills}}Skills: {{resume.skills}}
+{{/if}}
+{{#if resume.rawText}}{{resume.rawText}}{{/if}}
+
+=== JOB ===
+{{job.title}} at {{job.company}}
+{{#if job.requirements}}Requirements:
+{{job.requirements}}{{/if}}
+
+=== CURRENT LETTER (JSON) ===
+{{letter}}
+
+=== INSTRUCTION ===
+{{instruction}}`;
+
+// Prompt for answering an application question; fixed like the refinement prompt
+const ANSWER_TEMPLATE = `You are helping a candidate fill in a job application. Write their answer to the application question below, in the first person and in their voice.
+
+Rules:
+1. Answer the question directly: no greeting, sign-off or restating of the question
+2. Only reference experiences, skills, and qualifications that are explicitly mentioned in the resume. Never fabricate or embellish.
+3. Where the question invites it, connect the answer to this job and company
+4. Plain text only: no markdown, headings or bullet points
+
+=== CANDIDATE RESUME ===
+Name: {{resume.name}}
+{{#if resume.summary}}Summary: {{resume.summary}}
+{{/if}}{{#if resume.skills}}Skills: {{resume.skills}}
+{{/if}}
+{{#if resume.rawText}}{{resume.rawText}}{{/if}}
+
+=== JOB ===
+{{job.title}} at {{job.company}}
+{{job.description}}
+{{#if job.requirements}}Requirements:
+{{job.requirements}}{{/if}}
+
+=== APPLICATION QUESTION ===
+{{question}}`;
+
+// Prompt for outreach messages (see DocumentTypeService); the task and extra rules come from the type
+const MESSAGE_TEMPLATE = `You are an expert career coach. {{task}}
+
+Rules:
+1. Write as the candidate, in the first person{{#if tone.description}}, in a {{tone.description}} tone{{/if}}
+2. Only reference experiences, skills, and qualifications that are explicitly mentioned in the resume. Never fabricate or embellish.
+{{rules}}
+
+=== CANDIDATE RESUME ===
+Name: {{resume.name}}
+{{#if resume.summary}}Summary: {{resume.summary}}
+{{/if}}{{#if resume.skills}}Skills: {{resume.skills}}
+{{/if}}
+{{#if resume.rawText}}{{resume.rawText}}{{/if}}
+
+=== JOB ===
+{{job.title}} at {{job.company}}
+{{job.description}}
+{{#if job.requirements}}Requirements:
+{{job.requirements}}{{/if}}
+
+{{#if recipient}}=== RECIPIENT ===
+{{recipient}}
+{{/if}}
+{{#if notes}}=== NOTES FROM THE CANDIDATE ===
+{{notes}}{{/if}}`;
+
+// Prompt for the interview prep pack (see InterviewPrepService)
+const INTERVIEW_PREP_TEMPLATE = `You are an experienced interview coach. The candidate below has an interview for this job. Prepare them for it.
+
+Rules:
+1. Base the questions on the job's requirements and responsibilities, and on what the resume shows
+2. Build every STAR outline from one experience entry of the resume and name that entry. Use only what the resume says, and write [add detail] where the candidate has to fill something in
+3. Never invent employers, projects, figures or skills the resume doesn't mention
+4. Questions to ask the interviewer should be specific to this job and company
+
+=== CANDIDATE RESUME ===
+Name: {{resume.name}}
+{{#if resume.summary}}Summary: {{resume.summary}}
+{{/if}}{{#if resume.skills}}Skills: {{resume.skills}}
+{{/if}}{{#if resume.experience}}Experience:
+{{resume.experience}}
+{{/if}}
+{{#if resume.rawText}}{{resume.rawText}}{{/if}}
+
+=== JOB ===
+{{job.title}} at {{job.company}}
+{{job.description}}
+{{#if job.requirements}}Requirements:
+{{job.requirements}}{{/if}}
+
+{{#if weakSpots}}=== REQUIREMENTS THE RESUME DOES NOT CLEARLY SHOW ===
+{{weakSpots}}{{/if}}`;
+
+// Prompt for tailored resume suggestions (see ResumeTailorService)
+const TAILOR_TEMPLATE = `You are an experienced resume editor. Tailor the candidate's resume to the job below by rewriting experience bullets and reordering the skills list.
+
+Rules:
+1. A rewrite may rephrase a bullet, lead with what the job cares about, use the job's wording for things the bullet already says, and drop filler
+2. Keep every fact of the bullet as it is: never add employers, titles, tools, skills, figures, dates or results the bullet doesn't already state
+3. Only suggest rewrites that make a bullet clearly more relevant to this job; keep the resume's language and first-person-free style
+4. Reorder the skills so the ones this job asks for come first, using only skills already on the list
+
+=== RESUME SKILLS ===
+{{#if resume.skills}}{{resume.skills}}{{/if}}
+
+=== RESUME BULLETS ===
+{{bullets}}
+
+=== JOB ===
+{{job.title}} at {{job.company}}
+{{job.description}}
+{{#if job.requirements}}Requirements:
+{{job.requirements}}{{/if}}`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const IF_BLOCK_PATTERN = /\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)\{\{\/if\}\}/g;
+
+/**
+ * Security: strip control characters and collapse whitespace
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeText(text) {
+    if (typeof text !== 'string') return '';
+    return text.replace(/[\x00-\x1F\x7F]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Truncate long fields
+ * @param {string} str
+ * @param {number} max
+ * @returns {string}
+ */
+function truncate(str, max) {
+    return str.length > max ? str.substring(0, max) + '...' : str;
+}
+
+/**
+ * Build the values templates can reference
+ * Long resume and job text is reduced to the parts most relevant to each other
+ * (see ContextBuilderService) rather than cut off at a fixed length. Scraped job text is
+ * untrusted: instruction-like sentences are dropped and the description and requirements
+ * are fenced off (see PromptSafetyService).
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} tone - Tone { id, name, description }
+ * @param {Object} options - { length (from resolveLength, default standard), language (from getLanguage, default English),
+ *   match (from MatchAnalysisService.analyzeMatch, computed when not given) }
+ * @returns {Object}
+ */
+export function buildTemplateContext(resume = {}, job = {}, tone = {}, options = {}) {
+    const { length = resolveLength(), language = getLanguage() } = options;
+    const { job: safeJob } = sanitizeJob(job);
+    const experience = (resume.experience || [])
+        .map(e => sanitizeText([e.title, e.company && `at ${e.company}`, e.dates && `(${e.dates})`].filter(Boolean).join(' ') +
+            (e.description ? `: ${e.description}` : '')))
+        .filter(Boolean);
+    const education = (resume.education || [])
+        .map(e => sanitizeText([e.degree, e.school, e.gradYear].filter(Boolean).join(', ')))
+        .filter(Boolean);
+    const relevant = buildGenerationContext(resume, safeJob);
+    const match = options.match || analyzeMatch(resume, job);
+
+    return {
+        resume: {
+            name: sanitizeText(resume.name || 'Not provided'),
+            email: sanitizeText(resume.email || 'Not provided'),
+            phone: sanitizeText(resume.phone || ''),
+            summary: truncate(sanitizeText(resume.summary || ''), 500),
+            skills: (resume.skills || []).slice(0, 50).map(sanitizeText).filter(Boolean),
+            experience: experience.join('\n'),
+            education: education.join('\n'),
+            rawText: resume.rawText ? relevant.resumeText : ''
+        },
+        job: {
+            title: sanitizeText(safeJob.title || 'Not specified'),
+            company: sanitizeText(safeJob.company || 'Not specified'),
+            location: sanitizeText(safeJob.location || ''),
+            description: fenceUntrusted(relevant.description) || 'No description provided',
+            requirements: fenceUntrusted(relevant.requirements)
+        },
+        match: {
+            score: match.score,
+            matched: match.matched.map(sanitizeText),
+            missing: match.missing.map(sanitizeText),
+            gaps: match.gaps.map(sanitizeText)
+        },
+        tone: {
+            name: tone.name || '',
+            description: tone.description || ''
+        },
+        length: {
+            words: length.words,
+            description: length.description
+        },
+        language: {
+            name: language.name
+        },
+        today: formatLetterDate(language)
+    };
+}
+
+/**
+ * Look up a dotted path in the context
+ * @param {Object} context
+ * @param {string} path - e.g. "job.title"
+ * @returns {any}
+ */
+function resolvePath(context, path) {
+    return path.split('.').reduce((value, key) => value?.[key], context);
+}
+
+/**
+ * Format a value for insertion into the prompt
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === undefined || value === null) return '';
+    return String(value);
+}
+
+/**
+ * Render a template against a context
+ * @param {string} template - Template body
+ * @param {Object} context - From buildTemplateContext
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+    return template
+        .replace(IF_BLOCK_PATTERN, (match, path, inner) => formatValue(resolvePath(context, path)) ? inner : '')
+        .replace(PLACEHOLDER_PATTERN, (match, path) => formatValue(resolvePath(context, path)))
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Find placeholders a template uses that aren't known variables (usually typos)
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function findUnknownPlaceholders(template) {
+    const known = new Set(TEMPLATE_VARIABLES.map(v => v.name));
+    const used = [
+        ...[...template.matchAll(PLACEHOLDER_PATTERN)].map(m => m[1]),
+        ...[...template.matchAll(IF_BLOCK_PATTERN)].map(m => m[1])
+    ];
+    return [...new Set(used.filter(name => !known.has(name)))];
+}
+
+/**
+ * Load the user's writing-style profile, unless it's turned off in settings
+ * @param {Object} settings - From SettingsModel
+ * @returns {Promise<Object|null>} Profile (see StyleProfileService) or null
+ */
+export async function loadStyleProfile(settings) {
+    if (settings.useStyleProfile === false) return null;
+    return (await StyleProfileModel.get()).profile;
+}
+
+/**
+ * Load the user's notes on the job's company
+ * @param {Object} job - Job data
+ * @returns {Promise<Object|null>} Notes (see CompanyNotesModel) or null
+ */
+export async function loadCompanyNotes(job = {}) {
+    return job.company ? await CompanyNotesModel.get(job.company) : null;
+}
+
+/**
+ * Build the cover letter prompt from the selected template, tone, target length and language
+ * A note on the fenced job posting text, the resume's fit with the job (unless turned off in settings),
+ * the user's notes on the company, the user's writing style (when they uploaded letters), the JSON output
+ * format and the word range are always appended, so templates only describe the letter itself.
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} options - { tone, templateId, templateBody, language } (templateBody overrides the stored
+ *   template; language, from LanguageService, overrides the output language setting)
+ * @returns {Promise<string>}
+ */
+export async function buildCoverLetterPrompt(resume, job, options = {}) {
+    const settings = await SettingsModel.get();
+    const tone = await TemplateModel.getTone(options.tone || settings.coverLetterTone);
+    const body = options.templateBody ??
+        (await TemplateModel.getTemplate(options.templateId || settings.promptTemplateId)).body;
+
+    const length = resolveLength(settings);
+    const language = options.language || resolveOutputLanguage(settings, job);
+    const style = buildStyleInstructions(await loadStyleProfile(settings));
+    const match = analyzeMatch(resume, job);
+
+    // The word range and language are stated outside the template too, so custom templates can't lose them
+    return [
+        renderTemplate(body, buildTemplateContext(resume, job, tone, { length, language, match })),
+        buildUntrustedContentNotice(),
+        settings.addressGaps !== false && buildMatchInstructions(match),
+        buildCompanyNotesSection(await loadCompanyNotes(job)),
+        style,
+        `${buildLetterFormatInstructions(language)}
+The paragraphs together must be ${length.min}-${length.max} words long.`
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build the prompt for revising a letter according to an instruction
+ * @param {Object} letter - Current letter structure
+ * @param {string} instruction - What to change, in the user's words
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} language - Letter language (see LanguageService; default English)
+ * @param {Object|null} style - Writing-style profile to keep the revision in (see loadStyleProfile)
+ * @param {Object|null} companyNotes - The user's notes on the company (see loadCompanyNotes)
+ * @returns {string}
+ */
+export function buildRefinementPrompt(letter, instruction, resume = {}, job = {}, language = getLanguage(), style = null, companyNotes = null) {
+    const context = {
+        ...buildTemplateContext(resume, job, {}, { language }),
+        letter: JSON.stringify(letter, null, 2),
+        instruction: sanitizeText(instruction)
+    };
+
+    return [
+        renderTemplate(REFINEMENT_TEMPLATE, context),
+        buildUntrustedContentNotice(),
+        buildCompanyNotesSection(companyNotes),
+        buildStyleInstructions(style),
+        buildLetterFormatInstructions(language)
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build the prompt for answering a free-text application question
+ * @param {string} question - Question from the application form, already cleaned with stripInjections
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} options - { charLimit (or null), language (from getLanguage, default English), style (see loadStyleProfile),
+ *   companyNotes (see loadCompanyNotes) }
+ * @returns {string}
+ */
+export function buildAnswerPrompt(question, resume = {}, job = {}, options = {}) {
+    const { charLimit = null, language = getLanguage(), style = null, companyNotes = null } = options;
+    const context = {
+        ...buildTemplateContext(resume, job, {}, { language }),
+        question: sanitizeText(question)
+    };
+
+    return [
+        renderTemplate(ANSWER_TEMPLATE, context),
+        buildUntrustedContentNotice(),
+        buildCompanyNotesSection(companyNotes),
+        buildStyleInstructions(style),
+        `=== OUTPUT FORMAT ===
+Respond with only the answer text, in ${language.name}. Use short paragraphs separated by blank lines if the answer needs more than one.
+${buildAnswerLengthInstructions(charLimit)}`
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build the prompt for an outreach message: a LinkedIn note, cold email, referral request or thank-you email
+ * @param {Object} type - Message type from DocumentTypeService
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} options - { recipient, notes (what the user typed for the type's fields), tone, language, style,
+ *   companyNotes (see loadCompanyNotes) }
+ * @returns {string}
+ */
+export function buildMessagePrompt(type, resume = {}, job = {}, options = {}) {
+    const { recipient = '', notes = '', tone = {}, language = getLanguage(), style = null, companyNotes = null } = options;
+    const context = {
+        ...buildTemplateContext(resume, job, tone, { language }),
+        task: type.task,
+        rules: type.rules.map((rule, index) => `${index + 3}. ${rule}`).join('\n'),
+        recipient: sanitizeText(recipient),
+        notes: sanitizeText(notes)
+    };
+
+    return [
+        renderTemplate(MESSAGE_TEMPLATE, context),
+        buildUntrustedContentNotice(),
+        buildCompanyNotesSection(companyNotes),
+        buildStyleInstructions(style),
+        buildMessageFormatInstructions(type, language)
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build the prompt for an interview prep pack
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @param {Object} options - { weakSpots (from InterviewPrepService.findWeakSpots), language, companyNotes (see loadCompanyNotes) }
+ * @returns {string}
+ */
+export function buildInterviewPrepPrompt(resume = {}, job = {}, options = {}) {
+    const { weakSpots = [], language = getLanguage(), companyNotes = null } = options;
+    const context = {
+        ...buildTemplateContext(resume, job, {}, { language }),
+        weakSpots: weakSpots.map(spot => `- ${sanitizeText(spot)}`).join('\n')
+    };
+
+    return [
+        renderTemplate(INTERVIEW_PREP_TEMPLATE, context),
+        buildUntrustedContentNotice(),
+        buildCompanyNotesSection(companyNotes, 'Use them for the questions to ask the interviewer, and to tie answers to what the company does.'),
+        buildPrepFormatInstructions(language)
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build the prompt for tailored resume suggestions
+ * @param {Object} resume - Resume data
+ * @param {Object} job - Job data
+ * @returns {string}
+ */
+export function buildTailorPrompt(resume = {}, job = {}) {
+    const context = {
+        ...buildTemplateContext(resume, job),
+        bullets: formatEntriesForPrompt(buildResumeEntries(resume)).split('\n').map(sanitizeText).join('\n')
+    };
+
+    return [
+        renderTemplate(TAILOR_TEMPLATE, context),
+        buildUntrustedContentNotice(),
+        buildTailorFormatInstructions()
+    ].join('\n\n');
+}
+
+export default {
+    TEMPLATE_VARIABLES,
+    buildTemplateContext,
+    renderTemplate,
+    findUnknownPlaceholders,
+    loadStyleProfile,
+    loadCompanyNotes,
+    buildCoverLetterPrompt,
+    buildRefinementPrompt,
+    buildAnswerPrompt,
+    buildMessagePrompt,
+    buildInterviewPrepPrompt,
+    buildTailorPrompt
+};
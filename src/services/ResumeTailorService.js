@@ -0,0 +1,259 @@
+/**
+ * Resume Tailor Service
+ * Tailoring the resume to a job: the experience bullets the AI may rewrite, the JSON its
+ * suggestions come back as, the checks that keep them to facts already in the resume, the
+ * word diff shown for each suggestion and the resume built from the accepted ones.
+ */
+
+import { checkClaims, describeUnsupported, splitSentences } from './GroundingService.js';
+import { stripInjections } from './PromptSafetyService.js';
+
+const MAX_ENTRIES = 8; // Most recent experience entries offered for rewriting
+const MAX_BULLET_LENGTH = 400;
+
+// Id of the skills suggestion, next to the bullet ids ("e0-b1")
+export const SKILLS_SUGGESTION_ID = 'skills';
+
+// JSON the suggestions come back as
+export const TAILOR_SCHEMA = {
+    type: 'object',
+    properties: {
+        bullets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Id of the bullet rewritten, e.g. "e0-b1"' },
+                    rewritten: { type: 'string' },
+                    reason: { type: 'string', description: 'Why the rewrite fits the job better, in one short sentence' }
+                },
+                required: ['id', 'rewritten', 'reason']
+            }
+        },
+        skills: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'The resume\'s skills, most relevant to the job first'
+        }
+    },
+    required: ['bullets', 'skills']
+};
+
+/**
+ * Split an experience description into bullets: one per line when it has several lines,
+ * otherwise one per sentence
+ * @param {string} description
+ * @returns {string[]}
+ */
+export function splitBullets(description = '') {
+    const lines = description
+        .split(/\n+/)
+        .map(line => line.replace(/^\s*(?:[-*•▪◦]|\d+[.)])\s*/, '').trim())
+        .filter(Boolean);
+
+    return lines.length > 1 ? lines : splitSentences(lines[0] || '').map(sentence => sentence.text);
+}
+
+/**
+ * List the resume's experience entries with their bullets and bullet ids
+ * @param {Object} resume - Parsed resume data
+ * @returns {Array<{index: number, title: string, company: string, dates: string, bullets: Array<{id: string, text: string}>}>}
+ */
+export function buildResumeEntries(resume = {}) {
+    return (resume.experience || []).slice(0, MAX_ENTRIES).map((entry, index) => ({
+        index,
+        title: entry.title || '',
+        company: entry.company || '',
+        dates: entry.dates || '',
+        bullets: splitBullets(entry.description).map((text, bullet) => ({ id: `e${index}-b${bullet}`, text }))
+    }));
+}
+
+/**
+ * Prompt section listing the bullets with their ids
+ * @param {Array} entries - From buildResumeEntries
+ * @returns {string}
+ */
+export function formatEntriesForPrompt(entries) {
+    return entries
+        .filter(entry => entry.bullets.length > 0)
+        .map(entry => [
+            [entry.title, entry.company && `at ${entry.company}`, entry.dates && `(${entry.dates})`].filter(Boolean).join(' '),
+            ...entry.bullets.map(bullet => `[${bullet.id}] ${bullet.text}`)
+        ].join('\n'))
+        .join('\n\n');
+}
+
+/**
+ * Prompt section with the suggestions' output format
+ * @returns {string}
+ */
+export function buildTailorFormatInstructions() {
+    return `=== OUTPUT FORMAT ===
+Respond with only a JSON object with these fields:
+- "bullets": one { "id", "rewritten", "reason" } for each bullet worth rewriting for this job, using the bullet's id; leave out bullets that are fine as they are
+- "skills": every skill from the resume's skills list, exactly as written there, most relevant to the job first; add none
+Write the bullets in the resume's language.`;
+}
+
+/**
+ * Clean one text field of the AI's answer
+ * @param {any} value
+ * @returns {string}
+ */
+function cleanText(value) {
+    if (typeof value !== 'string') return '';
+    return stripInjections(value.replace(/\s+/g, ' ').trim()).text.slice(0, MAX_BULLET_LENGTH);
+}
+
+/**
+ * Order the resume's skills as the AI suggested, dropping skills the resume doesn't list
+ * Skills the AI left out keep their place after the ones it ordered.
+ * @param {string[]} skills - Skills as the resume lists them
+ * @param {any} suggested - Skills in the AI's order
+ * @returns {string[]}
+ */
+export function reorderSkills(skills = [], suggested = []) {
+    const byName = new Map(skills.map(skill => [skill.toLowerCase().trim(), skill]));
+    const ordered = [];
+    for (const name of Array.isArray(suggested) ? suggested : []) {
+        const skill = typeof name === 'string' && byName.get(name.toLowerCase().trim());
+        if (skill && !ordered.includes(skill)) ordered.push(skill);
+    }
+    return [...ordered, ...skills.filter(skill => !ordered.includes(skill))];
+}
+
+/**
+ * Turn the AI's answer into suggestions, keeping only rewrites of real bullets that claim
+ * nothing the resume doesn't say
+ * @param {Object} data - Raw suggestions
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} job - Job data (its title and company are not claims)
+ * @returns {Object} { bullets: [{ id, entry, original, rewritten, reason, accepted: null }],
+ *   skills: { original, suggested, accepted: null } | null, rejected: [{ id, rewritten, unsupported }], createdAt }
+ */
+export function normalizeTailoring(data = {}, resume = {}, job = {}) {
+    const bulletsById = new Map(buildResumeEntries(resume)
+        .flatMap(entry => entry.bullets.map(bullet => [bullet.id, { ...bullet, entry: entry.index }])));
+
+    const bullets = [];
+    const rejected = [];
+    for (const item of Array.isArray(data.bullets) ? data.bullets : []) {
+        const original = item && bulletsById.get(item.id);
+        const rewritten = cleanText(item?.rewritten);
+        if (!original || !rewritten || rewritten === original.text || bullets.some(bullet => bullet.id === original.id)) continue;
+
+        // A rewrite may rephrase and reorder, never add employers, titles, figures or skills
+        const unsupported = checkClaims(rewritten, resume, job).sentences
+            .filter(sentence => !sentence.supported)
+            .map(describeUnsupported);
+        if (unsupported.length > 0) {
+            rejected.push({ id: original.id, rewritten, unsupported: unsupported.join(', ') });
+            continue;
+        }
+
+        bullets.push({
+            id: original.id,
+            entry: original.entry,
+            original: original.text,
+            rewritten,
+            reason: cleanText(item.reason),
+            accepted: null
+        });
+    }
+
+    const skills = resume.skills || [];
+    const suggested = reorderSkills(skills, data.skills);
+    const reordered = suggested.some((skill, index) => skill !== skills[index]);
+
+    return {
+        bullets,
+        skills: reordered ? { original: [...skills], suggested, accepted: null } : null,
+        rejected,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Word-level diff of two texts, for showing a suggestion next to the original
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: "same" | "removed" | "added", text: string}>} Parts in reading order, whitespace included
+ */
+export function diffWords(before = '', after = '') {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+
+    // Longest common subsequence table, filled from the end
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) last.text += text;
+        else parts.push({ type, text });
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('same', a[i]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            push('removed', a[i++]);
+        } else {
+            push('added', b[j++]);
+        }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return parts;
+}
+
+/**
+ * Build the tailored resume: accepted rewrites replace their bullets and accepted skills
+ * take their new order; everything else stays as parsed
+ * @param {Object} resume - Parsed resume data
+ * @param {Object} tailoring - From normalizeTailoring, with accepted set per suggestion
+ * @returns {Object} Resume data with bullets (string[]) on each experience entry
+ */
+export function applyTailoring(resume = {}, tailoring = {}) {
+    const rewrites = new Map((tailoring.bullets || [])
+        .filter(bullet => bullet.accepted)
+        .map(bullet => [bullet.id, bullet.rewritten]));
+
+    const entries = buildResumeEntries(resume);
+    const experience = (resume.experience || []).map((entry, index) => ({
+        ...entry,
+        bullets: entries[index]
+            ? entries[index].bullets.map(bullet => rewrites.get(bullet.id) || bullet.text)
+            : splitBullets(entry.description)
+    }));
+
+    return {
+        ...resume,
+        experience,
+        skills: tailoring.skills?.accepted ? tailoring.skills.suggested : (resume.skills || [])
+    };
+}
+
+export default {
+    SKILLS_SUGGESTION_ID,
+    TAILOR_SCHEMA,
+    splitBullets,
+    buildResumeEntries,
+    formatEntriesForPrompt,
+    buildTailorFormatInstructions,
+    reorderSkills,
+    normalizeTailoring,
+    diffWords,
+    applyTailoring
+};
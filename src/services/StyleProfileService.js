@@ -0,0 +1,329 @@
+/**
+ * Style Profile Service
+ * Derives a writing-style profile from cover letters the user wrote themselves
+ * (sentence length, vocabulary, openers, formality, closings) and turns it into
+ * prompt instructions, so generated letters sound like the user
+ */
+
+import { splitSentences } from './GroundingService.js';
+
+// Greeting at the top of a letter, e.g. "Dear Ms. Lee," or "Hello hiring team:"
+const SALUTATION_PATTERN = /\b(?:dear|hello|hi|greetings|to whom it may concern)\b[^,:\n]{0,60}[,:]/i;
+
+// Sign-offs, longest first so "Best regards" wins over "Best"
+const CLOSINGS = [
+    'yours sincerely', 'yours faithfully', 'yours truly', 'with best regards', 'best regards', 'kind regards',
+    'warm regards', 'warmest regards', 'many thanks', 'with gratitude', 'thank you', 'all the best',
+    'best wishes', 'respectfully', 'sincerely', 'regards', 'cheers', 'best'
+];
+// A sign-off ends with a comma or exclamation mark or on its own line, so "the best fit" isn't one
+const CLOSING_PATTERN = new RegExp(`(?:^|[\\s.!?])(${CLOSINGS.join('|')})[ \\t]*(?:[,!]|\\n|$)`, 'gi');
+
+// Signals of formal and conversational writing
+const FORMAL_MARKERS = /\b(?:furthermore|moreover|therefore|hence|thus|hereby|whereby|esteemed|respectfully|i am writing to|i would like to express|consequently|accordingly|pursuant)\b/gi;
+const CASUAL_MARKERS = /\b(?:excited|thrilled|love|awesome|super|really|pretty|stuff|things|fun|cool|honestly|genuinely|can't wait)\b/gi;
+const CONTRACTION_PATTERN = /\b\w+'(?:m|re|ve|ll|d|s|t)\b/gi;
+
+// Words every cover letter uses; they say nothing about the writer
+const COMMON_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being',
+    'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'each', 'for', 'from', 'had', 'has', 'have',
+    'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+    'me', 'more', 'most', 'my', 'myself', 'no', 'not', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 'out',
+    'over', 'she', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+    'they', 'this', 'those', 'through', 'to', 'too', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when',
+    'where', 'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your', 'yours',
+    'position', 'role', 'company', 'team', 'experience', 'opportunity', 'skills', 'work', 'working', 'job',
+    'apply', 'applying', 'application', 'candidate', 'letter', 'cover', 'resume', 'thank', 'sincerely',
+    'regards', 'dear', 'hiring', 'manager', 'years', 'year',
+    'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'twelve', 'twenty', 'thirty',
+    'forty', 'fifty', 'hundred', 'thousand'
+]);
+
+const MAX_EXCERPTS = 2;
+const EXCERPT_WORDS = { min: 35, max: 90 };
+
+/**
+ * Count words
+ * @param {string} text
+ * @returns {number}
+ */
+function wordCount(text) {
+    return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Value at a fraction of a sorted list
+ * @param {number[]} sorted
+ * @param {number} fraction - 0..1
+ * @returns {number}
+ */
+function percentile(sorted, fraction) {
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))] || 0;
+}
+
+/**
+ * Capitalize a closing the way letters write it, e.g. "best regards" -> "Best regards,"
+ * @param {string} closing
+ * @returns {string}
+ */
+function formatClosing(closing) {
+    const text = closing.toLowerCase();
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)},`;
+}
+
+/**
+ * Split a letter into its greeting, body paragraphs and sign-off
+ * Works on DOCX text (paragraphs separated by blank lines) and flattened PDF text;
+ * anything before the greeting (addresses, date) and after the sign-off (name) is dropped.
+ * @param {string} text - Text of one letter
+ * @returns {Object} { salutation, paragraphs: string[], closing }
+ */
+export function extractLetterParts(text) {
+    let body = (text || '').replace(/\r/g, '');
+    let salutation = '';
+    let closing = '';
+
+    // The greeting is near the top; addresses and the date come before it
+    const greeting = body.slice(0, 600).match(SALUTATION_PATTERN);
+    if (greeting) {
+        salutation = greeting[0].trim();
+        body = body.slice(greeting.index + greeting[0].length);
+    }
+
+    // The sign-off is the last closing phrase in the final stretch of the letter
+    const tailStart = Math.max(0, body.length - 400);
+    const signOffs = [...body.slice(tailStart).matchAll(CLOSING_PATTERN)];
+    const signOff = signOffs[signOffs.length - 1];
+    if (signOff) {
+        closing = formatClosing(signOff[1]);
+        body = body.slice(0, tailStart + signOff.index + signOff[0].indexOf(signOff[1]));
+    }
+
+    const paragraphs = body
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+        .filter(paragraph => wordCount(paragraph) >= 5);
+
+    return { salutation, paragraphs, closing };
+}
+
+/**
+ * Content words a writer favors: frequent in their letters, used in more than one when possible,
+ * and not names (words that are mostly capitalized mid-sentence)
+ * @param {Array} letters - From extractLetterParts
+ * @returns {string[]}
+ */
+function favoriteWords(letters) {
+    const stats = new Map();
+
+    letters.forEach((letter, index) => {
+        for (const match of letter.paragraphs.join(' ').matchAll(/[A-Za-z][a-z'-]{3,}/g)) {
+            const word = match[0].toLowerCase();
+            if (COMMON_WORDS.has(word) || word.includes("'")) continue;
+
+            const stat = stats.get(word) || { count: 0, capitalized: 0, letters: new Set() };
+            stat.count++;
+            if (match[0] !== word) stat.capitalized++;
+            stat.letters.add(index);
+            stats.set(word, stat);
+        }
+    });
+
+    const minLetters = letters.length > 1 ? 2 : 1;
+    return [...stats.entries()]
+        .filter(([, stat]) => stat.letters.size >= minLetters && stat.count >= 2 && stat.capitalized < stat.count / 2)
+        .sort((a, b) => b[1].letters.size - a[1].letters.size || b[1].count - a[1].count)
+        .slice(0, 12)
+        .map(([word]) => word);
+}
+
+/**
+ * Three- and four-word phrases repeated across letters, e.g. "I would love to"
+ * @param {Array} letters - From extractLetterParts
+ * @returns {string[]}
+ */
+function favoritePhrases(letters) {
+    const seen = new Map();
+
+    letters.forEach((letter, index) => {
+        // Phrases don't run across sentences
+        const sentences = letter.paragraphs.flatMap(paragraph => splitSentences(paragraph));
+        for (const sentence of sentences) {
+            const words = sentence.text.toLowerCase().match(/[a-z']+/g) || [];
+            for (const size of [4, 3]) {
+                for (let i = 0; i + size <= words.length; i++) {
+                    const phrase = words.slice(i, i + size);
+                    // At least one content word, so "and i am" doesn't count
+                    if (phrase.every(word => COMMON_WORDS.has(word))) continue;
+                    const key = phrase.join(' ');
+                    if (!seen.has(key)) seen.set(key, new Set());
+                    seen.get(key).add(index);
+                }
+            }
+        }
+    });
+
+    const repeated = [...seen.entries()]
+        .filter(([, found]) => found.size >= 2)
+        .sort((a, b) => b[1].size - a[1].size || b[0].split(' ').length - a[0].split(' ').length);
+
+    // Drop phrases overlapping one already picked ("be glad to talk" after "i'd be glad to")
+    const pairsOf = (phrase) => {
+        const words = phrase.split(' ');
+        return words.slice(1).map((word, i) => `${words[i]} ${word}`);
+    };
+    const picked = [];
+    for (const [phrase] of repeated) {
+        const overlaps = picked.some(other => pairsOf(phrase).some(pair => pairsOf(other).includes(pair)));
+        if (!overlaps) picked.push(phrase);
+        if (picked.length === 6) break;
+    }
+    return picked.map(phrase => phrase.replace(/\bi\b/g, 'I'));
+}
+
+/**
+ * Rate how formal the writing is
+ * @param {string} text - All body text
+ * @returns {Object} { level: formal|neutral|conversational, contractionsPer100, exclamations }
+ */
+function rateFormality(text) {
+    const words = Math.max(1, wordCount(text));
+    const contractions = (text.match(CONTRACTION_PATTERN) || []).length;
+    const exclamations = (text.match(/!/g) || []).length;
+    const formal = (text.match(FORMAL_MARKERS) || []).length;
+    const casual = (text.match(CASUAL_MARKERS) || []).length;
+
+    const contractionsPer100 = Math.round((contractions / words) * 1000) / 10;
+    const score = (formal - casual - exclamations) / words * 100 - contractionsPer100;
+    const level = score > 0.3 ? 'formal' : score < -1 ? 'conversational' : 'neutral';
+
+    return { level, contractionsPer100, exclamations };
+}
+
+/**
+ * Short passages of the user's own writing, preferring middle paragraphs of different letters
+ * @param {Array} letters - From extractLetterParts
+ * @returns {string[]}
+ */
+function pickExcerpts(letters) {
+    const excerpts = [];
+
+    for (const letter of letters) {
+        // The opener and the closing paragraph are the most formulaic; use the middle when there is one
+        const middle = letter.paragraphs.length > 2 ? letter.paragraphs.slice(1, -1) : letter.paragraphs;
+        const candidate = middle.find(p => wordCount(p) >= EXCERPT_WORDS.min) || middle[0];
+        if (!candidate) continue;
+
+        // Long paragraphs are cut at a sentence boundary
+        let excerpt = '';
+        for (const sentence of splitSentences(candidate)) {
+            if (excerpt && wordCount(excerpt) + wordCount(sentence.text) > EXCERPT_WORDS.max) break;
+            excerpt = excerpt ? `${excerpt} ${sentence.text}` : sentence.text;
+        }
+        if (wordCount(excerpt) >= 15 && !excerpts.includes(excerpt)) excerpts.push(excerpt);
+        if (excerpts.length === MAX_EXCERPTS) break;
+    }
+
+    return excerpts;
+}
+
+/**
+ * Build a style profile from letters the user wrote
+ * @param {Array<{text: string}>} samples - Letter texts
+ * @returns {Object|null} { sampleCount, sentenceWords: { average, short, long }, formality, words, phrases,
+ *   openers, closings, excerpts }, or null when no sample has a usable body
+ */
+export function buildStyleProfile(samples = []) {
+    const letters = samples.map(sample => extractLetterParts(sample.text)).filter(letter => letter.paragraphs.length > 0);
+    if (letters.length === 0) return null;
+
+    const body = letters.map(letter => letter.paragraphs.join(' ')).join(' ');
+    const lengths = letters
+        .flatMap(letter => letter.paragraphs.flatMap(paragraph => splitSentences(paragraph)))
+        .map(sentence => wordCount(sentence.text))
+        .filter(count => count >= 3)
+        .sort((a, b) => a - b);
+    const average = lengths.length ? Math.round(lengths.reduce((sum, count) => sum + count, 0) / lengths.length) : 0;
+
+    // Closings ranked by how often they're used
+    const closingCounts = new Map();
+    for (const { closing } of letters.filter(letter => letter.closing)) {
+        closingCounts.set(closing, (closingCounts.get(closing) || 0) + 1);
+    }
+
+    return {
+        sampleCount: letters.length,
+        sentenceWords: {
+            average,
+            short: percentile(lengths, 0.1),
+            long: percentile(lengths, 0.9)
+        },
+        formality: rateFormality(body),
+        words: favoriteWords(letters),
+        phrases: favoritePhrases(letters),
+        openers: letters
+            .map(letter => splitSentences(letter.paragraphs[0])[0]?.text || '')
+            .filter(opener => wordCount(opener) >= 4)
+            .slice(0, 3),
+        closings: [...closingCounts.entries()].sort((a, b) => b[1] - a[1]).map(([closing]) => closing),
+        excerpts: pickExcerpts(letters)
+    };
+}
+
+/**
+ * One-line summary of a profile for settings
+ * @param {Object} profile - From buildStyleProfile
+ * @returns {string}
+ */
+export function summarizeStyle(profile) {
+    if (!profile) return '';
+
+    return [
+        `${profile.formality.level.charAt(0).toUpperCase()}${profile.formality.level.slice(1)}`,
+        `sentences around ${profile.sentenceWords.average} words`,
+        profile.closings[0] && `signs off "${profile.closings[0]}"`,
+        profile.words.length > 0 && `often uses ${profile.words.slice(0, 4).join(', ')}`
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Turn a profile into a prompt section describing how the user writes
+ * The excerpts are for voice only: they come from letters to other employers.
+ * @param {Object|null} profile - From buildStyleProfile
+ * @returns {string} Empty when there is no profile
+ */
+export function buildStyleInstructions(profile) {
+    if (!profile) return '';
+
+    const { sentenceWords, formality } = profile;
+    const formalityNotes = {
+        formal: 'formal and measured; avoid contractions and exclamation marks',
+        neutral: 'professional but natural',
+        conversational: 'conversational and direct; contractions are fine'
+    };
+
+    const lines = [
+        `Sentence length: about ${sentenceWords.average} words on average, ranging from about ${sentenceWords.short} to ${sentenceWords.long}`,
+        `Formality: ${formalityNotes[formality.level]}`,
+        profile.words.length > 0 && `Words they favor: ${profile.words.join(', ')}`,
+        profile.phrases.length > 0 && `Phrases they reuse: ${profile.phrases.map(phrase => `"${phrase}"`).join(', ')}`,
+        profile.openers.length > 0 && `How they open letters: ${profile.openers.map(opener => `"${opener}"`).join(' / ')}`,
+        profile.closings.length > 0 && `Preferred closing: "${profile.closings[0]}" (or its equivalent in the letter's language)`
+    ].filter(Boolean);
+
+    const excerpts = profile.excerpts.map(excerpt => `"""${excerpt}"""`).join('\n');
+
+    return `=== CANDIDATE'S WRITING STYLE ===
+Write the letter so it sounds like the candidate wrote it. This profile comes from ${profile.sampleCount} cover ${profile.sampleCount === 1 ? 'letter' : 'letters'} they wrote themselves:
+${lines.map(line => `- ${line}`).join('\n')}
+${excerpts ? `Excerpts of their own writing. Imitate the voice and rhythm only; never reuse facts, employers or claims from them:
+${excerpts}` : ''}`.trim();
+}
+
+export default {
+    extractLetterParts,
+    buildStyleProfile,
+    summarizeStyle,
+    buildStyleInstructions
+};
@@ -0,0 +1,215 @@
+/**
+ * Gemini Provider
+ * Google Gemini (generativelanguage.googleapis.com) backend
+ */
+
+import { readSSE } from './streamReader.js';
+import { errorFromResponse } from '../AIErrors.js';
+
+/**
+ * Convert a JSON Schema into Gemini's OpenAPI-style responseSchema
+ * Types are upper-cased and propertyOrdering keeps fields in the order they are declared.
+ * @param {Object} schema - JSON Schema (object, array, string, number, integer, boolean)
+ * @returns {Object}
+ */
+function toGeminiSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([name, property]) => [name, toGeminiSchema(property)])
+        );
+        converted.propertyOrdering = Object.keys(schema.properties);
+        if (schema.required) converted.required = schema.required;
+    }
+
+    return converted;
+}
+
+export const GeminiProvider = {
+    id: 'gemini',
+    name: 'Google Gemini',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    defaultModel: 'gemini-3-flash-preview',
+
+    /**
+     * Gemini always needs an API key
+     * @returns {boolean}
+     */
+    needsApiKey() {
+        return true;
+    },
+
+    /**
+     * Build the Gemini request body from a provider-neutral request
+     * @param {Object} request - { prompt, temperature, maxOutputTokens, topP, json, schema, safetySettings }
+     * @returns {Object}
+     */
+    buildBody(request) {
+        const generationConfig = {};
+        if (request.temperature !== undefined) generationConfig.temperature = request.temperature;
+        if (request.maxOutputTokens !== undefined) generationConfig.maxOutputTokens = request.maxOutputTokens;
+        if (request.topP !== undefined) generationConfig.topP = request.topP;
+        if (request.json) generationConfig.responseMimeType = 'application/json';
+        if (request.json && request.schema) generationConfig.responseSchema = toGeminiSchema(request.schema);
+
+        const body = {
+            contents: [{
+                parts: [{
+                    text: request.prompt
+                }]
+            }],
+            generationConfig
+        };
+
+        if (request.safetySettings) {
+            body.safetySettings = request.safetySettings;
+        }
+
+        return body;
+    },
+
+    /**
+     * Normalize a GenerateContentResponse (or one streamed chunk of it)
+     * @param {Object} data - Gemini response JSON
+     * @returns {Object} { text, finishReason, blockReason, blockedCategories, usage }
+     */
+    parseResponse(data) {
+        const candidate = data.candidates?.[0];
+        const ratings = candidate?.safetyRatings || data.promptFeedback?.safetyRatings || [];
+
+        return {
+            text: candidate?.content?.parts?.map(part => part.text || '').join('') || '',
+            finishReason: candidate?.finishReason || '',
+            blockReason: data.promptFeedback?.blockReason || '',
+            blockedCategories: ratings.filter(rating => rating.blocked).map(rating => rating.category),
+            usage: {
+                promptTokens: data.usageMetadata?.promptTokenCount || 0,
+                candidateTokens: data.usageMetadata?.candidatesTokenCount || 0
+            }
+        };
+    },
+
+    /**
+     * POST to a Gemini model method, throwing typed errors on HTTP failures
+     * @param {string} method - generateContent or streamGenerateContent
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { apiKey, baseUrl, model }
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<Response>}
+     */
+    async post(method, request, config, signal) {
+        const query = method === 'streamGenerateContent' ? 'alt=sse&' : '';
+        const apiUrl = `${config.baseUrl}/models/${config.model}:${method}?${query}key=${config.apiKey}`;
+
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.buildBody(request)),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: this.id, model: config.model });
+        }
+
+        return response;
+    },
+
+    /**
+     * Generate content
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { apiKey, baseUrl, model }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} { text, finishReason, usage }
+     */
+    async generate(request, config, { signal } = {}) {
+        const response = await this.post('generateContent', request, config, signal);
+        return this.parseResponse(await response.json());
+    },
+
+    /**
+     * Stream content through streamGenerateContent (SSE)
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { apiKey, baseUrl, model }
+     * @param {Object} options - { onText(delta), signal }
+     * @returns {Promise<Object>} { text, finishReason, usage } for the whole stream
+     */
+    async stream(request, config, { onText, signal } = {}) {
+        const response = await this.post('streamGenerateContent', request, config, signal);
+        const result = { text: '', finishReason: '', usage: { promptTokens: 0, candidateTokens: 0 } };
+
+        await readSSE(response, (data) => {
+            const chunk = this.parseResponse(data);
+            if (chunk.text) {
+                result.text += chunk.text;
+                onText?.(chunk.text);
+            }
+            if (chunk.finishReason) result.finishReason = chunk.finishReason;
+            if (chunk.blockReason) result.blockReason = chunk.blockReason;
+            if (chunk.blockedCategories.length) result.blockedCategories = chunk.blockedCategories;
+            // Usage metadata is cumulative; the last chunk carries the totals
+            if (data.usageMetadata) result.usage = chunk.usage;
+        });
+
+        return result;
+    },
+
+    /**
+     * List the models the key can use for generateContent, following pagination
+     * @param {Object} config - { apiKey, baseUrl }
+     * @returns {Promise<Array>} [{ id, name, description, inputTokenLimit, outputTokenLimit }]
+     */
+    async listModels(config) {
+        const models = [];
+        let pageToken = '';
+
+        do {
+            const query = `pageSize=1000&key=${config.apiKey}${pageToken ? `&pageToken=${pageToken}` : ''}`;
+            const response = await fetch(`${config.baseUrl}/models?${query}`);
+            if (!response.ok) {
+                throw await errorFromResponse(response, { provider: this.id });
+            }
+
+            const data = await response.json();
+            models.push(...(data.models || []));
+            pageToken = data.nextPageToken || '';
+        } while (pageToken);
+
+        return models
+            .filter(model => model.supportedGenerationMethods?.includes('generateContent'))
+            .map(model => ({
+                id: model.name.replace(/^models\//, ''),
+                name: model.displayName || model.name,
+                description: model.description || '',
+                inputTokenLimit: model.inputTokenLimit || 0,
+                outputTokenLimit: model.outputTokenLimit || 0
+            }));
+    },
+
+    /**
+     * Check that the key and model work with a tiny request
+     * @param {Object} config - { apiKey, baseUrl, model }
+     * @returns {Promise<boolean>}
+     */
+    async validate(config) {
+        const apiUrl = `${config.baseUrl}/models/${config.model}:generateContent?key=${config.apiKey}`;
+
+        const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(this.buildBody({ prompt: 'Hello', maxOutputTokens: 10 }))
+        });
+
+        return response.ok;
+    }
+};
+
+export default GeminiProvider;
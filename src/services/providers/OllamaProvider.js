@@ -0,0 +1,146 @@
+/**
+ * Ollama Provider
+ * Self-hosted models through Ollama's native /api/chat endpoint
+ *
+ * NOTE: Ollama rejects requests from extension origins unless it is started
+ * with OLLAMA_ORIGINS=chrome-extension://* (or the extension's exact id).
+ */
+
+import { readNDJSON } from './streamReader.js';
+import { errorFromResponse } from '../AIErrors.js';
+
+// Ollama done_reason values mapped to Gemini-style finish reasons
+const FINISH_REASONS = {
+    stop: 'STOP',
+    length: 'MAX_TOKENS'
+};
+
+export const OllamaProvider = {
+    id: 'ollama',
+    name: 'Ollama (local)',
+    defaultBaseUrl: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+
+    /**
+     * Local servers don't use API keys
+     * @returns {boolean}
+     */
+    needsApiKey() {
+        return false;
+    },
+
+    /**
+     * Build the /api/chat body from a provider-neutral request
+     * @param {Object} request - { prompt, temperature, maxOutputTokens, topP, json, schema }
+     * @param {string} model
+     * @returns {Object}
+     */
+    buildBody(request, model) {
+        const options = {};
+        if (request.temperature !== undefined) options.temperature = request.temperature;
+        if (request.maxOutputTokens !== undefined) options.num_predict = request.maxOutputTokens;
+        if (request.topP !== undefined) options.top_p = request.topP;
+
+        const body = {
+            model,
+            messages: [{ role: 'user', content: request.prompt }],
+            stream: false,
+            options
+        };
+
+        // Ollama 0.5+ takes a JSON Schema as the format and constrains output to it
+        if (request.json) body.format = request.schema || 'json';
+
+        return body;
+    },
+
+    /**
+     * POST to /api/chat, throwing typed errors on HTTP failures
+     * @param {Object} body - Request body
+     * @param {Object} config - { baseUrl }
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<Response>}
+     */
+    async post(body, config, signal) {
+        const response = await fetch(`${config.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: this.id, model: body.model });
+        }
+
+        return response;
+    },
+
+    /**
+     * Normalize the final (done) message of a chat response
+     * @param {Object} data - Ollama response JSON
+     * @returns {Object} { finishReason, usage }
+     */
+    parseDone(data) {
+        return {
+            finishReason: FINISH_REASONS[data.done_reason] || (data.done_reason ? 'OTHER' : ''),
+            usage: {
+                promptTokens: data.prompt_eval_count || 0,
+                candidateTokens: data.eval_count || 0
+            }
+        };
+    },
+
+    /**
+     * Generate content
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { baseUrl, model }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} { text, finishReason, usage }
+     */
+    async generate(request, config, { signal } = {}) {
+        const response = await this.post(this.buildBody(request, config.model), config, signal);
+        const data = await response.json();
+
+        return {
+            text: data.message?.content || '',
+            ...this.parseDone(data)
+        };
+    },
+
+    /**
+     * Stream content (newline-delimited JSON with stream: true)
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { baseUrl, model }
+     * @param {Object} options - { onText(delta), signal }
+     * @returns {Promise<Object>} { text, finishReason, usage } for the whole stream
+     */
+    async stream(request, config, { onText, signal } = {}) {
+        const body = { ...this.buildBody(request, config.model), stream: true };
+        const response = await this.post(body, config, signal);
+        const result = { text: '', finishReason: '', usage: { promptTokens: 0, candidateTokens: 0 } };
+
+        await readNDJSON(response, (data) => {
+            const delta = data.message?.content;
+            if (delta) {
+                result.text += delta;
+                onText?.(delta);
+            }
+            if (data.done) Object.assign(result, this.parseDone(data));
+        });
+
+        return result;
+    },
+
+    /**
+     * Check that the server is reachable
+     * @param {Object} config - { baseUrl }
+     * @returns {Promise<boolean>}
+     */
+    async validate(config) {
+        const response = await fetch(`${config.baseUrl}/api/tags`);
+        return response.ok;
+    }
+};
+
+export default OllamaProvider;
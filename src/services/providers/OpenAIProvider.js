@@ -0,0 +1,172 @@
+/**
+ * OpenAI-Compatible Provider
+ * Works with the OpenAI API and any server exposing /v1/chat/completions
+ * (llama.cpp server, LM Studio, vLLM, LocalAI, ...)
+ */
+
+import { readSSE } from './streamReader.js';
+import { errorFromResponse } from '../AIErrors.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+// OpenAI finish_reason values mapped to Gemini-style finish reasons
+const FINISH_REASONS = {
+    stop: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY'
+};
+
+export const OpenAIProvider = {
+    id: 'openai',
+    name: 'OpenAI-compatible',
+    defaultBaseUrl: OPENAI_BASE_URL,
+    defaultModel: 'gpt-4o-mini',
+
+    /**
+     * Only the hosted OpenAI API requires a key; self-hosted servers usually don't
+     * @param {Object} config - { baseUrl }
+     * @returns {boolean}
+     */
+    needsApiKey(config = {}) {
+        return !config.baseUrl || config.baseUrl.replace(/\/+$/, '') === OPENAI_BASE_URL;
+    },
+
+    /**
+     * Build request headers
+     * @param {Object} config
+     * @returns {Object}
+     */
+    buildHeaders(config) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+        return headers;
+    },
+
+    /**
+     * Build the chat completions body from a provider-neutral request
+     * @param {Object} request - { prompt, temperature, maxOutputTokens, topP, json, schema }
+     * @param {string} model
+     * @returns {Object}
+     */
+    buildBody(request, model) {
+        const body = {
+            model,
+            messages: [{ role: 'user', content: request.prompt }]
+        };
+
+        if (request.temperature !== undefined) body.temperature = request.temperature;
+        if (request.maxOutputTokens !== undefined) body.max_tokens = request.maxOutputTokens;
+        if (request.topP !== undefined) body.top_p = request.topP;
+        if (request.json) {
+            body.response_format = request.schema
+                ? { type: 'json_schema', json_schema: { name: 'response', schema: request.schema } }
+                : { type: 'json_object' };
+        }
+
+        return body;
+    },
+
+    /**
+     * POST to /chat/completions, throwing typed errors on HTTP failures
+     * @param {Object} body - Request body
+     * @param {Object} config - { apiKey, baseUrl }
+     * @param {AbortSignal} signal - Optional abort signal
+     * @returns {Promise<Response>}
+     */
+    async post(body, config, signal) {
+        const response = await fetch(`${config.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(config),
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw await errorFromResponse(response, { provider: this.id, model: body.model });
+        }
+
+        return response;
+    },
+
+    /**
+     * Map an OpenAI finish_reason to a Gemini-style one
+     * @param {string|null} reason
+     * @returns {string}
+     */
+    mapFinishReason(reason) {
+        return FINISH_REASONS[reason] || (reason ? 'OTHER' : '');
+    },
+
+    /**
+     * Generate content
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { apiKey, baseUrl, model }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} { text, finishReason, usage }
+     */
+    async generate(request, config, { signal } = {}) {
+        const response = await this.post(this.buildBody(request, config.model), config, signal);
+        const data = await response.json();
+        const choice = data.choices?.[0];
+
+        return {
+            text: choice?.message?.content || '',
+            finishReason: this.mapFinishReason(choice?.finish_reason),
+            usage: {
+                promptTokens: data.usage?.prompt_tokens || 0,
+                candidateTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    },
+
+    /**
+     * Stream content (SSE with stream: true)
+     * @param {Object} request - Provider-neutral request
+     * @param {Object} config - { apiKey, baseUrl, model }
+     * @param {Object} options - { onText(delta), signal }
+     * @returns {Promise<Object>} { text, finishReason, usage } for the whole stream
+     */
+    async stream(request, config, { onText, signal } = {}) {
+        const body = {
+            ...this.buildBody(request, config.model),
+            stream: true,
+            stream_options: { include_usage: true }
+        };
+        const response = await this.post(body, config, signal);
+        const result = { text: '', finishReason: '', usage: { promptTokens: 0, candidateTokens: 0 } };
+
+        await readSSE(response, (data) => {
+            const choice = data.choices?.[0];
+            const delta = choice?.delta?.content;
+            if (delta) {
+                result.text += delta;
+                onText?.(delta);
+            }
+            if (choice?.finish_reason) result.finishReason = this.mapFinishReason(choice.finish_reason);
+            if (data.usage) {
+                result.usage = {
+                    promptTokens: data.usage.prompt_tokens || 0,
+                    candidateTokens: data.usage.completion_tokens || 0
+                };
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Check that the endpoint answers and accepts the key
+     * @param {Object} config - { apiKey, baseUrl }
+     * @returns {Promise<boolean>}
+     */
+    async validate(config) {
+        const response = await fetch(`${config.baseUrl}/models`, {
+            headers: this.buildHeaders(config)
+        });
+        return response.ok;
+    }
+};
+
+export default OpenAIProvider;
@@ -0,0 +1,55 @@
+/**
+ * AI Provider Registry
+ * Every provider exposes the same shape:
+ *   { id, name, defaultBaseUrl, defaultModel, needsApiKey(config),
+ *     generate(request, config, { signal }), stream(request, config, { onText, signal }),
+ *     validate(config) }
+ * and optionally listModels(config) resolving to [{ id, name, description, inputTokenLimit, outputTokenLimit }]
+ * where request is { prompt, temperature, maxOutputTokens, topP, json, schema, safetySettings }
+ * (schema is a JSON Schema the JSON output should follow; providers that can't enforce it ignore it)
+ * and generate/stream resolve to { text, finishReason, usage: { promptTokens, candidateTokens } }
+ * (plus blockReason/blockedCategories when the provider reports a blocked prompt or response).
+ * finishReason uses Gemini's names: STOP, MAX_TOKENS, SAFETY, RECITATION, OTHER, ...
+ * HTTP failures are thrown as typed errors from AIErrors.js.
+ */
+
+import GeminiProvider from './GeminiProvider.js';
+import OpenAIProvider from './OpenAIProvider.js';
+import OllamaProvider from './OllamaProvider.js';
+
+export const AI_PROVIDERS = {
+    [GeminiProvider.id]: GeminiProvider,
+    [OpenAIProvider.id]: OpenAIProvider,
+    [OllamaProvider.id]: OllamaProvider
+};
+
+export const DEFAULT_PROVIDER = GeminiProvider.id;
+
+/**
+ * Look up a provider by id, falling back to Gemini
+ * @param {string} id - Provider id
+ * @returns {Object}
+ */
+export function getProvider(id) {
+    return AI_PROVIDERS[id] || AI_PROVIDERS[DEFAULT_PROVIDER];
+}
+
+/**
+ * List providers for display
+ * @returns {Array<{id: string, name: string, defaultBaseUrl: string, defaultModel: string}>}
+ */
+export function listProviders() {
+    return Object.values(AI_PROVIDERS).map(({ id, name, defaultBaseUrl, defaultModel }) => ({
+        id,
+        name,
+        defaultBaseUrl,
+        defaultModel
+    }));
+}
+
+export default {
+    AI_PROVIDERS,
+    DEFAULT_PROVIDER,
+    getProvider,
+    listProviders
+};
@@ -0,0 +1,106 @@
+/**
+ * Stream Reader
+ * Helpers for reading streamed HTTP responses (SSE and newline-delimited JSON)
+ */
+
+/**
+ * Read a response body line by line
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onLine - Called with each complete line (without the newline)
+ * @returns {Promise<void>}
+ */
+async function readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(onLine);
+        }
+
+        buffer += decoder.decode();
+        if (buffer) onLine(buffer);
+    } catch (error) {
+        // Stop the download when a line handler fails
+        await reader.cancel().catch(() => {});
+        throw error;
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Read a Server-Sent Events stream, parsing each data payload as JSON
+ * Stops at the OpenAI-style "[DONE]" sentinel.
+ * @param {Response} response - Fetch response
+ * @param {Function} onEvent - Called with each parsed data object
+ * @returns {Promise<void>}
+ */
+export async function readSSE(response, onEvent) {
+    let dataLines = [];
+    let finished = false;
+
+    const dispatch = () => {
+        if (dataLines.length === 0) return;
+        const data = dataLines.join('\n');
+        dataLines = [];
+
+        if (data === '[DONE]') {
+            finished = true;
+            return;
+        }
+
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (e) {
+            console.warn('[CoverAI] Skipping malformed stream event:', data);
+            return;
+        }
+        // Outside the try: errors from the consumer reach the caller instead of reading as bad data
+        onEvent(event);
+    };
+
+    await readLines(response, (line) => {
+        if (finished) return;
+        if (line === '') {
+            dispatch();
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).trimStart());
+        }
+    });
+
+    if (!finished) dispatch();
+}
+
+/**
+ * Read a newline-delimited JSON stream (used by Ollama)
+ * @param {Response} response - Fetch response
+ * @param {Function} onEvent - Called with each parsed line
+ * @returns {Promise<void>}
+ */
+export async function readNDJSON(response, onEvent) {
+    await readLines(response, (line) => {
+        if (!line.trim()) return;
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (e) {
+            console.warn('[CoverAI] Skipping malformed stream line:', line);
+            return;
+        }
+        onEvent(event);
+    });
+}
+
+export default {
+    readSSE,
+    readNDJSON
+};
@@ -0,0 +1,28 @@
+/**
+ * Hash Utility
+ * Stable hashes for cache keys, using Web Crypto
+ */
+
+/**
+ * SHA-256 of a string
+ * @param {string} text
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hash a value's JSON form, for keys built from several inputs
+ * @param {any} value - JSON-serializable value
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashValue(value) {
+    return await sha256(JSON.stringify(value));
+}
+
+export default {
+    sha256,
+    hashValue
+};
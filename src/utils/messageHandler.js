@@ -31,6 +31,8 @@ export const MessageTypes = {
 
     // Content script
     EXTRACT_JOB: 'EXTRACT_JOB',
+    GET_QUESTION: 'GET_QUESTION',
+    GET_COMPANY_ABOUT: 'GET_COMPANY_ABOUT',
     CHECK_PAGE: 'CHECK_PAGE'
 };
 
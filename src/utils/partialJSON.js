@@ -0,0 +1,77 @@
+/**
+ * Partial JSON Utility
+ * Parses JSON that may be cut off mid-stream or wrapped in markdown fences
+ */
+
+/**
+ * Remove ```json fences some models add around JSON output
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripCodeFences(text) {
+    return (text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+}
+
+/**
+ * Close whatever strings, arrays and objects are still open at the end of the text,
+ * dropping a trailing comma or a key that has no value yet
+ * @param {string} text - Start of a JSON document
+ * @returns {string}
+ */
+function closePartialJSON(text) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (const char of text) {
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') stack.push(char);
+        else if (char === '}' || char === ']') stack.pop();
+    }
+
+    let closed = text;
+    if (escaped) closed = closed.slice(0, -1);
+    if (inString) closed += '"';
+
+    // A key with no value yet: {"a": "b", "c  or  {"a": "b", "c":
+    if (stack[stack.length - 1] === '{') {
+        closed = closed.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '$1');
+    }
+    closed = closed.replace(/[,:]\s*$/, '');
+
+    return closed + stack.reverse().map(open => (open === '{' ? '}' : ']')).join('');
+}
+
+/**
+ * Parse JSON, repairing it first if it was cut off
+ * @param {string} text - Complete or truncated JSON
+ * @returns {any|null} Parsed value, or null if it can't be read as JSON
+ */
+export function parsePartialJSON(text) {
+    const cleaned = stripCodeFences(text);
+    if (!cleaned) return null;
+
+    try {
+        return JSON.parse(cleaned);
+    } catch {
+        // Fall through to repair
+    }
+
+    try {
+        return JSON.parse(closePartialJSON(cleaned));
+    } catch {
+        return null;
+    }
+}
+
+export default {
+    stripCodeFences,
+    parsePartialJSON
+};
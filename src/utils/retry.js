@@ -0,0 +1,79 @@
+/**
+ * Retry Utility
+ * Exponential backoff with jitter, honoring server-provided retry delays
+ */
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        function onAbort() {
+            clearTimeout(timer);
+            reject(new DOMException('Aborted', 'AbortError'));
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run an async function, retrying retryable failures with exponential backoff
+ * An error's retryAfter (ms) replaces the computed delay; when it is longer than maxDelay the
+ * error is thrown instead, since retrying sooner than the server allows only burns quota.
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Extra attempts after the first (default 3)
+ * @param {number} options.baseDelay - First backoff delay in ms (default 1000)
+ * @param {number} options.maxDelay - Longest wait before a retry in ms (default 30000)
+ * @param {Function} options.shouldRetry - (error) => boolean (default: error.retryable)
+ * @param {Function} options.onRetry - (error, attempt, delayMs) => void
+ * @param {AbortSignal} options.signal - Stops waiting between attempts
+ * @returns {Promise<any>}
+ */
+export async function withRetry(fn, options = {}) {
+    const {
+        retries = 3,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        shouldRetry = (error) => error?.retryable === true,
+        onRetry,
+        signal
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const waitTooLong = error?.retryAfter != null && error.retryAfter > maxDelay;
+            if (attempt >= retries || signal?.aborted || !shouldRetry(error) || waitTooLong) {
+                throw error;
+            }
+
+            const backoff = baseDelay * 2 ** attempt;
+            const jitter = Math.random() * baseDelay * 0.5;
+            const delay = error.retryAfter ?? Math.min(maxDelay, backoff + jitter);
+
+            onRetry?.(error, attempt + 1, delay);
+            await sleep(delay, signal);
+        }
+    }
+}
+
+export default {
+    sleep,
+    withRetry
+};
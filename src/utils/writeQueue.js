@@ -0,0 +1,25 @@
+/**
+ * Write Queue Utility
+ * Serializes read-modify-write updates of one storage key. Parallel calls (letter versions,
+ * generations finishing together) would otherwise read the same value and lose each
+ * other's updates.
+ */
+
+/**
+ * Create a queue; each model keeps its own
+ * @returns {Function} enqueue(update): runs async () => any after the updates queued before it,
+ *   resolving with its result; a failed update doesn't stop the ones after it
+ */
+export function createWriteQueue() {
+    let tail = Promise.resolve();
+
+    return function enqueue(update) {
+        const run = tail.then(update, update);
+        tail = run.catch(() => {});
+        return run;
+    };
+}
+
+export default {
+    createWriteQueue
+};
@@ -6,7 +6,27 @@
 import ResumeController from '../controllers/ResumeController.js';
 import JobController from '../controllers/JobController.js';
 import CoverLetterController from '../controllers/CoverLetterController.js';
+import StyleController from '../controllers/StyleController.js';
+import AnswerController from '../controllers/AnswerController.js';
+import MessageController from '../controllers/MessageController.js';
+import InterviewController from '../controllers/InterviewController.js';
+import TailorController from '../controllers/TailorController.js';
+import CompanyController from '../controllers/CompanyController.js';
 import SettingsModel from '../models/SettingsModel.js';
+import TemplateModel from '../models/TemplateModel.js';
+import UsageModel from '../models/UsageModel.js';
+import CacheModel from '../models/CacheModel.js';
+import { getProvider } from '../services/providers/index.js';
+import { SAFETY_THRESHOLDS, MAX_VARIANTS, getAvailableModels, refreshModels } from '../services/AIService.js';
+import { TEMPLATE_VARIABLES, findUnknownPlaceholders } from '../services/PromptTemplateService.js';
+import { letterToText, normalizeLetter, splitParagraphs, LENGTH_PRESETS } from '../services/LetterStructureService.js';
+import { describeUnsupported } from '../services/GroundingService.js';
+import { LANGUAGES, AUTO_LANGUAGE, getLanguage } from '../services/LanguageService.js';
+import { detectCharLimit } from '../services/AnswerService.js';
+import { DOCUMENT_TYPES, COVER_LETTER_TYPE, getDocumentType, describeLimit } from '../services/DocumentTypeService.js';
+import { SKILLS_SUGGESTION_ID, diffWords } from '../services/ResumeTailorService.js';
+import { NOTE_FIELDS } from '../services/CompanyNotesService.js';
+import { MessageTypes, sendToContentScript } from '../utils/messageHandler.js';
 
 // DOM Elements
 const elements = {
@@ -24,6 +44,86 @@ const elements = {
     jobInfo: document.getElementById('jobInfo'),
     jobTitle: document.getElementById('jobTitle'),
     jobCompany: document.getElementById('jobCompany'),
+    jobLanguage: document.getElementById('jobLanguage'),
+    jobWarning: document.getElementById('jobWarning'),
+    jobWarningSummary: document.getElementById('jobWarningSummary'),
+    jobWarningList: document.getElementById('jobWarningList'),
+    jobDetails: document.getElementById('jobDetails'),
+    jobTags: document.getElementById('jobTags'),
+    jobDetailLists: document.getElementById('jobDetailLists'),
+    jobSkills: document.getElementById('jobSkills'),
+    jobDetailsStatus: document.getElementById('jobDetailsStatus'),
+    analyzeJobBtn: document.getElementById('analyzeJobBtn'),
+
+    // Match section
+    matchSection: document.getElementById('matchSection'),
+    matchScore: document.getElementById('matchScore'),
+    matchMeterFill: document.getElementById('matchMeterFill'),
+    matchedLabel: document.getElementById('matchedLabel'),
+    matchedKeywords: document.getElementById('matchedKeywords'),
+    missingLabel: document.getElementById('missingLabel'),
+    missingKeywords: document.getElementById('missingKeywords'),
+    matchRequirements: document.getElementById('matchRequirements'),
+    matchRequirementsSummary: document.getElementById('matchRequirementsSummary'),
+    matchRequirementsList: document.getElementById('matchRequirementsList'),
+    matchAnglesLabel: document.getElementById('matchAnglesLabel'),
+    matchAngles: document.getElementById('matchAngles'),
+
+    // Document type and messages
+    documentTypeSelect: document.getElementById('documentTypeSelect'),
+    messageFields: document.getElementById('messageFields'),
+    messageRecipientLabel: document.getElementById('messageRecipientLabel'),
+    messageRecipientInput: document.getElementById('messageRecipientInput'),
+    messageNotesLabel: document.getElementById('messageNotesLabel'),
+    messageNotesInput: document.getElementById('messageNotesInput'),
+    messageSection: document.getElementById('messageSection'),
+    messageTitle: document.getElementById('messageTitle'),
+    messageHint: document.getElementById('messageHint'),
+    messageSubjectRow: document.getElementById('messageSubjectRow'),
+    messageSubject: document.getElementById('messageSubject'),
+    messageContent: document.getElementById('messageContent'),
+    messageLength: document.getElementById('messageLength'),
+    regenerateMessageBtn: document.getElementById('regenerateMessageBtn'),
+    copyMessageBtn: document.getElementById('copyMessageBtn'),
+    downloadMessageBtn: document.getElementById('downloadMessageBtn'),
+
+    // Application questions
+    answerSection: document.getElementById('answerSection'),
+    answerCount: document.getElementById('answerCount'),
+    questionInput: document.getElementById('questionInput'),
+    charLimitInput: document.getElementById('charLimitInput'),
+    captureQuestionBtn: document.getElementById('captureQuestionBtn'),
+    answerBtn: document.getElementById('answerBtn'),
+    answerStatus: document.getElementById('answerStatus'),
+    answerList: document.getElementById('answerList'),
+
+    // Company notes
+    companySection: document.getElementById('companySection'),
+    companyTitle: document.getElementById('companyTitle'),
+    companyNotesBadge: document.getElementById('companyNotesBadge'),
+    companyNotesSummary: document.getElementById('companyNotesSummary'),
+    companyNotesDetails: document.getElementById('companyNotesDetails'),
+    companyNoteFields: document.getElementById('companyNoteFields'),
+    captureAboutBtn: document.getElementById('captureAboutBtn'),
+    saveCompanyNotesBtn: document.getElementById('saveCompanyNotesBtn'),
+    clearCompanyNotesBtn: document.getElementById('clearCompanyNotesBtn'),
+
+    // Tailored resume
+    tailorSection: document.getElementById('tailorSection'),
+    tailorBadge: document.getElementById('tailorBadge'),
+    tailorBtn: document.getElementById('tailorBtn'),
+    downloadResumeBtn: document.getElementById('downloadResumeBtn'),
+    tailorStatus: document.getElementById('tailorStatus'),
+    tailorNote: document.getElementById('tailorNote'),
+    tailorList: document.getElementById('tailorList'),
+
+    // Interview prep
+    prepSection: document.getElementById('prepSection'),
+    prepBadge: document.getElementById('prepBadge'),
+    prepBtn: document.getElementById('prepBtn'),
+    downloadPrepBtn: document.getElementById('downloadPrepBtn'),
+    prepStatus: document.getElementById('prepStatus'),
+    prepPack: document.getElementById('prepPack'),
     jobPreview: document.getElementById('jobPreview'),
     jobStatus: document.getElementById('jobStatus'),
     manualJobBtn: document.getElementById('manualJobBtn'),
@@ -43,11 +143,36 @@ const elements = {
     generateBtn: document.getElementById('generateBtn'),
     progressSection: document.getElementById('progressSection'),
     progressText: document.getElementById('progressText'),
+    stopBtn: document.getElementById('stopBtn'),
 
     // Preview
     previewSection: document.getElementById('previewSection'),
     previewContent: document.getElementById('previewContent'),
+    previewEditor: document.getElementById('previewEditor'),
+    previewHighlights: document.getElementById('previewHighlights'),
+    groundingReport: document.getElementById('groundingReport'),
+    groundingSummary: document.getElementById('groundingSummary'),
+    groundingList: document.getElementById('groundingList'),
+    letterHeader: document.getElementById('letterHeader'),
+    letterFooter: document.getElementById('letterFooter'),
+    letterRecipient: document.getElementById('letterRecipient'),
+    letterSalutation: document.getElementById('letterSalutation'),
+    letterClosing: document.getElementById('letterClosing'),
+    letterPostscript: document.getElementById('letterPostscript'),
+    refinePanel: document.getElementById('refinePanel'),
+    refineInput: document.getElementById('refineInput'),
+    refineBtn: document.getElementById('refineBtn'),
+    revisionLabel: document.getElementById('revisionLabel'),
+    lengthStatus: document.getElementById('lengthStatus'),
+    fitLengthBtn: document.getElementById('fitLengthBtn'),
+    undoRevisionBtn: document.getElementById('undoRevisionBtn'),
+    previewHint: document.getElementById('previewHint'),
+    variantTabs: document.getElementById('variantTabs'),
+    mergePanel: document.getElementById('mergePanel'),
+    mergeList: document.getElementById('mergeList'),
+    applyMergeBtn: document.getElementById('applyMergeBtn'),
     regenerateBtn: document.getElementById('regenerateBtn'),
+    offlineDraftBtn: document.getElementById('offlineDraftBtn'),
     copyBtn: document.getElementById('copyBtn'),
     downloadBtn: document.getElementById('downloadBtn'),
 
@@ -55,22 +180,89 @@ const elements = {
     settingsBtn: document.getElementById('settingsBtn'),
     settingsPanel: document.getElementById('settingsPanel'),
     closeSettingsBtn: document.getElementById('closeSettingsBtn'),
+    apiKeyLabel: document.getElementById('apiKeyLabel'),
     apiKeyInput: document.getElementById('apiKeyInput'),
+    apiKeyHint: document.getElementById('apiKeyHint'),
     toggleApiKey: document.getElementById('toggleApiKey'),
     fullNameInput: document.getElementById('fullNameInput'),
+    providerSelect: document.getElementById('providerSelect'),
+    baseUrlInput: document.getElementById('baseUrlInput'),
+    modelSelectGroup: document.getElementById('modelSelectGroup'),
     modelSelect: document.getElementById('modelSelect'),
+    modelInfo: document.getElementById('modelInfo'),
+    modelListStatus: document.getElementById('modelListStatus'),
+    refreshModelsBtn: document.getElementById('refreshModelsBtn'),
+    fallbackModelsList: document.getElementById('fallbackModelsList'),
+    safetyGroup: document.getElementById('safetyGroup'),
+    safetySelect: document.getElementById('safetySelect'),
+    modelInputGroup: document.getElementById('modelInputGroup'),
+    modelInput: document.getElementById('modelInput'),
     toneSelect: document.getElementById('toneSelect'),
+    deleteToneBtn: document.getElementById('deleteToneBtn'),
+    toneNameInput: document.getElementById('toneNameInput'),
+    toneDescriptionInput: document.getElementById('toneDescriptionInput'),
+    addToneBtn: document.getElementById('addToneBtn'),
+    styleSampleInput: document.getElementById('styleSampleInput'),
+    styleSampleList: document.getElementById('styleSampleList'),
+    styleSummary: document.getElementById('styleSummary'),
+    useStyleCheck: document.getElementById('useStyleCheck'),
+    jobParsingSelect: document.getElementById('jobParsingSelect'),
+    addressGapsCheck: document.getElementById('addressGapsCheck'),
+    variantCountSelect: document.getElementById('variantCountSelect'),
+    outputLanguageSelect: document.getElementById('outputLanguageSelect'),
+    letterLengthSelect: document.getElementById('letterLengthSelect'),
+    letterWordCountInput: document.getElementById('letterWordCountInput'),
+    templateSelect: document.getElementById('templateSelect'),
+    newTemplateBtn: document.getElementById('newTemplateBtn'),
+    deleteTemplateBtn: document.getElementById('deleteTemplateBtn'),
+    templateNameInput: document.getElementById('templateNameInput'),
+    templateBodyInput: document.getElementById('templateBodyInput'),
+    templateHint: document.getElementById('templateHint'),
+    templateVariables: document.getElementById('templateVariables'),
+    previewPromptBtn: document.getElementById('previewPromptBtn'),
+    saveTemplateBtn: document.getElementById('saveTemplateBtn'),
     includeDateCheck: document.getElementById('includeDateCheck'),
     includeDateCheck: document.getElementById('includeDateCheck'),
+    fitOnePageCheck: document.getElementById('fitOnePageCheck'),
+    usageTableBody: document.getElementById('usageTableBody'),
+    cacheSummary: document.getElementById('cacheSummary'),
+    clearCacheBtn: document.getElementById('clearCacheBtn'),
+    clearUsageBtn: document.getElementById('clearUsageBtn'),
     saveSettingsBtn: document.getElementById('saveSettingsBtn'),
     devModeCheck: document.getElementById('devModeCheck'),
     debugSection: document.getElementById('debugSection'),
     debugContent: document.getElementById('debugContent'),
-    refreshDebugBtn: document.getElementById('refreshDebugBtn')
+    debugContext: document.getElementById('debugContext'),
+    refreshDebugBtn: document.getElementById('refreshDebugBtn'),
+
+    // Prompt Preview Modal
+    promptPreviewModal: document.getElementById('promptPreviewModal'),
+    closePromptPreviewBtn: document.getElementById('closePromptPreviewBtn'),
+    promptPreviewHint: document.getElementById('promptPreviewHint'),
+    promptPreviewContent: document.getElementById('promptPreviewContent')
 };
 
 // State
 let currentCoverLetter = null;
+let activeGeneration = null; // AbortController for the in-flight generation
+let templates = []; // Prompt templates shown in settings (built-in + custom)
+let availableModels = []; // Gemini models shown in settings (fetched list, or the built-in one)
+let variants = []; // Letters from the last generation: [{ label, text, letter, language, model, truncated, cached, offline, error, merged, instruction, history }]
+let activeVariant = 0; // Index of the variant shown in the preview
+let draftOffline = false; // Whether Generate writes an offline draft because no AI provider is set up
+let mergeOpen = false; // Whether the merge view replaces the preview textarea
+let groundingTimer = null; // Debounces re-checking claims while the user edits
+let lengthCheck = null; // Length and page estimate of the letter in the preview (see CoverLetterController.checkLetterLength)
+let analyzingJobAt = null; // extractedAt of the job being analyzed, so it isn't analyzed twice at once
+let messages = {}; // Last message written per document type: { [typeId]: result of MessageController.generateMessage }
+let answeringQuestion = false; // Whether an answer is being drafted, so the answer buttons stay disabled
+let buildingPrep = false; // Whether the interview prep pack is being built
+let tailoringResume = false; // Whether resume suggestions are being requested
+let notesCompany = null; // Company whose notes fill the note inputs, so a refresh doesn't overwrite typing
+
+const MAX_REVISIONS = 20; // Undo steps kept per version
+// AI failures worth offering an offline draft for, rather than just retrying later
+const OFFLINE_FALLBACK_ERRORS = ['NetworkError', 'ServiceUnavailableError', 'QuotaError', 'AuthError', 'ModelUnavailableError'];
 
 /**
  * Initialize the popup
@@ -79,8 +271,11 @@ async function init() {
     await loadResume();
     await loadJob();
     await loadSettings();
+    renderDocumentTypes();
+    renderCompanyNoteFields();
     await checkReadiness();
     setupEventListeners();
+    refreshStaleModelList();
 }
 
 /**
@@ -118,6 +313,14 @@ async function loadJob() {
         elements.jobPreview.textContent = job.description.slice(0, 200) + '...';
         elements.jobStatus.textContent = job.source === 'manual' ? 'Manual' : 'Detected';
         elements.jobStatus.className = 'status-badge status-ready';
+        showJobWarning(job);
+        showJobDetails(job);
+        await showJobLanguage();
+
+        // Newly captured jobs are analyzed in the background
+        if (!job.details && analyzingJobAt !== job.extractedAt) {
+            analyzeJob();
+        }
     } else {
         elements.jobEmpty.classList.remove('hidden');
         elements.jobInfo.classList.add('hidden');
@@ -126,6 +329,112 @@ async function loadJob() {
     }
 }
 
+/**
+ * Warn in the job card when hidden or instruction-like text was kept out of the prompt
+ * @param {Object} job - Current job
+ */
+function showJobWarning(job) {
+    const { hiddenRemoved, suspicious } = JobController.describeSafety(job);
+    const notes = [];
+
+    if (hiddenRemoved > 0) {
+        notes.push(`Removed ${hiddenRemoved} hidden ${hiddenRemoved === 1 ? 'passage' : 'passages'} from the page`);
+    }
+    if (suspicious.length > 0) {
+        notes.push(`Ignoring ${suspicious.length} instruction-like ${suspicious.length === 1 ? 'sentence' : 'sentences'}`);
+    }
+
+    const items = suspicious.map(({ text, reason }) => {
+        const item = document.createElement('li');
+        item.textContent = `"${text.length > 120 ? `${text.slice(0, 120)}...` : text}" (${reason})`;
+        return item;
+    });
+
+    elements.jobWarningSummary.textContent = notes.join(' · ');
+    elements.jobWarningList.replaceChildren(...items);
+    elements.jobWarningList.classList.toggle('hidden', items.length === 0);
+    elements.jobWarning.classList.toggle('hidden', notes.length === 0);
+}
+
+/**
+ * Show the job's structured details (tags, requirement lists, skills) in the job card
+ * @param {Object} job - Current job
+ */
+function showJobDetails(job) {
+    const details = JobController.describeDetails(job);
+    elements.jobDetails.classList.toggle('hidden', !details);
+    if (!details) {
+        elements.jobDetailsStatus.textContent = '';
+        return;
+    }
+
+    const chip = (text) => {
+        const tag = document.createElement('span');
+        tag.textContent = text;
+        return tag;
+    };
+
+    elements.jobTags.replaceChildren(...details.tags.map(chip));
+    elements.jobSkills.replaceChildren(...details.skills.map(chip));
+    elements.jobDetailLists.replaceChildren(...details.lists.map(({ label, items }) => {
+        const list = document.createElement('details');
+        list.className = 'job-detail-list';
+        const summary = document.createElement('summary');
+        summary.textContent = `${label} (${items.length})`;
+        const ul = document.createElement('ul');
+        ul.replaceChildren(...items.map(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            return item;
+        }));
+        list.append(summary, ul);
+        return list;
+    }));
+
+    elements.jobDetailsStatus.textContent = details.tags.length + details.lists.length + details.skills.length === 0
+        ? 'No requirements or job details found in this posting'
+        : details.method === 'ai' ? 'Analyzed with AI' : 'Analyzed locally';
+}
+
+/**
+ * Parse the current job into structured details and show them
+ */
+async function analyzeJob() {
+    const current = await JobController.getCurrentJob();
+    if (!current) return;
+
+    analyzingJobAt = current.extractedAt;
+    elements.analyzeJobBtn.disabled = true;
+    elements.jobDetailsStatus.textContent = 'Analyzing the posting...';
+
+    try {
+        const job = await JobController.analyzeJob();
+        // Skip if another job was captured in the meantime
+        if (job?.extractedAt === current.extractedAt) {
+            showJobDetails(job);
+            await showMatch(); // Requirements from the analysis sharpen the match
+        }
+    } catch (error) {
+        console.error('Job analysis error:', error);
+        elements.jobDetailsStatus.textContent = 'Could not analyze the posting: ' + error.message;
+    } finally {
+        analyzingJobAt = null;
+        elements.analyzeJobBtn.disabled = false;
+    }
+}
+
+/**
+ * Note the posting's language in the job card when English isn't involved throughout
+ */
+async function showJobLanguage() {
+    const languages = await CoverLetterController.describeLanguages();
+    const english = getLanguage().name;
+    const show = languages && (languages.posting !== english || languages.letter !== english);
+
+    elements.jobLanguage.textContent = show ? `Posting in ${languages.posting} · letter in ${languages.letter}` : '';
+    elements.jobLanguage.classList.toggle('hidden', !show);
+}
+
 /**
  * Load settings
  */
@@ -134,9 +443,34 @@ async function loadSettings() {
 
     elements.apiKeyInput.value = settings.apiKey || '';
     elements.fullNameInput.value = settings.fullName || '';
-    elements.modelSelect.value = settings.geminiModel || 'gemini-3-flash-preview';
-    elements.toneSelect.value = settings.coverLetterTone || 'professional';
+    elements.providerSelect.value = settings.aiProvider || 'gemini';
+    elements.baseUrlInput.value = settings.aiBaseUrl || '';
+    elements.modelInput.value = settings.aiModel || '';
+    await renderModels(settings);
+    elements.safetySelect.replaceChildren(...SAFETY_THRESHOLDS.map(({ id, name }) => new Option(name, id)));
+    elements.safetySelect.value = settings.safetyThreshold || 'BLOCK_NONE';
+    updateProviderFields();
+    await renderTones(settings.coverLetterTone || 'professional');
+    await renderTemplates(settings.promptTemplateId || 'default');
+    renderStyle(await StyleController.getStyle());
+    elements.useStyleCheck.checked = settings.useStyleProfile !== false;
+    elements.jobParsingSelect.value = settings.jobParsing || 'ai';
+    elements.addressGapsCheck.checked = settings.addressGaps !== false;
+    elements.variantCountSelect.replaceChildren(...Array.from({ length: MAX_VARIANTS }, (_, i) =>
+        new Option(i === 0 ? '1 (single letter)' : String(i + 1), String(i + 1))));
+    elements.variantCountSelect.value = String(settings.variantCount || 1);
+    elements.outputLanguageSelect.replaceChildren(
+        new Option('Same as job posting', AUTO_LANGUAGE),
+        ...Object.entries(LANGUAGES).map(([code, language]) => new Option(language.name, code)));
+    elements.outputLanguageSelect.value = settings.outputLanguage || AUTO_LANGUAGE;
+    elements.letterLengthSelect.replaceChildren(
+        ...Object.entries(LENGTH_PRESETS).map(([id, preset]) => new Option(`${preset.name} (~${preset.words} words)`, id)),
+        new Option('Custom word count', 'custom'));
+    elements.letterLengthSelect.value = settings.letterLength || 'standard';
+    elements.letterWordCountInput.value = settings.letterWordCount || '';
+    updateLengthFields();
     elements.includeDateCheck.checked = settings.includeDate !== false;
+    elements.fitOnePageCheck.checked = settings.fitOnePage !== false;
     elements.devModeCheck.checked = settings.developerMode || false;
 
     // Show/hide debug section
@@ -149,275 +483,2140 @@ async function loadSettings() {
 }
 
 /**
- * Check if ready to generate
+ * Check if ready to generate, and refresh the match, company notes, application question, tailored resume and
+ * interview prep cards
  */
 async function checkReadiness() {
     const readiness = await CoverLetterController.checkReadiness();
-    elements.generateBtn.disabled = !readiness.ready;
+    const type = getDocumentType(elements.documentTypeSelect.value);
+    // Without an AI provider, a resume and job are still enough for an offline draft (of a cover letter)
+    draftOffline = type.id === COVER_LETTER_TYPE && !readiness.ready && readiness.canDraftOffline;
+    elements.generateBtn.disabled = !readiness.ready && !draftOffline;
 
-    if (!readiness.ready && readiness.missing.length > 0) {
+    if (draftOffline) {
+        elements.generateBtn.querySelector('span').textContent = 'Generate Offline Draft (no API key)';
+    } else if (!readiness.ready && readiness.missing.length > 0) {
         elements.generateBtn.querySelector('span').textContent =
             `Missing: ${readiness.missing.join(', ')}`;
     } else {
-        elements.generateBtn.querySelector('span').textContent = 'Generate Cover Letter';
+        elements.generateBtn.querySelector('span').textContent = `Generate ${type.id === COVER_LETTER_TYPE ? 'Cover Letter' : type.name}`;
     }
+
+    await showMatch();
+    await showCompanyNotes();
+    await showAnswers(readiness.canDraftOffline);
+    await showTailoring(readiness.canDraftOffline);
+    await showPrepPack(readiness.canDraftOffline);
 }
 
 /**
- * Handle resume file upload - PARSES IMMEDIATELY
+ * Show how well the resume fits the job, or hide the card without both
  */
-async function handleResumeUpload(event) {
-    const file = event.target.files[0];
-    if (!file) return;
-
-    // Show processing state immediately
-    elements.resumeEmpty.classList.add('hidden');
-    elements.resumeInfo.classList.remove('hidden');
-    elements.resumeName.textContent = `Parsing ${file.name}...`;
-    elements.resumeEmail.textContent = '';
-    elements.resumeStatus.textContent = 'Processing';
-    elements.resumeStatus.className = 'status-badge status-pending';
-
-    try {
-        console.log('[CoverAI] Starting resume parse for:', file.name);
-        const startTime = Date.now();
+async function showMatch() {
+    const match = await CoverLetterController.getMatch();
+    elements.matchSection.classList.toggle('hidden', !match);
+    if (!match) return;
 
-        // Parse the resume immediately
-        const resumeData = await ResumeController.uploadResume(file);
+    const chip = (text) => {
+        const tag = document.createElement('span');
+        tag.textContent = text;
+        return tag;
+    };
+    const listItem = (text, className = '') => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        item.className = className;
+        return item;
+    };
 
-        const parseTime = Date.now() - startTime;
-        console.log(`[CoverAI] Resume parsed in ${parseTime}ms`);
+    elements.matchScore.textContent = match.score === null ? 'No requirements found' : `${match.score}% match`;
+    elements.matchScore.className = `status-badge ${match.score >= 60 ? 'status-ready' : 'status-pending'}`;
+    elements.matchMeterFill.style.width = `${match.score || 0}%`;
 
-        // Update UI with parsed data
-        elements.resumeName.textContent = resumeData.name || file.name;
-        elements.resumeEmail.textContent = resumeData.email ||
-            `${resumeData.skills?.length || 0} skills • ${Math.round((resumeData.rawText?.length || 0) / 100) / 10}k chars`;
-        elements.resumeStatus.textContent = 'Ready';
-        elements.resumeStatus.className = 'status-badge status-ready';
+    elements.matchedKeywords.replaceChildren(...match.matched.map(chip));
+    elements.missingKeywords.replaceChildren(...match.missing.map(chip));
+    elements.matchedLabel.classList.toggle('hidden', match.matched.length === 0);
+    elements.missingLabel.classList.toggle('hidden', match.missing.length === 0);
 
-        await checkReadiness();
+    const met = match.requirements.filter(requirement => requirement.status === 'met').length;
+    elements.matchRequirementsSummary.textContent = `Requirements covered: ${met} of ${match.requirements.length}`;
+    elements.matchRequirementsList.replaceChildren(...match.requirements.map(requirement =>
+        listItem(`${requirement.kind === 'niceToHave' ? '(Nice to have) ' : ''}${requirement.text}`, requirement.status)
+    ));
+    elements.matchRequirements.classList.toggle('hidden', match.requirements.length === 0);
 
-    } catch (error) {
-        console.error('[CoverAI] Resume upload error:', error);
-        elements.resumeEmpty.classList.remove('hidden');
-        elements.resumeInfo.classList.add('hidden');
-        elements.resumeStatus.textContent = 'Error';
-        elements.resumeStatus.className = 'status-badge status-error';
-        alert('Failed to parse resume: ' + error.message);
-    }
+    elements.matchAngles.replaceChildren(...match.angles.map(angle => listItem(angle)));
+    elements.matchAnglesLabel.classList.toggle('hidden', match.angles.length === 0);
+}
 
-    // Reset file input so same file can be re-uploaded if needed
-    event.target.value = '';
+/**
+ * Fill the document type selector above the Generate button
+ */
+function renderDocumentTypes() {
+    elements.documentTypeSelect.replaceChildren(...DOCUMENT_TYPES.map(type => new Option(type.name, type.id)));
 }
 
 /**
- * Clear resume
+ * Build the company note inputs, one per note field
  */
-async function clearResume() {
-    if (confirm('Remove your uploaded resume?')) {
-        await ResumeController.clearResume();
-        await loadResume();
-        await checkReadiness();
-    }
+function renderCompanyNoteFields() {
+    elements.companyNoteFields.replaceChildren(...NOTE_FIELDS.map(field => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.htmlFor = `companyNote-${field.key}`;
+        label.textContent = field.label;
+
+        const input = document.createElement('textarea');
+        input.id = `companyNote-${field.key}`;
+        input.dataset.note = field.key;
+        input.rows = field.key === 'about' ? 4 : 2;
+        input.placeholder = field.placeholder;
+
+        group.append(label, input);
+        return group;
+    }));
 }
 
 /**
- * Open manual job modal
+ * Read the company note inputs
+ * @returns {Object} { mission, products, news, whyCare, about }
  */
-function openManualJobModal() {
-    elements.manualJobModal.classList.remove('hidden');
+function readCompanyNoteFields() {
+    return Object.fromEntries([...elements.companyNoteFields.querySelectorAll('[data-note]')]
+        .map(input => [input.dataset.note, input.value]));
 }
 
 /**
- * Close manual job modal
+ * Show the notes on the current job's company, or hide the card without a company
+ * The inputs are only refilled when the company changes (or force is set), so a refresh keeps unsaved typing.
+ * @param {boolean} force - Refill the inputs from storage
  */
-function closeManualJobModal() {
-    elements.manualJobModal.classList.add('hidden');
-    elements.inputJobTitle.value = '';
-    elements.inputCompany.value = '';
-    elements.inputDescription.value = '';
+async function showCompanyNotes(force = false) {
+    const current = await CompanyController.getCompanyNotes();
+    elements.companySection.classList.toggle('hidden', !current);
+    if (!current) {
+        notesCompany = null;
+        return;
+    }
+
+    const notes = current.notes;
+    elements.companyTitle.textContent = `About ${current.company}`;
+    elements.companyNotesBadge.textContent = notes ? 'Notes saved' : 'No notes';
+    elements.companyNotesBadge.className = `status-badge ${notes ? 'status-ready' : 'status-pending'}`;
+    elements.companyNotesSummary.textContent = notes
+        ? `Your notes are added to every letter, answer, message and prep pack for ${current.company}.`
+        : `Add what you know about ${current.company}, such as its mission, products or recent news, and letters can mention something specific.`;
+
+    if (force || notesCompany !== current.company) {
+        notesCompany = current.company;
+        elements.companyNoteFields.querySelectorAll('[data-note]').forEach(input => {
+            input.value = notes?.[input.dataset.note] || '';
+        });
+    }
 }
 
 /**
- * Save manual job input
+ * Fill in the "About" note from the posting page, or else from the stored posting text
  */
-async function saveManualJob() {
-    const title = elements.inputJobTitle.value.trim();
-    const company = elements.inputCompany.value.trim();
-    const description = elements.inputDescription.value.trim();
+async function captureCompanyAbout() {
+    let about = '';
+    try {
+        about = (await sendToContentScript(MessageTypes.GET_COMPANY_ABOUT))?.about || '';
+    } catch (error) {
+        console.warn('[CoverAI] Could not read the company section from the page:', error);
+    }
+    if (!about) {
+        about = await CompanyController.findAboutInPosting();
+    }
 
-    if (!description) {
-        alert('Please enter a job description');
+    if (!about) {
+        alert('No "About" section found on this page or in the posting. Copy it from the company\'s site and paste it instead.');
         return;
     }
 
-    await JobController.saveManualJob(title || 'Job Position', company || 'Company', description);
-    closeManualJobModal();
-    await loadJob();
-    await checkReadiness();
+    const input = elements.companyNoteFields.querySelector('[data-note="about"]');
+    if (input.value.trim() && input.value.trim() !== about && !confirm('Replace the "About" note with the text from the page?')) {
+        return;
+    }
+    input.value = about;
 }
 
 /**
- * Edit current job
+ * Save the company note inputs
  */
-async function editJob() {
-    const job = await JobController.getCurrentJob();
-    if (job) {
-        elements.inputJobTitle.value = job.title || '';
-        elements.inputCompany.value = job.company || '';
-        elements.inputDescription.value = job.description || '';
+async function saveCompanyNotes() {
+    try {
+        await CompanyController.saveCompanyNotes(readCompanyNoteFields());
+        await showCompanyNotes(true);
+        elements.saveCompanyNotesBtn.textContent = 'Saved!';
+        setTimeout(() => { elements.saveCompanyNotesBtn.textContent = 'Save Notes'; }, 2000);
+    } catch (error) {
+        console.error('[CoverAI] Could not save company notes:', error);
+        alert('Could not save the notes: ' + error.message);
     }
-    openManualJobModal();
 }
 
 /**
- * Clear current job
+ * Delete the notes on the current company
  */
-async function clearJob() {
-    if (confirm('Clear current job description?')) {
-        await JobController.clearCurrentJob();
-        await loadJob();
-        await checkReadiness();
+async function clearCompanyNotes() {
+    if (!confirm('Delete your notes on this company?')) return;
+
+    try {
+        await CompanyController.clearCompanyNotes();
+        await showCompanyNotes(true);
+    } catch (error) {
+        console.error('[CoverAI] Could not clear company notes:', error);
+        alert('Could not delete the notes: ' + error.message);
     }
 }
 
 /**
- * Generate cover letter
+ * Switch between the cover letter and a message type: show the type's inputs and its last output
  */
-async function generateCoverLetter() {
-    try {
-        elements.generateBtn.disabled = true;
-        elements.regenerateBtn.disabled = true;
-        elements.progressSection.classList.remove('hidden');
-        elements.previewSection.classList.add('hidden');
-        elements.progressText.textContent = 'Generating your cover letter...';
+async function updateDocumentType() {
+    const type = getDocumentType(elements.documentTypeSelect.value);
+    const isLetter = type.id === COVER_LETTER_TYPE;
 
-        const result = await CoverLetterController.preview();
+    elements.messageFields.classList.toggle('hidden', isLetter);
+    if (!isLetter) {
+        const { recipient, notes } = type.fields;
+        elements.messageRecipientLabel.textContent = recipient.label;
+        elements.messageRecipientInput.placeholder = recipient.placeholder;
+        elements.messageNotesLabel.textContent = notes.label;
+        elements.messageNotesInput.placeholder = notes.placeholder;
+    }
 
-        currentCoverLetter = result;
-        // Set textarea value (editable)
-        elements.previewContent.value = result.text;
-        elements.progressSection.classList.add('hidden');
-        elements.previewSection.classList.remove('hidden');
+    elements.previewSection.classList.toggle('hidden', !isLetter || !variants.some(variant => variant.text));
+    showMessage(isLetter ? null : type.id);
+    await checkReadiness();
+}
 
-        // Scroll preview into view
-        setTimeout(() => {
-            elements.previewSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-        }, 100);
+/**
+ * Write a message of the selected type into the message preview
+ * @param {Object} options - { fresh } (Regenerate always asks the AI for a new message)
+ */
+async function generateMessage(options = {}) {
+    const type = getDocumentType(elements.documentTypeSelect.value);
+
+    elements.generateBtn.disabled = true;
+    elements.regenerateMessageBtn.disabled = true;
+    elements.progressSection.classList.remove('hidden');
+    elements.progressText.textContent = `Writing your ${type.name.toLowerCase()}...`;
 
+    try {
+        messages[type.id] = await MessageController.generateMessage(type.id, {
+            recipient: elements.messageRecipientInput.value,
+            notes: elements.messageNotesInput.value,
+            fresh: options.fresh,
+            onStatus: (message) => {
+                elements.progressText.textContent = message;
+            }
+        });
+
+        elements.progressSection.classList.add('hidden');
+        // The user may have switched types while it was being written
+        if (elements.documentTypeSelect.value === type.id) {
+            showMessage(type.id);
+            setTimeout(() => {
+                elements.messageSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+            }, 100);
+        }
     } catch (error) {
-        console.error('Generation error:', error);
+        console.error('Message generation error:', error);
         elements.progressText.textContent = 'Error: ' + error.message;
         setTimeout(() => {
             elements.progressSection.classList.add('hidden');
-        }, 3000);
+        }, error.name === 'BlockedError' ? 8000 : 3000);
     } finally {
         elements.generateBtn.disabled = false;
-        elements.regenerateBtn.disabled = false;
+        elements.regenerateMessageBtn.disabled = false;
     }
 }
 
 /**
- * Copy cover letter to clipboard (uses edited content)
+ * Show the last message written for a type, or hide the message preview
+ * @param {string|null} typeId - Message type id; null or a type without a message hides it
  */
-async function copyCoverLetter() {
-    const text = elements.previewContent.value;
-    if (text) {
-        await navigator.clipboard.writeText(text);
+function showMessage(typeId) {
+    const message = typeId && messages[typeId];
+    elements.messageSection.classList.toggle('hidden', !message);
+    if (!message) return;
 
-        // Show copied feedback
-        elements.copyBtn.classList.add('copied');
-        elements.copyBtn.setAttribute('data-tooltip', 'Copied!');
+    const type = getDocumentType(typeId);
+    elements.messageTitle.textContent = type.name;
+    elements.messageHint.textContent = [
+        `Limit: ${describeLimit(type)}`,
+        message.trimmed && 'cut to fit',
+        message.cached && 'from cache'
+    ].filter(Boolean).join(', ');
+    elements.messageSubjectRow.classList.toggle('hidden', !type.subject);
+    elements.messageSubject.value = message.subject;
+    elements.messageContent.value = message.body;
+    updateMessageLength();
+}
 
-        setTimeout(() => {
-            elements.copyBtn.classList.remove('copied');
-            elements.copyBtn.setAttribute('data-tooltip', 'Copy to clipboard');
-        }, 2000);
-    }
+/**
+ * Keep edits to the shown message, and show its length against the type's limit
+ */
+function updateMessageLength() {
+    const typeId = elements.documentTypeSelect.value;
+    const message = messages[typeId];
+    if (!message) return;
+
+    message.subject = elements.messageSubject.value;
+    message.body = elements.messageContent.value;
+
+    const length = MessageController.checkMessageLength(typeId, message.body);
+    elements.messageLength.textContent = `${length.count} / ${length.max} ${length.unit}`;
+    elements.messageLength.classList.toggle('off-target', length.over);
 }
 
 /**
- * Download cover letter as DOCX (uses edited content)
+ * Copy the shown message; emails are copied with their subject line on top
  */
-async function downloadCoverLetter() {
-    try {
-        elements.downloadBtn.disabled = true;
+async function copyMessage() {
+    const message = messages[elements.documentTypeSelect.value];
+    if (!message?.body) return;
 
-        // Use the edited text from textarea
-        const editedText = elements.previewContent.value;
-        if (!editedText) {
-            alert('No cover letter to download');
-            return;
-        }
+    await navigator.clipboard.writeText(message.subject ? `Subject: ${message.subject}\n\n${message.body}` : message.body);
 
-        // Update the controller with edited text and download
-        await CoverLetterController.generateAndDownloadWithText(editedText);
+    elements.copyMessageBtn.classList.add('copied');
+    elements.copyMessageBtn.setAttribute('data-tooltip', 'Copied!');
+    setTimeout(() => {
+        elements.copyMessageBtn.classList.remove('copied');
+        elements.copyMessageBtn.setAttribute('data-tooltip', 'Copy the message');
+    }, 2000);
+}
+
+/**
+ * Download the shown message as a text file
+ */
+function downloadMessage() {
+    const typeId = elements.documentTypeSelect.value;
+    const message = messages[typeId];
+    if (!message?.body) {
+        alert('No message to download');
+        return;
+    }
+
+    try {
+        MessageController.downloadMessage(typeId, message, message.job.company);
     } catch (error) {
         console.error('Download error:', error);
         alert('Failed to download: ' + error.message);
-    } finally {
-        elements.downloadBtn.disabled = false;
     }
 }
 
 /**
- * Show settings panel
+ * Show the answers saved for the current job, or hide the card without a resume and job
+ * @param {boolean} show
  */
-function showSettings() {
-    elements.settingsPanel.classList.remove('hidden');
-}
+async function showAnswers(show = true) {
+    elements.answerSection.classList.toggle('hidden', !show);
+    if (!show) return;
 
-/**
- * Hide settings panel
- */
-function hideSettings() {
-    elements.settingsPanel.classList.add('hidden');
+    const answers = await AnswerController.listAnswers();
+    elements.answerCount.textContent = answers.length > 0 ? `${answers.length} saved` : 'None yet';
+    elements.answerCount.className = `status-badge ${answers.length > 0 ? 'status-ready' : 'status-pending'}`;
+    elements.answerList.replaceChildren(...answers.map(renderAnswer));
+    updateAnswerButtons();
 }
 
 /**
- * Toggle API key visibility
+ * Build the list item for one saved answer: the question, the editable answer and its actions
+ * @param {Object} entry - From AnswerController.listAnswers
+ * @returns {HTMLElement}
  */
-function toggleApiKeyVisibility() {
-    const input = elements.apiKeyInput;
-    input.type = input.type === 'password' ? 'text' : 'password';
+function renderAnswer(entry) {
+    const item = document.createElement('li');
+
+    const question = document.createElement('p');
+    question.className = 'answer-question';
+    question.textContent = entry.question;
+
+    const text = document.createElement('textarea');
+    text.className = 'answer-text';
+    text.rows = 5;
+    text.value = entry.answer;
+
+    const length = document.createElement('span');
+    length.className = 'revision-label';
+    const updateLength = () => {
+        const count = text.value.length;
+        const over = Boolean(entry.charLimit) && count > entry.charLimit;
+        length.textContent = entry.charLimit ? `${count} / ${entry.charLimit} characters` : `${count} characters`;
+        if (entry.trimmed && text.value === entry.answer) length.textContent += ', cut to fit';
+        length.classList.toggle('off-target', over);
+    };
+    updateLength();
+    text.addEventListener('input', updateLength);
+    text.addEventListener('change', () => saveAnswerEdit(entry.id, text.value));
+
+    const copy = document.createElement('button');
+    copy.className = 'btn-text';
+    copy.textContent = 'Copy';
+    copy.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(text.value);
+        copy.textContent = 'Copied!';
+        setTimeout(() => { copy.textContent = 'Copy'; }, 2000);
+    });
+
+    const redraft = document.createElement('button');
+    redraft.className = 'btn-text answer-redraft';
+    redraft.textContent = 'Redraft';
+    redraft.addEventListener('click', () => {
+        const edited = entry.edited || text.value !== entry.answer;
+        if (!edited || confirm('Redraft this answer? Your edits to it will be replaced.')) {
+            draftAnswer({ id: entry.id, question: entry.question, charLimit: entry.charLimit, fresh: true });
+        }
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-text btn-danger';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => removeAnswer(entry.id));
+
+    const actions = document.createElement('div');
+    actions.className = 'refine-row';
+    actions.append(length, copy, redraft, remove);
+
+    item.append(question, text, actions);
+    return item;
 }
 
 /**
- * Save settings
+ * Disable the answer buttons while an answer is being drafted
  */
-async function saveSettings() {
-    await SettingsModel.save({
-        apiKey: elements.apiKeyInput.value.trim(),
-        fullName: elements.fullNameInput.value.trim(),
-        geminiModel: elements.modelSelect.value,
-        coverLetterTone: elements.toneSelect.value,
-        includeDate: elements.includeDateCheck.checked,
-        developerMode: elements.devModeCheck.checked
+function updateAnswerButtons() {
+    elements.answerBtn.disabled = answeringQuestion;
+    elements.answerList.querySelectorAll('.answer-redraft').forEach(button => {
+        button.disabled = answeringQuestion;
     });
-
-    await loadSettings(); // Apply changes immediately (e.g. show/hide debug section)
-    hideSettings();
-    await checkReadiness();
 }
 
 /**
- * Update debug view with current resume data
+ * Fill in the question from the application page: the selected text, or the label of the focused answer box
  */
-async function updateDebugView() {
+async function captureQuestion() {
+    let captured;
     try {
-        const resume = await ResumeController.getResume();
-        if (resume) {
-            elements.debugContent.textContent = JSON.stringify(resume, null, 2);
-        } else {
-            elements.debugContent.textContent = 'No resume data found';
-        }
+        captured = await sendToContentScript(MessageTypes.GET_QUESTION);
     } catch (error) {
-        elements.debugContent.textContent = 'Error loading debug data: ' + error.message;
+        console.warn('[CoverAI] Could not read the question from the page:', error);
+        alert("CoverAI can't read this page. Copy the question and paste it instead.");
+        return;
+    }
+
+    if (!captured?.question) {
+        alert('Nothing is selected on the page. Select the question, or click into its answer box, then open CoverAI again.');
+        return;
     }
+
+    elements.questionInput.value = captured.question;
+    elements.charLimitInput.value = captured.charLimit || detectCharLimit(captured.question) || '';
 }
 
 /**
- * Setup event listeners
+ * Draft an answer and add it to the list (or redraft a saved one)
+ * @param {Object} options - { id, question, charLimit, fresh }; without id, the question and limit come from the inputs
+ */
+async function draftAnswer(options = {}) {
+    const { id, question = elements.questionInput.value, charLimit = elements.charLimitInput.value, fresh = false } = options;
+
+    answeringQuestion = true;
+    updateAnswerButtons();
+    elements.answerStatus.textContent = 'Drafting answer...';
+    elements.answerStatus.classList.remove('hidden');
+
+    try {
+        const result = await AnswerController.draftAnswer(question, {
+            id,
+            charLimit,
+            fresh,
+            onStatus: (message) => {
+                elements.answerStatus.textContent = message;
+            }
+        });
+
+        if (!id) {
+            elements.questionInput.value = '';
+            elements.charLimitInput.value = '';
+        }
+        if (result.reused) {
+            alert('This question already has an answer below. Click "Redraft" on it for a new one.');
+        }
+    } catch (error) {
+        console.error('[CoverAI] Answer error:', error);
+        alert('Could not draft an answer: ' + error.message);
+    } finally {
+        answeringQuestion = false;
+        elements.answerStatus.classList.add('hidden');
+        await showAnswers();
+    }
+}
+
+/**
+ * Save the user's edits to an answer
+ * @param {string} id - Answer id
+ * @param {string} text - Edited answer
+ */
+async function saveAnswerEdit(id, text) {
+    try {
+        await AnswerController.updateAnswer(id, text);
+    } catch (error) {
+        console.error('[CoverAI] Could not save the answer:', error);
+        alert('Could not save your edit: ' + error.message);
+    }
+}
+
+/**
+ * Delete a saved answer
+ * @param {string} id - Answer id
+ */
+async function removeAnswer(id) {
+    if (confirm('Delete this answer?')) {
+        await AnswerController.removeAnswer(id);
+        await showAnswers();
+    }
+}
+
+/**
+ * Show the resume suggestions saved for the current job, or hide the card without a resume and job
+ * @param {boolean} show
+ */
+async function showTailoring(show = true) {
+    elements.tailorSection.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const tailoring = await TailorController.getSuggestions();
+    const suggestions = tailoring
+        ? [...(tailoring.skills ? [{ ...tailoring.skills, id: SKILLS_SUGGESTION_ID }] : []), ...tailoring.bullets]
+        : [];
+    const accepted = suggestions.filter(suggestion => suggestion.accepted).length;
+
+    elements.tailorBadge.textContent = tailoring ? `${accepted} of ${suggestions.length} accepted` : 'No suggestions';
+    elements.tailorBadge.className = `status-badge ${accepted > 0 ? 'status-ready' : 'status-pending'}`;
+    elements.tailorBtn.textContent = tailoring ? 'Ask Again' : 'Suggest Changes';
+    elements.tailorBtn.disabled = tailoringResume;
+    elements.downloadResumeBtn.classList.toggle('hidden', !tailoring);
+
+    const rejected = tailoring?.rejected || [];
+    let note = '';
+    if (rejected.length > 0) {
+        note = `Left out ${rejected.length} rewrite${rejected.length === 1 ? '' : 's'} that claimed things your resume doesn't say: ` +
+            rejected.map(entry => entry.unsupported).join('; ');
+    } else if (tailoring && suggestions.length === 0) {
+        note = 'No changes suggested: your resume already fits this job as written.';
+    }
+    elements.tailorNote.textContent = note;
+    elements.tailorNote.classList.toggle('hidden', !note);
+
+    elements.tailorList.replaceChildren(...suggestions.map(renderSuggestion));
+}
+
+/**
+ * Build the list item for one suggestion: why, the word diff against the original, and accept/reject
+ * @param {Object} suggestion - A bullet suggestion, or the skills suggestion (id SKILLS_SUGGESTION_ID)
+ * @returns {HTMLElement}
+ */
+function renderSuggestion(suggestion) {
+    const item = document.createElement('li');
+    const isSkills = suggestion.id === SKILLS_SUGGESTION_ID;
+
+    const title = document.createElement('p');
+    title.className = 'answer-question';
+    title.textContent = isSkills ? 'Skills order' : suggestion.reason || 'Rewritten bullet';
+
+    const [before, after] = isSkills
+        ? [suggestion.original.join(' · '), suggestion.suggested.join(' · ')]
+        : [suggestion.original, suggestion.rewritten];
+    const diff = document.createElement('p');
+    diff.className = 'tailor-diff';
+    diff.append(...diffWords(before, after).map(part => {
+        if (part.type === 'same') return document.createTextNode(part.text);
+        const span = document.createElement(part.type === 'added' ? 'ins' : 'del');
+        span.textContent = part.text;
+        return span;
+    }));
+
+    const status = document.createElement('span');
+    status.className = 'revision-label';
+    status.textContent = suggestion.accepted === true ? 'Accepted' : suggestion.accepted === false ? 'Rejected' : 'Not decided';
+
+    const decide = (label, accepted) => {
+        const button = document.createElement('button');
+        button.className = `btn-text${suggestion.accepted === accepted ? ' active' : ''}`;
+        button.textContent = label;
+        // Clicking the current decision again undoes it
+        button.addEventListener('click', () => decideSuggestion(suggestion.id, suggestion.accepted === accepted ? null : accepted));
+        return button;
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'refine-row tailor-actions';
+    actions.append(status, decide('Accept', true), decide('Reject', false));
+
+    item.append(title, diff, actions);
+    return item;
+}
+
+/**
+ * Ask for resume suggestions for the current job
+ */
+async function suggestResumeChanges() {
+    const again = !elements.downloadResumeBtn.classList.contains('hidden');
+    if (again && !confirm('Ask for new suggestions? Your accept and reject choices will be cleared.')) {
+        return;
+    }
+
+    tailoringResume = true;
+    elements.tailorBtn.disabled = true;
+    elements.tailorStatus.textContent = 'Suggesting changes...';
+    elements.tailorStatus.classList.remove('hidden');
+
+    try {
+        await TailorController.suggestChanges({
+            fresh: again,
+            onStatus: (message) => {
+                elements.tailorStatus.textContent = message;
+            }
+        });
+    } catch (error) {
+        console.error('[CoverAI] Tailor resume error:', error);
+        alert('Could not suggest changes: ' + error.message);
+    } finally {
+        tailoringResume = false;
+        elements.tailorStatus.classList.add('hidden');
+        await showTailoring();
+    }
+}
+
+/**
+ * Accept, reject or undecide one suggestion
+ * @param {string} id - Suggestion id
+ * @param {boolean|null} accepted
+ */
+async function decideSuggestion(id, accepted) {
+    try {
+        await TailorController.decideSuggestion(id, accepted);
+    } catch (error) {
+        console.error('[CoverAI] Could not save the decision:', error);
+        alert('Could not save your choice: ' + error.message);
+    }
+    await showTailoring();
+}
+
+/**
+ * Download the resume with the accepted suggestions as DOCX
+ */
+async function downloadTailoredResume() {
+    try {
+        await TailorController.downloadTailoredResume();
+    } catch (error) {
+        console.error('[CoverAI] Resume download error:', error);
+        alert('Failed to download: ' + error.message);
+    }
+}
+
+/**
+ * Show the prep pack saved for the current job, or hide the card without a resume and job
+ * @param {boolean} show
+ */
+async function showPrepPack(show = true) {
+    elements.prepSection.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    const pack = await InterviewController.getPrepPack();
+    elements.prepBadge.textContent = pack ? 'Ready' : 'Not built';
+    elements.prepBadge.className = `status-badge ${pack ? 'status-ready' : 'status-pending'}`;
+    elements.prepBtn.textContent = pack ? 'Rebuild' : 'Build Prep Pack';
+    elements.prepBtn.disabled = buildingPrep;
+    elements.downloadPrepBtn.classList.toggle('hidden', !pack);
+    elements.prepPack.replaceChildren(...(pack ? renderPrepPack(pack) : []));
+}
+
+/**
+ * Build one collapsible section of the prep pack
+ * @param {string} title - Section title
+ * @param {HTMLElement[]} items - List items
+ * @returns {HTMLElement|null} Null for an empty section
+ */
+function renderPrepSection(title, items) {
+    if (items.length === 0) return null;
+
+    const details = document.createElement('details');
+    details.className = 'job-detail-list';
+    const summary = document.createElement('summary');
+    summary.textContent = `${title} (${items.length})`;
+    const list = document.createElement('ul');
+    list.append(...items);
+    details.append(summary, list);
+    return details;
+}
+
+/**
+ * Build a list item with a line of text and an optional note under it
+ * @param {string} text
+ * @param {string} note - e.g. what a question is meant to find out
+ * @returns {HTMLElement}
+ */
+function renderPrepItem(text, note) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    if (note) {
+        const small = document.createElement('span');
+        small.className = 'prep-note';
+        small.textContent = note;
+        item.append(small);
+    }
+    return item;
+}
+
+/**
+ * Build the sections of a prep pack
+ * @param {Object} pack - From InterviewController.getPrepPack
+ * @returns {HTMLElement[]}
+ */
+function renderPrepPack(pack) {
+    const starItems = pack.starAnswers.map(answer => {
+        const item = renderPrepItem(answer.question, answer.experience);
+        const parts = document.createElement('dl');
+        parts.className = 'prep-star';
+        [['Situation', answer.situation], ['Task', answer.task], ['Action', answer.action], ['Result', answer.result]]
+            .forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.textContent = value;
+                parts.append(term, description);
+            });
+        item.append(parts);
+        return item;
+    });
+
+    return [
+        renderPrepSection('Technical questions', pack.technicalQuestions.map(entry => renderPrepItem(entry.question, entry.focus))),
+        renderPrepSection('Behavioral questions', pack.behavioralQuestions.map(entry => renderPrepItem(entry.question, entry.focus))),
+        renderPrepSection('STAR answer outlines', starItems),
+        renderPrepSection('Questions to ask', pack.questionsToAsk.map(question => renderPrepItem(question))),
+        renderPrepSection('Weak spots', pack.weakSpots.map(entry => renderPrepItem(entry.requirement, entry.advice)))
+    ].filter(Boolean);
+}
+
+/**
+ * Build (or rebuild) the interview prep pack for the current job
+ */
+async function buildPrepPack() {
+    const rebuild = !elements.downloadPrepBtn.classList.contains('hidden');
+
+    buildingPrep = true;
+    elements.prepBtn.disabled = true;
+    elements.prepStatus.textContent = 'Building prep pack...';
+    elements.prepStatus.classList.remove('hidden');
+
+    try {
+        await InterviewController.generatePrepPack({
+            fresh: rebuild,
+            onStatus: (message) => {
+                elements.prepStatus.textContent = message;
+            }
+        });
+    } catch (error) {
+        console.error('[CoverAI] Interview prep error:', error);
+        alert('Could not build the prep pack: ' + error.message);
+    } finally {
+        buildingPrep = false;
+        elements.prepStatus.classList.add('hidden');
+        await showPrepPack();
+    }
+}
+
+/**
+ * Download the prep pack as DOCX
+ */
+async function downloadPrepPack() {
+    try {
+        await InterviewController.downloadPrepPack();
+    } catch (error) {
+        console.error('[CoverAI] Prep pack download error:', error);
+        alert('Failed to download: ' + error.message);
+    }
+}
+
+/**
+ * Handle resume file upload - PARSES IMMEDIATELY
+ */
+async function handleResumeUpload(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Show processing state immediately
+    elements.resumeEmpty.classList.add('hidden');
+    elements.resumeInfo.classList.remove('hidden');
+    elements.resumeName.textContent = `Parsing ${file.name}...`;
+    elements.resumeEmail.textContent = '';
+    elements.resumeStatus.textContent = 'Processing';
+    elements.resumeStatus.className = 'status-badge status-pending';
+
+    try {
+        console.log('[CoverAI] Starting resume parse for:', file.name);
+        const startTime = Date.now();
+
+        // Parse the resume immediately
+        const resumeData = await ResumeController.uploadResume(file);
+
+        const parseTime = Date.now() - startTime;
+        console.log(`[CoverAI] Resume parsed in ${parseTime}ms`);
+
+        // Update UI with parsed data
+        elements.resumeName.textContent = resumeData.name || file.name;
+        elements.resumeEmail.textContent = resumeData.email ||
+            `${resumeData.skills?.length || 0} skills • ${Math.round((resumeData.rawText?.length || 0) / 100) / 10}k chars`;
+        elements.resumeStatus.textContent = 'Ready';
+        elements.resumeStatus.className = 'status-badge status-ready';
+
+        await checkReadiness();
+
+    } catch (error) {
+        console.error('[CoverAI] Resume upload error:', error);
+        elements.resumeEmpty.classList.remove('hidden');
+        elements.resumeInfo.classList.add('hidden');
+        elements.resumeStatus.textContent = 'Error';
+        elements.resumeStatus.className = 'status-badge status-error';
+        alert('Failed to parse resume: ' + error.message);
+    }
+
+    // Reset file input so same file can be re-uploaded if needed
+    event.target.value = '';
+}
+
+/**
+ * Clear resume
+ */
+async function clearResume() {
+    if (confirm('Remove your uploaded resume?')) {
+        await ResumeController.clearResume();
+        await loadResume();
+        await checkReadiness();
+    }
+}
+
+/**
+ * Open manual job modal
+ */
+function openManualJobModal() {
+    elements.manualJobModal.classList.remove('hidden');
+}
+
+/**
+ * Close manual job modal
+ */
+function closeManualJobModal() {
+    elements.manualJobModal.classList.add('hidden');
+    elements.inputJobTitle.value = '';
+    elements.inputCompany.value = '';
+    elements.inputDescription.value = '';
+}
+
+/**
+ * Save manual job input
+ */
+async function saveManualJob() {
+    const title = elements.inputJobTitle.value.trim();
+    const company = elements.inputCompany.value.trim();
+    const description = elements.inputDescription.value.trim();
+
+    if (!description) {
+        alert('Please enter a job description');
+        return;
+    }
+
+    await JobController.saveManualJob(title || 'Job Position', company || 'Company', description);
+    closeManualJobModal();
+    await loadJob();
+    await checkReadiness();
+}
+
+/**
+ * Edit current job
+ */
+async function editJob() {
+    const job = await JobController.getCurrentJob();
+    if (job) {
+        elements.inputJobTitle.value = job.title || '';
+        elements.inputCompany.value = job.company || '';
+        elements.inputDescription.value = job.description || '';
+    }
+    openManualJobModal();
+}
+
+/**
+ * Clear current job
+ */
+async function clearJob() {
+    if (confirm('Clear current job description?')) {
+        await JobController.clearCurrentJob();
+        await loadJob();
+        await checkReadiness();
+    }
+}
+
+/**
+ * Generate cover letter(s), streaming text into the preview as it arrives
+ * With more than one version selected in settings, the versions stream side by side into tabs.
+ * A letter already generated from the same inputs comes from the local cache unless fresh is set.
+ * @param {Object} options - { fresh } (Regenerate always asks the AI for a new letter)
+ */
+async function generateCoverLetter(options = {}) {
+    activeGeneration = new AbortController();
+    let offerOffline = false;
+
+    try {
+        const settings = await SettingsModel.get();
+        const count = options.offline ? 1 : settings.variantCount || 1;
+
+        elements.generateBtn.disabled = true;
+        elements.regenerateBtn.disabled = true;
+        elements.offlineDraftBtn.disabled = true;
+        elements.progressSection.classList.remove('hidden');
+        elements.previewSection.classList.add('hidden');
+        elements.progressText.textContent = options.offline
+            ? 'Writing an offline draft...'
+            : count > 1
+                ? `Generating ${count} versions of your cover letter...`
+                : 'Generating your cover letter...';
+        elements.stopBtn.classList.remove('hidden');
+        elements.refineBtn.disabled = true;
+        elements.undoRevisionBtn.disabled = true;
+        elements.previewContent.value = '';
+        fillLetterFields(null);
+        setPreviewReadOnly(true);
+        clearGrounding();
+
+        currentCoverLetter = null;
+        variants = Array.from({ length: count }, (_, i) => ({ label: `Version ${i + 1}`, text: '', letter: null }));
+        activeVariant = 0;
+        showMergePanel(false);
+        renderVariantTabs();
+
+        const onStatus = (message) => {
+            elements.progressText.textContent = message;
+        };
+        const onChunk = (index, fullText, letter) => {
+            if (elements.previewSection.classList.contains('hidden')) {
+                elements.previewSection.classList.remove('hidden');
+                elements.progressText.textContent = 'Writing...';
+            }
+            variants[index].text = fullText;
+            variants[index].letter = letter;
+            if (index === activeVariant) {
+                elements.previewContent.value = fullText;
+                elements.previewContent.scrollTop = elements.previewContent.scrollHeight;
+                fillLetterFields(letter);
+            }
+        };
+
+        let result;
+        if (options.offline) {
+            result = await CoverLetterController.generateOffline();
+            variants = [{ ...result, label: 'Offline draft' }];
+        } else if (count > 1) {
+            result = await CoverLetterController.generateVariants({
+                count,
+                fresh: options.fresh,
+                signal: activeGeneration.signal,
+                onStatus,
+                onChunk: (index, delta, fullText, letter) => onChunk(index, fullText, letter)
+            });
+            variants = result.variants.map((variant, i) => ({ ...variant, label: `Version ${i + 1}` }));
+        } else {
+            result = await CoverLetterController.preview({
+                fresh: options.fresh,
+                signal: activeGeneration.signal,
+                onStatus,
+                onChunk: (delta, fullText, letter) => onChunk(0, fullText, letter)
+            });
+            variants = [{ ...result, label: 'Version 1' }];
+        }
+
+        currentCoverLetter = result;
+
+        if (!variants.some(variant => variant.text)) {
+            // Stopped before anything arrived
+            elements.previewSection.classList.add('hidden');
+            elements.progressText.textContent = 'Generation stopped';
+            setTimeout(() => {
+                elements.progressSection.classList.add('hidden');
+            }, 3000);
+            return;
+        }
+
+        // Show the version being watched, unless it came back empty
+        selectVariant(variants[activeVariant]?.text ? activeVariant : variants.findIndex(variant => variant.text));
+        elements.progressSection.classList.add('hidden');
+        elements.previewSection.classList.remove('hidden');
+
+        // Scroll preview into view
+        setTimeout(() => {
+            elements.previewSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 100);
+
+    } catch (error) {
+        console.error('Generation error:', error);
+        elements.previewSection.classList.add('hidden');
+        elements.progressText.textContent = 'Error: ' + error.message;
+        // Blocked explanations are longer, leave them up long enough to read
+        setTimeout(() => {
+            elements.progressSection.classList.add('hidden');
+        }, error.name === 'BlockedError' ? 8000 : 3000);
+
+        offerOffline = !options.offline && OFFLINE_FALLBACK_ERRORS.includes(error.name) &&
+            confirm(`${error.message}\n\nWrite an offline draft from your resume instead? It uses fixed phrases, not AI.`);
+    } finally {
+        activeGeneration = null;
+        elements.stopBtn.classList.add('hidden');
+        setPreviewReadOnly(false);
+        elements.generateBtn.disabled = false;
+        elements.regenerateBtn.disabled = false;
+        elements.offlineDraftBtn.disabled = false;
+        renderVariantTabs();
+        updateRevisionControls();
+        updateGrounding();
+        updateLengthStatus();
+    }
+
+    if (offerOffline) {
+        await generateCoverLetter({ offline: true });
+    }
+}
+
+/**
+ * Add an offline draft next to the AI versions, to compare against
+ * Replaces the earlier offline draft if there is one.
+ */
+async function addOfflineDraft() {
+    try {
+        const draft = { ...(await CoverLetterController.generateOffline()), label: 'Offline draft' };
+
+        let index = variants.findIndex(variant => variant.offline);
+        if (index >= 0) {
+            variants[index] = draft;
+        } else {
+            variants.push(draft);
+            index = variants.length - 1;
+        }
+        selectVariant(index);
+    } catch (error) {
+        console.error('Offline draft error:', error);
+        alert('Could not write an offline draft: ' + error.message);
+    }
+}
+
+/**
+ * Render the version tabs above the preview (hidden for a single letter)
+ */
+function renderVariantTabs() {
+    if (variants.length <= 1) {
+        elements.variantTabs.classList.add('hidden');
+        return;
+    }
+
+    const tabs = variants.map((variant, index) => {
+        const tab = document.createElement('button');
+        tab.className = 'variant-tab';
+        tab.textContent = variant.label;
+        tab.classList.toggle('active', !mergeOpen && index === activeVariant);
+        tab.classList.toggle('failed', Boolean(variant.error));
+        tab.title = variant.error || (variant.temperature ? `Temperature ${variant.temperature}` : '');
+        tab.addEventListener('click', () => selectVariant(index));
+        return tab;
+    });
+
+    // Merging needs at least two finished letters
+    if (!activeGeneration && variants.filter(variant => variant.text && !variant.merged).length > 1) {
+        const mergeTab = document.createElement('button');
+        mergeTab.className = 'variant-tab';
+        mergeTab.textContent = 'Merge';
+        mergeTab.classList.toggle('active', mergeOpen);
+        mergeTab.addEventListener('click', openMerge);
+        tabs.push(mergeTab);
+    }
+
+    elements.variantTabs.replaceChildren(...tabs);
+    elements.variantTabs.classList.remove('hidden');
+}
+
+/**
+ * Lock or unlock every preview field (locked while text is streaming in)
+ * @param {boolean} readOnly
+ */
+function setPreviewReadOnly(readOnly) {
+    for (const field of [elements.previewContent, elements.letterRecipient, elements.letterSalutation,
+        elements.letterClosing, elements.letterPostscript]) {
+        field.readOnly = readOnly;
+    }
+}
+
+/**
+ * Show a letter's salutation, recipient, closing and postscript around the body editor
+ * @param {Object|null} letter - Letter structure, or null to clear the fields
+ */
+function fillLetterFields(letter) {
+    elements.letterRecipient.value = letter?.recipient || '';
+    elements.letterSalutation.value = letter?.salutation || '';
+    elements.letterClosing.value = letter?.closing || '';
+    elements.letterPostscript.value = letter?.postscript || '';
+}
+
+/**
+ * Read the letter currently in the preview, including edits
+ * @returns {Object} Letter structure (see LetterStructureService)
+ */
+function readPreviewLetter() {
+    return normalizeLetter({
+        recipient: elements.letterRecipient.value,
+        salutation: elements.letterSalutation.value,
+        paragraphs: splitParagraphs(elements.previewContent.value),
+        closing: elements.letterClosing.value,
+        postscript: elements.letterPostscript.value
+    }, getLanguage(variants[activeVariant]?.language));
+}
+
+/**
+ * Keep edits made in the preview with the variant they belong to
+ */
+function saveActiveVariant() {
+    if (!mergeOpen && !elements.previewContent.readOnly && variants[activeVariant]) {
+        variants[activeVariant].text = elements.previewContent.value;
+        variants[activeVariant].letter = readPreviewLetter();
+    }
+}
+
+/**
+ * Show a variant in the preview
+ * @param {number} index - Index into variants
+ */
+function selectVariant(index) {
+    saveActiveVariant();
+    activeVariant = index;
+    showMergePanel(false);
+
+    const variant = variants[index];
+    elements.previewContent.value = variant.text;
+    fillLetterFields(variant.letter);
+    elements.previewContent.placeholder = variant.error
+        ? 'This version failed to generate.'
+        : 'Your cover letter will appear here...';
+
+    updatePreviewHint();
+    renderVariantTabs();
+    updateRevisionControls();
+    if (!elements.previewContent.readOnly) {
+        updateGrounding();
+        updateLengthStatus();
+    }
+}
+
+/**
+ * Describe the letter currently shown in the preview
+ */
+function updatePreviewHint() {
+    const variant = variants[activeVariant] || {};
+
+    elements.previewHint.textContent = variant.error
+        ? `This version failed: ${variant.error}`
+        : variant.truncated
+            ? 'This letter hit the length limit and may be incomplete. Edit before downloading'
+            : currentCoverLetter?.stopped && !variant.merged && !variant.offline && !variant.history?.length
+                ? 'Generation was stopped early. Edit before downloading'
+                : variant.offline && !variant.history?.length
+                    ? 'Offline draft: built from your resume with fixed phrases, no AI. Edit before downloading'
+                    : variant.cached && !variant.history?.length
+                        ? 'Same inputs as an earlier letter, so it was loaded from the cache (no tokens used). Regenerate for a new one'
+                        : variants.length > 1
+                            ? 'Pick a version or merge paragraphs, then edit before downloading'
+                            : 'Edit the text below before downloading';
+}
+
+/**
+ * Swap the preview textarea for the merge view, or back
+ * @param {boolean} show
+ */
+function showMergePanel(show) {
+    mergeOpen = show;
+    elements.mergePanel.classList.toggle('hidden', !show);
+    elements.previewEditor.classList.toggle('hidden', show);
+    elements.letterHeader.classList.toggle('hidden', show);
+    elements.letterFooter.classList.toggle('hidden', show);
+    elements.refinePanel.classList.toggle('hidden', show);
+    elements.groundingReport.classList.toggle('hidden', show || !elements.groundingList.hasChildNodes());
+}
+
+/**
+ * Remove grounding highlights and the report
+ */
+function clearGrounding() {
+    clearTimeout(groundingTimer);
+    elements.previewHighlights.replaceChildren();
+    elements.groundingList.replaceChildren();
+    elements.groundingReport.classList.add('hidden');
+}
+
+/**
+ * Re-check claims shortly after the user stops typing
+ * Highlights are dropped meanwhile, since their positions no longer match the text.
+ */
+function scheduleGroundingCheck() {
+    renderHighlights(elements.previewContent.value, []);
+    clearTimeout(groundingTimer);
+    groundingTimer = setTimeout(() => {
+        updateGrounding();
+        updateLengthStatus();
+    }, 400);
+}
+
+/**
+ * Check the letter's claims against the resume, highlight unsupported sentences
+ * in the preview and list them with what couldn't be found
+ * @returns {Promise<number>} Number of unsupported sentences
+ */
+async function updateGrounding() {
+    clearTimeout(groundingTimer);
+    const body = elements.previewContent.value;
+    const postscript = elements.letterPostscript.value;
+
+    if (!body || mergeOpen) {
+        clearGrounding();
+        return 0;
+    }
+
+    const [bodyCheck, postscriptCheck] = await Promise.all([
+        CoverLetterController.checkGrounding(body),
+        CoverLetterController.checkGrounding(postscript)
+    ]);
+
+    // The user kept typing while we checked; a newer check will follow
+    if (elements.previewContent.value !== body) return bodyCheck.unsupportedCount;
+
+    renderHighlights(body, bodyCheck.sentences.filter(sentence => !sentence.supported));
+
+    const issues = [
+        ...bodyCheck.sentences.filter(sentence => !sentence.supported).map(sentence => ({ sentence, field: elements.previewContent })),
+        ...postscriptCheck.sentences.filter(sentence => !sentence.supported).map(sentence => ({ sentence, field: elements.letterPostscript }))
+    ];
+    const claimCount = [...bodyCheck.sentences, ...postscriptCheck.sentences]
+        .reduce((total, sentence) => total + sentence.claims.length, 0);
+
+    const items = issues.map(({ sentence, field }) => {
+        const button = document.createElement('button');
+        button.textContent = sentence.text.length > 90 ? `${sentence.text.slice(0, 90)}...` : sentence.text;
+
+        const reason = document.createElement('span');
+        reason.className = 'grounding-reason';
+        reason.textContent = `Not in your resume: ${describeUnsupported(sentence)}`;
+        button.append(reason);
+
+        button.addEventListener('click', () => {
+            field.focus();
+            field.setSelectionRange(sentence.start, sentence.end);
+        });
+
+        const item = document.createElement('li');
+        item.append(button);
+        return item;
+    });
+
+    elements.groundingList.replaceChildren(...items);
+    elements.groundingSummary.textContent = issues.length > 0
+        ? `${issues.length} ${issues.length === 1 ? 'sentence mentions' : 'sentences mention'} things not found in your resume. Check or remove them before sending.`
+        : `All ${claimCount} factual ${claimCount === 1 ? 'claim was' : 'claims were'} found in your resume.`;
+    elements.groundingReport.classList.toggle('has-issues', issues.length > 0);
+    elements.groundingReport.classList.toggle('hidden', claimCount === 0);
+
+    return issues.length;
+}
+
+/**
+ * Mirror the preview text behind the textarea with unsupported sentences marked
+ * @param {string} text - Preview text
+ * @param {Array} sentences - Unsupported sentences with start/end offsets
+ */
+function renderHighlights(text, sentences) {
+    const nodes = [];
+    let position = 0;
+
+    for (const sentence of sentences) {
+        nodes.push(document.createTextNode(text.slice(position, sentence.start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(sentence.start, sentence.end);
+        nodes.push(mark);
+        position = sentence.end;
+    }
+
+    // Trailing newline keeps the mirror as tall as the textarea when the text ends with one
+    nodes.push(document.createTextNode(text.slice(position) + '\n'));
+
+    elements.previewHighlights.replaceChildren(...nodes);
+    syncHighlightScroll();
+}
+
+/**
+ * Keep the highlight layer scrolled with the textarea
+ */
+function syncHighlightScroll() {
+    elements.previewHighlights.scrollTop = elements.previewContent.scrollTop;
+}
+
+/**
+ * Open the merge view listing every version's paragraphs, grouped by position
+ * The paragraphs of the version being viewed start out ticked.
+ */
+function openMerge() {
+    saveActiveVariant();
+    showMergePanel(true);
+    renderVariantTabs();
+
+    const sources = variants
+        .map((variant, index) => ({ index, label: variant.label, paragraphs: splitParagraphs(variant.text) }))
+        .filter(source => source.paragraphs.length > 0 && !variants[source.index].merged);
+    const paragraphCount = Math.max(...sources.map(source => source.paragraphs.length));
+    const preselected = variants[activeVariant]?.merged ? sources[0].index : activeVariant;
+
+    const groups = [];
+    for (let position = 0; position < paragraphCount; position++) {
+        const group = document.createElement('div');
+        group.className = 'merge-group';
+
+        const heading = document.createElement('h4');
+        heading.textContent = `Paragraph ${position + 1}`;
+        group.append(heading);
+
+        for (const source of sources) {
+            const paragraph = source.paragraphs[position];
+            if (!paragraph) continue;
+
+            const label = document.createElement('label');
+            label.className = 'checkbox-label';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = paragraph;
+            input.checked = source.index === preselected;
+
+            const span = document.createElement('span');
+            span.textContent = `${source.label}: ${paragraph}`;
+
+            label.append(input, span);
+            group.append(label);
+        }
+
+        groups.push(group);
+    }
+
+    elements.mergeList.replaceChildren(...groups);
+    elements.previewHint.textContent = 'Combine paragraphs from different versions';
+}
+
+/**
+ * Combine the ticked paragraphs into a "Combined" version and show it
+ * Salutation, closing and postscript come from the version that was being viewed.
+ */
+function applyMerge() {
+    const paragraphs = [...elements.mergeList.querySelectorAll('input:checked')].map(input => input.value);
+    if (paragraphs.length === 0) {
+        alert('Tick at least one paragraph to combine');
+        return;
+    }
+
+    const text = paragraphs.join('\n\n');
+    const base = variants[activeVariant]?.letter || variants.find(variant => variant.letter)?.letter;
+    const letter = normalizeLetter({ ...base, paragraphs });
+
+    let index = variants.findIndex(variant => variant.merged);
+    if (index >= 0) {
+        variants[index].text = text;
+        variants[index].letter = letter;
+    } else {
+        variants.push({ label: 'Combined', text, letter, language: variants[activeVariant]?.language, merged: true });
+        index = variants.length - 1;
+    }
+
+    selectVariant(index);
+}
+
+/**
+ * Revise the letter in the preview with the instruction typed under it
+ * The revised letter streams into the preview and becomes a new revision of the current version;
+ * the letter it replaces (with any edits) goes onto that version's undo stack. Stopping or an
+ * error puts the previous letter back.
+ * @param {string} instruction - What to change (defaults to the text typed in the box)
+ */
+async function refineLetter(instruction = elements.refineInput.value.trim()) {
+    if (!instruction) {
+        elements.refineInput.focus();
+        return;
+    }
+    if (activeGeneration || mergeOpen || !elements.previewContent.value.trim()) return;
+
+    saveActiveVariant();
+    const index = activeVariant;
+    const variant = variants[index];
+    const previous = {
+        text: variant.text,
+        letter: variant.letter || readPreviewLetter(),
+        truncated: variant.truncated,
+        instruction: variant.instruction
+    };
+
+    // Put a version back in the preview, if it's still the one being viewed
+    const show = (text, letter) => {
+        if (activeVariant === index && !mergeOpen) {
+            elements.previewContent.value = text;
+            fillLetterFields(letter);
+        }
+    };
+
+    activeGeneration = new AbortController();
+    elements.generateBtn.disabled = true;
+    elements.regenerateBtn.disabled = true;
+    elements.offlineDraftBtn.disabled = true;
+    elements.refineBtn.disabled = true;
+    elements.undoRevisionBtn.disabled = true;
+    elements.progressSection.classList.remove('hidden');
+    elements.progressText.textContent = 'Revising your cover letter...';
+    elements.stopBtn.classList.remove('hidden');
+    setPreviewReadOnly(true);
+    clearGrounding();
+
+    let failed = false;
+    try {
+        const result = await CoverLetterController.refine(previous.letter, instruction, {
+            language: variant.language,
+            signal: activeGeneration.signal,
+            onStatus: (message) => {
+                elements.progressText.textContent = message;
+            },
+            onChunk: (delta, fullText, letter) => show(fullText, letter)
+        });
+
+        if (result.stopped) {
+            // A half-revised letter is worse than either version, so keep the previous one
+            show(previous.text, previous.letter);
+            elements.progressText.textContent = 'Revision stopped';
+            failed = true;
+        } else {
+            variant.history = [...(variant.history || []), previous].slice(-MAX_REVISIONS);
+            Object.assign(variant, {
+                text: result.text,
+                letter: result.letter,
+                truncated: result.truncated,
+                instruction
+            });
+            show(variant.text, variant.letter);
+            if (elements.refineInput.value.trim() === instruction) {
+                elements.refineInput.value = '';
+            }
+        }
+    } catch (error) {
+        console.error('Refinement error:', error);
+        show(previous.text, previous.letter);
+        elements.progressText.textContent = 'Error: ' + error.message;
+        failed = true;
+    } finally {
+        activeGeneration = null;
+        elements.stopBtn.classList.add('hidden');
+        setPreviewReadOnly(false);
+        elements.generateBtn.disabled = false;
+        elements.regenerateBtn.disabled = false;
+        elements.offlineDraftBtn.disabled = false;
+        if (failed) {
+            setTimeout(() => {
+                elements.progressSection.classList.add('hidden');
+            }, 3000);
+        } else {
+            elements.progressSection.classList.add('hidden');
+        }
+        updatePreviewHint();
+        updateRevisionControls();
+        updateGrounding();
+        updateLengthStatus();
+    }
+}
+
+/**
+ * Go back to the letter before the last revision of the current version
+ */
+function undoRevision() {
+    const variant = variants[activeVariant];
+    if (activeGeneration || !variant?.history?.length) return;
+
+    Object.assign(variant, variant.history.pop());
+    elements.previewContent.value = variant.text;
+    fillLetterFields(variant.letter);
+
+    updatePreviewHint();
+    updateRevisionControls();
+    updateGrounding();
+    updateLengthStatus();
+}
+
+/**
+ * Show which revision of the current version is in the preview and whether it can be undone
+ */
+function updateRevisionControls() {
+    const variant = variants[activeVariant];
+    const revisions = variant?.history?.length || 0;
+
+    elements.refineBtn.disabled = Boolean(activeGeneration) || !variant?.text;
+    elements.undoRevisionBtn.disabled = Boolean(activeGeneration) || revisions === 0;
+    elements.revisionLabel.textContent = revisions ? `Revision ${revisions + 1}: ${variant.instruction}` : '';
+    elements.revisionLabel.title = elements.revisionLabel.textContent;
+}
+
+/**
+ * Show the letter's word count against the target and its estimated page count,
+ * offering to fit it when it's off target or too long for one page
+ */
+async function updateLengthStatus() {
+    const body = elements.previewContent.value;
+    if (!body || mergeOpen) {
+        lengthCheck = null;
+        elements.lengthStatus.textContent = '';
+        elements.fitLengthBtn.classList.add('hidden');
+        return;
+    }
+
+    const check = await CoverLetterController.checkLetterLength(body, readPreviewLetter(), variants[activeVariant]?.language);
+    if (elements.previewContent.value !== body) return;
+    lengthCheck = check;
+
+    const pages = Math.max(1, Math.ceil(check.pages));
+    const layoutNote = !check.fits
+        ? `runs to ${pages} pages`
+        : check.tightened ? '1 page with tighter spacing' : '1 page';
+    elements.lengthStatus.textContent = `${check.words} words (target ${check.target.min}-${check.target.max}) · ${layoutNote}`;
+    elements.lengthStatus.classList.toggle('off-target', check.status !== 'ok' || !check.fits);
+    elements.fitLengthBtn.textContent = check.fits && check.status === 'short' ? 'Lengthen' : 'Condense';
+    elements.fitLengthBtn.classList.toggle('hidden', check.status === 'ok' && check.fits);
+}
+
+/**
+ * Ask the model to bring the letter to the target length, or short enough for one page
+ */
+function fitToLength() {
+    if (!lengthCheck) return;
+
+    const { words, target, pages, fits } = lengthCheck;
+    // Scale down to what one page holds, with some room to spare
+    const goal = fits ? target.words : Math.min(target.words, Math.floor((words / pages) * 0.9));
+    refineLetter(goal < words
+        ? `Condense the letter to about ${goal} words${fits ? '' : ' so it fits on one page'}, keeping the strongest points`
+        : `Expand the letter to about ${goal} words with more specifics from my resume`);
+}
+
+/**
+ * Show the word count field only for a custom length
+ */
+function updateLengthFields() {
+    elements.letterWordCountInput.classList.toggle('hidden', elements.letterLengthSelect.value !== 'custom');
+}
+
+/**
+ * Stop the in-flight generation, keeping whatever text has arrived
+ */
+function stopGeneration() {
+    activeGeneration?.abort();
+}
+
+/**
+ * Copy the whole cover letter to clipboard, greeting to signature (uses edited content)
+ */
+async function copyCoverLetter() {
+    if (elements.previewContent.value) {
+        const settings = await SettingsModel.get();
+        const signature = settings.fullName || currentCoverLetter?.resume?.name || '';
+        await navigator.clipboard.writeText(letterToText(readPreviewLetter(), signature));
+
+        // Show copied feedback
+        elements.copyBtn.classList.add('copied');
+        elements.copyBtn.setAttribute('data-tooltip', 'Copied!');
+
+        setTimeout(() => {
+            elements.copyBtn.classList.remove('copied');
+            elements.copyBtn.setAttribute('data-tooltip', 'Copy to clipboard');
+        }, 2000);
+    }
+}
+
+/**
+ * Download cover letter as DOCX (uses edited content)
+ */
+async function downloadCoverLetter() {
+    try {
+        elements.downloadBtn.disabled = true;
+
+        // Use the edited text from textarea
+        const editedText = elements.previewContent.value;
+        if (!editedText) {
+            alert('No cover letter to download');
+            return;
+        }
+
+        // Last chance to catch claims the resume doesn't support
+        const unsupported = await updateGrounding();
+        if (unsupported > 0 && !confirm(`${unsupported} ${unsupported === 1 ? 'sentence mentions' : 'sentences mention'} things not found in your resume (highlighted in the preview). Download anyway?`)) {
+            return;
+        }
+
+        // Update the controller with edited text and download
+        await CoverLetterController.generateAndDownloadWithText(editedText, readPreviewLetter(), variants[activeVariant]?.language);
+    } catch (error) {
+        console.error('Download error:', error);
+        alert('Failed to download: ' + error.message);
+    } finally {
+        elements.downloadBtn.disabled = false;
+    }
+}
+
+/**
+ * Show settings panel
+ */
+function showSettings() {
+    elements.settingsPanel.classList.remove('hidden');
+    renderUsage();
+}
+
+/**
+ * Hide settings panel
+ */
+function hideSettings() {
+    elements.settingsPanel.classList.add('hidden');
+}
+
+/**
+ * Show the uploaded writing samples and a summary of the style profile
+ * @param {Object} style - From StyleController.getStyle
+ */
+function renderStyle(style) {
+    const items = style.samples.map(sample => {
+        const item = document.createElement('li');
+
+        const name = document.createElement('span');
+        name.textContent = `${sample.fileName} (${sample.words} words)`;
+        name.title = sample.fileName;
+
+        const remove = document.createElement('button');
+        remove.className = 'btn-text btn-danger';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => removeStyleSample(sample.id));
+
+        item.append(name, remove);
+        return item;
+    });
+
+    elements.styleSampleList.replaceChildren(...items);
+    elements.styleSummary.textContent = style.summary;
+}
+
+/**
+ * Add the selected letters as writing samples
+ * @param {Event} event - File input change
+ */
+async function handleStyleUpload(event) {
+    const files = [...event.target.files];
+    event.target.value = ''; // Allow picking the same file again
+    if (files.length === 0) return;
+
+    elements.styleSummary.textContent = `Analyzing ${files.length === 1 ? files[0].name : `${files.length} letters`}...`;
+
+    try {
+        const result = await StyleController.addSamples(files);
+        renderStyle(result);
+        if (result.skipped.length > 0) {
+            alert(`Some letters were not added:\n${result.skipped.map(s => `${s.fileName}: ${s.reason}`).join('\n')}`);
+        }
+    } catch (error) {
+        console.error('[CoverAI] Style sample upload error:', error);
+        renderStyle(await StyleController.getStyle());
+        alert(`Failed to add letters: ${error.message}`);
+    }
+}
+
+/**
+ * Remove one writing sample
+ * @param {string} id - Sample id
+ */
+async function removeStyleSample(id) {
+    renderStyle(await StyleController.removeSample(id));
+}
+
+/**
+ * Show token usage for recent days and per model, plus cache statistics
+ */
+async function renderUsage() {
+    const [totals, cachedCount] = await Promise.all([UsageModel.getTotals(), CacheModel.count()]);
+    const format = (value) => value.toLocaleString();
+
+    const row = (label, bucket) => {
+        const tr = document.createElement('tr');
+        for (const value of [label, format(bucket.calls), format(bucket.promptTokens),
+            format(bucket.candidateTokens), format(bucket.cacheHits)]) {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        }
+        return tr;
+    };
+
+    const group = (label) => {
+        const tr = document.createElement('tr');
+        tr.className = 'usage-group';
+        const td = document.createElement('td');
+        td.colSpan = 5;
+        td.textContent = label;
+        tr.appendChild(td);
+        return tr;
+    };
+
+    const today = UsageModel.today();
+    const days = Object.keys(totals.byDay).sort().reverse().slice(0, 7);
+    const models = Object.entries(totals.byModel).sort((a, b) => b[1].calls - a[1].calls);
+
+    const rows = [group('By day'), ...days.map(day => row(day === today ? 'Today' : day, totals.byDay[day]))];
+    if (models.length > 0) {
+        rows.push(group('By model'), ...models.map(([model, bucket]) => row(model, bucket)));
+    }
+    if (days.length === 0) {
+        rows.splice(1, 0, group('No AI calls recorded yet'));
+    }
+    elements.usageTableBody.replaceChildren(...rows);
+
+    const hits = Object.values(totals.byModel).reduce((sum, bucket) => sum + bucket.cacheHits, 0);
+    elements.cacheSummary.textContent = `${cachedCount} ${cachedCount === 1 ? 'letter' : 'letters'} cached, ` +
+        `${hits} ${hits === 1 ? 'request' : 'requests'} answered from the cache. Identical requests reuse ` +
+        'cached results for a week; Regenerate always asks the AI again.';
+}
+
+/**
+ * Clear cached AI results
+ */
+async function clearCache() {
+    await CacheModel.clear();
+    await renderUsage();
+}
+
+/**
+ * Reset recorded token usage
+ */
+async function clearUsage() {
+    if (!confirm('Reset recorded token usage?')) return;
+    await UsageModel.clear();
+    await renderUsage();
+}
+
+/**
+ * Toggle API key visibility
+ */
+function toggleApiKeyVisibility() {
+    const input = elements.apiKeyInput;
+    input.type = input.type === 'password' ? 'text' : 'password';
+}
+
+/**
+ * Show the fields that apply to the selected AI provider
+ */
+function updateProviderFields() {
+    const provider = getProvider(elements.providerSelect.value);
+    const isGemini = provider.id === 'gemini';
+    const baseUrl = elements.baseUrlInput.value.trim() || provider.defaultBaseUrl;
+
+    elements.modelSelectGroup.classList.toggle('hidden', !isGemini);
+    elements.safetyGroup.classList.toggle('hidden', !isGemini);
+    elements.modelInputGroup.classList.toggle('hidden', isGemini);
+    elements.apiKeyHint.classList.toggle('hidden', !isGemini);
+
+    elements.baseUrlInput.placeholder = provider.defaultBaseUrl;
+    elements.modelInput.placeholder = provider.defaultModel;
+    elements.apiKeyLabel.textContent = provider.needsApiKey({ baseUrl })
+        ? `${provider.name} API Key`
+        : 'API Key (optional)';
+}
+
+/**
+ * Fill the Gemini model selector and fallback list from the fetched (or built-in) model list
+ * @param {Object} selection - { geminiModel, fallbackModels } to select
+ */
+async function renderModels(selection) {
+    const { models, fetchedAt } = await getAvailableModels();
+    const selected = selection.geminiModel || 'gemini-3-flash-preview';
+    availableModels = models;
+
+    const options = models.map(model => new Option(model.name, model.id));
+    // Keep a saved model that isn't listed selectable until the list is refreshed
+    if (!models.some(model => model.id === selected)) {
+        options.unshift(new Option(`${selected} (not in model list)`, selected));
+    }
+    elements.modelSelect.replaceChildren(...options);
+    elements.modelSelect.value = selected;
+
+    elements.modelListStatus.textContent = fetchedAt
+        ? `${models.length} models, updated ${new Date(fetchedAt).toLocaleDateString()}`
+        : 'Built-in list; save your API key to load all models';
+
+    renderFallbackModels(selection.fallbackModels || []);
+    updateModelInfo();
+}
+
+/**
+ * Show the selected model's description and token limits
+ */
+function updateModelInfo() {
+    const model = availableModels.find(m => m.id === elements.modelSelect.value);
+    const limits = model?.inputTokenLimit
+        ? `Up to ${model.inputTokenLimit.toLocaleString()} input and ${model.outputTokenLimit.toLocaleString()} output tokens`
+        : '';
+
+    elements.modelInfo.textContent = [model?.description, limits].filter(Boolean).join('. ');
+}
+
+/**
+ * Fetch the model list for the saved key and tell the user if a saved model was replaced
+ * @param {boolean} quiet - Only log failures (background refresh)
+ */
+async function refreshModelList(quiet = false) {
+    elements.refreshModelsBtn.disabled = true;
+
+    try {
+        const result = await refreshModels();
+        if (!result) return;
+
+        const notes = [];
+        if (result.replaced) {
+            notes.push(`${result.replaced.from} is no longer available, so CoverAI switched to ${result.replaced.to}.`);
+        }
+        if (result.removedFallbacks.length > 0) {
+            notes.push(`Removed fallback models that are no longer available: ${result.removedFallbacks.join(', ')}.`);
+        }
+        if (notes.length > 0) {
+            alert(notes.join('\n'));
+        }
+
+        // Keep unsaved choices in the settings form, except a model that was just replaced
+        const current = elements.modelSelect.value;
+        await renderModels({
+            geminiModel: result.replaced?.from === current ? result.replaced.to : current,
+            fallbackModels: getSelectedFallbackModels()
+        });
+    } catch (error) {
+        console.warn('[CoverAI] Could not load the model list:', error);
+        if (!quiet) {
+            elements.modelListStatus.textContent = `Couldn't load the model list: ${error.message}`;
+        }
+    } finally {
+        elements.refreshModelsBtn.disabled = false;
+    }
+}
+
+/**
+ * Refresh the model list in the background when it's missing or a day old
+ */
+async function refreshStaleModelList() {
+    const settings = await SettingsModel.get();
+    const { stale } = await getAvailableModels();
+
+    if (settings.aiProvider === 'gemini' && settings.apiKey && stale) {
+        await refreshModelList(true);
+    }
+}
+
+/**
+ * Render the fallback model checkboxes
+ * @param {string[]} selected - Model ids currently in the fallback chain
+ */
+function renderFallbackModels(selected) {
+    const items = availableModels.map(model => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = model.id;
+        input.checked = selected.includes(model.id);
+
+        const span = document.createElement('span');
+        span.textContent = model.name;
+
+        label.append(input, span);
+        return label;
+    });
+
+    elements.fallbackModelsList.replaceChildren(...items);
+}
+
+/**
+ * Get the checked fallback models, in model list order
+ * @returns {string[]}
+ */
+function getSelectedFallbackModels() {
+    return [...elements.fallbackModelsList.querySelectorAll('input:checked')].map(input => input.value);
+}
+
+/**
+ * Reset provider-specific fields when switching providers, showing the key and base URL saved for the new one
+ */
+async function handleProviderChange() {
+    const providerId = elements.providerSelect.value;
+    elements.baseUrlInput.value = await SettingsModel.getBaseUrl(providerId);
+    elements.modelInput.value = '';
+    elements.apiKeyInput.value = await SettingsModel.getApiKey(providerId);
+    updateProviderFields();
+}
+
+/**
+ * Ask Chrome for access to a custom API endpoint
+ * Must be called before any await in a click handler so it still counts as a user gesture
+ * @param {string} baseUrl - Custom base URL (empty = provider default)
+ * @returns {Promise<boolean>} Whether access was granted
+ */
+function requestHostPermission(baseUrl) {
+    if (!baseUrl) return Promise.resolve(true);
+
+    let origin;
+    try {
+        origin = new URL(baseUrl).origin;
+    } catch {
+        return Promise.resolve(false);
+    }
+
+    return chrome.permissions.request({ origins: [`${origin}/*`] }).catch(() => false);
+}
+
+/**
+ * Fill the tone dropdown
+ * @param {string} selectedId - Tone to select
+ */
+async function renderTones(selectedId) {
+    const tones = await TemplateModel.getTones();
+    elements.toneSelect.replaceChildren(...tones.map(({ id, name }) => new Option(name, id)));
+    elements.toneSelect.value = tones.some(t => t.id === selectedId) ? selectedId : 'professional';
+    updateToneActions(tones);
+}
+
+/**
+ * Only custom tones can be deleted
+ * @param {Array} tones - All tones
+ */
+function updateToneActions(tones) {
+    const tone = tones.find(t => t.id === elements.toneSelect.value);
+    elements.deleteToneBtn.classList.toggle('hidden', !tone || tone.builtIn);
+}
+
+/**
+ * Add a custom tone from the settings inputs
+ */
+async function addTone() {
+    const name = elements.toneNameInput.value.trim();
+    const description = elements.toneDescriptionInput.value.trim();
+
+    if (!name || !description) {
+        alert('Enter a name and a description for the tone');
+        return;
+    }
+
+    const tone = await TemplateModel.addTone(name, description);
+    elements.toneNameInput.value = '';
+    elements.toneDescriptionInput.value = '';
+    await renderTones(tone.id);
+}
+
+/**
+ * Delete the selected custom tone
+ */
+async function deleteTone() {
+    const option = elements.toneSelect.selectedOptions[0];
+    if (!option || !confirm(`Delete the "${option.text}" tone?`)) return;
+
+    await TemplateModel.deleteTone(option.value);
+    await renderTones('professional');
+}
+
+/**
+ * Fill the template dropdown and load the selected template into the editor
+ * @param {string} selectedId - Template to select
+ */
+async function renderTemplates(selectedId) {
+    templates = await TemplateModel.getTemplates();
+    elements.templateSelect.replaceChildren(...templates.map(({ id, name }) => new Option(name, id)));
+    elements.templateSelect.value = templates.some(t => t.id === selectedId) ? selectedId : 'default';
+    elements.templateVariables.textContent = TEMPLATE_VARIABLES.map(v => `{{${v.name}}}`).join(', ');
+    loadTemplateIntoEditor();
+}
+
+/**
+ * Show the selected template in the editor; built-in templates are read-only
+ */
+function loadTemplateIntoEditor() {
+    const template = templates.find(t => t.id === elements.templateSelect.value);
+    if (!template) return;
+
+    elements.templateNameInput.value = template.name;
+    elements.templateBodyInput.value = template.body;
+    elements.templateNameInput.readOnly = template.builtIn;
+    elements.templateBodyInput.readOnly = template.builtIn;
+    elements.deleteTemplateBtn.classList.toggle('hidden', template.builtIn);
+    elements.saveTemplateBtn.classList.toggle('hidden', template.builtIn);
+    checkTemplatePlaceholders();
+}
+
+/**
+ * Warn about placeholders that won't be filled in (usually typos)
+ */
+function checkTemplatePlaceholders() {
+    const unknown = findUnknownPlaceholders(elements.templateBodyInput.value);
+    elements.templateHint.textContent = unknown.length > 0
+        ? `Unknown placeholders will be left empty: ${unknown.join(', ')}`
+        : '';
+}
+
+/**
+ * Start a new template from a copy of the selected one
+ */
+async function newTemplate() {
+    const source = templates.find(t => t.id === elements.templateSelect.value);
+    const template = await TemplateModel.saveTemplate({
+        name: `${source?.name || 'Template'} (copy)`,
+        body: source?.body || ''
+    });
+    await renderTemplates(template.id);
+}
+
+/**
+ * Save edits to the selected custom template
+ */
+async function saveTemplate() {
+    try {
+        const template = await TemplateModel.saveTemplate({
+            id: elements.templateSelect.value,
+            name: elements.templateNameInput.value,
+            body: elements.templateBodyInput.value
+        });
+        await renderTemplates(template.id);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+/**
+ * Delete the selected custom template
+ */
+async function deleteTemplate() {
+    const option = elements.templateSelect.selectedOptions[0];
+    if (!option || !confirm(`Delete the "${option.text}" template?`)) return;
+
+    await TemplateModel.deleteTemplate(option.value);
+    await renderTemplates('default');
+}
+
+/**
+ * Render the prompt from the editor (including unsaved edits) with the current resume and job
+ */
+async function previewPrompt() {
+    try {
+        const prompt = await CoverLetterController.previewPrompt({
+            tone: elements.toneSelect.value,
+            templateBody: elements.templateBodyInput.value
+        });
+        const readiness = await CoverLetterController.checkReadiness();
+
+        elements.promptPreviewHint.textContent = readiness.hasResume && readiness.hasJob
+            ? `${prompt.length.toLocaleString()} characters`
+            : 'No resume or job captured yet, so their fields show placeholders.';
+        elements.promptPreviewContent.textContent = prompt;
+        elements.promptPreviewModal.classList.remove('hidden');
+    } catch (error) {
+        alert('Failed to render prompt: ' + error.message);
+    }
+}
+
+/**
+ * Close the prompt preview
+ */
+function closePromptPreview() {
+    elements.promptPreviewModal.classList.add('hidden');
+}
+
+/**
+ * Save settings
+ */
+async function saveSettings() {
+    const aiProvider = elements.providerSelect.value;
+    const aiBaseUrl = elements.baseUrlInput.value.trim();
+
+    const permissionGranted = await requestHostPermission(aiBaseUrl);
+    if (!permissionGranted) {
+        alert(`CoverAI cannot reach ${aiBaseUrl}. Check the URL and allow access when prompted.`);
+        return;
+    }
+
+    await SettingsModel.save({
+        apiKey: elements.apiKeyInput.value.trim(),
+        fullName: elements.fullNameInput.value.trim(),
+        aiProvider,
+        aiBaseUrl,
+        aiModel: elements.modelInput.value.trim(),
+        geminiModel: elements.modelSelect.value,
+        fallbackModels: getSelectedFallbackModels(),
+        safetyThreshold: elements.safetySelect.value,
+        coverLetterTone: elements.toneSelect.value,
+        promptTemplateId: elements.templateSelect.value,
+        useStyleProfile: elements.useStyleCheck.checked,
+        jobParsing: elements.jobParsingSelect.value,
+        addressGaps: elements.addressGapsCheck.checked,
+        variantCount: Number(elements.variantCountSelect.value),
+        outputLanguage: elements.outputLanguageSelect.value,
+        letterLength: elements.letterLengthSelect.value,
+        letterWordCount: Number(elements.letterWordCountInput.value) || 300,
+        includeDate: elements.includeDateCheck.checked,
+        fitOnePage: elements.fitOnePageCheck.checked,
+        developerMode: elements.devModeCheck.checked
+    });
+
+    // A new key or endpoint can offer different models; this also migrates a model that is gone
+    if (aiProvider === 'gemini' && elements.apiKeyInput.value.trim()) {
+        await refreshModelList();
+    }
+
+    await loadSettings(); // Apply changes immediately (e.g. show/hide debug section)
+    hideSettings();
+    await checkReadiness();
+    await loadJob(); // The letter language may have changed
+    updateLengthStatus(); // The target length or one-page setting may have changed
+}
+
+/**
+ * Update debug view with current resume data and the prompt context built from it
+ */
+async function updateDebugView() {
+    try {
+        const resume = await ResumeController.getResume();
+        if (resume) {
+            elements.debugContent.textContent = JSON.stringify(resume, null, 2);
+        } else {
+            elements.debugContent.textContent = 'No resume data found';
+        }
+
+        const report = await CoverLetterController.previewContext();
+        elements.debugContext.textContent = report || 'Capture a resume and a job to see what goes into the prompt';
+    } catch (error) {
+        elements.debugContent.textContent = 'Error loading debug data: ' + error.message;
+    }
+}
+
+/**
+ * Setup event listeners
  */
 function setupEventListeners() {
     // Resume
@@ -430,19 +2629,84 @@ function setupEventListeners() {
     elements.cancelJobBtn.addEventListener('click', closeManualJobModal);
     elements.saveJobBtn.addEventListener('click', saveManualJob);
     elements.editJobBtn.addEventListener('click', editJob);
+    elements.analyzeJobBtn.addEventListener('click', analyzeJob);
     elements.clearJobBtn.addEventListener('click', clearJob);
 
     // Generate
-    elements.generateBtn.addEventListener('click', generateCoverLetter);
-    elements.regenerateBtn.addEventListener('click', generateCoverLetter);
+    elements.documentTypeSelect.addEventListener('change', updateDocumentType);
+    elements.generateBtn.addEventListener('click', () => {
+        if (elements.documentTypeSelect.value === COVER_LETTER_TYPE) {
+            generateCoverLetter({ offline: draftOffline });
+        } else {
+            generateMessage();
+        }
+    });
+    elements.regenerateMessageBtn.addEventListener('click', () => generateMessage({ fresh: true }));
+    elements.messageSubject.addEventListener('input', updateMessageLength);
+    elements.messageContent.addEventListener('input', updateMessageLength);
+    elements.copyMessageBtn.addEventListener('click', copyMessage);
+    elements.downloadMessageBtn.addEventListener('click', downloadMessage);
+    elements.regenerateBtn.addEventListener('click', () => generateCoverLetter({ fresh: true, offline: draftOffline }));
+    elements.offlineDraftBtn.addEventListener('click', addOfflineDraft);
+    elements.stopBtn.addEventListener('click', stopGeneration);
     elements.copyBtn.addEventListener('click', copyCoverLetter);
     elements.downloadBtn.addEventListener('click', downloadCoverLetter);
+    elements.applyMergeBtn.addEventListener('click', applyMerge);
+    elements.refineBtn.addEventListener('click', () => refineLetter());
+    elements.refineInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') refineLetter();
+    });
+    elements.undoRevisionBtn.addEventListener('click', undoRevision);
+    elements.fitLengthBtn.addEventListener('click', fitToLength);
+    elements.previewContent.addEventListener('input', scheduleGroundingCheck);
+    elements.previewContent.addEventListener('scroll', syncHighlightScroll);
+    elements.letterPostscript.addEventListener('input', scheduleGroundingCheck);
     elements.refreshDebugBtn.addEventListener('click', updateDebugView);
 
+    // Application questions
+    elements.captureQuestionBtn.addEventListener('click', captureQuestion);
+    elements.answerBtn.addEventListener('click', () => draftAnswer());
+    elements.questionInput.addEventListener('input', () => {
+        if (!elements.charLimitInput.value) {
+            elements.charLimitInput.value = detectCharLimit(elements.questionInput.value) || '';
+        }
+    });
+
+    // Company notes
+    elements.captureAboutBtn.addEventListener('click', captureCompanyAbout);
+    elements.saveCompanyNotesBtn.addEventListener('click', saveCompanyNotes);
+    elements.clearCompanyNotesBtn.addEventListener('click', clearCompanyNotes);
+
+    // Tailored resume
+    elements.tailorBtn.addEventListener('click', suggestResumeChanges);
+    elements.downloadResumeBtn.addEventListener('click', downloadTailoredResume);
+
+    // Interview prep
+    elements.prepBtn.addEventListener('click', buildPrepPack);
+    elements.downloadPrepBtn.addEventListener('click', downloadPrepPack);
+
     // Settings
     elements.settingsBtn.addEventListener('click', showSettings);
     elements.closeSettingsBtn.addEventListener('click', hideSettings);
     elements.toggleApiKey.addEventListener('click', toggleApiKeyVisibility);
+    elements.providerSelect.addEventListener('change', handleProviderChange);
+    elements.modelSelect.addEventListener('change', updateModelInfo);
+    elements.refreshModelsBtn.addEventListener('click', () => refreshModelList());
+    elements.baseUrlInput.addEventListener('input', updateProviderFields);
+    elements.toneSelect.addEventListener('change', async () => updateToneActions(await TemplateModel.getTones()));
+    elements.addToneBtn.addEventListener('click', addTone);
+    elements.styleSampleInput.addEventListener('change', handleStyleUpload);
+    elements.clearCacheBtn.addEventListener('click', clearCache);
+    elements.clearUsageBtn.addEventListener('click', clearUsage);
+    elements.deleteToneBtn.addEventListener('click', deleteTone);
+    elements.letterLengthSelect.addEventListener('change', updateLengthFields);
+    elements.templateSelect.addEventListener('change', loadTemplateIntoEditor);
+    elements.templateBodyInput.addEventListener('input', checkTemplatePlaceholders);
+    elements.newTemplateBtn.addEventListener('click', newTemplate);
+    elements.saveTemplateBtn.addEventListener('click', saveTemplate);
+    elements.deleteTemplateBtn.addEventListener('click', deleteTemplate);
+    elements.previewPromptBtn.addEventListener('click', previewPrompt);
+    elements.closePromptPreviewBtn.addEventListener('click', closePromptPreview);
     elements.saveSettingsBtn.addEventListener('click', saveSettings);
 
     // Listen for job updates from content script
@@ -0,0 +1,10 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitJob, buildGenerationContext } from '../src/services/ContextBuilderService.js';
+
+test('a long line of only punctuation does not break context building', () => {
+    const job = { title: 'Engineer', description: `We build APIs.\n${'.'.repeat(400)}\n${'!?'.repeat(200)}` };
+
+    assert.ok(splitJob(job).length > 0);
+    assert.doesNotThrow(() => buildGenerationContext({ rawText: 'Ann\nEXPERIENCE\n• Built APIs' }, job));
+});
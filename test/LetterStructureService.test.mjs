@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLetter } from '../src/services/LetterStructureService.js';
+
+test('normalizeLetter strips a P.S. marker from the postscript', () => {
+    for (const postscript of ['P.S. I will be in Berlin in May.', 'PS: I will be in Berlin in May.', 'ps I will be in Berlin in May.', 'P. S. I will be in Berlin in May.']) {
+        assert.equal(normalizeLetter({ postscript }).postscript, 'I will be in Berlin in May.');
+    }
+});
+
+test('normalizeLetter keeps a postscript that starts with "Ps"', () => {
+    assert.equal(normalizeLetter({ postscript: 'Psychology is my second passion.' }).postscript, 'Psychology is my second passion.');
+    assert.equal(normalizeLetter({ postscript: 'PSD files are attached.' }).postscript, 'PSD files are attached.');
+});
@@ -0,0 +1,42 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = {};
+globalThis.chrome = {
+    storage: {
+        local: {
+            async get(key) {
+                return key in store ? { [key]: structuredClone(store[key]) } : {};
+            },
+            async set(values) {
+                Object.assign(store, structuredClone(values));
+            }
+        }
+    }
+};
+
+const { SettingsModel } = await import('../src/models/SettingsModel.js');
+
+beforeEach(() => {
+    delete store.coverai_settings;
+});
+
+test('a single saved key and base URL move to the provider they were entered for', async () => {
+    store.coverai_settings = { aiProvider: 'gemini', apiKey: 'gemini-key', aiBaseUrl: 'http://localhost:8787/v1beta' };
+
+    const settings = await SettingsModel.get();
+    assert.deepEqual(settings.apiKeys, { gemini: 'gemini-key' });
+    assert.deepEqual(settings.aiBaseUrls, { gemini: 'http://localhost:8787/v1beta' });
+    assert.equal(settings.apiKey, 'gemini-key');
+});
+
+test('switching provider does not carry the key or base URL over', async () => {
+    await SettingsModel.save({ aiProvider: 'gemini', apiKey: 'gemini-key', aiBaseUrl: 'http://localhost:8787/v1beta' });
+    const settings = await SettingsModel.save({ aiProvider: 'openai' });
+
+    assert.equal(settings.apiKey, '');
+    assert.equal(settings.aiBaseUrl, '');
+    assert.equal(await SettingsModel.getApiKey('gemini'), 'gemini-key');
+    assert.equal(await SettingsModel.getBaseUrl('gemini'), 'http://localhost:8787/v1beta');
+    assert.equal(store.coverai_settings.apiKey, undefined);
+});
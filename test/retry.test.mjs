@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry } from '../src/utils/retry.js';
+
+const retryable = (retryAfter) => Object.assign(new Error('busy'), { retryable: true, retryAfter });
+
+test('withRetry waits the server retryAfter', async () => {
+    const delays = [];
+    let calls = 0;
+    const result = await withRetry(async () => {
+        if (calls++ === 0) throw retryable(5);
+        return 'ok';
+    }, { onRetry: (error, attempt, delay) => delays.push(delay) });
+    assert.equal(result, 'ok');
+    assert.deepEqual(delays, [5]);
+});
+
+test('withRetry gives up when retryAfter is longer than maxDelay', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw retryable(60000);
+    }, { maxDelay: 30000 }), /busy/);
+    assert.equal(calls, 1);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readSSE, readNDJSON } from '../src/services/providers/streamReader.js';
+
+const respond = (text) => new Response(text);
+
+test('readSSE skips malformed events and passes parsed ones on', async () => {
+    const events = [];
+    await readSSE(respond('data: {"a":1}\n\ndata: {oops\n\ndata: {"a":2}\n\ndata: [DONE]\n\n'), event => events.push(event));
+    assert.deepEqual(events, [{ a: 1 }, { a: 2 }]);
+});
+
+test('readSSE lets errors from the consumer reach the caller', async () => {
+    await assert.rejects(
+        readSSE(respond('data: {"a":1}\n\n'), () => { throw new Error('render failed'); }),
+        /render failed/
+    );
+});
+
+test('readNDJSON lets errors from the consumer reach the caller', async () => {
+    await assert.rejects(
+        readNDJSON(respond('{"a":1}\n{"a":2}\n'), () => { throw new Error('render failed'); }),
+        /render failed/
+    );
+});
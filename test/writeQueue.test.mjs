@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWriteQueue } from '../src/utils/writeQueue.js';
+
+test('queued read-modify-write updates do not lose each other', async () => {
+    const enqueue = createWriteQueue();
+    let stored = 0;
+    const increment = () => enqueue(async () => {
+        const value = stored;
+        await new Promise(resolve => setTimeout(resolve, 1));
+        stored = value + 1;
+    });
+
+    await Promise.all([increment(), increment(), increment()]);
+    assert.equal(stored, 3);
+});
+
+test('a failed update does not stop the next one', async () => {
+    const enqueue = createWriteQueue();
+    await assert.rejects(enqueue(async () => { throw new Error('storage full'); }), /storage full/);
+    assert.equal(await enqueue(async () => 'next'), 'next');
+});